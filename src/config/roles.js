@@ -0,0 +1,30 @@
+/**
+ * Configuración de roles y control de acceso
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Roles disponibles, de menor a mayor privilegio
+const ROLES = ['user', 'provider', 'moderator', 'admin'];
+
+// Wallets que reciben el rol de administrador al crear su cuenta o mientras no haya ninguno (arranque inicial)
+const bootstrapAdminWallets = (process.env.ADMIN_WALLET_ADDRESSES || '')
+  .split(',')
+  .map(address => address.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Comprueba si una wallet está configurada como administrador inicial
+ * @param {string} walletAddress - Dirección de wallet
+ * @returns {boolean} True si debe recibir el rol de administrador
+ */
+const isBootstrapAdmin = (walletAddress) => {
+  if (!walletAddress) return false;
+  return bootstrapAdminWallets.includes(walletAddress.toLowerCase());
+};
+
+module.exports = {
+  ROLES,
+  bootstrapAdminWallets,
+  isBootstrapAdmin
+};
@@ -0,0 +1,100 @@
+/**
+ * Registro unificado de tokens aceptados para pagos
+ * Fuente única para validadores, modelo de transacciones, inicio de pagos y verificación en cadena
+ */
+const dotenv = require('dotenv');
+const { parseUnits, formatUnits } = require('viem');
+dotenv.config();
+
+// Tokens soportados: símbolo, nombre visible, decimales y contrato por red
+const TOKENS = {
+  'WLD': {
+    symbol: 'WLD',
+    name: 'Worldcoin',
+    decimals: 18,
+    addresses: {
+      worldchain: process.env.WLD_TOKEN_ADDRESS || '0x2cFc85d8E48F8EAB294be644d9E25C3030863003'
+    }
+  },
+  'USDC.e': {
+    symbol: 'USDC.e',
+    name: 'Bridged USDC',
+    decimals: 6,
+    addresses: {
+      worldchain: process.env.USDCE_TOKEN_ADDRESS || '0x79A02482A880bCE3F13e09Da970dC34db4CD24d1'
+    }
+  }
+};
+
+/**
+ * Obtiene la definición de un token
+ * @param {string} symbol - Símbolo del token
+ * @returns {Object|null} Definición del token o null si no está soportado
+ */
+const getToken = (symbol) => TOKENS[symbol] || null;
+
+/**
+ * Lista de símbolos soportados
+ * @returns {Array<string>} Símbolos
+ */
+const getSupportedSymbols = () => Object.keys(TOKENS);
+
+/**
+ * Comprueba si un token está soportado
+ * @param {string} symbol - Símbolo del token
+ * @returns {boolean} True si está soportado
+ */
+const isSupported = (symbol) => Boolean(getToken(symbol));
+
+/**
+ * Obtiene la dirección del contrato de un token en una red
+ * @param {string} symbol - Símbolo del token
+ * @param {string} network - Nombre de la red (worldchain, ...)
+ * @returns {string|null} Dirección del contrato
+ */
+const getTokenAddress = (symbol, network) => {
+  const token = getToken(symbol);
+  return token ? token.addresses[network] || null : null;
+};
+
+/**
+ * Convierte un importe en unidades del token a unidades base (string entero)
+ * @param {number|string} amount - Importe en unidades del token (ej. 1.5)
+ * @param {string} symbol - Símbolo del token
+ * @returns {string} Importe en unidades base
+ */
+const toBaseUnits = (amount, symbol) => {
+  const token = getToken(symbol);
+  if (!token) {
+    throw new Error(`Token no soportado: ${symbol}`);
+  }
+  // String(1e-7) da notación exponencial, que parseUnits no admite
+  const decimal = typeof amount === 'number'
+    ? amount.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: token.decimals })
+    : String(amount);
+  return parseUnits(decimal, token.decimals).toString();
+};
+
+/**
+ * Convierte un importe en unidades base a unidades del token
+ * @param {string|bigint} baseUnits - Importe en unidades base
+ * @param {string} symbol - Símbolo del token
+ * @returns {string} Importe en unidades del token (ej. "1.5")
+ */
+const fromBaseUnits = (baseUnits, symbol) => {
+  const token = getToken(symbol);
+  if (!token) {
+    throw new Error(`Token no soportado: ${symbol}`);
+  }
+  return formatUnits(BigInt(baseUnits), token.decimals);
+};
+
+module.exports = {
+  TOKENS,
+  getToken,
+  getSupportedSymbols,
+  isSupported,
+  getTokenAddress,
+  toBaseUnits,
+  fromBaseUnits
+};
@@ -2,6 +2,7 @@
  * Configuración para la integración con World App
  */
 const dotenv = require('dotenv');
+const tokenRegistry = require('./tokens');
 dotenv.config();
 
 // Configuración de World App
@@ -24,11 +25,129 @@ const worldAppConfig = {
   // Network a utilizar (worldchain, etc.)
   network: process.env.WORLD_NETWORK || 'worldchain',
   
-  // Tokens soportados para pagos
-  supportedTokens: ['WLD', 'USDC.e'],
+  // Tokens soportados para pagos (definidos en el registro de tokens)
+  supportedTokens: tokenRegistry.getSupportedSymbols(),
+  
+  // Estrategia de verificación de pagos: 'devportal' (Developer Portal) u 'onchain' (viem)
+  paymentVerifier: process.env.PAYMENT_VERIFIER || 'devportal',
+  
+  // Verificación en cadena (apuntar rpcUrl a un nodo local anvil/hardhat para pruebas)
+  onchain: {
+    rpcUrl: process.env.WORLDCHAIN_RPC_URL || 'https://worldchain-mainnet.g.alchemy.com/public',
+    chainId: parseInt(process.env.WORLDCHAIN_CHAIN_ID || '480'),
+    requiredConfirmations: parseInt(process.env.PAYMENT_REQUIRED_CONFIRMATIONS || '3')
+  },
   
   // Precio en WLD para acceder a detalles de contacto
   contactAccessPrice: 1, // 1 WLD
+  
+  // Precios por token usados cuando ninguna regla de precio de la base de datos aplica
+  defaultAccessPrices: {
+    'WLD': parseFloat(process.env.DEFAULT_PRICE_WLD || '1'),
+    'USDC.e': parseFloat(process.env.DEFAULT_PRICE_USDCE || '1')
+  },
+  
+  // Días de acceso a un contacto cuando su categoría no define duración (sin valor = acceso permanente)
+  defaultAccessDurationDays: process.env.DEFAULT_ACCESS_DURATION_DAYS
+    ? parseInt(process.env.DEFAULT_ACCESS_DURATION_DAYS)
+    : null,
+  
+  // Minutos que una transacción puede permanecer pendiente antes de expirar
+  pendingTransactionTTLMinutes: parseInt(process.env.PENDING_TX_TTL_MINUTES || '60'),
+  
+  // Intervalo de ejecución del barrido de transacciones expiradas (minutos)
+  transactionSweepIntervalMinutes: parseInt(process.env.TX_SWEEP_INTERVAL_MINUTES || '5'),
+  
+  // Reconciliación de transacciones en proceso con el Developer Portal
+  reconcile: {
+    intervalSeconds: parseInt(process.env.TX_RECONCILE_INTERVAL_SECONDS || '60'),
+    baseDelaySeconds: parseInt(process.env.TX_RECONCILE_BASE_DELAY_SECONDS || '30'),
+    maxDelaySeconds: parseInt(process.env.TX_RECONCILE_MAX_DELAY_SECONDS || '3600'),
+    maxAttempts: parseInt(process.env.TX_RECONCILE_MAX_ATTEMPTS || '20'),
+    batchSize: parseInt(process.env.TX_RECONCILE_BATCH_SIZE || '25')
+  },
+  
+  // Horas que se conserva una clave de idempotencia de pagos antes de eliminarse
+  idempotencyKeyTTLHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24'),
+  
+  // Recibos de pago: emisor que figura en el documento y clave de la firma HMAC
+  receiptIssuer: process.env.RECEIPT_ISSUER || 'BackDoUp',
+  receiptSigningSecret: process.env.RECEIPT_SIGNING_SECRET || process.env.JWT_SECRET,
+  
+  // Días tras completar el pago en los que el usuario puede abrir una disputa
+  disputeWindowDays: parseInt(process.env.DISPUTE_WINDOW_DAYS || '30'),
+  
+  // Disputas aprobadas a partir de las cuales un servicio se marca para moderación
+  disputeFlagThreshold: parseInt(process.env.DISPUTE_FLAG_THRESHOLD || '3'),
+  
+  // Planes de suscripción con acceso ilimitado a contactos
+  subscriptionPlans: {
+    monthly: {
+      name: 'Pase mensual',
+      durationDays: 30,
+      prices: {
+        'WLD': parseFloat(process.env.SUBSCRIPTION_MONTHLY_PRICE_WLD || '10'),
+        'USDC.e': parseFloat(process.env.SUBSCRIPTION_MONTHLY_PRICE_USDCE || '10')
+      }
+    },
+    yearly: {
+      name: 'Pase anual',
+      durationDays: 365,
+      prices: {
+        'WLD': parseFloat(process.env.SUBSCRIPTION_YEARLY_PRICE_WLD || '100'),
+        'USDC.e': parseFloat(process.env.SUBSCRIPTION_YEARLY_PRICE_USDCE || '100')
+      }
+    }
+  },
+  
+  // Paquetes de créditos prepagados (un crédito desbloquea un contacto)
+  creditPacks: {
+    starter: {
+      name: 'Paquete de 10 desbloqueos',
+      credits: 10,
+      prices: {
+        'WLD': parseFloat(process.env.CREDIT_PACK_STARTER_PRICE_WLD || '8'),
+        'USDC.e': parseFloat(process.env.CREDIT_PACK_STARTER_PRICE_USDCE || '8')
+      }
+    },
+    pro: {
+      name: 'Paquete de 50 desbloqueos',
+      credits: 50,
+      prices: {
+        'WLD': parseFloat(process.env.CREDIT_PACK_PRO_PRICE_WLD || '35'),
+        'USDC.e': parseFloat(process.env.CREDIT_PACK_PRO_PRICE_USDCE || '35')
+      }
+    }
+  },
+  
+  // Evaluación de riesgo de los pagos: umbrales de decisión, límites de las señales y su peso
+  risk: {
+    reviewScore: parseInt(process.env.RISK_REVIEW_SCORE || '50'),
+    blockScore: parseInt(process.env.RISK_BLOCK_SCORE || '80'),
+    windowMinutes: parseInt(process.env.RISK_WINDOW_MINUTES || '60'),
+    maxUnconfirmedInitiations: parseInt(process.env.RISK_MAX_UNCONFIRMED_INITIATIONS || '10'),
+    maxUnlocksPerWindow: parseInt(process.env.RISK_MAX_UNLOCKS_PER_WINDOW || '15'),
+    weights: {
+      unconfirmed_initiations: 40,
+      transaction_id_reuse: 100,
+      payer_mismatch: 60,
+      rapid_unlocks: 50,
+      unverified_account: 15
+    }
+  },
+  
+  // Porcentaje de cada desbloqueo pagado que corresponde al proveedor dueño del servicio
+  providerRevenueSharePercent: parseFloat(process.env.PROVIDER_REVENUE_SHARE_PERCENT || '70'),
+  
+  // Saldo mínimo pendiente para incluir a un proveedor en un lote de pagos
+  providerPayoutMinimums: {
+    'WLD': parseFloat(process.env.PROVIDER_PAYOUT_MIN_WLD || '5'),
+    'USDC.e': parseFloat(process.env.PROVIDER_PAYOUT_MIN_USDCE || '5')
+  },
+  
+  // Tareas de suscripciones: intervalo y antelación de los recordatorios de renovación
+  subscriptionJobIntervalMinutes: parseInt(process.env.SUBSCRIPTION_JOB_INTERVAL_MINUTES || '60'),
+  subscriptionReminderDays: parseInt(process.env.SUBSCRIPTION_REMINDER_DAYS || '3'),
 };
 
 // Validar configuración crítica
@@ -0,0 +1,333 @@
+/**
+ * Controlador para tareas de administración
+ */
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const transactionSweeper = require('../jobs/transactionSweeper');
+const transactionReconciler = require('../jobs/transactionReconciler');
+const subscriptionExpirer = require('../jobs/subscriptionExpirer');
+const subscriptionReminder = require('../jobs/subscriptionReminder');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
+const { toCsvLine } = require('../utils/csv');
+const cacheService = require('../services/cacheService');
+const tokenRegistry = require('../config/tokens');
+const { ROLES } = require('../config/roles');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Formatear un usuario para listados de administración
+ *
+ * @param {Object} user - Usuario
+ * @returns {Object} Datos públicos del usuario
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  walletAddress: user.walletAddress,
+  username: user.username,
+  verified: user.verified,
+  verificationLevel: user.verificationLevel,
+  roles: user.roles,
+  createdAt: user.createdAt,
+  lastLoginAt: user.lastLoginAt
+});
+
+/**
+ * Listar usuarios, opcionalmente filtrados por rol
+ * @route GET /api/admin/users
+ * @access Admin
+ */
+const listUsers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const query = {};
+
+  if (req.query.role) {
+    if (!ROLES.includes(req.query.role)) {
+      return responseFormatter.validationError(res, `Rol inválido. Roles disponibles: ${ROLES.join(', ')}`);
+    }
+    query.roles = req.query.role;
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    User.countDocuments(query)
+  ]);
+
+  return responseFormatter.paginated(res, {
+    data: users.map(formatUser),
+    page,
+    limit,
+    total,
+    message: 'Usuarios obtenidos correctamente'
+  });
+});
+
+/**
+ * Asignar un rol a un usuario
+ * @route POST /api/admin/users/:id/roles
+ * @access Admin
+ */
+const grantRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de usuario inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.roleChange);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const user = await User.findByIdAndUpdate(
+    id,
+    { $addToSet: { roles: value.role }, updatedAt: new Date() },
+    { new: true }
+  );
+
+  if (!user) {
+    return responseFormatter.notFound(res, 'Usuario no encontrado');
+  }
+
+  cacheService.invalidatePattern(`user:${id}:*`);
+
+  logger.info(`Rol ${value.role} asignado a usuario ${id} por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    data: formatUser(user),
+    message: 'Rol asignado correctamente'
+  });
+});
+
+/**
+ * Revocar un rol de un usuario
+ * @route DELETE /api/admin/users/:id/roles/:role
+ * @access Admin
+ */
+const revokeRole = asyncHandler(async (req, res) => {
+  const { id, role } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de usuario inválido');
+  }
+
+  if (!ROLES.includes(role)) {
+    return responseFormatter.validationError(res, `Rol inválido. Roles disponibles: ${ROLES.join(', ')}`);
+  }
+
+  // El rol base no se puede revocar
+  if (role === 'user') {
+    return responseFormatter.validationError(res, 'El rol user no se puede revocar');
+  }
+
+  if (role === 'admin') {
+    // Evitar que un administrador se quite a sí mismo el acceso
+    if (id === req.user.id.toString()) {
+      return responseFormatter.forbidden(res, 'No puedes revocar tu propio rol de administrador');
+    }
+
+    // Mantener siempre al menos un administrador
+    const adminCount = await User.countDocuments({ roles: 'admin' });
+
+    if (adminCount <= 1) {
+      return responseFormatter.error(res, {
+        statusCode: 409,
+        message: 'Debe existir al menos un administrador'
+      });
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(
+    id,
+    { $pull: { roles: role }, updatedAt: new Date() },
+    { new: true }
+  );
+
+  if (!user) {
+    return responseFormatter.notFound(res, 'Usuario no encontrado');
+  }
+
+  cacheService.invalidatePattern(`user:${id}:*`);
+
+  logger.info(`Rol ${role} revocado a usuario ${id} por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    data: formatUser(user),
+    message: 'Rol revocado correctamente'
+  });
+});
+
+/**
+ * Obtener estadísticas de transacciones por estado
+ * @route GET /api/admin/stats/transactions
+ * @access Admin
+ */
+const getTransactionStats = asyncHandler(async (req, res) => {
+  const statusCounts = await Transaction.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const byStatus = {};
+  statusCounts.forEach(({ _id, count }) => {
+    byStatus[_id] = count;
+  });
+
+  // Pendientes que ya superan la ventana y caerán en el próximo barrido
+  const stalePending = await Transaction.countDocuments({
+    status: 'pending',
+    createdAt: { $lt: Transaction.getExpirationCutoff() }
+  });
+
+  return responseFormatter.success(res, {
+    data: {
+      byStatus,
+      expired: byStatus.expired || 0,
+      stalePending,
+      sweeper: transactionSweeper.getStats(),
+      reconciler: transactionReconciler.getStats(),
+      subscriptionExpirer: subscriptionExpirer.getStats(),
+      subscriptionReminder: subscriptionReminder.getStats()
+    },
+    message: 'Estadísticas de transacciones obtenidas correctamente'
+  });
+});
+
+// Columnas de la exportación contable, en orden
+const EXPORT_COLUMNS = [
+  'reference', 'createdAt', 'completedAt', 'status', 'purpose',
+  'userId', 'payerWallet', 'recipientWallet', 'serviceId', 'serviceTitle', 'plan', 'pack',
+  'token', 'amount', 'amountBaseUnits', 'couponCode', 'discount',
+  'transactionHash', 'refundedAt', 'refundTransactionHash'
+];
+
+/**
+ * Fila de la exportación contable de una transacción
+ *
+ * @param {Object} transaction - Transacción con usuario, destinatario y servicio poblados
+ * @returns {Object} Valores por columna
+ */
+const toExportRow = (transaction) => {
+  const coupon = transaction.coupon && transaction.coupon.code ? transaction.coupon : null;
+  const toDate = (date) => (date ? new Date(date).toISOString() : null);
+
+  return {
+    reference: transaction.reference,
+    createdAt: toDate(transaction.createdAt),
+    completedAt: toDate(transaction.completedAt),
+    status: transaction.status,
+    purpose: transaction.purpose,
+    userId: transaction.userId ? transaction.userId._id.toString() : null,
+    payerWallet: transaction.userId ? transaction.userId.walletAddress || null : null,
+    recipientWallet: transaction.recipientWallet ||
+      (transaction.recipientId ? transaction.recipientId.walletAddress || null : null),
+    serviceId: transaction.serviceId ? transaction.serviceId._id.toString() : null,
+    serviceTitle: transaction.serviceId ? transaction.serviceId.title : null,
+    plan: transaction.plan,
+    pack: transaction.pack,
+    token: transaction.token,
+    amount: tokenRegistry.fromBaseUnits(transaction.amount, transaction.token),
+    amountBaseUnits: transaction.amount,
+    couponCode: coupon ? coupon.code : null,
+    discount: coupon ? tokenRegistry.fromBaseUnits(coupon.discount, transaction.token) : null,
+    transactionHash: transaction.transactionHash || null,
+    refundedAt: toDate(transaction.refundedAt),
+    refundTransactionHash: transaction.refundTransactionHash || null
+  };
+};
+
+/**
+ * Exportar transacciones de un rango de fechas en CSV o NDJSON
+ * La respuesta se escribe en streaming para no cargar todo el rango en memoria
+ * @route GET /api/admin/transactions/export
+ * @access Admin
+ */
+const exportTransactions = asyncHandler(async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.query, schemas.transactionExport);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const query = { createdAt: { $gte: value.from, $lt: value.to } };
+
+  if (value.status) {
+    query.status = value.status;
+  }
+
+  const csv = value.format === 'csv';
+  const filename = `transacciones-${value.from.toISOString().slice(0, 10)}-${value.to.toISOString().slice(0, 10)}.${csv ? 'csv' : 'ndjson'}`;
+
+  res.status(200);
+  res.setHeader('Content-Type', csv ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const cursor = Transaction.find(query)
+    .sort({ createdAt: 1 })
+    .populate('userId', 'walletAddress')
+    .populate('recipientId', 'walletAddress')
+    .populate('serviceId', 'title')
+    .cursor();
+
+  /**
+   * Escribir un fragmento respetando la contrapresión del cliente
+   *
+   * @param {string} chunk - Texto a escribir
+   * @returns {Promise<void>}
+   */
+  const write = (chunk) => new Promise(resolve => {
+    if (res.write(chunk)) {
+      resolve();
+    } else {
+      res.once('drain', resolve);
+    }
+  });
+
+  let exported = 0;
+
+  try {
+    if (csv) {
+      await write(`${EXPORT_COLUMNS.join(',')}\n`);
+    }
+
+    for await (const transaction of cursor) {
+      // El cliente cerró la conexión: dejar de leer
+      if (res.destroyed) {
+        break;
+      }
+
+      const row = toExportRow(transaction);
+
+      await write(csv
+        ? toCsvLine(EXPORT_COLUMNS, row)
+        : `${JSON.stringify(row)}\n`);
+      exported++;
+    }
+
+    res.end();
+  } catch (streamError) {
+    // Las cabeceras ya se enviaron: solo se puede cortar la respuesta
+    logger.error(`Error al exportar transacciones: ${streamError.message}`);
+    res.destroy(streamError);
+  } finally {
+    await cursor.close();
+  }
+
+  logger.info(`Exportación de ${exported} transacciones (${value.format}) por ${req.user.id}`);
+});
+
+module.exports = {
+  listUsers,
+  grantRole,
+  revokeRole,
+  getTransactionStats,
+  exportTransactions
+};
@@ -0,0 +1,134 @@
+/**
+ * Controlador para el panel de ingresos y conversión del muro de pago
+ */
+const responseFormatter = require('../utils/responseFormatter');
+const { schemas, validate } = require('../utils/validators');
+const analyticsService = require('../services/analyticsService');
+const cacheService = require('../services/cacheService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Días que cubre el informe cuando no se indica rango
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Resolver el rango de fechas del informe
+ * Sin fechas se usan los últimos días completos (UTC) para que la clave de caché sea estable
+ *
+ * @param {Object} value - Parámetros validados ({ from, to })
+ * @returns {Object} Rango { from, to }
+ */
+const resolveRange = (value) => {
+  const tomorrow = new Date();
+  tomorrow.setUTCHours(24, 0, 0, 0);
+
+  const to = value.to || tomorrow;
+  const from = value.from || new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  return { from, to };
+};
+
+/**
+ * Crear un manejador que valida el rango, consulta la caché y genera el informe
+ *
+ * @param {string} report - Nombre del informe (parte de la clave de caché)
+ * @param {Function} build - Función (range, params) que genera el informe
+ * @param {string} message - Mensaje de la respuesta
+ * @returns {Function} Manejador Express
+ */
+const reportHandler = (report, build, message) => asyncHandler(async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.query, schemas.analyticsQuery);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const range = resolveRange(value);
+
+  if (range.from >= range.to) {
+    return responseFormatter.validationError(res, 'La fecha inicial debe ser anterior a la final');
+  }
+
+  const cacheKey = cacheService.getAnalyticsKey(report, { ...range, limit: value.limit, token: value.token });
+  const cached = cacheService.get(cacheKey);
+
+  if (cached) {
+    return responseFormatter.success(res, {
+      data: cached,
+      message: `${message} (caché)`
+    });
+  }
+
+  const data = {
+    from: range.from,
+    to: range.to,
+    ...(await build(range, value))
+  };
+
+  cacheService.set(cacheKey, data);
+
+  return responseFormatter.success(res, { data, message });
+});
+
+/**
+ * Ingresos por día, token, producto y categoría
+ * @route GET /api/admin/analytics/revenue
+ * @access Admin
+ */
+const getRevenue = reportHandler(
+  'revenue',
+  range => analyticsService.getRevenue(range),
+  'Ingresos obtenidos correctamente'
+);
+
+/**
+ * Conversión de visitas a desbloqueos por servicio y categoría
+ * @route GET /api/admin/analytics/conversion
+ * @access Admin
+ */
+const getConversion = reportHandler(
+  'conversion',
+  (range, { limit }) => analyticsService.getConversion(range, limit),
+  'Conversión obtenida correctamente'
+);
+
+/**
+ * Tasas de pagos fallidos y expirados
+ * @route GET /api/admin/analytics/payments
+ * @access Admin
+ */
+const getPaymentHealth = reportHandler(
+  'payments',
+  range => analyticsService.getPaymentHealth(range),
+  'Estado de los pagos obtenido correctamente'
+);
+
+/**
+ * Servicios con más ingresos
+ * @route GET /api/admin/analytics/top-services
+ * @access Admin
+ */
+const getTopServices = reportHandler(
+  'top-services',
+  async (range, { token, limit }) => ({ services: await analyticsService.getTopServices(range, token, limit) }),
+  'Servicios con más ingresos obtenidos correctamente'
+);
+
+/**
+ * Pagadores nuevos y recurrentes
+ * @route GET /api/admin/analytics/payers
+ * @access Admin
+ */
+const getPayers = reportHandler(
+  'payers',
+  range => analyticsService.getPayers(range),
+  'Pagadores obtenidos correctamente'
+);
+
+module.exports = {
+  getRevenue,
+  getConversion,
+  getPaymentHealth,
+  getTopServices,
+  getPayers
+};
@@ -3,11 +3,15 @@
  */
 const jwt = require('jsonwebtoken');
 const { MiniKit } = require('@worldcoin/minikit-js');
+const { getAddress } = require('viem');
 const User = require('../models/User');
 const responseFormatter = require('../utils/responseFormatter');
 const logger = require('../utils/logger');
 const { isValidWalletAddress } = require('../utils/validators');
 const cacheService = require('../services/cacheService');
+const entitlementService = require('../services/entitlementService');
+const giftService = require('../services/giftService');
+const { isBootstrapAdmin } = require('../config/roles');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
@@ -33,12 +37,13 @@ const authenticateWallet = asyncHandler(async (req, res) => {
       });
     }
     
-    const { address } = result;
-    
-    if (!isValidWalletAddress(address)) {
+    if (!isValidWalletAddress(result.address)) {
       return responseFormatter.validationError(res, 'Dirección de wallet inválida');
     }
     
+    // Las wallets se guardan con checksum EIP-55, igual que las de los destinatarios de regalos
+    const address = getAddress(result.address);
+    
     // Intentar obtener información del usuario desde World App
     let worldAppUser;
     try {
@@ -50,6 +55,7 @@ const authenticateWallet = asyncHandler(async (req, res) => {
     
     // Buscar o crear usuario en nuestra base de datos
     let user = await User.findOne({ walletAddress: address });
+    const isNewUser = !user;
     
     if (user) {
       // Actualizar información del usuario si tenemos nuevos datos de World App
@@ -58,6 +64,8 @@ const authenticateWallet = asyncHandler(async (req, res) => {
         user.profilePictureUrl = worldAppUser.profilePictureUrl || user.profilePictureUrl;
       }
       
+      // Una cuenta creada al recibir un regalo pasa a ser una cuenta normal al iniciar sesión
+      user.isPlaceholder = false;
       user.lastLoginAt = new Date();
       await user.save();
     } else {
@@ -74,6 +82,15 @@ const authenticateWallet = asyncHandler(async (req, res) => {
       logger.info(`Nuevo usuario creado con wallet: ${address}`);
     }
     
+    // Asignar rol de administrador a las wallets configuradas para el arranque inicial
+    // Solo al crear la cuenta o mientras no haya ningún administrador: una revocación posterior se respeta
+    if (isBootstrapAdmin(address) && !user.roles.includes('admin') &&
+      (isNewUser || !(await User.exists({ roles: 'admin' })))) {
+      user.roles.addToSet('admin');
+      await user.save();
+      logger.info(`Rol de administrador asignado a wallet inicial: ${address}`);
+    }
+    
     // Generar token JWT
     const token = jwt.sign(
       {
@@ -81,7 +98,8 @@ const authenticateWallet = asyncHandler(async (req, res) => {
         walletAddress: address,
         username: user.username,
         profilePictureUrl: user.profilePictureUrl,
-        verified: user.verified
+        verified: user.verified,
+        roles: user.roles
       },
       process.env.JWT_SECRET,
       { expiresIn: '7d' }
@@ -102,7 +120,8 @@ const authenticateWallet = asyncHandler(async (req, res) => {
           walletAddress: address,
           username: user.username,
           profilePictureUrl: user.profilePictureUrl,
-          verified: user.verified
+          verified: user.verified,
+          roles: user.roles
         }
       },
       message: 'Autenticación exitosa'
@@ -137,9 +156,8 @@ const getProfile = asyncHandler(async (req, res) => {
     });
   }
   
-  // Buscar usuario y cargar servicios pagados
-  const user = await User.findById(req.user.id)
-    .populate('paidServices', 'title category rating');
+  // Buscar usuario y cargar sus accesos vigentes
+  const user = await User.findById(req.user.id);
   
   if (!user) {
     return responseFormatter.notFound(res, 'Usuario no encontrado');
@@ -153,7 +171,9 @@ const getProfile = asyncHandler(async (req, res) => {
     profilePictureUrl: user.profilePictureUrl,
     verified: user.verified,
     verificationLevel: user.verificationLevel,
-    paidServices: user.paidServices,
+    roles: user.roles,
+    entitlements: await entitlementService.getActiveEntitlements(user._id),
+    pendingGifts: await giftService.getPendingGifts(user._id),
     totalSpent: user.totalSpent,
     recentSearches: user.recentSearches,
     lastLoginAt: user.lastLoginAt,
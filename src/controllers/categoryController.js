@@ -3,11 +3,14 @@
  */
 const Category = require('../models/Category');
 const Service = require('../models/Service');
+const PricingRule = require('../models/PricingRule');
 const responseFormatter = require('../utils/responseFormatter');
 const logger = require('../utils/logger');
 const { schemas, validate, isValidMongoId } = require('../utils/validators');
 const cacheService = require('../services/cacheService');
 const pythonApiService = require('../services/pythonApiService');
+const pricingService = require('../services/pricingService');
+const suggestService = require('../services/suggestService');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
@@ -27,9 +30,13 @@ const getAllCategories = asyncHandler(async (req, res) => {
   }
   
   // Ordenar por displayOrder y luego por nombre
-  const categories = await Category.find({ isActive: true })
+  const categoryDocs = await Category.find({ isActive: true })
     .sort({ displayOrder: 1, name: 1 })
-    .select('-__v');
+    .select('-__v')
+    .lean();
+  
+  // Exponer el precio de acceso efectivo de cada categoría
+  const categories = await pricingService.attachCategoryPrices(categoryDocs);
   
   // Guardar en caché
   cacheService.set(cacheKey, categories);
@@ -40,6 +47,62 @@ const getAllCategories = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Obtener árbol de categorías anidadas
+ * @route GET /api/categories/tree
+ */
+const getCategoryTree = asyncHandler(async (req, res) => {
+  // Intentar obtener de caché primero
+  const cacheKey = cacheService.getCategoryKey('tree');
+  const cachedTree = cacheService.get(cacheKey);
+  
+  if (cachedTree) {
+    return responseFormatter.success(res, {
+      data: cachedTree,
+      message: 'Árbol de categorías obtenido de caché'
+    });
+  }
+  
+  const tree = await pricingService.attachCategoryPrices(await Category.getTree());
+  
+  // Guardar en caché
+  cacheService.set(cacheKey, tree);
+  
+  return responseFormatter.success(res, {
+    data: tree,
+    message: 'Árbol de categorías obtenido correctamente'
+  });
+});
+
+/**
+ * Validar la categoría padre indicada en una creación o actualización
+ * 
+ * @param {string|null} parentCategory - ID de la categoría padre
+ * @param {string|null} categoryId - ID de la categoría que se modifica (si existe)
+ * @returns {Promise<string|null>} Mensaje de error o null si es válida
+ */
+const validateParentCategory = async (parentCategory, categoryId = null) => {
+  if (!parentCategory) {
+    return null;
+  }
+  
+  if (!isValidMongoId(parentCategory)) {
+    return 'ID de categoría padre inválido';
+  }
+  
+  const parent = await Category.findById(parentCategory);
+  
+  if (!parent) {
+    return 'Categoría padre no encontrada';
+  }
+  
+  if (categoryId && await Category.wouldCreateCycle(categoryId, parentCategory)) {
+    return 'Una categoría no puede ser descendiente de sí misma';
+  }
+  
+  return null;
+};
+
 /**
  * Obtener categoría por ID
  * @route GET /api/categories/:id
@@ -62,12 +125,17 @@ const getCategoryById = asyncHandler(async (req, res) => {
     });
   }
   
-  const category = await Category.findById(id).select('-__v');
+  const categoryDoc = await Category.findById(id).select('-__v').lean();
   
-  if (!category) {
+  if (!categoryDoc) {
     return responseFormatter.notFound(res, 'Categoría no encontrada');
   }
   
+  const category = {
+    ...categoryDoc,
+    accessPrices: await pricingService.getCategoryPrices(id)
+  };
+  
   // Guardar en caché
   cacheService.set(cacheKey, category);
   
@@ -77,6 +145,38 @@ const getCategoryById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Buscar otra categoría con el mismo nombre o slug bajo el mismo padre
+ *
+ * @param {string} name - Nombre de la categoría
+ * @param {string|null} parentCategory - ID del padre
+ * @param {string|null} excludeId - Categoría que se está editando
+ * @returns {Promise<Object|null>} Categoría en conflicto o null
+ */
+const findSiblingClash = (name, parentCategory, excludeId = null) => {
+  const query = {
+    $or: [{ name }, { slug: Category.slugify(name) }],
+    parentCategory
+  };
+  
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  
+  return Category.findOne(query);
+};
+
+/**
+ * Respuesta de conflicto por nombre de categoría duplicado
+ *
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Object} Respuesta 409
+ */
+const categoryConflict = (res) => responseFormatter.error(res, {
+  statusCode: 409,
+  message: 'Ya existe otra categoría con este nombre en el mismo nivel'
+});
+
 /**
  * Crear nueva categoría
  * @route POST /api/categories
@@ -90,22 +190,39 @@ const createCategory = asyncHandler(async (req, res) => {
     return responseFormatter.validationError(res, error);
   }
   
-  // Verificar si ya existe una categoría con el mismo nombre
-  const existingCategory = await Category.findOne({ name: value.name });
+  value.parentCategory = value.parentCategory || null;
+  
+  // Verificar que la categoría padre exista
+  const parentError = await validateParentCategory(value.parentCategory);
+  
+  if (parentError) {
+    return responseFormatter.validationError(res, parentError);
+  }
+  
+  // Verificar si ya existe una categoría con el mismo nombre (o slug) bajo el mismo padre
+  const existingCategory = await findSiblingClash(value.name, value.parentCategory);
   
   if (existingCategory) {
-    return responseFormatter.error(res, {
-      statusCode: 409,
-      message: 'Ya existe una categoría con este nombre'
-    });
+    return categoryConflict(res);
   }
   
   // Crear nueva categoría
   const category = new Category(value);
-  await category.save();
   
-  // Invalidar caché de categorías
+  try {
+    await category.save();
+  } catch (error) {
+    // Carrera con otra petición que creó la misma categoría
+    if (error.code === 11000) {
+      return categoryConflict(res);
+    }
+    throw error;
+  }
+  
+  // Invalidar caché de categorías y del índice de precios (depende de la jerarquía)
   cacheService.invalidatePattern('categories:*');
+  suggestService.invalidate();
+  cacheService.invalidatePattern('pricing:*');
   
   logger.info(`Nueva categoría creada: ${category.name}`);
   
@@ -142,30 +259,53 @@ const updateCategory = asyncHandler(async (req, res) => {
     return responseFormatter.notFound(res, 'Categoría no encontrada');
   }
   
-  // Si se cambió el nombre, verificar que no exista otra categoría con ese nombre
-  if (value.name && value.name !== category.name) {
-    const existingCategory = await Category.findOne({ 
-      name: value.name, 
-      _id: { $ne: id } 
-    });
+  // Conservar el padre actual si no se indica uno nuevo
+  value.parentCategory = value.parentCategory === undefined
+    ? category.parentCategory
+    : value.parentCategory || null;
+  
+  // Verificar la categoría padre y evitar ciclos en la jerarquía
+  const parentError = await validateParentCategory(value.parentCategory, id);
+  
+  if (parentError) {
+    return responseFormatter.validationError(res, parentError);
+  }
+  
+  const parentChanged = String(value.parentCategory) !== String(category.parentCategory);
+  
+  // Si se cambió el nombre o el padre, verificar que no exista otra categoría con ese nombre
+  // El nombre puede no cambiar: al mover la categoría se compara el actual con los nuevos hermanos
+  const name = value.name || category.name;
+  
+  if (name !== category.name || parentChanged) {
+    const existingCategory = await findSiblingClash(name, value.parentCategory, id);
     
     if (existingCategory) {
-      return responseFormatter.error(res, {
-        statusCode: 409,
-        message: 'Ya existe otra categoría con este nombre'
-      });
+      return categoryConflict(res);
     }
   }
   
   // Actualizar categoría
-  const updatedCategory = await Category.findByIdAndUpdate(
-    id,
-    value,
-    { new: true, runValidators: true }
-  );
+  let updatedCategory;
+  
+  try {
+    updatedCategory = await Category.findByIdAndUpdate(
+      id,
+      value,
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    // Carrera con otra petición que usó el mismo nombre bajo el mismo padre
+    if (error.code === 11000) {
+      return categoryConflict(res);
+    }
+    throw error;
+  }
   
   // Invalidar caché
   cacheService.invalidatePattern(`categories:*`);
+  suggestService.invalidate();
+  cacheService.invalidatePattern('pricing:*');
   cacheService.invalidatePattern(`services:category:${id}:*`);
   
   logger.info(`Categoría actualizada: ${updatedCategory.name}`);
@@ -188,6 +328,16 @@ const deleteCategory = asyncHandler(async (req, res) => {
     return responseFormatter.validationError(res, 'ID de categoría inválido');
   }
   
+  // Verificar si existen subcategorías
+  const childrenCount = await Category.countDocuments({ parentCategory: id });
+  
+  if (childrenCount > 0) {
+    return responseFormatter.error(res, {
+      statusCode: 400,
+      message: `No se puede eliminar la categoría porque tiene ${childrenCount} subcategorías`
+    });
+  }
+  
   // Verificar si existen servicios asociados a esta categoría
   const servicesCount = await Service.countDocuments({ category: id });
   
@@ -205,8 +355,13 @@ const deleteCategory = asyncHandler(async (req, res) => {
     return responseFormatter.notFound(res, 'Categoría no encontrada');
   }
   
+  // Eliminar la regla de precio de la categoría
+  await PricingRule.deleteMany({ category: id });
+  
   // Invalidar caché
   cacheService.invalidatePattern(`categories:*`);
+  suggestService.invalidate();
+  cacheService.invalidatePattern('pricing:*');
   cacheService.invalidatePattern(`services:category:${id}:*`);
   
   logger.info(`Categoría eliminada: ${deletedCategory.name}`);
@@ -219,7 +374,7 @@ const deleteCategory = asyncHandler(async (req, res) => {
 /**
  * Solicitar scraping de una categoría
  * @route POST /api/categories/:id/scrape
- * @access Admin
+ * @access Moderator
  */
 const scrapeCategory = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -268,6 +423,7 @@ const scrapeCategory = asyncHandler(async (req, res) => {
 
 module.exports = {
   getAllCategories,
+  getCategoryTree,
   getCategoryById,
   createCategory,
   updateCategory,
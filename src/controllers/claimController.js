@@ -0,0 +1,426 @@
+/**
+ * Controlador para reclamación de servicios por proveedores
+ */
+const ServiceClaim = require('../models/ServiceClaim');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
+const claimService = require('../services/claimService');
+const cacheService = require('../services/cacheService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Formatear una reclamación para la respuesta pública
+ *
+ * @param {Object} claim - Reclamación
+ * @returns {Object} Datos sin información sensible
+ */
+const formatClaim = (claim) => ({
+  id: claim._id,
+  serviceId: claim.serviceId,
+  walletAddress: claim.walletAddress,
+  contactChannel: claim.contactChannel,
+  status: claim.status,
+  codeExpiresAt: claim.codeExpiresAt,
+  contactVerifiedAt: claim.contactVerifiedAt,
+  reviewedAt: claim.reviewedAt,
+  reviewNote: claim.reviewNote,
+  createdAt: claim.createdAt
+});
+
+/**
+ * Obtener el nonce que el proveedor debe firmar para reclamar un servicio
+ * @route POST /api/services/:id/claims/nonce
+ * @access Private
+ */
+const createClaimNonce = asyncHandler(async (req, res) => {
+  if (!req.user || !req.user.id) {
+    return responseFormatter.unauthorized(res, 'Autenticación requerida');
+  }
+
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de servicio inválido');
+  }
+
+  const service = await Service.findById(id).select('owner');
+
+  if (!service) {
+    return responseFormatter.notFound(res, 'Servicio no encontrado');
+  }
+
+  if (service.owner) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Este servicio ya ha sido reclamado por un proveedor'
+    });
+  }
+
+  const nonce = await claimService.issueNonce(req.user.id, service._id);
+
+  return responseFormatter.success(res, {
+    statusCode: 201,
+    data: nonce,
+    message: 'Firma este nonce con walletAuth para reclamar el servicio'
+  });
+});
+
+/**
+ * Iniciar la reclamación de un servicio
+ * @route POST /api/services/:id/claims
+ * @access Private
+ */
+const createClaim = asyncHandler(async (req, res) => {
+  if (!req.user || !req.user.id) {
+    return responseFormatter.unauthorized(res, 'Autenticación requerida');
+  }
+
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de servicio inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.serviceClaim);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const service = await Service.findById(id);
+
+  if (!service) {
+    return responseFormatter.notFound(res, 'Servicio no encontrado');
+  }
+
+  if (service.owner) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Este servicio ya ha sido reclamado por un proveedor'
+    });
+  }
+
+  // Evitar reclamaciones duplicadas del mismo usuario
+  const openClaim = await ServiceClaim.findOne({
+    serviceId: id,
+    userId: req.user.id,
+    status: { $in: ['pending_contact', 'pending_review'] }
+  });
+
+  if (openClaim) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Ya tienes una reclamación abierta para este servicio'
+    });
+  }
+
+  // Verificar que el usuario controla la wallet con la que reclama
+  const signatureResult = await claimService.verifyOwnershipSignature(
+    value.payload,
+    req.user.id,
+    id,
+    req.user.walletAddress
+  );
+
+  if (!signatureResult.success) {
+    return responseFormatter.unauthorized(res, signatureResult.error);
+  }
+
+  // El canal elegido debe aparecer en la información de contacto publicada
+  const channels = claimService.extractContactChannels(service.contactInfo);
+  const contactValue = channels[value.contactChannel];
+
+  if (!contactValue) {
+    return responseFormatter.validationError(res, `El servicio no publica un canal de tipo ${value.contactChannel} verificable`);
+  }
+
+  const { code, hash, expiresAt } = claimService.generateVerificationCode();
+
+  const claim = new ServiceClaim({
+    serviceId: service._id,
+    userId: req.user.id,
+    walletAddress: signatureResult.address,
+    siweMessage: value.payload.message,
+    signature: value.payload.signature,
+    contactChannel: value.contactChannel,
+    contactValue,
+    verificationCodeHash: hash,
+    codeExpiresAt: expiresAt,
+    status: 'pending_contact'
+  });
+
+  await claim.save();
+
+  const delivered = await claimService.deliverVerificationCode(value.contactChannel, contactValue, code);
+
+  logger.info(`Nueva reclamación ${claim._id} para servicio ${service.title}`);
+
+  return responseFormatter.success(res, {
+    statusCode: 201,
+    data: {
+      ...formatClaim(claim),
+      codeDelivered: delivered
+    },
+    message: 'Reclamación iniciada, introduce el código enviado al contacto del servicio'
+  });
+});
+
+/**
+ * Confirmar el control del canal de contacto con el código recibido
+ * @route POST /api/services/:id/claims/:claimId/verify
+ * @access Private
+ */
+const verifyClaimContact = asyncHandler(async (req, res) => {
+  if (!req.user || !req.user.id) {
+    return responseFormatter.unauthorized(res, 'Autenticación requerida');
+  }
+
+  const { id, claimId } = req.params;
+
+  if (!isValidMongoId(id) || !isValidMongoId(claimId)) {
+    return responseFormatter.validationError(res, 'ID de servicio o reclamación inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.claimVerification);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const claim = await ServiceClaim.findOne({ _id: claimId, serviceId: id })
+    .select('+verificationCodeHash');
+
+  if (!claim) {
+    return responseFormatter.notFound(res, 'Reclamación no encontrada');
+  }
+
+  if (claim.userId.toString() !== req.user.id.toString()) {
+    return responseFormatter.forbidden(res, 'No tienes permiso para verificar esta reclamación');
+  }
+
+  if (claim.status !== 'pending_contact') {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Esta reclamación no está pendiente de verificación de contacto'
+    });
+  }
+
+  if (!claim.codeExpiresAt || claim.codeExpiresAt < new Date()) {
+    return responseFormatter.error(res, {
+      statusCode: 410,
+      message: 'El código de verificación ha expirado, inicia una nueva reclamación'
+    });
+  }
+
+  if (claim.verificationAttempts >= claimService.maxCodeAttempts) {
+    return responseFormatter.error(res, {
+      statusCode: 429,
+      message: 'Demasiados intentos fallidos, inicia una nueva reclamación'
+    });
+  }
+
+  if (!claimService.isValidCode(value.code, claim.verificationCodeHash)) {
+    claim.verificationAttempts += 1;
+    await claim.save();
+
+    return responseFormatter.validationError(res, 'Código de verificación incorrecto');
+  }
+
+  claim.status = 'pending_review';
+  claim.contactVerifiedAt = new Date();
+  claim.verificationCodeHash = undefined;
+  await claim.save();
+
+  logger.info(`Contacto verificado para reclamación ${claim._id}`);
+
+  return responseFormatter.success(res, {
+    data: formatClaim(claim),
+    message: 'Contacto verificado, la reclamación queda pendiente de aprobación'
+  });
+});
+
+/**
+ * Obtener las reclamaciones del usuario autenticado
+ * @route GET /api/claims/mine
+ * @access Private
+ */
+const getMyClaims = asyncHandler(async (req, res) => {
+  if (!req.user || !req.user.id) {
+    return responseFormatter.unauthorized(res, 'Autenticación requerida');
+  }
+
+  const claims = await ServiceClaim.find({ userId: req.user.id })
+    .sort({ createdAt: -1 })
+    .populate('serviceId', 'title category');
+
+  return responseFormatter.success(res, {
+    data: claims.map(claim => ({
+      ...formatClaim(claim),
+      service: claim.serviceId
+    })),
+    message: 'Reclamaciones obtenidas correctamente'
+  });
+});
+
+/**
+ * Obtener la cola de reclamaciones pendientes de aprobación
+ * @route GET /api/claims/pending
+ * @access Moderator
+ */
+const getPendingClaims = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const query = { status: 'pending_review' };
+
+  const [claims, total] = await Promise.all([
+    ServiceClaim.find(query)
+      .sort({ contactVerifiedAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('serviceId', 'title contactInfo sourceUrl')
+      .populate('userId', 'username walletAddress verified'),
+    ServiceClaim.countDocuments(query)
+  ]);
+
+  return responseFormatter.paginated(res, {
+    data: claims.map(claim => ({
+      ...formatClaim(claim),
+      contactValue: claim.contactValue,
+      siweMessage: claim.siweMessage,
+      service: claim.serviceId,
+      user: claim.userId
+    })),
+    page,
+    limit,
+    total,
+    message: 'Reclamaciones pendientes obtenidas correctamente'
+  });
+});
+
+/**
+ * Aprobar o rechazar una reclamación
+ * @route PUT /api/claims/:claimId/review
+ * @access Moderator
+ */
+const reviewClaim = asyncHandler(async (req, res) => {
+  const { claimId } = req.params;
+
+  if (!isValidMongoId(claimId)) {
+    return responseFormatter.validationError(res, 'ID de reclamación inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.claimReview);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const claim = await ServiceClaim.findById(claimId);
+
+  if (!claim) {
+    return responseFormatter.notFound(res, 'Reclamación no encontrada');
+  }
+
+  if (claim.status !== 'pending_review') {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Solo se pueden revisar reclamaciones con contacto verificado'
+    });
+  }
+
+  if (value.status === 'approved') {
+    // Asignar dueño solo si el servicio sigue sin reclamar
+    const service = await Service.findOneAndUpdate(
+      { _id: claim.serviceId, owner: null },
+      { owner: claim.userId, claimedAt: new Date(), updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!service) {
+      return responseFormatter.error(res, {
+        statusCode: 409,
+        message: 'El servicio no existe o ya tiene un proveedor asignado'
+      });
+    }
+
+    // Rechazar el resto de reclamaciones abiertas del servicio
+    await ServiceClaim.updateMany(
+      {
+        serviceId: claim.serviceId,
+        _id: { $ne: claim._id },
+        status: { $in: ['pending_contact', 'pending_review'] }
+      },
+      {
+        status: 'rejected',
+        reviewNote: 'Servicio asignado a otro proveedor',
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        updatedAt: new Date()
+      }
+    );
+
+    // Conceder el rol de proveedor al solicitante
+    await User.updateOne(
+      { _id: claim.userId },
+      { $addToSet: { roles: 'provider' }, updatedAt: new Date() }
+    );
+    
+    // Invalidar caché del servicio y del proveedor
+    cacheService.delete(cacheService.getServicesKey(service._id));
+    cacheService.invalidatePattern(`services:category:${service.category}:*`);
+    cacheService.invalidatePattern(`user:${claim.userId}:*`);
+  }
+
+  claim.status = value.status;
+  claim.reviewNote = value.note;
+  claim.reviewedBy = req.user.id;
+  claim.reviewedAt = new Date();
+  await claim.save();
+
+  logger.info(`Reclamación ${claim._id} ${claim.status} por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    data: formatClaim(claim),
+    message: value.status === 'approved'
+      ? 'Reclamación aprobada, el proveedor ya puede gestionar el servicio'
+      : 'Reclamación rechazada'
+  });
+});
+
+/**
+ * Obtener los servicios gestionados por el proveedor autenticado
+ * @route GET /api/claims/services
+ * @access Private
+ */
+const getOwnedServices = asyncHandler(async (req, res) => {
+  if (!req.user || !req.user.id) {
+    return responseFormatter.unauthorized(res, 'Autenticación requerida');
+  }
+
+  const services = await Service.find({ owner: req.user.id })
+    .sort({ claimedAt: -1 })
+    .populate('category', 'name icon')
+    .select('-__v');
+
+  return responseFormatter.success(res, {
+    data: services,
+    message: 'Servicios del proveedor obtenidos correctamente'
+  });
+});
+
+module.exports = {
+  createClaimNonce,
+  createClaim,
+  verifyClaimContact,
+  getMyClaims,
+  getPendingClaims,
+  reviewClaim,
+  getOwnedServices
+};
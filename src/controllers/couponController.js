@@ -0,0 +1,237 @@
+/**
+ * Controlador para gestión de cupones promocionales
+ */
+const Coupon = require('../models/Coupon');
+const Transaction = require('../models/Transaction');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Comprobar que los IDs de alcance de un cupón son válidos
+ *
+ * @param {Object} value - Datos validados del cupón
+ * @returns {string|null} Mensaje de error o null si son válidos
+ */
+const validateScopeIds = (value) => {
+  const ids = [...(value.categories || []), ...(value.services || [])];
+  return ids.every(isValidMongoId) ? null : 'IDs de categoría o servicio inválidos';
+};
+
+/**
+ * Listar cupones
+ * @route GET /api/admin/coupons
+ * @access Admin
+ */
+const listCoupons = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const query = {};
+
+  if (req.query.active !== undefined) {
+    query.isActive = req.query.active === 'true';
+  }
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v'),
+    Coupon.countDocuments(query)
+  ]);
+
+  return responseFormatter.paginated(res, {
+    data: coupons,
+    page,
+    limit,
+    total,
+    message: 'Cupones obtenidos correctamente'
+  });
+});
+
+/**
+ * Obtener un cupón con sus estadísticas de uso
+ * @route GET /api/admin/coupons/:id
+ * @access Admin
+ */
+const getCouponById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de cupón inválido');
+  }
+
+  const coupon = await Coupon.findById(id)
+    .populate('categories', 'name')
+    .populate('services', 'title')
+    .select('-__v');
+
+  if (!coupon) {
+    return responseFormatter.notFound(res, 'Cupón no encontrado');
+  }
+
+  // Canjes por token con el descuento total concedido (en unidades base)
+  const usage = await Transaction.aggregate([
+    { $match: { 'coupon.couponId': coupon._id, 'coupon.redeemedAt': { $ne: null } } },
+    {
+      $group: {
+        _id: '$token',
+        redemptions: { $sum: 1 },
+        users: { $addToSet: '$userId' }
+      }
+    },
+    { $project: { _id: 0, token: '$_id', redemptions: 1, uniqueUsers: { $size: '$users' } } }
+  ]);
+
+  return responseFormatter.success(res, {
+    data: {
+      ...coupon.toObject(),
+      usage
+    },
+    message: 'Cupón obtenido correctamente'
+  });
+});
+
+/**
+ * Crear un cupón
+ * @route POST /api/admin/coupons
+ * @access Admin
+ */
+const createCoupon = asyncHandler(async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.coupon);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const scopeError = validateScopeIds(value);
+
+  if (scopeError) {
+    return responseFormatter.validationError(res, scopeError);
+  }
+
+  const code = value.code.toUpperCase();
+
+  if (await Coupon.exists({ code })) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Ya existe un cupón con este código'
+    });
+  }
+
+  const coupon = await Coupon.create({
+    ...value,
+    code,
+    createdBy: req.user.id
+  });
+
+  logger.info(`Cupón ${coupon.code} creado por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    statusCode: 201,
+    data: coupon,
+    message: 'Cupón creado correctamente'
+  });
+});
+
+/**
+ * Actualizar un cupón
+ * @route PUT /api/admin/coupons/:id
+ * @access Admin
+ */
+const updateCoupon = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de cupón inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.couponUpdate);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const scopeError = validateScopeIds(value);
+
+  if (scopeError) {
+    return responseFormatter.validationError(res, scopeError);
+  }
+
+  const coupon = await Coupon.findById(id);
+
+  if (!coupon) {
+    return responseFormatter.notFound(res, 'Cupón no encontrado');
+  }
+
+  // El descuento debe corresponder al tipo del cupón
+  if ((coupon.discountType === 'percent' && value.amountOff) ||
+    (coupon.discountType === 'fixed' && value.percentOff !== undefined)) {
+    return responseFormatter.validationError(res, `Un cupón de tipo ${coupon.discountType} no admite ese descuento`);
+  }
+
+  coupon.set(value);
+  await coupon.save();
+
+  logger.info(`Cupón ${coupon.code} actualizado por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    data: coupon,
+    message: 'Cupón actualizado correctamente'
+  });
+});
+
+/**
+ * Eliminar un cupón
+ * Los cupones ya canjeados se desactivan para conservar el historial de las transacciones
+ * @route DELETE /api/admin/coupons/:id
+ * @access Admin
+ */
+const deleteCoupon = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de cupón inválido');
+  }
+
+  const coupon = await Coupon.findById(id);
+
+  if (!coupon) {
+    return responseFormatter.notFound(res, 'Cupón no encontrado');
+  }
+
+  const used = await Transaction.exists({ 'coupon.couponId': coupon._id });
+
+  if (used) {
+    coupon.isActive = false;
+    await coupon.save();
+
+    logger.info(`Cupón ${coupon.code} desactivado por ${req.user.id}`);
+
+    return responseFormatter.success(res, {
+      data: coupon,
+      message: 'El cupón ya se ha usado; se ha desactivado en lugar de eliminarse'
+    });
+  }
+
+  await Coupon.deleteOne({ _id: coupon._id });
+
+  logger.info(`Cupón ${coupon.code} eliminado por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    message: 'Cupón eliminado correctamente'
+  });
+});
+
+module.exports = {
+  listCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
@@ -0,0 +1,127 @@
+/**
+ * Controlador para créditos prepagados de desbloqueo
+ */
+const Service = require('../models/Service');
+const User = require('../models/User');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
+const creditService = require('../services/creditService');
+const riskService = require('../services/riskService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Obtener los paquetes de créditos disponibles
+ * Se compran con POST /api/payments/initiate indicando { pack, token }
+ * @route GET /api/payments/credits/packs
+ * @access Public
+ */
+const getPacks = asyncHandler(async (req, res) => {
+  return responseFormatter.success(res, {
+    data: creditService.getPacks(),
+    message: 'Paquetes de créditos obtenidos correctamente'
+  });
+});
+
+/**
+ * Obtener el saldo de créditos y los últimos movimientos del usuario
+ * @route GET /api/payments/balance
+ * @access Private
+ */
+const getBalance = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const balance = await creditService.getBalance(req.user.id, limit);
+
+  return responseFormatter.success(res, {
+    data: balance,
+    message: 'Saldo de créditos obtenido correctamente'
+  });
+});
+
+/**
+ * Desbloquear el contacto de un servicio consumiendo un crédito
+ * @route POST /api/payments/credits/unlock
+ * @access Private
+ */
+const unlockWithCredit = asyncHandler(async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.creditUnlock);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  if (!isValidMongoId(value.serviceId)) {
+    return responseFormatter.validationError(res, 'ID de servicio inválido');
+  }
+
+  const service = await Service.findById(value.serviceId);
+
+  if (!service) {
+    return responseFormatter.notFound(res, 'Servicio no encontrado');
+  }
+
+  // No consumir créditos si el usuario ya tiene acceso vigente (pago previo o suscripción)
+  const user = await User.findById(req.user.id).select('subscriptionExpiresAt creditBalance verified');
+
+  if (!user) {
+    return responseFormatter.notFound(res, 'Usuario no encontrado');
+  }
+
+  if (await user.hasAccessToService(service._id)) {
+    return responseFormatter.success(res, {
+      data: {
+        balance: user.creditBalance,
+        alreadyPaid: true,
+        service: {
+          id: service._id,
+          title: service.title,
+          contactInfo: service.contactInfo
+        }
+      },
+      message: 'Ya tienes acceso a este servicio'
+    });
+  }
+
+  // Un desbloqueo con créditos es inmediato y no hay pago que retener: la revisión también lo detiene
+  const risk = await riskService.assessInitiation({ user, serviceId: service._id, ip: req.ip, action: 'unlock' });
+
+  if (risk.decision !== 'allow') {
+    return responseFormatter.forbidden(res, riskService.blockedMessage);
+  }
+
+  const result = await creditService.consumeCredit(user._id, service._id);
+
+  if (!result.success && !result.alreadyUnlocked) {
+    return responseFormatter.error(res, {
+      statusCode: 402,
+      message: result.error,
+      errors: { balance: result.balance }
+    });
+  }
+
+  if (result.success) {
+    logger.info(`Servicio ${service._id} desbloqueado con crédito por ${req.user.id}`);
+  }
+
+  return responseFormatter.success(res, {
+    data: {
+      balance: result.balance,
+      alreadyPaid: Boolean(result.alreadyUnlocked),
+      service: {
+        id: service._id,
+        title: service.title,
+        contactInfo: service.contactInfo
+      }
+    },
+    message: result.success
+      ? 'Servicio desbloqueado con un crédito'
+      : 'Ya tienes acceso a este servicio'
+  });
+});
+
+module.exports = {
+  getPacks,
+  getBalance,
+  unlockWithCredit
+};
@@ -0,0 +1,352 @@
+/**
+ * Controlador para disputas y reembolsos de pagos
+ */
+const Dispute = require('../models/Dispute');
+const Transaction = require('../models/Transaction');
+const Service = require('../models/Service');
+const worldAppConfig = require('../config/worldApp').config;
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
+const paymentService = require('../services/paymentService');
+const cacheService = require('../services/cacheService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Marcar un servicio para moderación si acumula demasiadas disputas aprobadas
+ *
+ * @param {string} serviceId - ID del servicio
+ * @returns {Promise<boolean>} True si el servicio quedó marcado en esta llamada
+ */
+const flagServiceIfNeeded = async (serviceId) => {
+  const service = await Service.findById(serviceId).select('flaggedForModeration flagClearedAt');
+
+  if (!service || service.flaggedForModeration) {
+    return false;
+  }
+
+  // Solo cuentan las disputas aprobadas desde la última revisión del servicio
+  const query = { serviceId, status: 'approved' };
+
+  if (service.flagClearedAt) {
+    query.reviewedAt = { $gt: service.flagClearedAt };
+  }
+
+  const approvedDisputes = await Dispute.countDocuments(query);
+
+  if (approvedDisputes < worldAppConfig.disputeFlagThreshold) {
+    return false;
+  }
+
+  const flagged = await Service.findOneAndUpdate(
+    { _id: serviceId, flaggedForModeration: false },
+    {
+      flaggedForModeration: true,
+      flaggedAt: new Date(),
+      flagReason: `${approvedDisputes} disputas aprobadas`,
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (flagged) {
+    logger.warn(`Servicio ${flagged._id} marcado para moderación tras ${approvedDisputes} disputas aprobadas`);
+  }
+
+  return Boolean(flagged);
+};
+
+/**
+ * Abrir una disputa sobre una transacción completada
+ * @route POST /api/payments/:reference/disputes
+ * @access Private
+ */
+const openDispute = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.dispute);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const transaction = await Transaction.findOne({ reference });
+
+  if (!transaction) {
+    return responseFormatter.notFound(res, 'Transacción no encontrada');
+  }
+
+  // Verificar que la transacción pertenece al usuario actual
+  if (transaction.userId.toString() !== req.user.id.toString()) {
+    return responseFormatter.forbidden(res, 'No tienes permiso para disputar esta transacción');
+  }
+
+  if (transaction.status !== 'completed') {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Solo se pueden disputar transacciones completadas'
+    });
+  }
+
+  if (transaction.purpose !== 'contact_access') {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Solo se pueden disputar desbloqueos de contacto'
+    });
+  }
+
+  // Verificar que la disputa se abre dentro del plazo permitido
+  const completedAt = transaction.completedAt || transaction.updatedAt;
+  const daysSinceCompletion = (Date.now() - new Date(completedAt)) / (1000 * 60 * 60 * 24);
+
+  if (daysSinceCompletion > worldAppConfig.disputeWindowDays) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: `El plazo para disputar esta transacción (${worldAppConfig.disputeWindowDays} días) ha terminado`
+    });
+  }
+
+  if (await Dispute.exists({ transactionId: transaction._id })) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Ya existe una disputa para esta transacción'
+    });
+  }
+
+  let dispute;
+
+  try {
+    dispute = await Dispute.create({
+      transactionId: transaction._id,
+      userId: transaction.userId,
+      serviceId: transaction.serviceId,
+      reason: value.reason,
+      description: value.description
+    });
+  } catch (error) {
+    // Dos solicitudes simultáneas superan la comprobación anterior: el índice único decide
+    if (error.code === 11000) {
+      return responseFormatter.error(res, {
+        statusCode: 409,
+        message: 'Ya existe una disputa para esta transacción'
+      });
+    }
+    throw error;
+  }
+
+  logger.info(`Disputa ${dispute._id} abierta sobre la transacción ${transaction.reference}`);
+
+  return responseFormatter.success(res, {
+    statusCode: 201,
+    data: dispute,
+    message: 'Disputa abierta correctamente, pendiente de revisión'
+  });
+});
+
+/**
+ * Obtener las disputas del usuario autenticado
+ * @route GET /api/payments/disputes/mine
+ * @access Private
+ */
+const getMyDisputes = asyncHandler(async (req, res) => {
+  const disputes = await Dispute.find({ userId: req.user.id })
+    .sort({ createdAt: -1 })
+    .populate('serviceId', 'title')
+    .populate('transactionId', 'reference amount token status')
+    .select('-__v');
+
+  return responseFormatter.success(res, {
+    data: disputes,
+    message: 'Disputas obtenidas correctamente'
+  });
+});
+
+/**
+ * Listar disputas para revisión
+ * @route GET /api/admin/disputes
+ * @access Admin
+ */
+const listDisputes = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const query = { status: req.query.status || 'open' };
+
+  if (req.query.serviceId && isValidMongoId(req.query.serviceId)) {
+    query.serviceId = req.query.serviceId;
+  }
+
+  const [disputes, total] = await Promise.all([
+    Dispute.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('serviceId', 'title contactInfo flaggedForModeration')
+      .populate('userId', 'username walletAddress')
+      .populate('transactionId', 'reference amount token status transactionHash completedAt')
+      .select('-__v'),
+    Dispute.countDocuments(query)
+  ]);
+
+  return responseFormatter.paginated(res, {
+    data: disputes,
+    page,
+    limit,
+    total,
+    message: 'Disputas obtenidas correctamente'
+  });
+});
+
+/**
+ * Resolver una disputa (aprobar con reembolso o rechazar)
+ * @route PUT /api/admin/disputes/:id/resolve
+ * @access Admin
+ */
+const resolveDispute = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de disputa inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.disputeResolution);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const dispute = await Dispute.findById(id);
+
+  if (!dispute) {
+    return responseFormatter.notFound(res, 'Disputa no encontrada');
+  }
+
+  if (dispute.status !== 'open') {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'La disputa ya fue resuelta'
+    });
+  }
+
+  let serviceFlagged = false;
+
+  if (value.status === 'approved') {
+    const transaction = await Transaction.findById(dispute.transactionId);
+
+    if (!transaction) {
+      return responseFormatter.notFound(res, 'Transacción no encontrada');
+    }
+
+    const refunded = await paymentService.refundTransaction(transaction, {
+      refundTransactionHash: value.refundTransactionHash,
+      reason: `Disputa ${dispute._id} aprobada: ${dispute.reason}`
+    });
+
+    if (!refunded) {
+      return responseFormatter.error(res, {
+        statusCode: 409,
+        message: 'La transacción ya no está completada y no puede reembolsarse'
+      });
+    }
+
+    dispute.refundTransactionHash = value.refundTransactionHash;
+  }
+
+  dispute.status = value.status;
+  dispute.reviewNote = value.note;
+  dispute.reviewedBy = req.user.id;
+  dispute.reviewedAt = new Date();
+  await dispute.save();
+
+  if (value.status === 'approved') {
+    serviceFlagged = await flagServiceIfNeeded(dispute.serviceId);
+
+    if (serviceFlagged) {
+      cacheService.delete(cacheService.getServicesKey(dispute.serviceId));
+    }
+  }
+
+  logger.info(`Disputa ${dispute._id} ${dispute.status} por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    data: {
+      dispute,
+      serviceFlagged
+    },
+    message: value.status === 'approved'
+      ? 'Disputa aprobada y transacción reembolsada'
+      : 'Disputa rechazada'
+  });
+});
+
+/**
+ * Obtener servicios marcados para moderación
+ * @route GET /api/services/flagged
+ * @access Moderator
+ */
+const getFlaggedServices = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const query = { flaggedForModeration: true };
+
+  const [services, total] = await Promise.all([
+    Service.find(query)
+      .sort({ flaggedAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('category', 'name')
+      .select('title contactInfo category owner flaggedAt flagReason'),
+    Service.countDocuments(query)
+  ]);
+
+  return responseFormatter.paginated(res, {
+    data: services,
+    page,
+    limit,
+    total,
+    message: 'Servicios marcados obtenidos correctamente'
+  });
+});
+
+/**
+ * Retirar la marca de moderación de un servicio
+ * @route DELETE /api/services/:id/flag
+ * @access Moderator
+ */
+const clearServiceFlag = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de servicio inválido');
+  }
+
+  const service = await Service.findByIdAndUpdate(
+    id,
+    { flaggedForModeration: false, flaggedAt: null, flagReason: null, flagClearedAt: new Date(), updatedAt: new Date() },
+    { new: true }
+  );
+
+  if (!service) {
+    return responseFormatter.notFound(res, 'Servicio no encontrado');
+  }
+
+  cacheService.delete(cacheService.getServicesKey(service._id));
+
+  logger.info(`Marca de moderación retirada del servicio ${service._id} por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    message: 'Marca de moderación retirada correctamente'
+  });
+});
+
+module.exports = {
+  openDispute,
+  getMyDisputes,
+  listDisputes,
+  resolveDispute,
+  getFlaggedServices,
+  clearServiceFlag
+};
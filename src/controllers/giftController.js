@@ -0,0 +1,75 @@
+/**
+ * Controlador para regalos de desbloqueos de contactos
+ */
+const Transaction = require('../models/Transaction');
+const responseFormatter = require('../utils/responseFormatter');
+const { isValidMongoId } = require('../utils/validators');
+const giftService = require('../services/giftService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Obtener los regalos recibidos pendientes de ver
+ * Los regalos se envían con POST /api/payments/initiate indicando { serviceId, recipient }
+ * @route GET /api/payments/gifts/pending
+ * @access Private
+ */
+const getPendingGifts = asyncHandler(async (req, res) => {
+  const gifts = await giftService.getPendingGifts(req.user.id);
+
+  return responseFormatter.success(res, {
+    data: gifts,
+    message: 'Regalos pendientes obtenidos correctamente'
+  });
+});
+
+/**
+ * Obtener los regalos enviados por el usuario autenticado
+ * @route GET /api/payments/gifts/sent
+ * @access Private
+ */
+const getSentGifts = asyncHandler(async (req, res) => {
+  // Los regalos se identifican por la wallet del destinatario; los más antiguos, solo por su cuenta
+  const gifts = await Transaction.find({
+    userId: req.user.id,
+    $or: [{ recipientWallet: { $ne: null } }, { recipientId: { $ne: null } }]
+  })
+    .sort({ createdAt: -1 })
+    .populate('serviceId', 'title')
+    .populate('recipientId', 'username walletAddress')
+    .select('reference amount token status serviceId recipientId recipientWallet recipientUsername createdAt completedAt');
+
+  return responseFormatter.success(res, {
+    data: gifts,
+    message: 'Regalos enviados obtenidos correctamente'
+  });
+});
+
+/**
+ * Marcar como visto un regalo recibido
+ * @route POST /api/payments/gifts/:id/acknowledge
+ * @access Private
+ */
+const acknowledgeGift = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de regalo inválido');
+  }
+
+  const gift = await giftService.acknowledge(req.user.id, id);
+
+  if (!gift) {
+    return responseFormatter.notFound(res, 'Regalo no encontrado');
+  }
+
+  return responseFormatter.success(res, {
+    data: gift,
+    message: 'Regalo marcado como visto'
+  });
+});
+
+module.exports = {
+  getPendingGifts,
+  getSentGifts,
+  acknowledgeGift
+};
@@ -1,20 +1,144 @@
 /**
  * Controlador para pagos con World App
  */
-const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
 const worldAppConfig = require('../config/worldApp').config;
 const Transaction = require('../models/Transaction');
 const Service = require('../models/Service');
 const User = require('../models/User');
+const tokenRegistry = require('../config/tokens');
 const responseFormatter = require('../utils/responseFormatter');
 const logger = require('../utils/logger');
-const { isValidMongoId } = require('../utils/validators');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
 const cacheService = require('../services/cacheService');
+const paymentService = require('../services/paymentService');
+const pricingService = require('../services/pricingService');
+const creditService = require('../services/creditService');
+const couponService = require('../services/couponService');
+const giftService = require('../services/giftService');
+const riskService = require('../services/riskService');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
- * Iniciar un proceso de pago para acceder a un servicio
+ * Resumen del producto obtenido con una transacción de suscripción o de créditos
+ *
+ * @param {Object} transaction - Transacción
+ * @returns {Promise<Object>} Datos de la suscripción o del saldo de créditos
+ */
+const getPurchaseSummary = async (transaction) => {
+  const user = await User.findById(transaction.userId).select('subscriptionPlan subscriptionExpiresAt creditBalance');
+
+  if (transaction.purpose === 'credit_pack') {
+    return {
+      credits: {
+        pack: transaction.pack,
+        balance: user ? user.creditBalance : 0
+      }
+    };
+  }
+
+  return {
+    subscription: {
+      plan: user ? user.subscriptionPlan : null,
+      expiresAt: user ? user.subscriptionExpiresAt : null,
+      active: Boolean(user && user.hasActiveSubscription())
+    }
+  };
+};
+
+// Estados cerrados de una transacción tal como se muestran al usuario
+const TRANSACTION_STATUS_LABELS = {
+  refunded: 'reembolsada',
+  failed: 'fallida',
+  expired: 'expirada'
+};
+
+/**
+ * Respuesta para un pago bloqueado por la evaluación de riesgo
+ *
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Object} Respuesta 403
+ */
+const riskBlocked = (res) => responseFormatter.forbidden(res, riskService.blockedMessage);
+
+/**
+ * Iniciar la compra de un paquete de créditos
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Promise<Object>} Respuesta con la transacción a pagar
+ */
+const initiateCreditPackPayment = async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.creditPackPayment);
+  
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+  
+  const { pack, token } = value;
+  const price = creditService.getPackPrice(pack, token);
+  
+  if (price === undefined) {
+    return responseFormatter.validationError(res, `El paquete ${pack} no tiene precio en ${token}`);
+  }
+  
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    return responseFormatter.notFound(res, 'Usuario no encontrado');
+  }
+  
+  // Evaluar el riesgo antes de crear la transacción
+  const risk = await riskService.assessInitiation({ user, ip: req.ip });
+  
+  if (risk.decision === 'block') {
+    return riskBlocked(res);
+  }
+  
+  const { transaction, reused } = await paymentService.getOrCreatePendingTransaction(
+    { userId: user._id, purpose: 'credit_pack', pack },
+    { amount: tokenRegistry.toBaseUnits(price, token), token, heldForReview: risk.decision === 'review' }
+  );
+  
+  await riskService.attachTransaction(risk.assessment, transaction);
+  
+  logger.info(`${reused ? 'Reutilizando' : 'Nueva'} transacción de paquete de créditos ${pack}: ${transaction.reference}`);
+  
+  return responseFormatter.success(res, {
+    statusCode: 200,
+    data: {
+      reference: transaction.reference,
+      amount: transaction.displayAmount,
+      amountBaseUnits: transaction.amount,
+      token: transaction.token,
+      walletAddress: worldAppConfig.paymentWalletAddress,
+      pack: {
+        id: pack,
+        name: creditService.getPack(pack).name,
+        credits: creditService.getPack(pack).credits
+      },
+      ...(transaction.heldForReview && { underReview: true }),
+      ...(reused && { reused: true })
+    },
+    message: 'Compra de créditos iniciada correctamente'
+  });
+};
+
+/**
+ * Datos públicos del destinatario de un regalo
+ *
+ * @param {Object} recipient - Destinatario resuelto ({ user, walletAddress, username })
+ * @returns {Object} Identificador (null si aún no usa la mini app), nombre y wallet
+ */
+const formatRecipient = (recipient) => ({
+  id: recipient.user ? recipient.user._id : null,
+  username: recipient.username,
+  walletAddress: recipient.walletAddress
+});
+
+/**
+ * Iniciar un proceso de pago para acceder a un servicio o comprar un paquete de créditos
+ * Con el campo recipient el desbloqueo se regala a otro usuario (wallet o nombre de World App)
  * @route POST /api/payments/initiate
  * @access Private
  */
@@ -25,13 +149,18 @@ const initiatePayment = asyncHandler(async (req, res) => {
     return responseFormatter.unauthorized(res, 'Autenticación requerida');
   }
   
+  // Compra de un paquete de créditos en lugar de un desbloqueo
+  if (req.body.pack) {
+    return initiateCreditPackPayment(req, res);
+  }
+  
   if (!isValidMongoId(serviceId)) {
     return responseFormatter.validationError(res, 'ID de servicio inválido');
   }
   
   // Verificar que el token solicitado esté soportado
-  if (!worldAppConfig.supportedTokens.includes(token)) {
-    return responseFormatter.validationError(res, `Token no soportado. Tokens disponibles: ${worldAppConfig.supportedTokens.join(', ')}`);
+  if (!tokenRegistry.isSupported(token)) {
+    return responseFormatter.validationError(res, `Token no soportado. Tokens disponibles: ${tokenRegistry.getSupportedSymbols().join(', ')}`);
   }
   
   // Verificar que el servicio existe
@@ -48,10 +177,35 @@ const initiatePayment = asyncHandler(async (req, res) => {
     return responseFormatter.notFound(res, 'Usuario no encontrado');
   }
   
-  if (user.paidServices.includes(serviceId)) {
+  // Resolver el destinatario si el desbloqueo es un regalo
+  let recipient = null;
+  
+  if (req.body.recipient) {
+    const resolved = await giftService.resolveRecipient(String(req.body.recipient));
+    
+    if (resolved.error) {
+      return responseFormatter.notFound(res, resolved.error);
+    }
+    
+    if (resolved.user && resolved.user._id.toString() === user._id.toString()) {
+      return responseFormatter.validationError(res, 'No puedes regalarte un desbloqueo a ti mismo');
+    }
+    
+    recipient = resolved;
+    
+    if (recipient.user && await recipient.user.hasAccessToService(serviceId)) {
+      return responseFormatter.error(res, {
+        statusCode: 409,
+        message: 'El destinatario ya tiene acceso a este servicio'
+      });
+    }
+  }
+  
+  if (!recipient && await user.hasAccessToService(serviceId)) {
     return responseFormatter.success(res, {
       data: {
         alreadyPaid: true,
+        viaSubscription: user.hasActiveSubscription(),
         service: {
           id: service._id,
           title: service.title,
@@ -62,37 +216,132 @@ const initiatePayment = asyncHandler(async (req, res) => {
     });
   }
   
-  // Crear referencia única para esta transacción
-  const reference = uuidv4().replace(/-/g, '');
+  // Evaluar el riesgo antes de crear la transacción: se bloquea o se retiene el acceso para revisión
+  const risk = await riskService.assessInitiation({ user, serviceId: service._id, ip: req.ip });
+  
+  if (risk.decision === 'block') {
+    return riskBlocked(res);
+  }
+  
+  const heldForReview = risk.decision === 'review';
+  
+  // Resolver el precio efectivo según las reglas de precio y convertirlo a unidades base
+  const price = await pricingService.resolvePrice(service, token);
+  let amount = tokenRegistry.toBaseUnits(price, token);
+  let coupon = null;
+  
+  // Aplicar el cupón promocional si se indicó
+  if (req.body.couponCode) {
+    const applied = await couponService.applyToServicePayment(req.body.couponCode, {
+      userId: user._id,
+      service,
+      token,
+      amount
+    });
+    
+    if (!applied.valid) {
+      return responseFormatter.validationError(res, applied.error);
+    }
+    
+    coupon = {
+      couponId: applied.coupon._id,
+      code: applied.coupon.code,
+      originalAmount: amount,
+      discount: applied.discount
+    };
+    amount = applied.finalAmount;
+  }
   
-  // Crear transacción en la base de datos
-  const transaction = new Transaction({
-    reference,
+  const criteria = {
     userId: user._id,
+    purpose: 'contact_access',
     serviceId: service._id,
-    amount: worldAppConfig.contactAccessPrice,
-    token,
-    status: 'pending',
-    createdAt: new Date()
-  });
+    recipientWallet: recipient ? recipient.walletAddress : null,
+    recipientUsername: recipient ? recipient.username : null,
+    recipientId: null
+  };
+  
+  // Un cupón del 100 % concede el acceso sin pago en cadena
+  if (coupon && amount === '0') {
+    const { transaction: freeTransaction, error: couponError } = await paymentService.completeFreeTransaction(
+      criteria,
+      { token, coupon, heldForReview }
+    );
+    
+    if (!freeTransaction) {
+      return responseFormatter.error(res, {
+        statusCode: 409,
+        message: couponError
+      });
+    }
+    
+    await riskService.attachTransaction(risk.assessment, freeTransaction);
+    
+    return responseFormatter.success(res, {
+      data: {
+        reference: freeTransaction.reference,
+        status: 'completed',
+        amount: freeTransaction.displayAmount,
+        token,
+        coupon: { code: coupon.code, discount: tokenRegistry.fromBaseUnits(coupon.discount, token) },
+        service: {
+          id: service._id,
+          title: service.title,
+          // El contacto de un regalo solo lo ve su destinatario; el de una compra retenida, tras la revisión
+          ...(!recipient && !heldForReview && { contactInfo: service.contactInfo })
+        },
+        ...(recipient && { recipient: { ...formatRecipient(recipient), id: freeTransaction.recipientId } }),
+        ...(heldForReview && { underReview: true })
+      },
+      message: heldForReview
+        ? 'Cupón aplicado; el acceso está pendiente de revisión'
+        : recipient ? 'Regalo enviado con cupón' : 'Acceso concedido con cupón'
+    });
+  }
+  
+  // Reutilizar una transacción pendiente y aún válida para el mismo servicio y destinatario
+  const { transaction, reused, error: couponError } = await paymentService.getOrCreatePendingTransaction(
+    criteria,
+    { amount, token, coupon, heldForReview }
+  );
+  
+  if (!transaction) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: couponError
+    });
+  }
   
-  await transaction.save();
+  await riskService.attachTransaction(risk.assessment, transaction);
   
-  logger.info(`Nueva transacción iniciada: ${reference} para servicio ${service.title}`);
+  logger.info(reused
+    ? `Reutilizando transacción pendiente: ${transaction.reference} para servicio ${service.title}`
+    : `Nueva transacción iniciada: ${transaction.reference} para servicio ${service.title}`);
   
   return responseFormatter.success(res, {
     statusCode: 200,
     data: {
-      reference,
-      amount: worldAppConfig.contactAccessPrice,
-      token,
+      reference: transaction.reference,
+      amount: transaction.displayAmount,
+      amountBaseUnits: transaction.amount,
+      token: transaction.token,
       walletAddress: worldAppConfig.paymentWalletAddress,
       service: {
         id: service._id,
         title: service.title
-      }
+      },
+      ...(recipient && { recipient: formatRecipient(recipient) }),
+      ...(transaction.heldForReview && { underReview: true }),
+      ...(coupon && {
+        coupon: {
+          code: coupon.code,
+          originalAmount: tokenRegistry.fromBaseUnits(coupon.originalAmount, token),
+          discount: tokenRegistry.fromBaseUnits(coupon.discount, token)
+        }
+      }),
+      ...(reused && { reused: true })
     },
-    message: 'Transacción iniciada correctamente'
+    message: reused ? 'Transacción pendiente recuperada correctamente' : 'Transacción iniciada correctamente'
   });
 });
 
@@ -102,14 +351,19 @@ const initiatePayment = asyncHandler(async (req, res) => {
  * @access Private
  */
 const confirmPayment = asyncHandler(async (req, res) => {
-  const { reference, transaction_id } = req.body;
+  const { reference, transaction_id, transaction_hash } = req.body;
   
   if (!req.user || !req.user.id) {
     return responseFormatter.unauthorized(res, 'Autenticación requerida');
   }
   
-  if (!reference || !transaction_id) {
-    return responseFormatter.validationError(res, 'Referencia y ID de transacción son requeridos');
+  // La verificación en cadena necesita el hash; la del Developer Portal, el ID de MiniKit
+  const onchain = paymentService.getVerifierName() === 'onchain';
+  
+  if (!reference || (onchain ? !transaction_hash : !transaction_id)) {
+    return responseFormatter.validationError(res, onchain
+      ? 'Referencia y hash de transacción son requeridos'
+      : 'Referencia y ID de transacción son requeridos');
   }
   
   // Buscar la transacción en nuestra base de datos
@@ -120,12 +374,31 @@ const confirmPayment = asyncHandler(async (req, res) => {
   }
   
   // Verificar que la transacción pertenece al usuario actual
-  if (transaction.userId.toString() !== req.user.id) {
+  if (transaction.userId.toString() !== req.user.id.toString()) {
     return responseFormatter.forbidden(res, 'No tienes permiso para confirmar esta transacción');
   }
   
+  // Una transacción cerrada no puede volver a confirmarse (un reembolso no se deshace)
+  if (['refunded', 'failed', 'expired'].includes(transaction.status)) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: `La transacción está ${TRANSACTION_STATUS_LABELS[transaction.status]} y no puede confirmarse`
+    });
+  }
+  
   // Verificar que la transacción no esté ya completada
   if (transaction.status === 'completed') {
+    if (transaction.purpose !== 'contact_access') {
+      return responseFormatter.success(res, {
+        data: {
+          status: 'completed',
+          ...(await getPurchaseSummary(transaction)),
+          ...(transaction.heldForReview && { underReview: true })
+        },
+        message: 'La transacción ya fue completada anteriormente'
+      });
+    }
+    
     // Obtener detalles del servicio
     const service = await Service.findById(transaction.serviceId);
     
@@ -135,50 +408,76 @@ const confirmPayment = asyncHandler(async (req, res) => {
         service: {
           id: service._id,
           title: service.title,
-          contactInfo: service.contactInfo
-        }
+          // El contacto de un regalo solo lo ve su destinatario; el de una compra retenida, tras la revisión
+          ...(!transaction.isGift() && !transaction.heldForReview && { contactInfo: service.contactInfo })
+        },
+        ...(transaction.isGift() && { recipientId: transaction.recipientId, recipientWallet: transaction.recipientWallet }),
+        ...(transaction.heldForReview && { underReview: true })
       },
       message: 'La transacción ya fue completada anteriormente'
     });
   }
   
   try {
-    // Verificar el estado de la transacción en World App
-    const response = await axios.get(
-      `${worldAppConfig.devPortalUrl}/minikit/transaction/${transaction_id}?app_id=${worldAppConfig.appId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${worldAppConfig.devPortalApiKey}`
-        }
-      }
-    );
+    // Verificar el pago con la estrategia configurada (Developer Portal o en cadena)
+    const verification = await paymentService.verifyPayment(transaction, {
+      transactionId: transaction_id,
+      transactionHash: transaction_hash
+    });
+    
+    // Evaluar el riesgo con el resultado de la verificación (wallet pagadora, reutilización del ID)
+    const user = await User.findById(transaction.userId).select('walletAddress verified');
     
-    const txData = response.data;
+    if (!user) {
+      return responseFormatter.notFound(res, 'Usuario no encontrado');
+    }
     
-    // Verificar que la transacción es válida y corresponde a la misma referencia
-    if (txData.reference !== reference) {
-      logger.warn(`Referencia de transacción no coincide: ${txData.reference} vs ${reference}`);
+    const risk = await riskService.assessConfirmation({
+      user,
+      transaction,
+      transactionId: transaction_id,
+      verification,
+      ip: req.ip
+    });
+    
+    if (risk.decision === 'block') {
+      return riskBlocked(res);
+    }
+    
+    if (!verification.valid) {
       return responseFormatter.error(res, {
         statusCode: 400,
-        message: 'La referencia de la transacción no coincide'
+        message: verification.error
       });
     }
     
-    // Actualizar el estado de la transacción en nuestra base de datos
-    transaction.transactionId = transaction_id;
-    transaction.transactionHash = txData.transactionHash || null;
-    transaction.status = txData.status === 'failed' ? 'failed' : 
-                          txData.status === 'mined' ? 'completed' : 'processing';
-    transaction.updatedAt = new Date();
+    // Actualizar el estado de la transacción y conceder acceso si está confirmada
+    // (salvo que quede retenida para revisión)
+    transaction.transactionId = transaction_id || transaction.transactionId;
     
-    if (transaction.status === 'completed') {
-      transaction.completedAt = new Date();
+    if (risk.decision === 'review') {
+      transaction.heldForReview = true;
     }
     
-    await transaction.save();
+    await paymentService.applyVerificationResult(transaction, verification, 'client');
     
     // Si la transacción está minada o en proceso, permitir acceso al servicio
     if (transaction.status === 'completed' || transaction.status === 'processing') {
+      if (transaction.purpose !== 'contact_access') {
+        return responseFormatter.success(res, {
+          data: {
+            status: transaction.status,
+            ...(await getPurchaseSummary(transaction)),
+            ...(transaction.heldForReview && { underReview: true })
+          },
+          message: transaction.heldForReview
+            ? 'Pago recibido; la compra está pendiente de revisión'
+            : transaction.status === 'completed'
+              ? (transaction.purpose === 'credit_pack' ? 'Créditos añadidos correctamente' : 'Suscripción activada correctamente')
+              : 'Pago en proceso, por favor espere'
+        });
+      }
+      
       // Buscar el servicio
       const service = await Service.findById(transaction.serviceId);
       
@@ -186,32 +485,24 @@ const confirmPayment = asyncHandler(async (req, res) => {
         return responseFormatter.notFound(res, 'Servicio no encontrado');
       }
       
-      // Actualizar el usuario para darle acceso al servicio
-      if (transaction.status === 'completed') {
-        await User.findByIdAndUpdate(
-          req.user.id,
-          { 
-            $addToSet: { paidServices: transaction.serviceId },
-            $inc: { totalSpent: transaction.amount }
-          }
-        );
-        
-        // Invalidar caché
-        cacheService.invalidatePattern(`user:${req.user.id}:*`);
-      }
-      
       return responseFormatter.success(res, {
         data: {
           status: transaction.status,
           service: {
             id: service._id,
             title: service.title,
-            contactInfo: transaction.status === 'completed' ? service.contactInfo : '*** Transacción en proceso, espere un momento ***'
-          }
+            ...(!transaction.isGift() && !transaction.heldForReview && {
+              contactInfo: transaction.status === 'completed' ? service.contactInfo : '*** Transacción en proceso, espere un momento ***'
+            })
+          },
+          ...(transaction.isGift() && { recipientId: transaction.recipientId, recipientWallet: transaction.recipientWallet }),
+          ...(transaction.heldForReview && { underReview: true })
         },
-        message: transaction.status === 'completed' 
-          ? 'Pago confirmado correctamente' 
-          : 'Pago en proceso, por favor espere'
+        message: transaction.heldForReview
+          ? 'Pago recibido; el acceso está pendiente de revisión'
+          : transaction.status === 'completed' 
+            ? (transaction.isGift() ? 'Pago confirmado, regalo enviado correctamente' : 'Pago confirmado correctamente')
+            : 'Pago en proceso, por favor espere'
       });
     }
     
@@ -220,14 +511,14 @@ const confirmPayment = asyncHandler(async (req, res) => {
       return responseFormatter.error(res, {
         statusCode: 400,
         message: 'La transacción ha fallado',
-        errors: { details: txData.error || 'Error desconocido' }
+        errors: { details: verification.error || 'Error desconocido' }
       });
     }
     
     // Estado desconocido
     return responseFormatter.error(res, {
       statusCode: 400,
-      message: `Estado de transacción desconocido: ${txData.status}`
+      message: `Estado de transacción desconocido: ${verification.status}`
     });
   } catch (error) {
     logger.error(`Error al confirmar pago: ${error.message}`);
@@ -303,7 +594,7 @@ const getTransactionDetails = asyncHandler(async (req, res) => {
   }
   
   // Verificar que la transacción pertenece al usuario actual
-  if (transaction.userId.toString() !== req.user.id) {
+  if (transaction.userId.toString() !== req.user.id.toString()) {
     return responseFormatter.forbidden(res, 'No tienes permiso para ver esta transacción');
   }
   
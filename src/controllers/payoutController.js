@@ -0,0 +1,181 @@
+/**
+ * Controlador para ganancias de proveedores y pagos
+ */
+const Payout = require('../models/Payout');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
+const { toCsvLine } = require('../utils/csv');
+const payoutService = require('../services/payoutService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Columnas de la exportación de pagos, en orden
+const PAYOUT_COLUMNS = ['payoutId', 'batchId', 'walletAddress', 'token', 'amount', 'amountBaseUnits', 'status', 'transactionHash'];
+
+/**
+ * Fila de la exportación de un pago
+ *
+ * @param {Object} payout - Pago
+ * @returns {Object} Valores por columna
+ */
+const toPayoutRow = (payout) => ({
+  payoutId: payout._id.toString(),
+  batchId: payout.batchId,
+  walletAddress: payout.walletAddress,
+  token: payout.token,
+  amount: payout.displayAmount,
+  amountBaseUnits: payout.amount,
+  status: payout.status,
+  transactionHash: payout.transactionHash
+});
+
+/**
+ * Obtener las ganancias del proveedor autenticado
+ * @route GET /api/providers/earnings
+ * @access Provider
+ */
+const getMyEarnings = asyncHandler(async (req, res) => {
+  const earnings = await payoutService.getEarnings(req.user.id);
+
+  return responseFormatter.success(res, {
+    data: earnings,
+    message: 'Ganancias obtenidas correctamente'
+  });
+});
+
+/**
+ * Listar o exportar pagos a proveedores
+ * Con ?format=csv se descarga la lista de direcciones e importes para transferir
+ * @route GET /api/admin/payouts
+ * @access Admin
+ */
+const listPayouts = asyncHandler(async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.query, schemas.payoutQuery);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const query = { status: value.status };
+
+  if (value.token) {
+    query.token = value.token;
+  }
+
+  if (value.batchId) {
+    query.batchId = value.batchId;
+  }
+
+  if (value.format === 'csv') {
+    const payouts = await Payout.find(query).sort({ createdAt: 1 });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="pagos-${value.batchId || value.status}.csv"`);
+
+    return res.send(PAYOUT_COLUMNS.join(',') + '\n' +
+      payouts.map(payout => toPayoutRow(payout)).map(row => toCsvLine(PAYOUT_COLUMNS, row)).join(''));
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+
+  const [payouts, total] = await Promise.all([
+    Payout.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('providerId', 'username walletAddress')
+      .select('-__v'),
+    Payout.countDocuments(query)
+  ]);
+
+  return responseFormatter.paginated(res, {
+    data: payouts,
+    page,
+    limit,
+    total,
+    message: 'Pagos obtenidos correctamente'
+  });
+});
+
+/**
+ * Generar un lote de pagos para los proveedores con saldo pendiente
+ * @route POST /api/admin/payouts/batches
+ * @access Admin
+ */
+const createPayoutBatch = asyncHandler(async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.payoutBatch);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const batch = await payoutService.createBatch(value.token, req.user.id);
+
+  logger.info(`Lote de pagos ${batch.batchId} generado por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    statusCode: 201,
+    data: {
+      batchId: batch.batchId,
+      token: value.token,
+      payouts: batch.payouts.map(toPayoutRow),
+      skipped: batch.skipped
+    },
+    message: batch.payouts.length > 0
+      ? `Lote generado con ${batch.payouts.length} pagos`
+      : 'Ningún proveedor alcanza el saldo mínimo'
+  });
+});
+
+/**
+ * Marcar un pago como liquidado con el hash de la transferencia
+ * @route PUT /api/admin/payouts/:id/settle
+ * @access Admin
+ */
+const settlePayout = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de pago inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.payoutSettlement);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  if (await Payout.exists({ transactionHash: value.transactionHash })) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'El hash de transacción ya se usó en otro pago'
+    });
+  }
+
+  const payout = await payoutService.settle(id, value.transactionHash, req.user.id);
+
+  if (!payout) {
+    const exists = await Payout.exists({ _id: id });
+
+    return exists
+      ? responseFormatter.error(res, { statusCode: 409, message: 'El pago ya estaba liquidado' })
+      : responseFormatter.notFound(res, 'Pago no encontrado');
+  }
+
+  return responseFormatter.success(res, {
+    data: payout,
+    message: 'Pago liquidado correctamente'
+  });
+});
+
+module.exports = {
+  getMyEarnings,
+  listPayouts,
+  createPayoutBatch,
+  settlePayout
+};
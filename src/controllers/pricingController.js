@@ -0,0 +1,122 @@
+/**
+ * Controlador para gestión de reglas de precio
+ */
+const PricingRule = require('../models/PricingRule');
+const Category = require('../models/Category');
+const Service = require('../models/Service');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
+const pricingService = require('../services/pricingService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Listar reglas de precio
+ * @route GET /api/admin/pricing-rules
+ * @access Admin
+ */
+const listPricingRules = asyncHandler(async (req, res) => {
+  const query = {};
+
+  if (req.query.scope) {
+    query.scope = req.query.scope;
+  }
+
+  const rules = await PricingRule.find(query)
+    .sort({ scope: 1, updatedAt: -1 })
+    .populate('category', 'name')
+    .populate('service', 'title')
+    .select('-__v');
+
+  return responseFormatter.success(res, {
+    data: rules,
+    message: 'Reglas de precio obtenidas correctamente'
+  });
+});
+
+/**
+ * Crear o reemplazar la regla de precio de un alcance
+ * @route PUT /api/admin/pricing-rules
+ * @access Admin
+ */
+const upsertPricingRule = asyncHandler(async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.pricingRule);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const target = {
+    scope: value.scope,
+    category: value.category || null,
+    service: value.service || null
+  };
+
+  // Verificar que el destino de la regla existe
+  if (target.category) {
+    if (!isValidMongoId(target.category) || !(await Category.exists({ _id: target.category }))) {
+      return responseFormatter.validationError(res, 'Categoría no encontrada');
+    }
+  }
+
+  if (target.service) {
+    if (!isValidMongoId(target.service) || !(await Service.exists({ _id: target.service }))) {
+      return responseFormatter.validationError(res, 'Servicio no encontrado');
+    }
+  }
+
+  const rule = await PricingRule.findOneAndUpdate(
+    target,
+    {
+      ...target,
+      prices: value.prices,
+      isActive: value.isActive !== undefined ? value.isActive : true,
+      notes: value.notes,
+      updatedAt: new Date()
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  pricingService.invalidate();
+
+  logger.info(`Regla de precio ${rule.scope} actualizada por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    data: rule,
+    message: 'Regla de precio guardada correctamente'
+  });
+});
+
+/**
+ * Eliminar una regla de precio
+ * @route DELETE /api/admin/pricing-rules/:id
+ * @access Admin
+ */
+const deletePricingRule = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de regla inválido');
+  }
+
+  const rule = await PricingRule.findByIdAndDelete(id);
+
+  if (!rule) {
+    return responseFormatter.notFound(res, 'Regla de precio no encontrada');
+  }
+
+  pricingService.invalidate();
+
+  logger.info(`Regla de precio ${rule._id} eliminada por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    message: 'Regla de precio eliminada correctamente'
+  });
+});
+
+module.exports = {
+  listPricingRules,
+  upsertPricingRule,
+  deletePricingRule
+};
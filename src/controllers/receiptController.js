@@ -0,0 +1,78 @@
+/**
+ * Controlador para recibos de pagos
+ */
+const Transaction = require('../models/Transaction');
+const responseFormatter = require('../utils/responseFormatter');
+const { schemas, validate } = require('../utils/validators');
+const receiptService = require('../services/receiptService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Obtener el recibo firmado de una transacción completada
+ * Con ?format=html se devuelve la versión imprimible
+ * @route GET /api/payments/:reference/receipt
+ * @access Private
+ */
+const getReceipt = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+
+  const transaction = await Transaction.findOne({ reference });
+
+  if (!transaction) {
+    return responseFormatter.notFound(res, 'Transacción no encontrada');
+  }
+
+  // Solo el pagador o un administrador pueden obtener el recibo
+  const isAdmin = (req.user.roles || []).includes('admin');
+
+  if (transaction.userId.toString() !== req.user.id.toString() && !isAdmin) {
+    return responseFormatter.forbidden(res, 'No tienes permiso para ver este recibo');
+  }
+
+  const receipt = await receiptService.issue(transaction);
+
+  if (!receipt) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Solo las transacciones completadas tienen recibo'
+    });
+  }
+
+  if (req.query.format === 'html') {
+    return res.type('html').send(receiptService.renderHtml(receipt));
+  }
+
+  return responseFormatter.success(res, {
+    data: receiptService.toJSON(receipt),
+    message: 'Recibo obtenido correctamente'
+  });
+});
+
+/**
+ * Verificar la firma de un recibo
+ * @route POST /api/payments/receipts/verify
+ * @access Public
+ */
+const verifyReceipt = asyncHandler(async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.receiptVerification);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const valid = receiptService.verify(value.receipt, value.signature);
+
+  return responseFormatter.success(res, {
+    data: {
+      valid,
+      reference: valid ? value.receipt.reference : undefined
+    },
+    message: valid ? 'Recibo válido' : 'La firma del recibo no es válida'
+  });
+});
+
+module.exports = {
+  getReceipt,
+  verifyReceipt
+};
@@ -0,0 +1,263 @@
+/**
+ * Controlador para reseñas de servicios
+ */
+const Review = require('../models/Review');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
+const cacheService = require('../services/cacheService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Invalidar la caché relacionada con las reseñas y la valoración de un servicio
+ *
+ * @param {Object} service - Servicio afectado
+ */
+const invalidateServiceCaches = (service) => {
+  cacheService.delete(cacheService.getServicesKey(service._id));
+  cacheService.invalidatePattern(`reviews:service:${service._id}:*`);
+  cacheService.invalidatePattern(`services:category:${service.category}:*`);
+  cacheService.invalidatePattern('services:featured:*');
+};
+
+/**
+ * Obtener reseñas aprobadas de un servicio
+ * @route GET /api/services/:id/reviews
+ */
+const getServiceReviews = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de servicio inválido');
+  }
+
+  // Intentar obtener de caché primero
+  const cacheKey = `reviews:service:${id}:page:${page}:limit:${limit}`;
+  const cachedReviews = cacheService.get(cacheKey);
+
+  if (cachedReviews) {
+    return responseFormatter.paginated(res, {
+      data: cachedReviews.data,
+      page: cachedReviews.page,
+      limit: cachedReviews.limit,
+      total: cachedReviews.total,
+      message: 'Reseñas obtenidas de caché'
+    });
+  }
+
+  const query = { serviceId: id, status: 'approved' };
+  const skip = (page - 1) * limit;
+
+  // No exponer el nullifierHash del autor
+  const [reviews, total] = await Promise.all([
+    Review.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('userId', 'username profilePictureUrl')
+      .select('-__v -nullifierHash -moderatedBy -moderationNote'),
+    Review.countDocuments(query)
+  ]);
+
+  // Guardar en caché
+  cacheService.set(cacheKey, { data: reviews, page, limit, total }, 300);
+
+  return responseFormatter.paginated(res, {
+    data: reviews,
+    page,
+    limit,
+    total,
+    message: 'Reseñas obtenidas correctamente'
+  });
+});
+
+/**
+ * Crear una reseña para un servicio pagado
+ * @route POST /api/services/:id/reviews
+ * @access Private (verificado con World ID)
+ */
+const createReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de servicio inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.review);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const service = await Service.findById(id);
+
+  if (!service) {
+    return responseFormatter.notFound(res, 'Servicio no encontrado');
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return responseFormatter.notFound(res, 'Usuario no encontrado');
+  }
+
+  // La reseña se vincula al nullifierHash: un humano, una reseña
+  if (!user.verified || !user.nullifierHash) {
+    return responseFormatter.forbidden(res, 'Se requiere verificación con World ID para dejar una reseña');
+  }
+
+  // Solo quienes pagaron por el servicio pueden reseñarlo
+  if (!(await user.hasAccessToService(id))) {
+    return responseFormatter.forbidden(res, 'Solo puedes reseñar servicios que hayas pagado');
+  }
+
+  const existingReview = await Review.findOne({
+    serviceId: id,
+    nullifierHash: user.nullifierHash
+  });
+
+  if (existingReview) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'Ya has dejado una reseña para este servicio'
+    });
+  }
+
+  const review = new Review({
+    serviceId: service._id,
+    userId: user._id,
+    nullifierHash: user.nullifierHash,
+    verificationLevel: user.verificationLevel || 'phone',
+    rating: value.rating,
+    comment: value.comment,
+    status: 'pending'
+  });
+
+  try {
+    await review.save();
+  } catch (error) {
+    // Carrera con otra petición del mismo humano
+    if (error.code === 11000) {
+      return responseFormatter.error(res, {
+        statusCode: 409,
+        message: 'Ya has dejado una reseña para este servicio'
+      });
+    }
+    throw error;
+  }
+
+  logger.info(`Nueva reseña ${review._id} para servicio ${service.title}`);
+
+  return responseFormatter.success(res, {
+    statusCode: 201,
+    data: {
+      id: review._id,
+      rating: review.rating,
+      comment: review.comment,
+      status: review.status,
+      createdAt: review.createdAt
+    },
+    message: 'Reseña enviada correctamente, pendiente de moderación'
+  });
+});
+
+/**
+ * Obtener reseñas pendientes de moderación
+ * @route GET /api/reviews/pending
+ * @access Moderator
+ */
+const getPendingReviews = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const query = { status: 'pending' };
+
+  const [reviews, total] = await Promise.all([
+    Review.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('serviceId', 'title')
+      .populate('userId', 'username walletAddress')
+      .select('-__v -nullifierHash'),
+    Review.countDocuments(query)
+  ]);
+
+  return responseFormatter.paginated(res, {
+    data: reviews,
+    page,
+    limit,
+    total,
+    message: 'Reseñas pendientes obtenidas correctamente'
+  });
+});
+
+/**
+ * Moderar una reseña (aprobar o rechazar)
+ * @route PUT /api/services/:id/reviews/:reviewId/moderate
+ * @access Moderator
+ */
+const moderateReview = asyncHandler(async (req, res) => {
+  const { id, reviewId } = req.params;
+
+  if (!isValidMongoId(id) || !isValidMongoId(reviewId)) {
+    return responseFormatter.validationError(res, 'ID de servicio o reseña inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.reviewModeration);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const review = await Review.findOne({ _id: reviewId, serviceId: id });
+
+  if (!review) {
+    return responseFormatter.notFound(res, 'Reseña no encontrada');
+  }
+
+  review.status = value.status;
+  review.moderationNote = value.note;
+  review.moderatedBy = req.user.id;
+  review.moderatedAt = new Date();
+  await review.save();
+
+  // Recalcular la valoración agregada del servicio
+  const { rating, reviewCount } = await Review.recalculateServiceRating(id);
+
+  const service = await Service.findById(id);
+  if (service) {
+    invalidateServiceCaches(service);
+  }
+
+  logger.info(`Reseña ${review._id} moderada como ${review.status} por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    data: {
+      review: {
+        id: review._id,
+        status: review.status,
+        moderatedAt: review.moderatedAt
+      },
+      service: {
+        id,
+        rating,
+        reviewCount
+      }
+    },
+    message: 'Reseña moderada correctamente'
+  });
+});
+
+module.exports = {
+  getServiceReviews,
+  createReview,
+  getPendingReviews,
+  moderateReview
+};
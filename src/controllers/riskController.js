@@ -0,0 +1,156 @@
+/**
+ * Controlador para la revisión de evaluaciones de riesgo de pagos
+ */
+const RiskAssessment = require('../models/RiskAssessment');
+const Transaction = require('../models/Transaction');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
+const paymentService = require('../services/paymentService');
+const couponService = require('../services/couponService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Listar evaluaciones de riesgo
+ * Por defecto se muestran las retenidas pendientes de revisión
+ * @route GET /api/admin/risk/assessments
+ * @access Admin
+ */
+const listAssessments = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const query = {};
+
+  if (req.query.decision) {
+    query.decision = req.query.decision;
+  } else if (!req.query.reviewStatus && !req.query.userId) {
+    query.reviewStatus = 'open';
+  }
+
+  if (req.query.reviewStatus) {
+    query.reviewStatus = req.query.reviewStatus;
+  }
+
+  if (req.query.userId && isValidMongoId(req.query.userId)) {
+    query.userId = req.query.userId;
+  }
+
+  const [assessments, total] = await Promise.all([
+    RiskAssessment.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('userId', 'username walletAddress verified')
+      .populate('serviceId', 'title')
+      .populate('transactionId', 'reference amount token status heldForReview transactionHash')
+      .select('-__v'),
+    RiskAssessment.countDocuments(query)
+  ]);
+
+  return responseFormatter.paginated(res, {
+    data: assessments,
+    page,
+    limit,
+    total,
+    message: 'Evaluaciones de riesgo obtenidas correctamente'
+  });
+});
+
+/**
+ * Resolver una transacción retenida por riesgo (liberar el acceso o rechazarla)
+ * @route PUT /api/admin/risk/assessments/:id/resolve
+ * @access Admin
+ */
+const resolveAssessment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de evaluación inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.riskResolution);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const assessment = await RiskAssessment.findById(id);
+
+  if (!assessment) {
+    return responseFormatter.notFound(res, 'Evaluación no encontrada');
+  }
+
+  if (assessment.reviewStatus !== 'open') {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: 'La evaluación no está pendiente de revisión'
+    });
+  }
+
+  const transaction = assessment.transactionId
+    ? await Transaction.findById(assessment.transactionId)
+    : null;
+
+  // La retención se mantiene mientras quede otra evaluación abierta sobre la misma transacción
+  const otherOpenReview = transaction && value.decision === 'released'
+    ? await RiskAssessment.exists({
+      transactionId: transaction._id,
+      reviewStatus: 'open',
+      _id: { $ne: assessment._id }
+    })
+    : null;
+
+  if (transaction && value.decision === 'released' && !otherOpenReview) {
+    // Liberar la retención y conceder el acceso si el pago ya se completó
+    transaction.heldForReview = false;
+    transaction.updatedAt = new Date();
+    await transaction.save();
+
+    if (transaction.status === 'completed') {
+      await paymentService.grantAccess(transaction);
+    }
+  }
+
+  if (transaction && value.decision === 'rejected') {
+    if (transaction.status === 'completed') {
+      if (!value.refundTransactionHash) {
+        return responseFormatter.validationError(res, 'Se requiere el hash del reembolso para rechazar un pago completado');
+      }
+
+      await paymentService.refundTransaction(transaction, {
+        refundTransactionHash: value.refundTransactionHash,
+        reason: `Rechazada en revisión de riesgo ${assessment._id}`
+      });
+    } else if (['pending', 'processing'].includes(transaction.status)) {
+      transaction.setStatus('failed', 'admin', `Rechazada en revisión de riesgo ${assessment._id}`);
+      transaction.nextReconcileAt = null;
+      transaction.updatedAt = new Date();
+      await transaction.save();
+      await couponService.releaseReservation(transaction);
+    }
+  }
+
+  assessment.reviewStatus = value.decision;
+  assessment.reviewNote = value.note;
+  assessment.reviewedBy = req.user.id;
+  assessment.reviewedAt = new Date();
+  await assessment.save();
+
+  logger.info(`Evaluación de riesgo ${assessment._id} ${value.decision} por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    data: assessment,
+    message: value.decision === 'released'
+      ? (otherOpenReview
+        ? 'Evaluación liberada; la transacción sigue retenida por otra revisión abierta'
+        : 'Transacción liberada correctamente')
+      : 'Transacción rechazada correctamente'
+  });
+});
+
+module.exports = {
+  listAssessments,
+  resolveAssessment
+};
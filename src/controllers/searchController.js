@@ -1,6 +1,7 @@
 /**
  * Controlador para búsquedas de servicios
  */
+const mongoose = require('mongoose');
 const Service = require('../models/Service');
 const Category = require('../models/Category');
 const User = require('../models/User');
@@ -9,8 +10,24 @@ const logger = require('../utils/logger');
 const { schemas, validate } = require('../utils/validators');
 const cacheService = require('../services/cacheService');
 const pythonApiService = require('../services/pythonApiService');
+const pricingService = require('../services/pricingService');
+const entitlementService = require('../services/entitlementService');
+const geoService = require('../services/geoService');
+const facetService = require('../services/facetService');
+const suggestService = require('../services/suggestService');
+const synonymService = require('../services/synonymService');
+const spellingService = require('../services/spellingService');
+const { foldDiacritics, toAccentInsensitivePattern } = require('../utils/text');
 const { asyncHandler } = require('../middleware/errorHandler');
 
+/**
+ * Normalizar un filtro de selección múltiple a una lista ordenada sin vacíos
+ *
+ * @param {string|Array|null} value - Valor único o lista
+ * @returns {Array<string>} Valores seleccionados
+ */
+const toSelection = (value) => [...new Set([].concat(value || []).filter(Boolean))].sort();
+
 /**
  * Realizar búsqueda de servicios
  * @route POST /api/search
@@ -24,14 +41,32 @@ const search = asyncHandler(async (req, res) => {
   }
   
   // Extraer parámetros de búsqueda
-  const { query, category, location, price, page = 1, limit = 20 } = value;
+  const { query, location, near, radiusKm, minRating, verified, autoCorrect, page = 1, limit = 20 } = value;
+  
+  // Idioma de análisis de la consulta: español salvo que se indique otro de forma explícita
+  const language = value.language || 'es';
+  const categories = toSelection(value.category);
+  const prices = toSelection(value.price);
+  const cities = toSelection(value.city);
+  
+  // Registrar la consulta para las sugerencias en tendencia sin retrasar la respuesta
+  suggestService.recordQuery(query, req.user ? req.user.id : req.ip).catch(error => {
+    logger.error(`Error al registrar término de búsqueda: ${error.message}`);
+  });
+  
+  // Punto de referencia para búsquedas "cerca de mí"
+  const point = geoService.resolveNear(near);
   
-  // Filtros para la consulta
+  if (near && !point) {
+    return responseFormatter.validationError(res, 'Ubicación de referencia no reconocida');
+  }
+  
+  // Filtros para la consulta (los de faceta se aplican aparte para poder contarlos)
   const filters = {
-    category: category || undefined,
-    location: location ? { $regex: location, $options: 'i' } : undefined,
-    price: price || undefined
+    location: location ? { $regex: toAccentInsensitivePattern(location), $options: 'i' } : undefined,
+    geo: point ? geoService.withinRadius(point, radiusKm) : undefined
   };
+  const facetFilters = facetService.buildFilters({ categories, prices, cities, minRating, verified });
   
   // Eliminar filtros undefined
   Object.keys(filters).forEach(key => {
@@ -41,53 +76,101 @@ const search = asyncHandler(async (req, res) => {
   });
   
   // Comprobar si tenemos resultados en caché
-  const cacheKey = cacheService.getSearchKey(query, { category, location, price, page, limit });
+  // Los resultados cacheados no dependen del usuario salvo por la visibilidad de servicios premium
+  const visibility = req.user && req.user.verified ? 'verified' : 'public';
+  const cacheKey = cacheService.getSearchKey(query, {
+    category: categories.join(','),
+    location,
+    price: prices.join(','),
+    city: cities.join(','),
+    minRating,
+    verified,
+    language,
+    autoCorrect,
+    near: geoService.getCacheFragment(point),
+    radiusKm: point ? radiusKm : undefined,
+    page,
+    limit,
+    visibility
+  });
   const cachedResults = cacheService.get(cacheKey);
   
   if (cachedResults) {
     logger.debug(`Resultados de búsqueda encontrados en caché: "${query}"`);
     return responseFormatter.paginated(res, {
-      data: cachedResults.data,
+      data: await entitlementService.revealAccessibleContacts(cachedResults.data, req.user),
       page: cachedResults.page,
       limit: cachedResults.limit,
       total: cachedResults.total,
+      meta: cachedResults.meta,
       message: 'Resultados de búsqueda obtenidos de caché'
     });
   }
   
   // Verificar si hay resultados en la base de datos local primero
   try {
-    // Búsqueda de texto completo en MongoDB
-    const searchQuery = {
-      $text: { $search: query },
-      ...filters
-    };
-    
     // Para usuarios no autenticados o sin verificación, solo mostrar servicios no premium
-    if (!req.user || !req.user.verified) {
-      searchQuery.premiumOnly = false;
-    }
+    const visibilityFilter = !req.user || !req.user.verified ? { premiumOnly: false } : {};
     
     // Calcular skip para paginación
     const skip = (page - 1) * limit;
     
-    // Ejecutar consulta con contador
-    const [services, total] = await Promise.all([
-      Service.find(searchQuery, { score: { $meta: 'textScore' } })
-        .sort({ score: { $meta: 'textScore' }, rating: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate('category', 'name icon')
-        .select('-__v'),
-      Service.countDocuments(searchQuery)
-    ]);
+    // Búsqueda de texto completo en MongoDB, sin tildes y ampliada con los sinónimos configurados
+    // Devuelve la página, el total y las facetas sobre todo el conjunto de coincidencias
+    const runTextSearch = async (text) => {
+      const expansions = await synonymService.getExpansions(text);
+      const baseQuery = {
+        $text: {
+          $search: [foldDiacritics(text), ...expansions].join(' '),
+          $language: language,
+          $diacriticSensitive: false
+        },
+        ...filters,
+        ...visibilityFilter
+      };
+      const searchQuery = { ...baseQuery, ...facetService.combine(facetFilters) };
+      
+      const [services, total, facets] = await Promise.all([
+        Service.find(searchQuery, { score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' }, rating: -1 })
+          .skip(skip)
+          .limit(limit)
+          .populate('category', 'name icon')
+          .select('-__v'),
+        Service.countDocuments(searchQuery),
+        facetService.getFacets(baseQuery, facetFilters)
+      ]);
+      
+      return { baseQuery, services, total, facets };
+    };
+    
+    let { baseQuery, services, total, facets } = await runTextSearch(query);
+    
+    // Sin coincidencias: proponer correcciones con el vocabulario del catálogo
+    // y, si se permite, repetir la búsqueda corregida antes de recurrir al scraping
+    let suggestions = [];
+    let correctedQuery = null;
+    
+    if (total === 0) {
+      suggestions = await spellingService.getSuggestions(query);
+      
+      if (autoCorrect && suggestions.length > 0) {
+        const corrected = await runTextSearch(suggestions[0]);
+        
+        if (corrected.total > 0) {
+          ({ baseQuery, services, total, facets } = corrected);
+          correctedQuery = suggestions[0];
+          logger.info(`Búsqueda sin resultados para "${query}", corregida a "${correctedQuery}"`);
+        }
+      }
+    }
     
     // Si encontramos suficientes resultados, devolverlos directamente
     if (services.length >= 5 || total >= 10) {
       logger.info(`Búsqueda encontró ${total} resultados locales para: "${query}"`);
       
       // Transformar servicios para ocultar información sensible
-      const transformedServices = services.map(service => {
+      const maskedServices = services.map(service => {
         const serviceObj = service.toObject();
         
         // Ocultar información de contacto para servicios premium
@@ -98,12 +181,19 @@ const search = asyncHandler(async (req, res) => {
         return serviceObj;
       });
       
+      // Exponer el precio de acceso efectivo y la distancia al punto de referencia
+      const transformedServices = geoService.attachDistances(
+        await pricingService.attachServicePrices(maskedServices),
+        point
+      );
+      
       // Guardar resultados en caché
       const result = {
         data: transformedServices,
         page,
         limit,
-        total
+        total,
+        meta: { facets, suggestions, correctedQuery }
       };
       
       cacheService.set(cacheKey, result);
@@ -122,10 +212,11 @@ const search = asyncHandler(async (req, res) => {
       }
       
       return responseFormatter.paginated(res, {
-        data: transformedServices,
+        data: await entitlementService.revealAccessibleContacts(transformedServices, req.user),
         page,
         limit,
         total,
+        meta: result.meta,
         message: 'Resultados de búsqueda obtenidos correctamente'
       });
     }
@@ -135,7 +226,7 @@ const search = asyncHandler(async (req, res) => {
     
     // Obtener resultados del servicio de Python con scraping en tiempo real
     const userId = req.user ? req.user.id : null;
-    const pythonResults = await pythonApiService.customSearch(query, userId);
+    const pythonResults = await pythonApiService.customSearch(correctedQuery || query, userId);
     
     if (pythonResults.success && pythonResults.results.length > 0) {
       // Procesar los nuevos resultados
@@ -145,7 +236,7 @@ const search = asyncHandler(async (req, res) => {
       for (const result of pythonResults.results) {
         try {
           // Si se proporcionó category como nombre en lugar de ID, buscar la categoría correspondiente
-          let categoryId = category;
+          let categoryId = categories[0];
           
           if (result.category && typeof result.category === 'string' && !mongoose.Types.ObjectId.isValid(result.category)) {
             const foundCategory = await Category.findOne({ 
@@ -193,6 +284,7 @@ const search = asyncHandler(async (req, res) => {
             
             await newService.save();
             newServices.push(newService);
+            suggestService.invalidate();
           }
         } catch (error) {
           logger.error(`Error al guardar resultado de scraping: ${error.message}`);
@@ -207,8 +299,16 @@ const search = asyncHandler(async (req, res) => {
         combinedServicesMap.set(service._id.toString(), service);
       });
       
+      // Los resultados del scraping también deben quedar dentro del radio solicitado
+      const nearbyNewServices = point
+        ? newServices.filter(service => {
+          const distance = geoService.distanceKm(point, service.geo);
+          return distance !== null && distance <= radiusKm;
+        })
+        : newServices;
+      
       // Añadir nuevos servicios al mapa (sin duplicados)
-      newServices.forEach(service => {
+      nearbyNewServices.forEach(service => {
         if (!combinedServicesMap.has(service._id.toString())) {
           combinedServicesMap.set(service._id.toString(), service);
         }
@@ -231,7 +331,7 @@ const search = asyncHandler(async (req, res) => {
       const paginatedServices = combinedServices.slice(startIndex, endIndex);
       
       // Transformar servicios para ocultar información sensible
-      const transformedServices = paginatedServices.map(service => {
+      const maskedServices = paginatedServices.map(service => {
         const serviceObj = service.toObject ? service.toObject() : {...service};
         
         // Ocultar información de contacto para servicios premium
@@ -242,12 +342,22 @@ const search = asyncHandler(async (req, res) => {
         return serviceObj;
       });
       
+      // Exponer el precio de acceso efectivo y la distancia al punto de referencia
+      const transformedServices = geoService.attachDistances(
+        await pricingService.attachServicePrices(maskedServices),
+        point
+      );
+      
+      // Recalcular las facetas para incluir los servicios recién guardados
+      const combinedFacets = await facetService.getFacets(baseQuery, facetFilters);
+      
       // Guardar resultados en caché
       const result = {
         data: transformedServices,
         page,
         limit,
-        total: combinedServices.length
+        total: combinedServices.length,
+        meta: { facets: combinedFacets, suggestions, correctedQuery }
       };
       
       cacheService.set(cacheKey, result);
@@ -266,10 +376,11 @@ const search = asyncHandler(async (req, res) => {
       }
       
       return responseFormatter.paginated(res, {
-        data: transformedServices,
+        data: await entitlementService.revealAccessibleContacts(transformedServices, req.user),
         page,
         limit,
         total: combinedServices.length,
+        meta: result.meta,
         message: 'Resultados de búsqueda obtenidos correctamente (combinados)'
       });
     }
@@ -278,7 +389,7 @@ const search = asyncHandler(async (req, res) => {
     logger.info(`Sin resultados adicionales del servicio de scraping, devolviendo ${services.length} resultados locales para: "${query}"`);
     
     // Transformar servicios para ocultar información sensible
-    const transformedServices = services.map(service => {
+    const maskedServices = services.map(service => {
       const serviceObj = service.toObject();
       
       // Ocultar información de contacto para servicios premium
@@ -289,12 +400,19 @@ const search = asyncHandler(async (req, res) => {
       return serviceObj;
     });
     
+    // Exponer el precio de acceso efectivo y la distancia al punto de referencia
+    const transformedServices = geoService.attachDistances(
+      await pricingService.attachServicePrices(maskedServices),
+      point
+    );
+    
     // Guardar resultados en caché
     const result = {
       data: transformedServices,
       page,
       limit,
-      total
+      total,
+      meta: { facets, suggestions, correctedQuery }
     };
     
     cacheService.set(cacheKey, result);
@@ -313,10 +431,11 @@ const search = asyncHandler(async (req, res) => {
     }
     
     return responseFormatter.paginated(res, {
-      data: transformedServices,
+      data: await entitlementService.revealAccessibleContacts(transformedServices, req.user),
       page,
       limit,
       total,
+      meta: result.meta,
       message: 'Resultados de búsqueda obtenidos correctamente'
     });
   } catch (error) {
@@ -330,6 +449,28 @@ const search = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Sugerencias de autocompletado mientras el usuario escribe
+ * @route GET /api/search/suggest
+ */
+const suggest = asyncHandler(async (req, res) => {
+  const { value, error } = validate(req.query, schemas.suggest);
+  
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+  
+  const suggestions = await suggestService.suggest(value.q, {
+    limit: value.limit,
+    includePremium: Boolean(req.user && req.user.verified)
+  });
+  
+  return responseFormatter.success(res, {
+    data: suggestions,
+    message: 'Sugerencias obtenidas correctamente'
+  });
+});
+
 /**
  * Obtener búsquedas recientes del usuario
  * @route GET /api/search/recent
@@ -398,6 +539,7 @@ const clearRecentSearches = asyncHandler(async (req, res) => {
 
 module.exports = {
   search,
+  suggest,
   getRecentSearches,
   clearRecentSearches
 };
\ No newline at end of file
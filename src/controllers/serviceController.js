@@ -1,16 +1,46 @@
 /**
  * Controlador para gestión de servicios
  */
+const mongoose = require('mongoose');
 const Service = require('../models/Service');
 const Category = require('../models/Category');
 const User = require('../models/User');
+const Review = require('../models/Review');
+const PricingRule = require('../models/PricingRule');
+const Entitlement = require('../models/Entitlement');
 const responseFormatter = require('../utils/responseFormatter');
 const logger = require('../utils/logger');
 const { schemas, validate, isValidMongoId } = require('../utils/validators');
 const cacheService = require('../services/cacheService');
 const pythonApiService = require('../services/pythonApiService');
+const pricingService = require('../services/pricingService');
+const entitlementService = require('../services/entitlementService');
+const geoService = require('../services/geoService');
+const suggestService = require('../services/suggestService');
+const gazetteer = require('../utils/gazetteer');
 const { asyncHandler } = require('../middleware/errorHandler');
 
+/**
+ * Sustituir las coordenadas indicadas por el punto GeoJSON del servicio
+ * Las coordenadas explícitas prevalecen sobre las del nomenclátor
+ *
+ * @param {Object} value - Datos validados del servicio
+ * @returns {Object} Datos listos para el modelo
+ */
+const withProvidedCoordinates = (value) => {
+  if (!value.coordinates) {
+    return value;
+  }
+  
+  const { coordinates, ...rest } = value;
+  
+  return {
+    ...rest,
+    geo: gazetteer.toPoint(coordinates.lat, coordinates.lng),
+    geoSource: 'provided'
+  };
+};
+
 /**
  * Obtener servicios por categoría
  * @route GET /api/categories/:id/services
@@ -19,13 +49,27 @@ const getServicesByCategory = asyncHandler(async (req, res) => {
   const { id: categoryId } = req.params;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
-  const sort = req.query.sort || 'rating'; // rating, relevance
+  const sort = req.query.sort || 'rating'; // rating, relevance, distance
   const sortDirection = req.query.direction === 'asc' ? 1 : -1;
   
   if (!isValidMongoId(categoryId)) {
     return responseFormatter.validationError(res, 'ID de categoría inválido');
   }
   
+  // Filtro opcional de proximidad (?lat=&lng= o ?near=barrio, con ?radiusKm=)
+  const { value: nearQuery, error } = validate(req.query, schemas.nearQuery);
+  
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+  
+  const { radiusKm } = nearQuery;
+  const point = geoService.resolveNear(nearQuery.lat !== undefined ? nearQuery : nearQuery.near);
+  
+  if (nearQuery.near && !point) {
+    return responseFormatter.validationError(res, 'Ubicación de referencia no reconocida');
+  }
+  
   // Verificar si existe la categoría
   const category = await Category.findById(categoryId);
   
@@ -34,12 +78,15 @@ const getServicesByCategory = asyncHandler(async (req, res) => {
   }
   
   // Intentar obtener de caché primero
-  const cacheKey = cacheService.getServicesKey(null, categoryId, page, limit);
+  // La lista cacheada solo varía según la visibilidad de servicios premium
+  const visibility = req.user && req.user.verified ? 'verified' : 'public';
+  const nearKey = point ? `:near:${geoService.getCacheFragment(point)}:radius:${radiusKm}:sort:${sort}` : '';
+  const cacheKey = `${cacheService.getServicesKey(null, categoryId, page, limit)}:${visibility}${nearKey}`;
   const cachedServices = cacheService.get(cacheKey);
   
   if (cachedServices) {
     return responseFormatter.paginated(res, {
-      data: cachedServices.data,
+      data: await entitlementService.revealAccessibleContacts(cachedServices.data, req.user),
       page: cachedServices.page,
       limit: cachedServices.limit,
       total: cachedServices.total,
@@ -62,19 +109,44 @@ const getServicesByCategory = asyncHandler(async (req, res) => {
     query.premiumOnly = false;
   }
   
-  // Ejecutar consulta con contador
-  const [services, total] = await Promise.all([
-    Service.find(query)
+  // Con punto de referencia solo se listan los servicios dentro del radio
+  const listQuery = point ? { ...query, geo: geoService.withinRadius(point, radiusKm) } : query;
+  let servicesQuery;
+  
+  if (point && sort === 'distance') {
+    // $geoNear devuelve los servicios ordenados por cercanía; debe ser la primera etapa
+    // y su filtro no convierte tipos, por eso la categoría se pasa como ObjectId
+    servicesQuery = Service.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [point.lng, point.lat] },
+          distanceField: 'distanceMeters',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: { ...query, category: new mongoose.Types.ObjectId(categoryId) }
+        }
+      },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { __v: 0, distanceMeters: 0 } }
+    ]);
+  } else {
+    servicesQuery = Service.find(listQuery)
       .sort(sortOptions)
       .skip(skip)
       .limit(limit)
-      .select('-__v'),
-    Service.countDocuments(query)
+      .select('-__v');
+  }
+  
+  // Ejecutar consulta con contador
+  const [services, total] = await Promise.all([
+    servicesQuery,
+    Service.countDocuments(listQuery)
   ]);
   
   // Transformar servicios para ocultar información sensible
-  const transformedServices = services.map(service => {
-    const serviceObj = service.toObject();
+  const maskedServices = services.map(service => {
+    const serviceObj = service.toObject ? service.toObject() : { ...service };
     
     // Ocultar información de contacto para servicios premium
     if (service.premiumOnly) {
@@ -84,6 +156,12 @@ const getServicesByCategory = asyncHandler(async (req, res) => {
     return serviceObj;
   });
   
+  // Exponer el precio de acceso efectivo y la distancia al punto de referencia
+  const transformedServices = geoService.attachDistances(
+    await pricingService.attachServicePrices(maskedServices),
+    point
+  );
+  
   // Calcular metadatos de paginación
   const result = {
     data: transformedServices,
@@ -96,7 +174,7 @@ const getServicesByCategory = asyncHandler(async (req, res) => {
   cacheService.set(cacheKey, result);
   
   return responseFormatter.paginated(res, {
-    data: transformedServices,
+    data: await entitlementService.revealAccessibleContacts(transformedServices, req.user),
     page,
     limit,
     total,
@@ -115,52 +193,46 @@ const getServiceById = asyncHandler(async (req, res) => {
     return responseFormatter.validationError(res, 'ID de servicio inválido');
   }
   
-  // Intentar obtener de caché primero
+  // Intentar obtener de caché primero (la caché guarda el servicio sin ocultar)
   const cacheKey = cacheService.getServicesKey(id);
-  const cachedService = cacheService.get(cacheKey);
-  
-  if (cachedService) {
-    return responseFormatter.success(res, {
-      data: cachedService,
-      message: 'Servicio obtenido de caché'
-    });
-  }
-  
-  // Buscar servicio y realizar populate de la categoría
-  const service = await Service.findById(id)
-    .populate('category', 'name icon')
-    .select('-__v');
-  
-  if (!service) {
-    return responseFormatter.notFound(res, 'Servicio no encontrado');
+  let serviceObj = cacheService.get(cacheKey);
+  const fromCache = Boolean(serviceObj);
+  
+  if (!serviceObj) {
+    // Buscar servicio y realizar populate de la categoría
+    const service = await Service.findById(id)
+      .populate('category', 'name icon')
+      .select('-__v');
+    
+    if (!service) {
+      return responseFormatter.notFound(res, 'Servicio no encontrado');
+    }
+    
+    // Incrementar contador de vistas
+    service.viewCount = (service.viewCount || 0) + 1;
+    await service.save();
+    
+    serviceObj = service.toObject();
+    serviceObj.accessPrices = await pricingService.getServicePrices(service);
+    
+    // Guardar en caché
+    cacheService.set(cacheKey, serviceObj);
   }
   
-  // Incrementar contador de vistas
-  service.viewCount = (service.viewCount || 0) + 1;
-  await service.save();
-  
-  // Transformar servicio para ocultar información sensible si es necesario
-  const serviceObj = service.toObject();
-  
   // Ocultar información de contacto para servicios premium si el usuario no tiene acceso
-  if (service.premiumOnly) {
-    const hasAccess = req.user && req.user.id && 
-      await User.findOne({
-        _id: req.user.id,
-        paidServices: id
-      });
+  // (acceso vigente al servicio o suscripción); se evalúa en cada solicitud
+  if (serviceObj.premiumOnly) {
+    const user = req.user && req.user.id &&
+      await User.findById(req.user.id).select('subscriptionExpiresAt');
     
-    if (!hasAccess) {
-      serviceObj.contactInfo = '*** Requiere pago para acceder ***';
+    if (!user || !(await user.hasAccessToService(id))) {
+      serviceObj = { ...serviceObj, contactInfo: '*** Requiere pago para acceder ***' };
     }
   }
   
-  // Guardar en caché
-  cacheService.set(cacheKey, serviceObj);
-  
   return responseFormatter.success(res, {
     data: serviceObj,
-    message: 'Servicio obtenido correctamente'
+    message: fromCache ? 'Servicio obtenido de caché' : 'Servicio obtenido correctamente'
   });
 });
 
@@ -183,7 +255,7 @@ const getFeaturedServices = asyncHandler(async (req, res) => {
   }
   
   // Consultar servicios destacados (alta valoración, verificados, no premium)
-  const featuredServices = await Service.find({
+  const featuredServiceDocs = await Service.find({
     rating: { $gte: 4 },
     verified: true,
     premiumOnly: false
@@ -191,7 +263,10 @@ const getFeaturedServices = asyncHandler(async (req, res) => {
     .sort({ rating: -1, viewCount: -1 })
     .limit(limit)
     .populate('category', 'name icon')
-    .select('-__v');
+    .select('-__v')
+    .lean();
+  
+  const featuredServices = await pricingService.attachServicePrices(featuredServiceDocs);
   
   // Guardar en caché
   cacheService.set(cacheKey, featuredServices);
@@ -228,7 +303,7 @@ const createService = asyncHandler(async (req, res) => {
   
   // Crear nuevo servicio
   const service = new Service({
-    ...value,
+    ...withProvidedCoordinates(value),
     createdAt: new Date(),
     updatedAt: new Date(),
     lastScraped: new Date()
@@ -239,6 +314,7 @@ const createService = asyncHandler(async (req, res) => {
   // Invalidar caché
   cacheService.invalidatePattern(`services:category:${value.category}:*`);
   cacheService.invalidatePattern('services:featured:*');
+  suggestService.invalidate();
   
   logger.info(`Nuevo servicio creado: ${service.title}`);
   
@@ -292,7 +368,7 @@ const updateService = asyncHandler(async (req, res) => {
   const updatedService = await Service.findByIdAndUpdate(
     id,
     {
-      ...value,
+      ...withProvidedCoordinates(value),
       updatedAt: new Date()
     },
     { new: true, runValidators: true }
@@ -305,6 +381,7 @@ const updateService = asyncHandler(async (req, res) => {
     cacheService.invalidatePattern(`services:category:${value.category}:*`);
   }
   cacheService.invalidatePattern('services:featured:*');
+  suggestService.invalidate();
   
   logger.info(`Servicio actualizado: ${updatedService.title}`);
   
@@ -314,6 +391,47 @@ const updateService = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Actualizar un servicio por su proveedor dueño
+ * Requiere que requireServiceOwnership se ejecute primero
+ * @route PUT /api/services/:id/listing
+ * @access Provider (dueño del servicio)
+ */
+const updateOwnListing = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  // Validar datos de entrada (solo campos editables por el proveedor)
+  const { value, error } = validate(req.body, schemas.ownerServiceUpdate);
+  
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+  
+  const service = req.service;
+  
+  const updatedService = await Service.findByIdAndUpdate(
+    id,
+    {
+      ...withProvidedCoordinates(value),
+      updatedAt: new Date()
+    },
+    { new: true, runValidators: true }
+  );
+  
+  // Invalidar caché
+  cacheService.delete(cacheService.getServicesKey(id));
+  cacheService.invalidatePattern(`services:category:${service.category}:*`);
+  cacheService.invalidatePattern('services:featured:*');
+  suggestService.invalidate();
+  
+  logger.info(`Servicio actualizado por su proveedor: ${updatedService.title}`);
+  
+  return responseFormatter.success(res, {
+    data: updatedService,
+    message: 'Servicio actualizado correctamente'
+  });
+});
+
 /**
  * Eliminar servicio
  * @route DELETE /api/services/:id
@@ -336,16 +454,20 @@ const deleteService = asyncHandler(async (req, res) => {
   // Eliminar servicio
   await Service.findByIdAndDelete(id);
   
-  // Eliminar referencia en paidServices de usuarios
-  await User.updateMany(
-    { paidServices: id },
-    { $pull: { paidServices: id } }
-  );
+  // Eliminar los accesos de usuarios al servicio
+  await Entitlement.deleteMany({ serviceId: id });
+  
+  // Eliminar reseñas asociadas
+  await Review.deleteMany({ serviceId: id });
+  
+  // Eliminar la regla de precio propia del servicio
+  await PricingRule.deleteMany({ service: id });
   
   // Invalidar caché
   cacheService.delete(cacheService.getServicesKey(id));
   cacheService.invalidatePattern(`services:category:${service.category}:*`);
   cacheService.invalidatePattern('services:featured:*');
+  suggestService.invalidate();
   
   logger.info(`Servicio eliminado: ${service.title}`);
   
@@ -357,7 +479,7 @@ const deleteService = asyncHandler(async (req, res) => {
 /**
  * Solicitar mejora de descripción con IA
  * @route POST /api/services/:id/enhance
- * @access Admin
+ * @access Moderator
  */
 const enhanceServiceDescription = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -416,6 +538,7 @@ module.exports = {
   getFeaturedServices,
   createService,
   updateService,
+  updateOwnListing,
   deleteService,
   enhanceServiceDescription
 };
\ No newline at end of file
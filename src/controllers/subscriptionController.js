@@ -0,0 +1,120 @@
+/**
+ * Controlador para suscripciones de acceso ilimitado
+ */
+const worldAppConfig = require('../config/worldApp').config;
+const tokenRegistry = require('../config/tokens');
+const User = require('../models/User');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate } = require('../utils/validators');
+const paymentService = require('../services/paymentService');
+const subscriptionService = require('../services/subscriptionService');
+const riskService = require('../services/riskService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Obtener los planes de suscripción disponibles
+ * @route GET /api/payments/subscriptions/plans
+ * @access Public
+ */
+const getPlans = asyncHandler(async (req, res) => {
+  return responseFormatter.success(res, {
+    data: subscriptionService.getPlans(),
+    message: 'Planes de suscripción obtenidos correctamente'
+  });
+});
+
+/**
+ * Obtener la suscripción del usuario autenticado
+ * @route GET /api/payments/subscriptions/me
+ * @access Private
+ */
+const getMySubscription = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('subscriptionPlan subscriptionExpiresAt');
+
+  if (!user) {
+    return responseFormatter.notFound(res, 'Usuario no encontrado');
+  }
+
+  const periods = await subscriptionService.getActivePeriods(user._id);
+
+  return responseFormatter.success(res, {
+    data: {
+      active: user.hasActiveSubscription(),
+      plan: user.subscriptionPlan,
+      expiresAt: user.subscriptionExpiresAt,
+      periods
+    },
+    message: 'Suscripción obtenida correctamente'
+  });
+});
+
+/**
+ * Iniciar el pago de un pase de suscripción
+ * Se confirma con el mismo flujo que el resto de pagos (POST /api/payments/confirm)
+ * @route POST /api/payments/subscriptions/initiate
+ * @access Private
+ */
+const initiateSubscription = asyncHandler(async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.subscription);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const { plan, token } = value;
+  const price = subscriptionService.getPlanPrice(plan, token);
+
+  if (price === undefined) {
+    return responseFormatter.validationError(res, `El plan ${plan} no tiene precio en ${token}`);
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return responseFormatter.notFound(res, 'Usuario no encontrado');
+  }
+
+  // Evaluar el riesgo antes de crear la transacción
+  const risk = await riskService.assessInitiation({ user, ip: req.ip });
+
+  if (risk.decision === 'block') {
+    return responseFormatter.forbidden(res, riskService.blockedMessage);
+  }
+
+  // Reutilizar una transacción pendiente y aún válida para el mismo plan
+  const { transaction, reused } = await paymentService.getOrCreatePendingTransaction(
+    { userId: user._id, purpose: 'subscription', plan },
+    { amount: tokenRegistry.toBaseUnits(price, token), token, heldForReview: risk.decision === 'review' }
+  );
+
+  await riskService.attachTransaction(risk.assessment, transaction);
+
+  logger.info(`${reused ? 'Reutilizando' : 'Nueva'} transacción de suscripción ${plan}: ${transaction.reference}`);
+
+  return responseFormatter.success(res, {
+    statusCode: 200,
+    data: {
+      reference: transaction.reference,
+      amount: transaction.displayAmount,
+      amountBaseUnits: transaction.amount,
+      token: transaction.token,
+      walletAddress: worldAppConfig.paymentWalletAddress,
+      plan: {
+        id: plan,
+        name: subscriptionService.getPlan(plan).name,
+        durationDays: subscriptionService.getPlan(plan).durationDays
+      },
+      ...(transaction.heldForReview && { underReview: true }),
+      ...(reused && { reused: true })
+    },
+    message: 'Suscripción iniciada correctamente'
+  });
+});
+
+module.exports = {
+  getPlans,
+  getMySubscription,
+  initiateSubscription
+};
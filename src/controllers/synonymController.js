@@ -0,0 +1,191 @@
+/**
+ * Controlador para el diccionario de sinónimos de búsqueda
+ */
+const Synonym = require('../models/Synonym');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { schemas, validate, isValidMongoId } = require('../utils/validators');
+const synonymService = require('../services/synonymService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Comprobar que ningún término pertenece ya a otro grupo
+ *
+ * @param {Array<string>} terms - Términos normalizados
+ * @param {string|null} excludeId - Grupo que se está editando
+ * @returns {Promise<Object|null>} Grupo en conflicto o null
+ */
+const findConflictingGroup = (terms, excludeId = null) => {
+  const query = { terms: { $in: terms } };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return Synonym.findOne(query).select('terms');
+};
+
+/**
+ * Listar grupos de sinónimos
+ * @route GET /api/admin/search/synonyms
+ * @access Admin
+ */
+const listSynonyms = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const query = {};
+
+  if (req.query.term) {
+    query.terms = synonymService.normalizeTerms([req.query.term])[0];
+  }
+
+  const [synonyms, total] = await Promise.all([
+    Synonym.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v'),
+    Synonym.countDocuments(query)
+  ]);
+
+  return responseFormatter.paginated(res, {
+    data: synonyms,
+    page,
+    limit,
+    total,
+    message: 'Sinónimos obtenidos correctamente'
+  });
+});
+
+/**
+ * Crear un grupo de sinónimos
+ * @route POST /api/admin/search/synonyms
+ * @access Admin
+ */
+const createSynonym = asyncHandler(async (req, res) => {
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.synonym);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const terms = synonymService.normalizeTerms(value.terms);
+
+  if (terms.length < 2) {
+    return responseFormatter.validationError(res, 'Un grupo de sinónimos necesita al menos dos términos distintos');
+  }
+
+  const conflict = await findConflictingGroup(terms);
+
+  if (conflict) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: `Algún término ya pertenece a otro grupo de sinónimos (${conflict.terms.join(', ')})`
+    });
+  }
+
+  const synonym = await Synonym.create({
+    terms,
+    note: value.note,
+    createdBy: req.user.id
+  });
+
+  synonymService.invalidate();
+
+  logger.info(`Grupo de sinónimos ${synonym._id} creado por ${req.user.id}: ${terms.join(', ')}`);
+
+  return responseFormatter.success(res, {
+    statusCode: 201,
+    data: synonym,
+    message: 'Sinónimos creados correctamente'
+  });
+});
+
+/**
+ * Actualizar un grupo de sinónimos
+ * @route PUT /api/admin/search/synonyms/:id
+ * @access Admin
+ */
+const updateSynonym = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de sinónimos inválido');
+  }
+
+  // Validar datos de entrada
+  const { value, error } = validate(req.body, schemas.synonym);
+
+  if (error) {
+    return responseFormatter.validationError(res, error);
+  }
+
+  const terms = synonymService.normalizeTerms(value.terms);
+
+  if (terms.length < 2) {
+    return responseFormatter.validationError(res, 'Un grupo de sinónimos necesita al menos dos términos distintos');
+  }
+
+  const synonym = await Synonym.findById(id);
+
+  if (!synonym) {
+    return responseFormatter.notFound(res, 'Grupo de sinónimos no encontrado');
+  }
+
+  const conflict = await findConflictingGroup(terms, synonym._id);
+
+  if (conflict) {
+    return responseFormatter.error(res, {
+      statusCode: 409,
+      message: `Algún término ya pertenece a otro grupo de sinónimos (${conflict.terms.join(', ')})`
+    });
+  }
+
+  synonym.set({ terms, note: value.note });
+  await synonym.save();
+
+  synonymService.invalidate();
+
+  logger.info(`Grupo de sinónimos ${synonym._id} actualizado por ${req.user.id}: ${terms.join(', ')}`);
+
+  return responseFormatter.success(res, {
+    data: synonym,
+    message: 'Sinónimos actualizados correctamente'
+  });
+});
+
+/**
+ * Eliminar un grupo de sinónimos
+ * @route DELETE /api/admin/search/synonyms/:id
+ * @access Admin
+ */
+const deleteSynonym = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidMongoId(id)) {
+    return responseFormatter.validationError(res, 'ID de sinónimos inválido');
+  }
+
+  const synonym = await Synonym.findByIdAndDelete(id);
+
+  if (!synonym) {
+    return responseFormatter.notFound(res, 'Grupo de sinónimos no encontrado');
+  }
+
+  synonymService.invalidate();
+
+  logger.info(`Grupo de sinónimos ${synonym._id} eliminado por ${req.user.id}`);
+
+  return responseFormatter.success(res, {
+    message: 'Sinónimos eliminados correctamente'
+  });
+});
+
+module.exports = {
+  listSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym
+};
@@ -0,0 +1,102 @@
+/**
+ * Tarea programada para expirar periodos de suscripción vencidos
+ */
+const worldAppConfig = require('../config/worldApp').config;
+const subscriptionService = require('../services/subscriptionService');
+const logger = require('../utils/logger');
+
+/**
+ * Barrido periódico de suscripciones cuya vigencia ha terminado
+ */
+class SubscriptionExpirer {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+
+    // Estadísticas de ejecución para el panel de administración
+    this.stats = {
+      lastRunAt: null,
+      lastExpiredCount: 0,
+      totalExpired: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Iniciar el barrido periódico
+   *
+   * @param {number} intervalMinutes - Intervalo entre ejecuciones (minutos)
+   */
+  start(intervalMinutes = worldAppConfig.subscriptionJobIntervalMinutes) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), intervalMinutes * 60 * 1000);
+
+    // No mantener vivo el proceso solo por esta tarea
+    this.timer.unref();
+
+    logger.info(`Expiración de suscripciones iniciada (cada ${intervalMinutes} min)`);
+  }
+
+  /**
+   * Detener el barrido periódico
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Expiración de suscripciones detenida');
+    }
+  }
+
+  /**
+   * Ejecutar un barrido: marca como expirados los periodos vencidos
+   *
+   * @returns {Promise<number>} Número de periodos expirados
+   */
+  async run() {
+    // Evitar ejecuciones solapadas si una tarda más que el intervalo
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+
+    try {
+      const expiredCount = await subscriptionService.expireDue();
+
+      this.stats.lastRunAt = new Date();
+      this.stats.lastExpiredCount = expiredCount;
+      this.stats.totalExpired += expiredCount;
+      this.stats.lastError = null;
+
+      if (expiredCount > 0) {
+        logger.info(`Expiración de suscripciones: ${expiredCount} periodos expirados`);
+      }
+
+      return expiredCount;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      logger.error(`Error en expiración de suscripciones: ${error.message}`);
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Obtener estadísticas de ejecución
+   *
+   * @returns {Object} Estadísticas del barrido
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      active: Boolean(this.timer)
+    };
+  }
+}
+
+module.exports = new SubscriptionExpirer();
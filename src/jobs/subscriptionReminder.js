@@ -0,0 +1,144 @@
+/**
+ * Tarea programada para recordar la renovación de suscripciones próximas a vencer
+ */
+const Subscription = require('../models/Subscription');
+const worldAppConfig = require('../config/worldApp').config;
+const devPortalService = require('../services/devPortalService');
+const logger = require('../utils/logger');
+
+// Periodos procesados como máximo en cada ejecución
+const BATCH_SIZE = 100;
+
+/**
+ * Envío periódico de recordatorios de renovación por notificación de World App
+ */
+class SubscriptionReminder {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+
+    // Estadísticas de ejecución para el panel de administración
+    this.stats = {
+      lastRunAt: null,
+      lastSentCount: 0,
+      totalSent: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Iniciar el envío periódico
+   *
+   * @param {number} intervalMinutes - Intervalo entre ejecuciones (minutos)
+   */
+  start(intervalMinutes = worldAppConfig.subscriptionJobIntervalMinutes) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), intervalMinutes * 60 * 1000);
+
+    // No mantener vivo el proceso solo por esta tarea
+    this.timer.unref();
+
+    logger.info(`Recordatorios de renovación iniciados (cada ${intervalMinutes} min)`);
+  }
+
+  /**
+   * Detener el envío periódico
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Recordatorios de renovación detenidos');
+    }
+  }
+
+  /**
+   * Ejecutar una pasada: avisa a los usuarios cuyo último periodo vence pronto
+   *
+   * @returns {Promise<number>} Número de recordatorios enviados
+   */
+  async run() {
+    // Evitar ejecuciones solapadas si una tarda más que el intervalo
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let sent = 0;
+
+    try {
+      const now = new Date();
+      const horizon = new Date(now.getTime() + worldAppConfig.subscriptionReminderDays * 24 * 60 * 60 * 1000);
+
+      const expiring = await Subscription.find({
+        status: 'active',
+        reminderSentAt: null,
+        expiresAt: { $gt: now, $lte: horizon }
+      })
+        .sort({ expiresAt: 1 })
+        .limit(BATCH_SIZE)
+        .populate('userId', 'walletAddress subscriptionExpiresAt');
+
+      for (const subscription of expiring) {
+        const user = subscription.userId;
+
+        // Si el usuario ya renovó, el recordatorio corresponde al periodo posterior
+        if (!user || !user.walletAddress ||
+          user.subscriptionExpiresAt > subscription.expiresAt) {
+          continue;
+        }
+
+        try {
+          await devPortalService.sendNotification({
+            walletAddresses: [user.walletAddress],
+            title: 'Tu pase está por vencer',
+            message: `Tu suscripción vence el ${subscription.expiresAt.toISOString().slice(0, 10)}. Renuévala para seguir viendo todos los contactos.`,
+            path: '/subscriptions'
+          });
+
+          subscription.reminderSentAt = new Date();
+          await subscription.save();
+          sent++;
+        } catch (error) {
+          // Se reintentará en la siguiente ejecución
+          logger.warn(`No se pudo enviar el recordatorio de la suscripción ${subscription._id}: ${error.message}`);
+        }
+      }
+
+      this.stats.lastRunAt = new Date();
+      this.stats.lastSentCount = sent;
+      this.stats.totalSent += sent;
+      this.stats.lastError = null;
+
+      if (sent > 0) {
+        logger.info(`Recordatorios de renovación: ${sent} enviados`);
+      }
+
+      return sent;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      logger.error(`Error en recordatorios de renovación: ${error.message}`);
+      return sent;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Obtener estadísticas de ejecución
+   *
+   * @returns {Object} Estadísticas de los recordatorios
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      active: Boolean(this.timer),
+      reminderDays: worldAppConfig.subscriptionReminderDays
+    };
+  }
+}
+
+module.exports = new SubscriptionReminder();
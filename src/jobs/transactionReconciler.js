@@ -0,0 +1,182 @@
+/**
+ * Tarea programada para reconciliar transacciones en proceso
+ */
+const Transaction = require('../models/Transaction');
+const worldAppConfig = require('../config/worldApp').config;
+const paymentService = require('../services/paymentService');
+const cacheService = require('../services/cacheService');
+const couponService = require('../services/couponService');
+const logger = require('../utils/logger');
+
+/**
+ * Sondeo periódico de transacciones en estado processing con backoff exponencial
+ */
+class TransactionReconciler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+
+    // Estadísticas de ejecución para el panel de administración
+    this.stats = {
+      lastRunAt: null,
+      checked: 0,
+      completed: 0,
+      failed: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Iniciar la reconciliación periódica
+   *
+   * @param {number} intervalSeconds - Intervalo entre ejecuciones (segundos)
+   */
+  start(intervalSeconds = worldAppConfig.reconcile.intervalSeconds) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), intervalSeconds * 1000);
+
+    // No mantener vivo el proceso solo por esta tarea
+    this.timer.unref();
+
+    logger.info(`Reconciliación de transacciones iniciada (cada ${intervalSeconds} s)`);
+  }
+
+  /**
+   * Detener la reconciliación periódica
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Reconciliación de transacciones detenida');
+    }
+  }
+
+  /**
+   * Ejecutar una pasada sobre las transacciones cuyo siguiente intento ha vencido
+   *
+   * @returns {Promise<Object>} Resumen de la pasada
+   */
+  async run() {
+    // Evitar ejecuciones solapadas si una tarda más que el intervalo
+    if (this.running) {
+      return { checked: 0, completed: 0, failed: 0 };
+    }
+
+    this.running = true;
+    const summary = { checked: 0, completed: 0, failed: 0 };
+
+    try {
+      const transactions = await Transaction.find({
+        status: 'processing',
+        $and: [{
+          $or: [
+            { transactionId: { $ne: null } },
+            { transactionHash: { $ne: null } }
+          ]
+        }],
+        $or: [
+          { nextReconcileAt: null },
+          { nextReconcileAt: { $lte: new Date() } }
+        ]
+      })
+        .sort({ nextReconcileAt: 1 })
+        .limit(worldAppConfig.reconcile.batchSize);
+
+      for (const transaction of transactions) {
+        summary.checked++;
+        const status = await this.reconcile(transaction);
+
+        if (status === 'completed') summary.completed++;
+        if (status === 'failed') summary.failed++;
+      }
+
+      this.stats.lastRunAt = new Date();
+      this.stats.checked += summary.checked;
+      this.stats.completed += summary.completed;
+      this.stats.failed += summary.failed;
+      this.stats.lastError = null;
+
+      if (summary.checked > 0) {
+        logger.info(`Reconciliación: ${summary.checked} revisadas, ${summary.completed} completadas, ${summary.failed} fallidas`);
+      }
+    } catch (error) {
+      this.stats.lastError = error.message;
+      logger.error(`Error en reconciliación de transacciones: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Reconciliar una transacción concreta
+   *
+   * @param {Object} transaction - Transacción en estado processing
+   * @returns {Promise<string>} Estado resultante
+   */
+  async reconcile(transaction) {
+    try {
+      const result = await paymentService.verifyPayment(transaction, {
+        transactionId: transaction.transactionId,
+        transactionHash: transaction.transactionHash
+      });
+
+      if (!result.valid) {
+        logger.warn(`Pago inválido en reconciliación de ${transaction.reference}: ${result.error}`);
+        transaction.setStatus('failed', 'reconciler', result.error);
+        transaction.nextReconcileAt = null;
+        await transaction.save();
+        await couponService.releaseReservation(transaction);
+      } else {
+        await paymentService.applyVerificationResult(transaction, result, 'reconciler');
+      }
+    } catch (error) {
+      // Un error de red cuenta como intento y se reintenta con backoff
+      logger.warn(`No se pudo reconciliar ${transaction.reference}: ${error.message}`);
+    }
+
+    if (transaction.status === 'processing') {
+      transaction.reconcileAttempts += 1;
+
+      if (transaction.reconcileAttempts >= worldAppConfig.reconcile.maxAttempts) {
+        transaction.setStatus(
+          'failed',
+          'reconciler',
+          `Sin confirmación en cadena tras ${transaction.reconcileAttempts} intentos de reconciliación`
+        );
+        transaction.nextReconcileAt = null;
+      } else {
+        paymentService.scheduleReconciliation(transaction);
+      }
+
+      await transaction.save();
+
+      if (transaction.status === 'failed') {
+        await couponService.releaseReservation(transaction);
+      }
+    }
+
+    cacheService.delete(cacheService.getUserKey(transaction.userId, 'transactions'));
+
+    return transaction.status;
+  }
+
+  /**
+   * Obtener estadísticas de ejecución
+   *
+   * @returns {Object} Estadísticas de la reconciliación
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      active: Boolean(this.timer)
+    };
+  }
+}
+
+module.exports = new TransactionReconciler();
@@ -0,0 +1,204 @@
+/**
+ * Tarea programada para expirar transacciones pendientes abandonadas
+ */
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const Entitlement = require('../models/Entitlement');
+const worldAppConfig = require('../config/worldApp').config;
+const cacheService = require('../services/cacheService');
+const couponService = require('../services/couponService');
+const logger = require('../utils/logger');
+
+/**
+ * Barrido periódico de transacciones pendientes que superan la ventana de validez
+ * y de las cuentas provisionales de regalos que nunca llegaron a pagarse
+ */
+class TransactionSweeper {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+
+    // Estadísticas de ejecución para el panel de administración
+    this.stats = {
+      lastRunAt: null,
+      lastExpiredCount: 0,
+      totalExpired: 0,
+      totalPlaceholdersRemoved: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Iniciar el barrido periódico
+   *
+   * @param {number} intervalMinutes - Intervalo entre ejecuciones (minutos)
+   */
+  start(intervalMinutes = worldAppConfig.transactionSweepIntervalMinutes) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), intervalMinutes * 60 * 1000);
+
+    // No mantener vivo el proceso solo por esta tarea
+    this.timer.unref();
+
+    logger.info(`Barrido de transacciones expiradas iniciado (cada ${intervalMinutes} min)`);
+  }
+
+  /**
+   * Detener el barrido periódico
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Barrido de transacciones expiradas detenido');
+    }
+  }
+
+  /**
+   * Ejecutar un barrido: marca como expiradas las transacciones pendientes antiguas
+   *
+   * @returns {Promise<number>} Número de transacciones expiradas
+   */
+  async run() {
+    // Evitar ejecuciones solapadas si una tarda más que el intervalo
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+
+    try {
+      const cutoff = Transaction.getExpirationCutoff();
+      const staleTransactions = await Transaction.find({
+        status: 'pending',
+        createdAt: { $lt: cutoff }
+      }).select('_id userId reference coupon');
+
+      if (staleTransactions.length === 0) {
+        await this.removeOrphanPlaceholders(cutoff);
+        this.recordRun(0);
+        return 0;
+      }
+
+      const reason = `Expirada automáticamente: sin confirmación tras ${worldAppConfig.pendingTransactionTTLMinutes} minutos`;
+
+      // Volver a filtrar por estado para no pisar confirmaciones concurrentes
+      const result = await Transaction.updateMany(
+        {
+          _id: { $in: staleTransactions.map(tx => tx._id) },
+          status: 'pending'
+        },
+        {
+          $set: {
+            status: 'expired',
+            notes: reason,
+            updatedAt: new Date()
+          },
+          $push: {
+            statusHistory: { from: 'pending', to: 'expired', source: 'sweeper', reason, at: new Date() }
+          }
+        }
+      );
+
+      // Devolver los usos de cupón reservados; solo se liberan los de transacciones que sí expiraron
+      for (const transaction of staleTransactions.filter(tx => tx.coupon && tx.coupon.reservedAt)) {
+        await couponService.releaseReservation(transaction);
+      }
+
+      // Invalidar historial en caché de los usuarios afectados
+      const userIds = new Set(staleTransactions.map(tx => tx.userId.toString()));
+      userIds.forEach(userId => {
+        cacheService.delete(cacheService.getUserKey(userId, 'transactions'));
+      });
+
+      await this.removeOrphanPlaceholders(cutoff);
+
+      this.recordRun(result.modifiedCount);
+      logger.info(`Barrido de transacciones: ${result.modifiedCount} transacciones expiradas`);
+
+      return result.modifiedCount;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      logger.error(`Error en barrido de transacciones expiradas: ${error.message}`);
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Eliminar las cuentas provisionales de destinatarios de regalos que no llegaron a completarse
+   * Se conservan las que tienen algún acceso o un regalo aún en curso o retenido para revisión
+   *
+   * @param {Date} cutoff - Fecha límite de la ventana de transacciones pendientes
+   * @returns {Promise<number>} Número de cuentas eliminadas
+   */
+  async removeOrphanPlaceholders(cutoff) {
+    const placeholders = await User.find({
+      isPlaceholder: true,
+      updatedAt: { $lt: cutoff }
+    }).select('_id');
+
+    let removed = 0;
+
+    for (const placeholder of placeholders) {
+      const [hasEntitlements, hasGifts] = await Promise.all([
+        Entitlement.exists({ userId: placeholder._id }),
+        Transaction.exists({
+          recipientId: placeholder._id,
+          status: { $in: ['pending', 'processing', 'completed'] }
+        })
+      ]);
+
+      if (hasEntitlements || hasGifts) {
+        continue;
+      }
+
+      // Volver a filtrar por si se reutilizó para otro regalo o su titular inició sesión entretanto
+      const result = await User.deleteOne({
+        _id: placeholder._id,
+        isPlaceholder: true,
+        updatedAt: { $lt: cutoff }
+      });
+
+      removed += result.deletedCount;
+    }
+
+    if (removed > 0) {
+      this.stats.totalPlaceholdersRemoved += removed;
+      logger.info(`Barrido de transacciones: ${removed} cuentas provisionales sin regalos eliminadas`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Registrar el resultado de una ejecución
+   *
+   * @param {number} expiredCount - Transacciones expiradas en la ejecución
+   */
+  recordRun(expiredCount) {
+    this.stats.lastRunAt = new Date();
+    this.stats.lastExpiredCount = expiredCount;
+    this.stats.totalExpired += expiredCount;
+    this.stats.lastError = null;
+  }
+
+  /**
+   * Obtener estadísticas de ejecución
+   *
+   * @returns {Object} Estadísticas del barrido
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      active: Boolean(this.timer),
+      pendingTTLMinutes: worldAppConfig.pendingTransactionTTLMinutes
+    };
+  }
+}
+
+module.exports = new TransactionSweeper();
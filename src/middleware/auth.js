@@ -2,10 +2,12 @@
  * Middleware de autenticación para World App
  */
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { MiniKit } = require('@worldcoin/minikit-js');
 const responseFormatter = require('../utils/responseFormatter');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const Service = require('../models/Service');
 const worldAppConfig = require('../config/worldApp').config;
 
 /**
@@ -47,6 +49,7 @@ const authenticateUser = async (req, res, next) => {
           // Agregar ID de usuario a la solicitud
           req.user.id = user._id;
           req.user.verified = user.verified;
+          req.user.roles = user.roles;
         }
       }
       
@@ -64,6 +67,25 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware de autenticación opcional para rutas públicas
+ * Si la solicitud trae token se autentica al usuario; si no, continúa como anónima
+ * 
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para continuar al siguiente middleware
+ */
+const optionalAuthentication = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader ? authHeader.split(' ')[1] : req.cookies?.authToken;
+  
+  if (!token) {
+    return next();
+  }
+  
+  return authenticateUser(req, res, next);
+};
+
 /**
  * Middleware para verificar que el usuario ha sido autenticado mediante World ID
  * Requiere que authenticateUser se ejecute primero
@@ -98,6 +120,43 @@ const requireWorldIDVerification = async (req, res, next) => {
   }
 };
 
+/**
+ * Crea un middleware que exige alguno de los roles indicados
+ * Los administradores pasan cualquier comprobación de rol
+ * Requiere que authenticateUser se ejecute primero
+ * 
+ * @param {...string} roles - Roles permitidos (user, provider, moderator, admin)
+ * @returns {Function} Middleware de Express
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    if (!req.user?.id) {
+      return responseFormatter.unauthorized(res, 'Autenticación requerida');
+    }
+    
+    // Consultar los roles actuales para que una revocación tenga efecto inmediato
+    const user = await User.findById(req.user.id).select('roles');
+    
+    if (!user) {
+      return responseFormatter.unauthorized(res, 'Usuario no encontrado');
+    }
+    
+    if (!user.hasRole(...roles)) {
+      logger.warn(`Acceso denegado por rol: usuario ${req.user.id} en ${req.originalUrl}`);
+      return responseFormatter.forbidden(res, 'No tienes permisos suficientes para acceder a este recurso');
+    }
+    
+    req.user.roles = user.roles;
+    next();
+  } catch (error) {
+    logger.error(`Error al verificar roles: ${error.message}`);
+    return responseFormatter.error(res, {
+      statusCode: 500,
+      message: 'Error al verificar permisos'
+    });
+  }
+};
+
 /**
  * Verifica si el usuario tiene acceso a un servicio específico
  * Requiere que authenticateUser se ejecute primero
@@ -124,8 +183,8 @@ const verifyServiceAccess = async (req, res, next) => {
       return responseFormatter.unauthorized(res, 'Usuario no encontrado');
     }
     
-    // Verificar si el usuario ha pagado por este servicio
-    if (!user.hasAccessToService(serviceId)) {
+    // Verificar si el usuario tiene acceso vigente a este servicio
+    if (!(await user.hasAccessToService(serviceId))) {
       return responseFormatter.forbidden(res, 'No tienes acceso a este servicio. Se requiere pago para ver detalles completos.');
     }
     
@@ -139,6 +198,47 @@ const verifyServiceAccess = async (req, res, next) => {
   }
 };
 
+/**
+ * Verifica que el usuario sea el proveedor dueño del servicio
+ * Requiere que authenticateUser se ejecute primero
+ * 
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para continuar al siguiente middleware
+ */
+const requireServiceOwnership = async (req, res, next) => {
+  try {
+    if (!req.user?.id) {
+      return responseFormatter.unauthorized(res, 'Autenticación requerida');
+    }
+    
+    const serviceId = req.params.id || req.params.serviceId;
+    
+    if (!serviceId || !mongoose.Types.ObjectId.isValid(serviceId)) {
+      return responseFormatter.validationError(res, 'ID de servicio inválido');
+    }
+    
+    const service = await Service.findById(serviceId);
+    
+    if (!service) {
+      return responseFormatter.notFound(res, 'Servicio no encontrado');
+    }
+    
+    if (!service.owner || service.owner.toString() !== req.user.id.toString()) {
+      return responseFormatter.forbidden(res, 'Solo el proveedor dueño puede modificar este servicio');
+    }
+    
+    req.service = service;
+    next();
+  } catch (error) {
+    logger.error(`Error al verificar propiedad del servicio: ${error.message}`);
+    return responseFormatter.error(res, {
+      statusCode: 500,
+      message: 'Error al verificar propiedad del servicio'
+    });
+  }
+};
+
 /**
  * Validar wallet de World App
  * Esta función verifica si un wallet está autenticado con World App
@@ -168,7 +268,10 @@ const validateWorldAppWallet = async (walletAddress) => {
 
 module.exports = {
   authenticateUser,
+  optionalAuthentication,
   requireWorldIDVerification,
+  requireRole,
   verifyServiceAccess,
+  requireServiceOwnership,
   validateWorldAppWallet
 };
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Middleware de idempotencia para operaciones de pago
+ * Permite a los clientes reintentar una solicitud con la cabecera Idempotency-Key
+ * sin repetir sus efectos: los reintentos reciben la respuesta original
+ */
+const crypto = require('crypto');
+const responseFormatter = require('../utils/responseFormatter');
+const logger = require('../utils/logger');
+const { canonicalStringify } = require('../utils/canonicalJson');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// Longitud máxima aceptada para la clave
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Calcula la huella del cuerpo de una solicitud
+ *
+ * @param {Object} body - Cuerpo de la solicitud
+ * @returns {string} Hash SHA-256 en hexadecimal
+ */
+const hashRequestBody = (body) => crypto
+  .createHash('sha256')
+  .update(canonicalStringify(body || {}))
+  .digest('hex');
+
+/**
+ * Middleware que aplica la cabecera Idempotency-Key
+ * Debe ir después de authenticateUser: las claves son propias de cada usuario
+ *
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para continuar al siguiente middleware
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  // La cabecera es opcional; sin usuario el controlador rechazará la solicitud
+  if (key === undefined || !req.user || !req.user.id) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return responseFormatter.validationError(res, `Idempotency-Key debe tener entre 1 y ${MAX_KEY_LENGTH} caracteres`);
+  }
+
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequestBody(req.body);
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      key: key.trim(),
+      userId: req.user.id,
+      endpoint,
+      requestHash
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    // La clave ya existe: comparar con la solicitud original
+    const existing = await IdempotencyKey.findOne({ key: key.trim(), userId: req.user.id, endpoint });
+
+    if (!existing) {
+      // Expiró entre la inserción y la lectura; el cliente puede reintentar
+      return responseFormatter.error(res, {
+        statusCode: 409,
+        message: 'La clave de idempotencia acaba de expirar, reintenta la solicitud'
+      });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      logger.warn(`Idempotency-Key reutilizada con otro cuerpo por ${req.user.id} en ${endpoint}`);
+      return responseFormatter.error(res, {
+        statusCode: 409,
+        message: 'La clave de idempotencia ya se usó con una solicitud diferente'
+      });
+    }
+
+    if (existing.status !== 'completed') {
+      return responseFormatter.error(res, {
+        statusCode: 409,
+        message: 'Ya hay una solicitud en curso con esta clave de idempotencia'
+      });
+    }
+
+    logger.info(`Repitiendo respuesta idempotente para ${req.user.id} en ${endpoint}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Guardar la respuesta original cuando el controlador la envíe
+  const originalJson = res.json.bind(res);
+
+  res.json = (body) => {
+    const persist = res.statusCode >= 500
+      // Los errores del servidor no se memorizan para que el reintento vuelva a ejecutarse
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseBody: body,
+          completedAt: new Date()
+        }
+      );
+
+    persist.catch(error => {
+      logger.error(`Error al guardar la clave de idempotencia ${record.key}: ${error.message}`);
+    });
+
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -70,6 +70,18 @@ const searchLimiter = rateLimit({
   }
 });
 
+/**
+ * Middleware para limitar solicitudes de autocompletado
+ * Se consulta en cada pulsación, por eso no pasa por el limitador global ni el de búsqueda
+ */
+const suggestLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: 120, // Límite de 120 sugerencias por minuto por IP
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: limitExceededHandler
+});
+
 /**
  * Middleware para limitar solicitudes a la API de scraping
  */
@@ -154,6 +166,7 @@ module.exports = {
   globalLimiter,
   authLimiter,
   searchLimiter,
+  suggestLimiter,
   scrapingLimiter,
   heavyProcessingLimiter,
   paymentLimiter,
@@ -0,0 +1,38 @@
+/**
+ * Convierte los importes numéricos de las transacciones a unidades base del token
+ */
+const Transaction = require('../models/Transaction');
+const tokenRegistry = require('../config/tokens');
+const logger = require('../utils/logger');
+
+module.exports = {
+  description: 'Importes de transacciones en unidades base',
+
+  async up() {
+    // Se trabaja sobre la colección para leer los valores sin el casting del esquema
+    const cursor = Transaction.collection.find({ amount: { $type: 'number' } });
+    let converted = 0;
+    let skipped = 0;
+
+    for await (const transaction of cursor) {
+      // Los tokens heredados (USDC) corresponden al USDC.e puenteado en World Chain
+      const token = transaction.token === 'USDC' ? 'USDC.e' : transaction.token;
+
+      if (!tokenRegistry.isSupported(token)) {
+        logger.warn(`Transacción ${transaction.reference} con token no soportado (${transaction.token}), se omite`);
+        skipped++;
+        continue;
+      }
+
+      await Transaction.collection.updateOne(
+        { _id: transaction._id },
+        { $set: { amount: tokenRegistry.toBaseUnits(transaction.amount, token), token } }
+      );
+      converted++;
+    }
+
+    logger.info(`Transacciones convertidas: ${converted}, omitidas: ${skipped}`);
+
+    return { converted, skipped };
+  }
+};
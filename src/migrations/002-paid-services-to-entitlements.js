@@ -0,0 +1,65 @@
+/**
+ * Convierte la lista paidServices de los usuarios en derechos de acceso permanentes
+ */
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const Entitlement = require('../models/Entitlement');
+const logger = require('../utils/logger');
+
+module.exports = {
+  description: 'Servicios pagados como derechos de acceso',
+
+  async up() {
+    // El campo ya no existe en el esquema: se lee directamente de la colección
+    const cursor = User.collection.find(
+      { paidServices: { $exists: true } },
+      { projection: { paidServices: 1 } }
+    );
+    let created = 0;
+    let existing = 0;
+
+    for await (const user of cursor) {
+      for (const serviceId of user.paidServices || []) {
+        if (await Entitlement.exists({ userId: user._id, serviceId })) {
+          existing++;
+          continue;
+        }
+
+        // Los accesos concedidos antes de esta migración se conservan sin caducidad
+        const transaction = await Transaction.findOne({
+          userId: user._id,
+          serviceId,
+          purpose: 'contact_access',
+          status: 'completed'
+        }).sort({ completedAt: 1 });
+
+        const unlock = transaction ? null : await CreditLedgerEntry.findOne({
+          userId: user._id,
+          serviceId,
+          journalType: 'unlock',
+          account: 'user_credits'
+        });
+
+        await Entitlement.create({
+          userId: user._id,
+          serviceId,
+          grantedAt: transaction
+            ? transaction.completedAt || transaction.createdAt
+            : unlock ? unlock.createdAt : new Date(),
+          expiresAt: null,
+          source: unlock ? 'credit' : 'payment',
+          transactionId: transaction ? transaction._id : null,
+          reference: transaction ? transaction.reference : null
+        });
+        created++;
+      }
+
+      await User.collection.updateOne({ _id: user._id }, { $unset: { paidServices: '' } });
+    }
+
+    logger.info(`Derechos de acceso creados: ${created}, ya existentes: ${existing}`);
+
+    return { created, existing };
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Asigna coordenadas del nomenclátor local a los servicios que solo tienen dirección de texto
+ */
+const Service = require('../models/Service');
+const gazetteer = require('../utils/gazetteer');
+const logger = require('../utils/logger');
+
+module.exports = {
+  description: 'Coordenadas de servicios desde el nomenclátor',
+
+  async up() {
+    const cursor = Service.collection.find(
+      { geo: { $exists: false } },
+      { projection: { location: 1 } }
+    );
+    let geocoded = 0;
+    let unresolved = 0;
+
+    for await (const service of cursor) {
+      const point = gazetteer.geocode(service.location);
+
+      if (!point) {
+        unresolved++;
+        continue;
+      }
+
+      await Service.collection.updateOne(
+        { _id: service._id },
+        { $set: { geo: point, geoSource: 'gazetteer' } }
+      );
+      geocoded++;
+    }
+
+    logger.info(`Servicios geocodificados: ${geocoded}, sin coincidencia en el nomenclátor: ${unresolved}`);
+
+    return { geocoded, unresolved };
+  }
+};
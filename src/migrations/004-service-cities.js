@@ -0,0 +1,38 @@
+/**
+ * Asigna la ciudad del nomenclátor local a los servicios existentes
+ */
+const Service = require('../models/Service');
+const gazetteer = require('../utils/gazetteer');
+const logger = require('../utils/logger');
+
+module.exports = {
+  description: 'Ciudad de los servicios desde el nomenclátor',
+
+  async up() {
+    const cursor = Service.collection.find(
+      { city: { $exists: false } },
+      { projection: { location: 1 } }
+    );
+    let resolved = 0;
+    let unresolved = 0;
+
+    for await (const service of cursor) {
+      const place = gazetteer.lookup(service.location);
+
+      await Service.collection.updateOne(
+        { _id: service._id },
+        { $set: { city: place ? gazetteer.getCityName(place) : null } }
+      );
+
+      if (place) {
+        resolved++;
+      } else {
+        unresolved++;
+      }
+    }
+
+    logger.info(`Servicios con ciudad: ${resolved}, sin coincidencia en el nomenclátor: ${unresolved}`);
+
+    return { resolved, unresolved };
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Sustituye el índice de texto de servicios por uno con análisis en español e idioma por documento
+ */
+const Service = require('../models/Service');
+const logger = require('../utils/logger');
+
+// Nombre que MongoDB asignó al índice de texto original
+const LEGACY_TEXT_INDEX = 'title_text_description_text_keywords_text';
+
+module.exports = {
+  description: 'Índice de texto de servicios en español',
+
+  async up() {
+    // Solo puede existir un índice de texto por colección: hay que retirar el anterior
+    const indexes = await Service.collection.indexes();
+    const dropped = indexes.some(index => index.name === LEGACY_TEXT_INDEX);
+
+    if (dropped) {
+      await Service.collection.dropIndex(LEGACY_TEXT_INDEX);
+    }
+
+    // Los anuncios existentes se analizan en español salvo que indiquen otro idioma
+    const { modifiedCount } = await Service.collection.updateMany(
+      { language: { $exists: false } },
+      { $set: { language: 'es' } }
+    );
+
+    await Service.createIndexes();
+
+    logger.info(`Índice de texto en español creado (anterior retirado: ${dropped}, servicios actualizados: ${modifiedCount})`);
+
+    return { dropped, updated: modifiedCount };
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Sustituye el índice disperso de hashes de transacción por uno único
+ */
+const Transaction = require('../models/Transaction');
+const logger = require('../utils/logger');
+
+// Nombre del índice que generaba la opción sparse del esquema anterior
+const LEGACY_HASH_INDEX = 'transactionHash_1';
+
+module.exports = {
+  description: 'Índice único de hashes de transacción',
+
+  async up() {
+    // Un hash repetido indica un pago cobrado dos veces: se revisa a mano antes de crear el índice
+    const duplicates = await Transaction.aggregate([
+      { $match: { transactionHash: { $type: 'string' } } },
+      { $group: { _id: '$transactionHash', references: { $push: '$reference' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    if (duplicates.length > 0) {
+      const detail = duplicates.map(duplicate => `${duplicate._id} (${duplicate.references.join(', ')})`).join('; ');
+      throw new Error(`Hay hashes de transacción usados en varios pagos: ${detail}`);
+    }
+
+    const indexes = await Transaction.collection.indexes();
+    const legacy = indexes.find(index => index.name === LEGACY_HASH_INDEX && !index.unique);
+
+    if (legacy) {
+      await Transaction.collection.dropIndex(LEGACY_HASH_INDEX);
+    }
+
+    await Transaction.createIndexes();
+
+    logger.info(`Índice único de hashes de transacción creado (anterior retirado: ${Boolean(legacy)})`);
+
+    return { dropped: Boolean(legacy) };
+  }
+};
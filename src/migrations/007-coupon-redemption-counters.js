@@ -0,0 +1,33 @@
+/**
+ * Crea los contadores de canjes por usuario a partir de las transacciones con cupón canjeado
+ */
+const Transaction = require('../models/Transaction');
+const CouponRedemption = require('../models/CouponRedemption');
+const logger = require('../utils/logger');
+
+module.exports = {
+  description: 'Contadores de canjes de cupones por usuario',
+
+  async up() {
+    await CouponRedemption.createIndexes();
+
+    const redemptions = await Transaction.aggregate([
+      { $match: { 'coupon.couponId': { $ne: null }, 'coupon.redeemedAt': { $ne: null } } },
+      { $group: { _id: { couponId: '$coupon.couponId', userId: '$userId' }, count: { $sum: 1 } } }
+    ]);
+
+    if (redemptions.length > 0) {
+      await CouponRedemption.bulkWrite(redemptions.map(({ _id, count }) => ({
+        updateOne: {
+          filter: { couponId: _id.couponId, userId: _id.userId },
+          update: { $set: { count, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+          upsert: true
+        }
+      })));
+    }
+
+    logger.info(`Contadores de canjes de cupones creados: ${redemptions.length}`);
+
+    return { counters: redemptions.length };
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Normaliza las wallets de los usuarios al formato con checksum EIP-55
+ * Las búsquedas por wallet son por igualdad exacta, así que todas deben guardarse igual
+ */
+const { getAddress } = require('viem');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+module.exports = {
+  description: 'Wallets de usuarios con checksum EIP-55',
+
+  async up() {
+    const users = await User.find({ walletAddress: { $type: 'string' } }).select('walletAddress').lean();
+
+    // Dos cuentas con la misma wallet en distinta capitalización se fusionan a mano antes de normalizar
+    const byAddress = new Map();
+
+    for (const user of users) {
+      const address = getAddress(user.walletAddress);
+      byAddress.set(address, [...(byAddress.get(address) || []), user._id]);
+    }
+
+    const duplicates = [...byAddress].filter(([, ids]) => ids.length > 1);
+
+    if (duplicates.length > 0) {
+      const detail = duplicates.map(([address, ids]) => `${address} (${ids.join(', ')})`).join('; ');
+      throw new Error(`Hay wallets repetidas con distinta capitalización: ${detail}`);
+    }
+
+    const updates = users
+      .filter(user => getAddress(user.walletAddress) !== user.walletAddress)
+      .map(user => ({
+        updateOne: {
+          filter: { _id: user._id },
+          update: { $set: { walletAddress: getAddress(user.walletAddress) } }
+        }
+      }));
+
+    if (updates.length > 0) {
+      await User.bulkWrite(updates);
+    }
+
+    logger.info(`Wallets de usuarios normalizadas: ${updates.length}`);
+
+    return { normalized: updates.length };
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * Ejecutor de migraciones de datos
+ * Aplica en orden los archivos NNN-nombre.js de este directorio que aún no se han ejecutado
+ * Uso: yarn migrate
+ */
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { connectDB, closeConnection, isConnectedToDB, getConnection } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Colección donde se registran las migraciones aplicadas
+const MIGRATIONS_COLLECTION = 'migrations';
+
+/**
+ * Lista las migraciones disponibles ordenadas por nombre
+ * @returns {Array<string>} Nombres de archivo
+ */
+const listMigrations = () => fs.readdirSync(__dirname)
+  .filter(file => /^\d{3}-.+\.js$/.test(file))
+  .sort();
+
+/**
+ * Ejecuta las migraciones pendientes
+ */
+const run = async () => {
+  await connectDB();
+
+  if (!isConnectedToDB()) {
+    throw new Error('No se pudo conectar a MongoDB');
+  }
+
+  const collection = getConnection().collection(MIGRATIONS_COLLECTION);
+  const applied = new Set((await collection.find({}).toArray()).map(doc => doc.name));
+  const pending = listMigrations().filter(file => !applied.has(file));
+
+  if (pending.length === 0) {
+    logger.info('No hay migraciones pendientes');
+    return;
+  }
+
+  for (const file of pending) {
+    const migration = require(path.join(__dirname, file));
+
+    logger.info(`Aplicando migración ${file}: ${migration.description}`);
+    const result = await migration.up();
+
+    await collection.insertOne({ name: file, result: result || null, appliedAt: new Date() });
+    logger.info(`Migración ${file} aplicada`);
+  }
+};
+
+run()
+  .then(async () => {
+    await closeConnection();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    logger.error(`Error al ejecutar migraciones: ${error.message}`);
+    await closeConnection().catch(() => {});
+    process.exit(1);
+  });
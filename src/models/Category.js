@@ -0,0 +1,190 @@
+/**
+ * Modelo de categorías de servicios
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CategorySchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  icon: {
+    type: String
+  },
+
+  // Jerarquía de categorías
+  parentCategory: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  // Identificador en el backend de Python (scraping)
+  externalId: {
+    type: String,
+    trim: true
+  },
+  updateFrequency: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  displayOrder: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Días de acceso a un contacto tras pagarlo (null = usa el valor por defecto)
+  accessDurationDays: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  // Control de tiempo
+  lastUpdated: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para mejorar búsquedas
+CategorySchema.index({ name: 1, parentCategory: 1 }, { unique: true });
+CategorySchema.index({ slug: 1, parentCategory: 1 }, { unique: true });
+CategorySchema.index({ parentCategory: 1 });
+CategorySchema.index({ isActive: 1, displayOrder: 1 });
+
+/**
+ * Genera un slug a partir de un texto (sin acentos, minúsculas, separado por guiones)
+ *
+ * @param {string} text - Texto de origen
+ * @returns {string} Slug generado
+ */
+const slugify = (text) => {
+  return text
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Generar slug a partir del nombre antes de validar
+CategorySchema.pre('validate', function(next) {
+  if (this.isModified('name') || !this.slug) {
+    this.slug = slugify(this.name || '');
+  }
+  next();
+});
+
+// Actualiza la fecha de updatedAt antes de guardar
+CategorySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Mantener el slug sincronizado en actualizaciones directas (findByIdAndUpdate)
+CategorySchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const changes = update.$set || update;
+
+  if (changes.name) {
+    changes.slug = slugify(changes.name);
+  }
+  changes.updatedAt = Date.now();
+
+  next();
+});
+
+// Método para comprobar si la categoría es de nivel raíz
+CategorySchema.methods.isRoot = function() {
+  return !this.parentCategory;
+};
+
+/**
+ * Comprueba si asignar un padre a una categoría generaría un ciclo
+ *
+ * @param {string} categoryId - ID de la categoría a mover
+ * @param {string} parentId - ID del nuevo padre
+ * @returns {Promise<boolean>} True si se produciría un ciclo
+ */
+CategorySchema.statics.wouldCreateCycle = async function(categoryId, parentId) {
+  let currentId = parentId;
+  const visited = new Set();
+
+  while (currentId) {
+    const key = currentId.toString();
+
+    if (key === categoryId.toString() || visited.has(key)) {
+      return true;
+    }
+
+    visited.add(key);
+    const current = await this.findById(currentId).select('parentCategory').lean();
+    currentId = current ? current.parentCategory : null;
+  }
+
+  return false;
+};
+
+/**
+ * Construye el árbol de categorías anidadas
+ *
+ * @param {Object} filter - Filtro adicional (por defecto solo activas)
+ * @returns {Promise<Array>} Categorías raíz con sus hijas en `children`
+ */
+CategorySchema.statics.getTree = async function(filter = { isActive: true }) {
+  const categories = await this.find(filter)
+    .sort({ displayOrder: 1, name: 1 })
+    .select('-__v')
+    .lean();
+
+  const nodes = new Map();
+  categories.forEach(category => {
+    nodes.set(category._id.toString(), { ...category, children: [] });
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parentKey = node.parentCategory ? node.parentCategory.toString() : null;
+
+    // Las categorías cuyo padre no está en el conjunto se tratan como raíz
+    if (parentKey && nodes.has(parentKey)) {
+      nodes.get(parentKey).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+CategorySchema.statics.slugify = slugify;
+
+module.exports = mongoose.model('Category', CategorySchema);
@@ -0,0 +1,142 @@
+/**
+ * Modelo de cupones y códigos promocionales para pagos
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const tokenRegistry = require('../config/tokens');
+
+const CouponSchema = new Schema({
+  // Código que introduce el usuario (se guarda en mayúsculas)
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Descuento: porcentaje sobre el precio o importe fijo por token
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true
+  },
+  percentOff: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  amountOff: [{
+    _id: false,
+    token: {
+      type: String,
+      enum: tokenRegistry.getSupportedSymbols(),
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+
+  // Restricciones de uso (listas vacías = sin restricción)
+  tokens: [{
+    type: String,
+    enum: tokenRegistry.getSupportedSymbols()
+  }],
+  categories: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  services: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Service'
+  }],
+
+  // Límites de uso (null = ilimitado)
+  maxRedemptions: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Ventana de validez
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Control de tiempo
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para mejorar búsquedas
+CouponSchema.index({ isActive: 1, validUntil: 1 });
+
+// Validar que el descuento corresponde a su tipo
+CouponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percent' && (this.percentOff === null || this.percentOff === undefined)) {
+    return next(new Error('Los cupones de porcentaje requieren percentOff'));
+  }
+  if (this.discountType === 'fixed' && (!this.amountOff || this.amountOff.length === 0)) {
+    return next(new Error('Los cupones de importe fijo requieren amountOff'));
+  }
+  next();
+});
+
+// Actualiza la fecha de updatedAt antes de guardar
+CouponSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Método para comprobar si el cupón está dentro de su ventana de validez
+CouponSchema.methods.isWithinValidity = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && date < this.validFrom) return false;
+  if (this.validUntil && date > this.validUntil) return false;
+  return true;
+};
+
+// Método para comprobar si quedan usos globales
+CouponSchema.methods.hasRemainingRedemptions = function() {
+  return this.maxRedemptions === null || this.redemptionCount < this.maxRedemptions;
+};
+
+module.exports = mongoose.model('Coupon', CouponSchema);
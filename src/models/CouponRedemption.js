@@ -0,0 +1,39 @@
+/**
+ * Modelo de canjes de cupones por usuario
+ * Un documento por cupón y usuario con el contador de canjes, que se reserva de forma atómica
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CouponRedemptionSchema = new Schema({
+  couponId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Control de tiempo
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Un único contador por cupón y usuario
+CouponRedemptionSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
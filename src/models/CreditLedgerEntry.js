@@ -0,0 +1,81 @@
+/**
+ * Modelo del libro de créditos prepagados (partida doble)
+ * Cada movimiento genera un asiento con dos apuntes del mismo importe:
+ * uno al debe y otro al haber de cuentas distintas
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CreditLedgerEntrySchema = new Schema({
+  // Asiento al que pertenece el apunte (los apuntes de un asiento suman cero)
+  journalId: {
+    type: String,
+    required: true
+  },
+  journalType: {
+    type: String,
+    enum: ['purchase', 'unlock', 'refund', 'adjustment'],
+    required: true
+  },
+
+  // Cuenta afectada: saldo del usuario, créditos emitidos o créditos consumidos
+  account: {
+    type: String,
+    enum: ['user_credits', 'credits_issued', 'credits_consumed'],
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Usuario dueño de los créditos y referencias del movimiento
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transactionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null
+  },
+
+  // Saldo del usuario tras el movimiento (solo en los apuntes de user_credits)
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para mejorar búsquedas
+CreditLedgerEntrySchema.index({ journalId: 1 });
+CreditLedgerEntrySchema.index({ userId: 1, account: 1, createdAt: -1 });
+
+// Una compra de créditos solo puede abonarse una vez por transacción
+CreditLedgerEntrySchema.index(
+  { transactionId: 1, account: 1 },
+  { unique: true, partialFilterExpression: { journalType: 'purchase' } }
+);
+
+module.exports = mongoose.model('CreditLedgerEntry', CreditLedgerEntrySchema);
@@ -0,0 +1,87 @@
+/**
+ * Modelo de disputas sobre pagos de acceso a contactos
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DisputeSchema = new Schema({
+  // Transacción disputada, usuario que la abre y servicio afectado
+  transactionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+
+  // Motivo indicado por el usuario
+  reason: {
+    type: String,
+    enum: ['invalid_contact', 'no_response', 'wrong_information', 'other'],
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Estado de la disputa
+  status: {
+    type: String,
+    enum: ['open', 'approved', 'rejected'],
+    default: 'open'
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true
+  },
+
+  // Hash de la transacción con la que se devolvió el pago
+  refundTransactionHash: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Control de tiempo
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Una única disputa por transacción
+DisputeSchema.index({ transactionId: 1 }, { unique: true });
+DisputeSchema.index({ status: 1, createdAt: 1 });
+DisputeSchema.index({ serviceId: 1, status: 1 });
+DisputeSchema.index({ userId: 1, createdAt: -1 });
+
+// Actualiza la fecha de updatedAt antes de guardar
+DisputeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Dispute', DisputeSchema);
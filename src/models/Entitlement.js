@@ -0,0 +1,108 @@
+/**
+ * Modelo de derechos de acceso a los contactos de un servicio
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const EntitlementSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+
+  // Vigencia del acceso (expiresAt null = acceso permanente)
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Origen del acceso y transacción que lo generó
+  source: {
+    type: String,
+    enum: ['payment', 'subscription', 'gift', 'coupon', 'credit'],
+    required: true
+  },
+  transactionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  reference: {
+    type: String,
+    default: null
+  },
+
+  // Regalos: quién pagó el acceso y cuándo lo vio el destinatario
+  giftedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Revocación (por ejemplo, tras un reembolso)
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokeReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para mejorar búsquedas
+EntitlementSchema.index({ userId: 1, serviceId: 1, expiresAt: -1 });
+EntitlementSchema.index({ transactionId: 1 });
+EntitlementSchema.index({ serviceId: 1 });
+EntitlementSchema.index({ userId: 1, source: 1, acknowledgedAt: 1 });
+
+/**
+ * Filtro de derechos vigentes en una fecha
+ *
+ * @param {Date} date - Fecha de referencia
+ * @returns {Object} Condiciones de vigencia
+ */
+EntitlementSchema.statics.activeFilter = function(date = new Date()) {
+  return {
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: date } }]
+  };
+};
+
+// Método estático para comprobar si un usuario tiene acceso vigente a un servicio
+EntitlementSchema.statics.hasActive = async function(userId, serviceId) {
+  const entitlement = await this.exists({
+    userId,
+    serviceId,
+    ...this.activeFilter()
+  });
+
+  return Boolean(entitlement);
+};
+
+// Método para comprobar si el derecho sigue vigente
+EntitlementSchema.methods.isActive = function(date = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > date);
+};
+
+module.exports = mongoose.model('Entitlement', EntitlementSchema);
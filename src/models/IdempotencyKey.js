@@ -0,0 +1,61 @@
+/**
+ * Modelo de claves de idempotencia para operaciones de pago
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const worldAppConfig = require('../config/worldApp').config;
+
+const IdempotencyKeySchema = new Schema({
+  // Clave enviada por el cliente en la cabecera Idempotency-Key
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Operación a la que pertenece la clave (método y ruta)
+  endpoint: {
+    type: String,
+    required: true
+  },
+  // Huella del cuerpo de la solicitud original
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  // Respuesta original para repetirla en reintentos
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+
+  // Control de tiempo (el índice TTL elimina las claves antiguas)
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: worldAppConfig.idempotencyKeyTTLHours * 60 * 60
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Una clave es única por usuario y operación
+IdempotencyKeySchema.index({ key: 1, userId: 1, endpoint: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
@@ -0,0 +1,86 @@
+/**
+ * Modelo de pagos a proveedores (liquidación de su saldo de ganancias)
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const tokenRegistry = require('../config/tokens');
+
+const PayoutSchema = new Schema({
+  providerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  walletAddress: {
+    type: String,
+    required: true
+  },
+
+  // Importe neto a pagar en unidades base del token
+  token: {
+    type: String,
+    enum: tokenRegistry.getSupportedSymbols(),
+    required: true
+  },
+  amount: {
+    type: String,
+    required: true,
+    match: /^\d+$/
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Lote en el que se generó el pago
+  batchId: {
+    type: String,
+    required: true
+  },
+
+  // Estado: pendiente de transferir o liquidado en cadena
+  status: {
+    type: String,
+    enum: ['pending', 'settled'],
+    default: 'pending'
+  },
+  transactionHash: {
+    type: String,
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  },
+  settledBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para mejorar búsquedas
+PayoutSchema.index({ providerId: 1, createdAt: -1 });
+PayoutSchema.index({ status: 1, token: 1 });
+PayoutSchema.index({ batchId: 1 });
+PayoutSchema.index({ transactionHash: 1 }, { unique: true, partialFilterExpression: { transactionHash: { $type: 'string' } } });
+
+// Importe legible en unidades del token (ej. "1.5")
+PayoutSchema.virtual('displayAmount').get(function() {
+  return tokenRegistry.fromBaseUnits(this.amount, this.token);
+});
+
+module.exports = mongoose.model('Payout', PayoutSchema);
@@ -0,0 +1,75 @@
+/**
+ * Modelo del libro de ganancias de proveedores
+ * Cada desbloqueo pagado de un servicio con dueño genera un devengo a favor del proveedor;
+ * un reembolso genera la reversión correspondiente. Los apuntes se liquidan agrupados en pagos
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const tokenRegistry = require('../config/tokens');
+
+const PayoutLedgerEntrySchema = new Schema({
+  providerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  transactionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+
+  // Devengo (suma al saldo del proveedor) o reversión por reembolso (resta)
+  type: {
+    type: String,
+    enum: ['accrual', 'reversal'],
+    required: true
+  },
+
+  // Importes en unidades base del token: pago bruto y parte del proveedor
+  token: {
+    type: String,
+    enum: tokenRegistry.getSupportedSymbols(),
+    required: true
+  },
+  grossAmount: {
+    type: String,
+    required: true,
+    match: /^\d+$/
+  },
+  sharePercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  amount: {
+    type: String,
+    required: true,
+    match: /^\d+$/
+  },
+
+  // Pago en el que se liquidó el apunte (null = pendiente de liquidar)
+  payoutId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Un devengo y, como mucho, una reversión por transacción
+PayoutLedgerEntrySchema.index({ transactionId: 1, type: 1 }, { unique: true });
+PayoutLedgerEntrySchema.index({ providerId: 1, token: 1, payoutId: 1 });
+PayoutLedgerEntrySchema.index({ payoutId: 1 });
+
+module.exports = mongoose.model('PayoutLedgerEntry', PayoutLedgerEntrySchema);
@@ -0,0 +1,89 @@
+/**
+ * Modelo de reglas de precio para el acceso a contactos
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const PricingRuleSchema = new Schema({
+  // Alcance de la regla: precio global, por categoría o por servicio
+  scope: {
+    type: String,
+    enum: ['default', 'category', 'service'],
+    required: true
+  },
+  category: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  service: {
+    type: Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null
+  },
+
+  // Importe por token (los símbolos como USDC.e no son válidos como claves de Map)
+  prices: [{
+    _id: false,
+    token: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      // Un precio cero exigiría un pago en cadena sin importe: el acceso gratuito va por cupones
+      validate: {
+        validator: amount => amount > 0,
+        message: 'El precio debe ser mayor que cero'
+      }
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+
+  // Control de tiempo
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Una única regla por alcance y destino
+PricingRuleSchema.index({ scope: 1, category: 1, service: 1 }, { unique: true });
+
+// Validar que el destino corresponde al alcance
+PricingRuleSchema.pre('validate', function(next) {
+  if (this.scope === 'category' && !this.category) {
+    return next(new Error('Las reglas de categoría requieren una categoría'));
+  }
+  if (this.scope === 'service' && !this.service) {
+    return next(new Error('Las reglas de servicio requieren un servicio'));
+  }
+  next();
+});
+
+// Actualiza la fecha de updatedAt antes de guardar
+PricingRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Método para obtener el importe de un token (undefined si la regla no lo define)
+PricingRuleSchema.methods.getPrice = function(token) {
+  const price = this.prices.find(p => p.token === token);
+  return price ? price.amount : undefined;
+};
+
+module.exports = mongoose.model('PricingRule', PricingRuleSchema);
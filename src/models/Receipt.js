@@ -0,0 +1,46 @@
+/**
+ * Modelo de recibos firmados de transacciones completadas
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ReceiptSchema = new Schema({
+  transactionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    unique: true
+  },
+  reference: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Documento emitido (se conserva tal cual para que la firma siga siendo válida)
+  document: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+
+  // Firma HMAC-SHA256 del documento en JSON canónico
+  signature: {
+    type: String,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+// Índices para mejorar búsquedas
+ReceiptSchema.index({ reference: 1 });
+ReceiptSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Receipt', ReceiptSchema);
@@ -0,0 +1,145 @@
+/**
+ * Modelo de reseñas de servicios verificadas con World ID
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Peso de cada reseña según el nivel de verificación World ID del autor
+const VERIFICATION_WEIGHTS = {
+  orb: 1,
+  device: 0.75,
+  phone: 0.5
+};
+
+const ReviewSchema = new Schema({
+  // Información de servicio y autor
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Identidad humana única (una reseña por humano y servicio)
+  nullifierHash: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  verificationLevel: {
+    type: String,
+    enum: ['orb', 'device', 'phone'],
+    required: true
+  },
+  weight: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
+
+  // Contenido de la reseña
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Moderación
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  moderationNote: {
+    type: String,
+    trim: true
+  },
+  moderatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Control de tiempo
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para mejorar búsquedas
+ReviewSchema.index({ serviceId: 1, nullifierHash: 1 }, { unique: true });
+ReviewSchema.index({ serviceId: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: 1 });
+ReviewSchema.index({ userId: 1 });
+
+// Actualiza la fecha de updatedAt y el peso antes de guardar
+ReviewSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+
+  if (this.isModified('verificationLevel')) {
+    this.weight = VERIFICATION_WEIGHTS[this.verificationLevel] || VERIFICATION_WEIGHTS.phone;
+  }
+
+  next();
+});
+
+/**
+ * Recalcula la valoración agregada de un servicio a partir de sus reseñas aprobadas
+ *
+ * @param {string} serviceId - ID del servicio
+ * @returns {Promise<Object>} Valoración ponderada y número de reseñas
+ */
+ReviewSchema.statics.recalculateServiceRating = async function(serviceId) {
+  const [aggregate] = await this.aggregate([
+    {
+      $match: {
+        serviceId: new mongoose.Types.ObjectId(serviceId.toString()),
+        status: 'approved'
+      }
+    },
+    {
+      $group: {
+        _id: '$serviceId',
+        weightedSum: { $sum: { $multiply: ['$rating', '$weight'] } },
+        totalWeight: { $sum: '$weight' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const rating = aggregate && aggregate.totalWeight > 0
+    ? Math.round((aggregate.weightedSum / aggregate.totalWeight) * 10) / 10
+    : 0;
+  const reviewCount = aggregate ? aggregate.count : 0;
+
+  await mongoose.model('Service').updateOne(
+    { _id: serviceId },
+    { rating, reviewCount, updatedAt: new Date() }
+  );
+
+  return { rating, reviewCount };
+};
+
+ReviewSchema.statics.VERIFICATION_WEIGHTS = VERIFICATION_WEIGHTS;
+
+module.exports = mongoose.model('Review', ReviewSchema);
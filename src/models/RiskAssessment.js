@@ -0,0 +1,94 @@
+/**
+ * Modelo de evaluaciones de riesgo del flujo de pagos
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RiskAssessmentSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Paso evaluado del flujo de pago (o desbloqueo con créditos) y transacción afectada
+  action: {
+    type: String,
+    enum: ['initiate', 'confirm', 'unlock'],
+    required: true
+  },
+  transactionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  reference: {
+    type: String,
+    default: null
+  },
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null
+  },
+
+  // Señales detectadas, puntuación total y decisión tomada
+  signals: [{
+    _id: false,
+    code: {
+      type: String,
+      enum: ['unconfirmed_initiations', 'transaction_id_reuse', 'payer_mismatch', 'rapid_unlocks', 'unverified_account'],
+      required: true
+    },
+    weight: Number,
+    detail: String
+  }],
+  score: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  decision: {
+    type: String,
+    enum: ['allow', 'review', 'block'],
+    required: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+
+  // Revisión manual de las transacciones retenidas
+  reviewStatus: {
+    type: String,
+    enum: ['none', 'open', 'released', 'rejected'],
+    default: 'none'
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para mejorar búsquedas
+RiskAssessmentSchema.index({ decision: 1, createdAt: -1 });
+RiskAssessmentSchema.index({ reviewStatus: 1, createdAt: 1 });
+RiskAssessmentSchema.index({ userId: 1, createdAt: -1 });
+RiskAssessmentSchema.index({ transactionId: 1 });
+
+module.exports = mongoose.model('RiskAssessment', RiskAssessmentSchema);
@@ -0,0 +1,38 @@
+/**
+ * Modelo de términos de búsqueda realizados (para sugerencias de tendencias)
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SearchTermSchema = new Schema({
+  // Consulta normalizada (sin tildes, en minúsculas), clave de agregación
+  normalized: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Última forma escrita por un usuario, la que se muestra como sugerencia
+  query: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Huellas de quienes la buscaron (usuario o IP), solo hasta el mínimo exigido para sugerirla
+  searchers: {
+    type: [String],
+    default: []
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para mejorar búsquedas
+SearchTermSchema.index({ lastSearchedAt: -1, count: -1 });
+
+module.exports = mongoose.model('SearchTerm', SearchTermSchema);
@@ -2,6 +2,7 @@
  * Modelo de servicios profesionales
  */
 const mongoose = require('mongoose');
+const gazetteer = require('../utils/gazetteer');
 const Schema = mongoose.Schema;
 
 const ServiceSchema = new Schema({
@@ -28,12 +29,39 @@ const ServiceSchema = new Schema({
     type: String,
     required: true
   },
+  
+  // Coordenadas GeoJSON [lng, lat]: indicadas explícitamente o tomadas del nomenclátor local
+  geo: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  geoSource: {
+    type: String,
+    enum: ['provided', 'gazetteer', null],
+    default: null
+  },
+  // Ciudad reconocida en la dirección de texto (para filtros y facetas)
+  city: {
+    type: String,
+    default: null
+  },
   rating: {
     type: Number,
     min: 0,
     max: 5,
     default: 0
   },
+  reviewCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   relevance: {
     type: Number,
     min: 0,
@@ -44,6 +72,12 @@ const ServiceSchema = new Schema({
     type: String,
     trim: true
   }],
+  // Idioma del anuncio para el análisis del índice de texto (raíces en español o inglés)
+  language: {
+    type: String,
+    enum: ['es', 'en'],
+    default: 'es'
+  },
   contactInfo: {
     type: String,
     required: true
@@ -62,6 +96,37 @@ const ServiceSchema = new Schema({
     type: Boolean,
     default: true // Por defecto requiere pago para ver contacto
   },
+  
+  // Proveedor que ha reclamado el servicio (null si no tiene dueño)
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Marca de moderación por disputas aprobadas repetidas
+  flaggedForModeration: {
+    type: Boolean,
+    default: false
+  },
+  flaggedAt: {
+    type: Date,
+    default: null
+  },
+  flagReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  flagClearedAt: {
+    type: Date,
+    default: null
+  },
+  
   viewCount: {
     type: Number,
     default: 0
@@ -82,10 +147,22 @@ const ServiceSchema = new Schema({
 
 // Índices para mejorar búsquedas
 ServiceSchema.index({ category: 1 });
+ServiceSchema.index({ owner: 1 });
+ServiceSchema.index({ flaggedForModeration: 1, flaggedAt: -1 });
 ServiceSchema.index({ location: 1 });
+ServiceSchema.index({ geo: '2dsphere' });
+ServiceSchema.index({ city: 1 });
 ServiceSchema.index({ rating: -1 });
 ServiceSchema.index({ relevance: -1 });
-ServiceSchema.index({ title: 'text', description: 'text', keywords: 'text' });
+ServiceSchema.index(
+  { title: 'text', description: 'text', keywords: 'text' },
+  {
+    name: 'service_text_search',
+    default_language: 'spanish',
+    language_override: 'language',
+    weights: { title: 10, keywords: 5, description: 1 }
+  }
+);
 
 // Actualiza la fecha de updatedAt antes de guardar
 ServiceSchema.pre('save', function(next) {
@@ -93,6 +170,50 @@ ServiceSchema.pre('save', function(next) {
   next();
 });
 
+// Geocodifica la dirección de texto; las coordenadas explícitas no se sobrescriben
+ServiceSchema.pre('save', function(next) {
+  if (!(this.isNew || this.isModified('location'))) {
+    return next();
+  }
+  
+  const place = gazetteer.lookup(this.location);
+  this.city = place ? gazetteer.getCityName(place) : null;
+  
+  if (this.geoSource !== 'provided') {
+    this.geo = place ? gazetteer.toPoint(place.lat, place.lng) : undefined;
+    this.geoSource = place ? 'gazetteer' : null;
+  }
+  
+  next();
+});
+
+// Mismo criterio para las actualizaciones con findByIdAndUpdate
+ServiceSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  
+  if (!update || update.location === undefined) {
+    return;
+  }
+  
+  const place = gazetteer.lookup(update.location);
+  const city = place ? gazetteer.getCityName(place) : null;
+  
+  if (update.geo !== undefined) {
+    this.setUpdate({ ...update, city });
+    return;
+  }
+  
+  const current = await this.model.findOne(this.getFilter()).select('geoSource').lean();
+  
+  if (current && current.geoSource === 'provided') {
+    this.setUpdate({ ...update, city });
+  } else if (place) {
+    this.setUpdate({ ...update, city, geo: gazetteer.toPoint(place.lat, place.lng), geoSource: 'gazetteer' });
+  } else {
+    this.setUpdate({ ...update, city, geoSource: null, $unset: { ...(update.$unset || {}), geo: 1 } });
+  }
+});
+
 // Método para verificar si es hora de actualizar la información
 ServiceSchema.methods.needsUpdate = function() {
   const now = new Date();
@@ -0,0 +1,110 @@
+/**
+ * Modelo de solicitudes de reclamación de servicios por proveedores
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ServiceClaimSchema = new Schema({
+  // Servicio reclamado y solicitante
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Prueba de control de la wallet (SIWE)
+  walletAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  siweMessage: {
+    type: String,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+
+  // Prueba de control del canal de contacto publicado
+  contactChannel: {
+    type: String,
+    enum: ['phone', 'email'],
+    required: true
+  },
+  contactValue: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  verificationCodeHash: {
+    type: String,
+    select: false
+  },
+  codeExpiresAt: {
+    type: Date,
+    default: null
+  },
+  verificationAttempts: {
+    type: Number,
+    default: 0
+  },
+  contactVerifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Estado de la solicitud
+  status: {
+    type: String,
+    enum: ['pending_contact', 'pending_review', 'approved', 'rejected'],
+    default: 'pending_contact'
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true
+  },
+
+  // Control de tiempo
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para mejorar búsquedas
+ServiceClaimSchema.index({ serviceId: 1, status: 1 });
+ServiceClaimSchema.index({ userId: 1, createdAt: -1 });
+ServiceClaimSchema.index({ status: 1, createdAt: 1 });
+
+// Actualiza la fecha de updatedAt antes de guardar
+ServiceClaimSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Método para comprobar si la solicitud sigue abierta
+ServiceClaimSchema.methods.isOpen = function() {
+  return this.status === 'pending_contact' || this.status === 'pending_review';
+};
+
+module.exports = mongoose.model('ServiceClaim', ServiceClaimSchema);
@@ -0,0 +1,42 @@
+/**
+ * Modelo de nonces SIWE de un solo uso emitidos por el servidor
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SiweNonceSchema = new Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Acción a la que queda ligada la firma (ej. reclamación de un servicio concreto)
+  purpose: {
+    type: String,
+    enum: ['service_claim'],
+    required: true
+  },
+  serviceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// MongoDB elimina los nonces caducados sin usar
+SiweNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SiweNonce', SiweNonceSchema);
@@ -0,0 +1,70 @@
+/**
+ * Modelo de periodos de suscripción de acceso ilimitado
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const worldAppConfig = require('../config/worldApp').config;
+
+const SubscriptionSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: String,
+    enum: Object.keys(worldAppConfig.subscriptionPlans),
+    required: true
+  },
+
+  // Pago que originó el periodo (uno por transacción)
+  transactionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+
+  // Vigencia del periodo; las renovaciones anticipadas empiezan al terminar el anterior
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'expired', 'refunded'],
+    default: 'active'
+  },
+
+  // Recordatorio de renovación enviado al usuario
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+
+  // Control de tiempo
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices para mejorar búsquedas
+SubscriptionSchema.index({ transactionId: 1 }, { unique: true });
+SubscriptionSchema.index({ userId: 1, expiresAt: -1 });
+SubscriptionSchema.index({ status: 1, expiresAt: 1 });
+
+// Actualiza la fecha de updatedAt antes de guardar
+SubscriptionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Subscription', SubscriptionSchema);
@@ -0,0 +1,40 @@
+/**
+ * Modelo de grupos de sinónimos para la búsqueda
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SynonymSchema = new Schema({
+  // Términos equivalentes normalizados (sin tildes, en minúsculas), ej. ["gasfitero", "plomero"]
+  terms: [{
+    type: String,
+    trim: true
+  }],
+  note: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Un término solo puede pertenecer a un grupo
+SynonymSchema.index({ terms: 1 }, { unique: true });
+
+// Actualiza la fecha de updatedAt antes de guardar
+SynonymSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Synonym', SynonymSchema);
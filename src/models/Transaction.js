@@ -3,6 +3,18 @@
  */
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const worldAppConfig = require('../config/worldApp').config;
+const tokenRegistry = require('../config/tokens');
+
+// Cambios de estado permitidos: los estados finales (fallida, expirada, reembolsada) no se reabren
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed', 'expired'],
+  processing: ['completed', 'failed'],
+  completed: ['refunded'],
+  failed: [],
+  expired: [],
+  refunded: []
+};
 
 const TransactionSchema = new Schema({
   // Identificadores de la transacción
@@ -19,8 +31,7 @@ const TransactionSchema = new Schema({
   },
   transactionHash: {
     type: String,
-    trim: true,
-    sparse: true
+    trim: true
   },
   
   // Información de usuario y servicio
@@ -32,26 +43,126 @@ const TransactionSchema = new Schema({
   serviceId: {
     type: Schema.Types.ObjectId,
     ref: 'Service',
-    required: true
+    required: function() {
+      return this.purpose === 'contact_access';
+    }
+  },
+  
+  // Destinatario del desbloqueo cuando se regala a otro usuario (null = el propio pagador)
+  // Su wallet (checksum EIP-55) se fija al iniciar el regalo; la cuenta se asocia al completarse
+  recipientWallet: {
+    type: String,
+    default: null
+  },
+  recipientUsername: {
+    type: String,
+    default: null
+  },
+  recipientId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   },
   
-  // Información de pago
+  // Retenida por la evaluación de riesgo: el pago se registra pero el acceso espera a revisión
+  heldForReview: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Producto pagado: desbloqueo de un contacto, suscripción o paquete de créditos
+  purpose: {
+    type: String,
+    enum: ['contact_access', 'subscription', 'credit_pack'],
+    default: 'contact_access'
+  },
+  plan: {
+    type: String,
+    enum: [...Object.keys(worldAppConfig.subscriptionPlans), null],
+    default: null
+  },
+  pack: {
+    type: String,
+    enum: [...Object.keys(worldAppConfig.creditPacks), null],
+    default: null
+  },
+  
+  // Información de pago (importe en unidades base del token, ej. wei para WLD)
   amount: {
-    type: Number,
+    type: String,
     required: true,
-    min: 0
+    match: /^\d+$/
   },
   token: {
     type: String,
-    enum: ['WLD', 'USDC', 'ETH'],
+    enum: tokenRegistry.getSupportedSymbols(),
     default: 'WLD'
   },
+  
+  // Cupón aplicado (importes en unidades base del token)
+  coupon: {
+    couponId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Coupon',
+      default: null
+    },
+    code: {
+      type: String,
+      default: null
+    },
+    originalAmount: {
+      type: String,
+      default: null
+    },
+    discount: {
+      type: String,
+      default: null
+    },
+    // Uso por usuario reservado al iniciar el pago; se libera si la transacción expira o falla
+    reservedAt: {
+      type: Date,
+      default: null
+    },
+    redeemedAt: {
+      type: Date,
+      default: null
+    }
+  },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'expired'],
     default: 'pending'
   },
   
+  // Historial auditable de cambios de estado
+  statusHistory: [{
+    from: String,
+    to: String,
+    source: {
+      type: String,
+      enum: ['client', 'reconciler', 'sweeper', 'admin', 'system']
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Control de reconciliación automática con el Developer Portal
+  reconcileAttempts: {
+    type: Number,
+    default: 0
+  },
+  nextReconcileAt: {
+    type: Date,
+    default: null
+  },
+  lastReconciledAt: {
+    type: Date,
+    default: null
+  },
+  
   // Metadatos
   network: {
     type: String,
@@ -73,16 +184,46 @@ const TransactionSchema = new Schema({
   completedAt: {
     type: Date,
     default: null
+  },
+  accessGrantedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Reembolso tras una disputa aprobada
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  refundTransactionHash: {
+    type: String,
+    trim: true,
+    default: null
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Importe legible en unidades del token (ej. "1.5")
+TransactionSchema.virtual('displayAmount').get(function() {
+  if (!this.amount || !tokenRegistry.isSupported(this.token)) {
+    return null;
+  }
+  return tokenRegistry.fromBaseUnits(this.amount, this.token);
 });
 
 // Índices para mejorar búsquedas
 TransactionSchema.index({ reference: 1 });
 TransactionSchema.index({ transactionId: 1 });
+TransactionSchema.index({ transactionHash: 1 }, { unique: true, partialFilterExpression: { transactionHash: { $type: 'string' } } });
 TransactionSchema.index({ userId: 1 });
 TransactionSchema.index({ serviceId: 1 });
+TransactionSchema.index({ recipientId: 1 });
 TransactionSchema.index({ status: 1 });
 TransactionSchema.index({ createdAt: -1 });
+TransactionSchema.index({ status: 1, nextReconcileAt: 1 });
+TransactionSchema.index({ 'coupon.couponId': 1, userId: 1 });
 
 // Actualiza la fecha de updatedAt antes de guardar
 TransactionSchema.pre('save', function(next) {
@@ -96,13 +237,71 @@ TransactionSchema.pre('save', function(next) {
   next();
 });
 
-// Método para comprobar si la transacción ha expirado (más de 1 hora)
+/**
+ * Indica si el desbloqueo se regala a otro usuario
+ * 
+ * @returns {boolean} True si la transacción es un regalo
+ */
+TransactionSchema.methods.isGift = function() {
+  return Boolean(this.recipientWallet || this.recipientId);
+};
+
+/**
+ * Comprueba si la transacción puede pasar al estado indicado
+ * 
+ * @param {string} status - Nuevo estado
+ * @returns {boolean} True si el cambio está permitido
+ */
+TransactionSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Cambia el estado de la transacción dejando constancia en el historial
+ * 
+ * @param {string} status - Nuevo estado
+ * @param {string} source - Origen del cambio (client, reconciler, sweeper, admin, system)
+ * @param {string} reason - Motivo del cambio
+ * @returns {boolean} True si el estado cambió
+ * @throws {Error} Si el cambio de estado no está permitido
+ */
+TransactionSchema.methods.setStatus = function(status, source, reason = null) {
+  if (this.status === status) {
+    return false;
+  }
+  
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cambio de estado no permitido en la transacción ${this.reference}: ${this.status} -> ${status}`);
+  }
+  
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    source,
+    reason,
+    at: new Date()
+  });
+  this.status = status;
+  
+  return true;
+};
+
+// Método para comprobar si la transacción pendiente ha superado la ventana configurada
 TransactionSchema.methods.isExpired = function() {
+  if (this.status === 'expired') {
+    return true;
+  }
+  
   const now = new Date();
   const created = new Date(this.createdAt);
-  const hoursSinceCreation = (now - created) / (1000 * 60 * 60);
+  const minutesSinceCreation = (now - created) / (1000 * 60);
   
-  return hoursSinceCreation > 1 && this.status === 'pending';
+  return minutesSinceCreation > worldAppConfig.pendingTransactionTTLMinutes && this.status === 'pending';
+};
+
+// Fecha límite de creación a partir de la cual una transacción pendiente se considera expirada
+TransactionSchema.statics.getExpirationCutoff = function() {
+  return new Date(Date.now() - worldAppConfig.pendingTransactionTTLMinutes * 60 * 1000);
 };
 
 module.exports = mongoose.model('Transaction', TransactionSchema);
\ No newline at end of file
@@ -3,6 +3,7 @@
  */
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const Entitlement = require('./Entitlement');
 
 const UserSchema = new Schema({
   // Información de World App
@@ -20,6 +21,12 @@ const UserSchema = new Schema({
     type: String
   },
   
+  // Cuenta creada al recibir un regalo, antes de que su titular inicie sesión
+  isPlaceholder: {
+    type: Boolean,
+    default: false
+  },
+  
   // Información de World ID
   nullifierHash: {
     type: String,
@@ -37,11 +44,31 @@ const UserSchema = new Schema({
     default: false
   },
   
-  // Servicios pagados
-  paidServices: [{
-    type: Schema.Types.ObjectId,
-    ref: 'Service'
-  }],
+  // Roles de acceso (user, provider, moderator, admin)
+  roles: {
+    type: [{
+      type: String,
+      enum: ['user', 'provider', 'moderator', 'admin']
+    }],
+    default: ['user']
+  },
+  
+  // Suscripción activa (periodo acumulado de todos los pases pagados)
+  subscriptionPlan: {
+    type: String,
+    default: null
+  },
+  subscriptionExpiresAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Saldo de créditos prepagados (reflejo del libro de créditos)
+  creditBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
   // Historial de búsquedas recientes
   recentSearches: [{
@@ -77,6 +104,7 @@ const UserSchema = new Schema({
 UserSchema.index({ walletAddress: 1 });
 UserSchema.index({ nullifierHash: 1 });
 UserSchema.index({ verified: 1 });
+UserSchema.index({ roles: 1 });
 
 // Actualiza la fecha de updatedAt antes de guardar
 UserSchema.pre('save', function(next) {
@@ -84,9 +112,25 @@ UserSchema.pre('save', function(next) {
   next();
 });
 
-// Método para comprobar si el usuario tiene acceso a un servicio
-UserSchema.methods.hasAccessToService = function(serviceId) {
-  return this.paidServices.some(id => id.toString() === serviceId.toString());
+// Método para comprobar si el usuario tiene una suscripción vigente
+UserSchema.methods.hasActiveSubscription = function() {
+  return Boolean(this.subscriptionExpiresAt) && this.subscriptionExpiresAt > new Date();
+};
+
+// Método para comprobar si el usuario tiene acceso vigente a un servicio
+UserSchema.methods.hasAccessToService = async function(serviceId) {
+  if (this.hasActiveSubscription()) {
+    return true;
+  }
+
+  return Entitlement.hasActive(this._id, serviceId);
+};
+
+// Método para comprobar si el usuario tiene alguno de los roles indicados
+// Los administradores tienen implícitamente todos los roles
+UserSchema.methods.hasRole = function(...roles) {
+  const userRoles = this.roles || [];
+  return userRoles.includes('admin') || roles.some(role => userRoles.includes(role));
 };
 
 // Método para registrar una búsqueda
@@ -0,0 +1,70 @@
+/**
+ * Rutas de administración
+ */
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { globalLimiter } = require('../middleware/rateLimiter');
+const adminController = require('../controllers/adminController');
+const pricingController = require('../controllers/pricingController');
+const disputeController = require('../controllers/disputeController');
+const couponController = require('../controllers/couponController');
+const analyticsController = require('../controllers/analyticsController');
+const payoutController = require('../controllers/payoutController');
+const riskController = require('../controllers/riskController');
+const synonymController = require('../controllers/synonymController');
+
+// Aplicar limitador y exigir rol de administrador en todas las rutas
+router.use(globalLimiter);
+router.use(authenticateUser, requireRole('admin'));
+
+// Gestión de roles
+router.get('/users', adminController.listUsers);
+router.post('/users/:id/roles', adminController.grantRole);
+router.delete('/users/:id/roles/:role', adminController.revokeRole);
+
+// Reglas de precio
+router.get('/pricing-rules', pricingController.listPricingRules);
+router.put('/pricing-rules', pricingController.upsertPricingRule);
+router.delete('/pricing-rules/:id', pricingController.deletePricingRule);
+
+// Cupones promocionales
+router.get('/coupons', couponController.listCoupons);
+router.get('/coupons/:id', couponController.getCouponById);
+router.post('/coupons', couponController.createCoupon);
+router.put('/coupons/:id', couponController.updateCoupon);
+router.delete('/coupons/:id', couponController.deleteCoupon);
+
+// Sinónimos de búsqueda
+router.get('/search/synonyms', synonymController.listSynonyms);
+router.post('/search/synonyms', synonymController.createSynonym);
+router.put('/search/synonyms/:id', synonymController.updateSynonym);
+router.delete('/search/synonyms/:id', synonymController.deleteSynonym);
+
+// Disputas y reembolsos
+router.get('/disputes', disputeController.listDisputes);
+router.put('/disputes/:id/resolve', disputeController.resolveDispute);
+
+// Evaluaciones de riesgo de pagos
+router.get('/risk/assessments', riskController.listAssessments);
+router.put('/risk/assessments/:id/resolve', riskController.resolveAssessment);
+
+// Pagos a proveedores
+router.get('/payouts', payoutController.listPayouts);
+router.post('/payouts/batches', payoutController.createPayoutBatch);
+router.put('/payouts/:id/settle', payoutController.settlePayout);
+
+// Exportación contable
+router.get('/transactions/export', adminController.exportTransactions);
+
+// Estadísticas
+router.get('/stats/transactions', adminController.getTransactionStats);
+
+// Panel de ingresos y conversión
+router.get('/analytics/revenue', analyticsController.getRevenue);
+router.get('/analytics/conversion', analyticsController.getConversion);
+router.get('/analytics/payments', analyticsController.getPaymentHealth);
+router.get('/analytics/top-services', analyticsController.getTopServices);
+router.get('/analytics/payers', analyticsController.getPayers);
+
+module.exports = router;
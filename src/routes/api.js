@@ -3,36 +3,65 @@
  */
 const express = require('express');
 const router = express.Router();
-const { authenticateUser, requireWorldIDVerification } = require('../middleware/auth');
-const { globalLimiter, searchLimiter, scrapingLimiter } = require('../middleware/rateLimiter');
+const { authenticateUser, optionalAuthentication, requireWorldIDVerification, requireRole, requireServiceOwnership } = require('../middleware/auth');
+const { globalLimiter, searchLimiter, suggestLimiter, scrapingLimiter } = require('../middleware/rateLimiter');
 
 // Importar controladores
 const categoryController = require('../controllers/categoryController');
 const serviceController = require('../controllers/serviceController');
 const searchController = require('../controllers/searchController');
+const reviewController = require('../controllers/reviewController');
+const claimController = require('../controllers/claimController');
+const disputeController = require('../controllers/disputeController');
+const payoutController = require('../controllers/payoutController');
+
+// Autocompletado: se registra antes del limitador global porque se llama en cada pulsación
+router.get('/search/suggest', suggestLimiter, optionalAuthentication, searchController.suggest);
 
 // Aplicar limitador global a todas las rutas
 router.use(globalLimiter);
 
 // Rutas de categorías
 router.get('/categories', categoryController.getAllCategories);
+router.get('/categories/tree', categoryController.getCategoryTree);
 router.get('/categories/:id', categoryController.getCategoryById);
-router.get('/categories/:id/services', serviceController.getServicesByCategory);
-router.post('/categories', authenticateUser, requireWorldIDVerification, categoryController.createCategory);
-router.put('/categories/:id', authenticateUser, requireWorldIDVerification, categoryController.updateCategory);
-router.delete('/categories/:id', authenticateUser, requireWorldIDVerification, categoryController.deleteCategory);
-router.post('/categories/:id/scrape', authenticateUser, requireWorldIDVerification, scrapingLimiter, categoryController.scrapeCategory);
+router.get('/categories/:id/services', optionalAuthentication, serviceController.getServicesByCategory);
+router.post('/categories', authenticateUser, requireRole('admin'), categoryController.createCategory);
+router.put('/categories/:id', authenticateUser, requireRole('admin'), categoryController.updateCategory);
+router.delete('/categories/:id', authenticateUser, requireRole('admin'), categoryController.deleteCategory);
+router.post('/categories/:id/scrape', authenticateUser, requireRole('moderator'), scrapingLimiter, categoryController.scrapeCategory);
 
 // Rutas de servicios
 router.get('/services/featured', serviceController.getFeaturedServices);
-router.get('/services/:id', serviceController.getServiceById);
-router.post('/services', authenticateUser, requireWorldIDVerification, serviceController.createService);
-router.put('/services/:id', authenticateUser, requireWorldIDVerification, serviceController.updateService);
-router.delete('/services/:id', authenticateUser, requireWorldIDVerification, serviceController.deleteService);
-router.post('/services/:id/enhance', authenticateUser, requireWorldIDVerification, scrapingLimiter, serviceController.enhanceServiceDescription);
+router.get('/services/flagged', authenticateUser, requireRole('moderator'), disputeController.getFlaggedServices);
+router.get('/services/:id', optionalAuthentication, serviceController.getServiceById);
+router.post('/services', authenticateUser, requireRole('admin'), serviceController.createService);
+router.put('/services/:id', authenticateUser, requireRole('admin'), serviceController.updateService);
+router.put('/services/:id/listing', authenticateUser, requireServiceOwnership, serviceController.updateOwnListing);
+router.delete('/services/:id', authenticateUser, requireRole('admin'), serviceController.deleteService);
+router.post('/services/:id/enhance', authenticateUser, requireRole('moderator'), scrapingLimiter, serviceController.enhanceServiceDescription);
+router.delete('/services/:id/flag', authenticateUser, requireRole('moderator'), disputeController.clearServiceFlag);
+
+// Rutas de reseñas
+router.get('/services/:id/reviews', reviewController.getServiceReviews);
+router.post('/services/:id/reviews', authenticateUser, requireWorldIDVerification, reviewController.createReview);
+router.put('/services/:id/reviews/:reviewId/moderate', authenticateUser, requireRole('moderator'), reviewController.moderateReview);
+router.get('/reviews/pending', authenticateUser, requireRole('moderator'), reviewController.getPendingReviews);
+
+// Rutas de reclamación de servicios por proveedores
+router.post('/services/:id/claims/nonce', authenticateUser, claimController.createClaimNonce);
+router.post('/services/:id/claims', authenticateUser, claimController.createClaim);
+router.post('/services/:id/claims/:claimId/verify', authenticateUser, claimController.verifyClaimContact);
+router.get('/claims/mine', authenticateUser, claimController.getMyClaims);
+router.get('/claims/services', authenticateUser, claimController.getOwnedServices);
+router.get('/claims/pending', authenticateUser, requireRole('moderator'), claimController.getPendingClaims);
+router.put('/claims/:claimId/review', authenticateUser, requireRole('moderator'), claimController.reviewClaim);
+
+// Rutas de ganancias de proveedores
+router.get('/providers/earnings', authenticateUser, requireRole('provider'), payoutController.getMyEarnings);
 
 // Rutas de búsqueda
-router.post('/search', searchLimiter, searchController.search);
+router.post('/search', searchLimiter, optionalAuthentication, searchController.search);
 router.get('/search/recent', authenticateUser, searchController.getRecentSearches);
 router.delete('/search/recent', authenticateUser, searchController.clearRecentSearches);
 
@@ -5,15 +5,46 @@ const express = require('express');
 const router = express.Router();
 const { authenticateUser, verifyServiceAccess } = require('../middleware/auth');
 const { paymentLimiter } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
 const paymentController = require('../controllers/paymentController');
+const disputeController = require('../controllers/disputeController');
+const subscriptionController = require('../controllers/subscriptionController');
+const creditController = require('../controllers/creditController');
+const giftController = require('../controllers/giftController');
+const receiptController = require('../controllers/receiptController');
 
 // Aplicar limitador a rutas de pago
 router.use(paymentLimiter);
 
 // Rutas de pagos
-router.post('/initiate', authenticateUser, paymentController.initiatePayment);
-router.post('/confirm', authenticateUser, paymentController.confirmPayment);
+router.post('/initiate', authenticateUser, idempotency, paymentController.initiatePayment);
+router.post('/confirm', authenticateUser, idempotency, paymentController.confirmPayment);
 router.get('/history', authenticateUser, paymentController.getTransactionHistory);
+
+// Rutas de suscripciones
+router.get('/subscriptions/plans', subscriptionController.getPlans);
+router.get('/subscriptions/me', authenticateUser, subscriptionController.getMySubscription);
+router.post('/subscriptions/initiate', authenticateUser, idempotency, subscriptionController.initiateSubscription);
+
+// Rutas de créditos prepagados
+router.get('/balance', authenticateUser, creditController.getBalance);
+router.get('/credits/packs', creditController.getPacks);
+router.post('/credits/unlock', authenticateUser, idempotency, creditController.unlockWithCredit);
+
+// Rutas de regalos
+router.get('/gifts/pending', authenticateUser, giftController.getPendingGifts);
+router.get('/gifts/sent', authenticateUser, giftController.getSentGifts);
+router.post('/gifts/:id/acknowledge', authenticateUser, giftController.acknowledgeGift);
+
+// Rutas de recibos
+router.post('/receipts/verify', receiptController.verifyReceipt);
+router.get('/:reference/receipt', authenticateUser, receiptController.getReceipt);
+
+// Rutas de disputas
+router.get('/disputes/mine', authenticateUser, disputeController.getMyDisputes);
+router.post('/:reference/disputes', authenticateUser, disputeController.openDispute);
+
+// Detalle de transacción (después de las rutas estáticas)
 router.get('/:reference', authenticateUser, paymentController.getTransactionDetails);
 
 module.exports = router;
\ No newline at end of file
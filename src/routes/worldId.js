@@ -3,7 +3,7 @@
  */
 const express = require('express');
 const router = express.Router();
-const { authenticateUser, requireWorldIDVerification } = require('../middleware/auth');
+const { authenticateUser, requireRole } = require('../middleware/auth');
 const { authLimiter } = require('../middleware/rateLimiter');
 const worldIdController = require('../controllers/worldIdController');
 
@@ -13,6 +13,6 @@ router.use(authLimiter);
 // Rutas de World ID
 router.post('/verify', worldIdController.verifyProof);
 router.get('/status', authenticateUser, worldIdController.getVerificationStatus);
-router.get('/actions', authenticateUser, requireWorldIDVerification, worldIdController.getVerifyActions);
+router.get('/actions', authenticateUser, requireRole('admin'), worldIdController.getVerifyActions);
 
 module.exports = router;
\ No newline at end of file
@@ -18,12 +18,17 @@ const { connectDB } = require('./config/database');
 const logger = require('./utils/logger');
 const { errorHandler, notFoundHandler, setupUnhandledErrorHandlers } = require('./middleware/errorHandler');
 const pythonApi = require('./config/pythonApi');
+const transactionSweeper = require('./jobs/transactionSweeper');
+const transactionReconciler = require('./jobs/transactionReconciler');
+const subscriptionExpirer = require('./jobs/subscriptionExpirer');
+const subscriptionReminder = require('./jobs/subscriptionReminder');
 
 // Importar rutas
 const apiRoutes = require('./routes/api');
 const authRoutes = require('./routes/auth');
 const worldIdRoutes = require('./routes/worldId');
 const paymentRoutes = require('./routes/payments');
+const adminRoutes = require('./routes/admin');
 
 // Inicializar la aplicación
 const app = express();
@@ -37,7 +42,8 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Parseo de peticiones
@@ -56,6 +62,12 @@ app.use('/public', express.static(path.join(__dirname, '../public')));
   try {
     await connectDB();
     logger.info('Conexión a MongoDB establecida');
+    
+    // Iniciar tareas programadas que dependen de la base de datos
+    transactionSweeper.start();
+    transactionReconciler.start();
+    subscriptionExpirer.start();
+    subscriptionReminder.start();
   } catch (error) {
     logger.error(`Error al conectar a MongoDB: ${error.message}`);
     process.exit(1);
@@ -121,6 +133,7 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/worldid', worldIdRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', apiRoutes); // Rutas generales al final para evitar conflictos
 
 // Manejador de rutas no encontradas
@@ -139,6 +152,12 @@ const server = app.listen(PORT, () => {
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} recibido, cerrando servidor...`);
   
+  // Detener tareas programadas
+  transactionSweeper.stop();
+  transactionReconciler.stop();
+  subscriptionExpirer.stop();
+  subscriptionReminder.stop();
+  
   server.close(async () => {
     logger.info('Servidor HTTP cerrado');
     
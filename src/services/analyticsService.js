@@ -0,0 +1,392 @@
+/**
+ * Servicio de métricas del muro de pago para el panel de administración
+ */
+const Transaction = require('../models/Transaction');
+const Service = require('../models/Service');
+const Category = require('../models/Category');
+const Entitlement = require('../models/Entitlement');
+const User = require('../models/User');
+const tokenRegistry = require('../config/tokens');
+
+// Orígenes de acceso que cuentan como desbloqueo de un contacto concreto
+const UNLOCK_SOURCES = ['payment', 'gift', 'coupon', 'credit'];
+
+/**
+ * Convierte una suma en unidades base (Decimal128) a unidades del token
+ *
+ * @param {Object} sum - Suma devuelta por la agregación
+ * @param {string} token - Símbolo del token
+ * @returns {number} Importe en unidades del token
+ */
+const toTokenAmount = (sum, token) => {
+  const definition = tokenRegistry.getToken(token);
+
+  if (!sum || !definition) {
+    return 0;
+  }
+
+  return Number((Number(sum.toString()) / 10 ** definition.decimals).toFixed(6));
+};
+
+/**
+ * Proporción redondeada a cuatro decimales (0 si el denominador es 0)
+ *
+ * @param {number} part - Numerador
+ * @param {number} total - Denominador
+ * @returns {number} Proporción
+ */
+const ratio = (part, total) => (total > 0 ? Number((part / total).toFixed(4)) : 0);
+
+// Expresión del día (UTC) de una fecha para agrupar series diarias
+const dayOf = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+
+/**
+ * Servicio con las agregaciones del panel de ingresos y conversión
+ * Todos los informes reciben un rango [from, to)
+ */
+class AnalyticsService {
+  /**
+   * Ingresos por día, token, producto y categoría
+   *
+   * @param {Object} range - Rango de fechas ({ from, to })
+   * @returns {Promise<Object>} Series de ingresos
+   */
+  async getRevenue({ from, to }) {
+    const [result] = await Transaction.aggregate([
+      { $match: { status: 'completed', completedAt: { $gte: from, $lt: to } } },
+      { $addFields: { amountDecimal: { $toDecimal: '$amount' } } },
+      {
+        $facet: {
+          byDay: [
+            {
+              $group: {
+                _id: { day: dayOf('$completedAt'), token: '$token' },
+                amount: { $sum: '$amountDecimal' },
+                count: { $sum: 1 }
+              }
+            },
+            { $sort: { '_id.day': 1, '_id.token': 1 } }
+          ],
+          byToken: [
+            { $group: { _id: '$token', amount: { $sum: '$amountDecimal' }, count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ],
+          byPurpose: [
+            {
+              $group: {
+                _id: { purpose: '$purpose', token: '$token' },
+                amount: { $sum: '$amountDecimal' },
+                count: { $sum: 1 }
+              }
+            },
+            { $sort: { '_id.purpose': 1, '_id.token': 1 } }
+          ],
+          byCategory: [
+            { $match: { purpose: 'contact_access' } },
+            {
+              $lookup: {
+                from: Service.collection.name,
+                localField: 'serviceId',
+                foreignField: '_id',
+                as: 'service'
+              }
+            },
+            { $unwind: { path: '$service', preserveNullAndEmptyArrays: true } },
+            {
+              $group: {
+                _id: { category: '$service.category', token: '$token' },
+                amount: { $sum: '$amountDecimal' },
+                count: { $sum: 1 }
+              }
+            },
+            {
+              $lookup: {
+                from: Category.collection.name,
+                localField: '_id.category',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            { $sort: { amount: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      byDay: result.byDay.map(({ _id, amount, count }) => ({
+        day: _id.day,
+        token: _id.token,
+        amount: toTokenAmount(amount, _id.token),
+        count
+      })),
+      byToken: result.byToken.map(({ _id, amount, count }) => ({
+        token: _id,
+        amount: toTokenAmount(amount, _id),
+        count
+      })),
+      byPurpose: result.byPurpose.map(({ _id, amount, count }) => ({
+        purpose: _id.purpose,
+        token: _id.token,
+        amount: toTokenAmount(amount, _id.token),
+        count
+      })),
+      byCategory: result.byCategory.map(({ _id, category, amount, count }) => ({
+        categoryId: _id.category || null,
+        name: category.length > 0 ? category[0].name : null,
+        token: _id.token,
+        amount: toTokenAmount(amount, _id.token),
+        count
+      }))
+    };
+  }
+
+  /**
+   * Conversión de visitas a desbloqueos por servicio y por categoría
+   * Las visitas (Service.viewCount) son acumuladas desde la creación del servicio;
+   * los desbloqueos se cuentan dentro del rango
+   *
+   * @param {Object} range - Rango de fechas ({ from, to })
+   * @param {number} limit - Número de servicios a incluir
+   * @returns {Promise<Object>} Conversión por servicio y por categoría
+   */
+  async getConversion({ from, to }, limit = 20) {
+    const unlockMatch = {
+      source: { $in: UNLOCK_SOURCES },
+      createdAt: { $gte: from, $lt: to }
+    };
+
+    const [byService, categoryViews, categoryUnlocks] = await Promise.all([
+      Service.aggregate([
+        { $match: { viewCount: { $gt: 0 } } },
+        {
+          $lookup: {
+            from: Entitlement.collection.name,
+            let: { serviceId: '$_id' },
+            pipeline: [
+              { $match: { ...unlockMatch, $expr: { $eq: ['$serviceId', '$$serviceId'] } } },
+              { $count: 'unlocks' }
+            ],
+            as: 'unlocks'
+          }
+        },
+        {
+          $project: {
+            title: 1,
+            category: 1,
+            views: '$viewCount',
+            unlocks: { $ifNull: [{ $first: '$unlocks.unlocks' }, 0] }
+          }
+        },
+        { $addFields: { conversion: { $divide: ['$unlocks', '$views'] } } },
+        { $sort: { unlocks: -1, conversion: -1 } },
+        { $limit: limit }
+      ]),
+      Service.aggregate([
+        { $group: { _id: '$category', views: { $sum: { $ifNull: ['$viewCount', 0] } }, services: { $sum: 1 } } },
+        {
+          $lookup: {
+            from: Category.collection.name,
+            localField: '_id',
+            foreignField: '_id',
+            as: 'category'
+          }
+        }
+      ]),
+      Entitlement.aggregate([
+        { $match: unlockMatch },
+        {
+          $lookup: {
+            from: Service.collection.name,
+            localField: 'serviceId',
+            foreignField: '_id',
+            as: 'service'
+          }
+        },
+        { $unwind: '$service' },
+        { $group: { _id: '$service.category', unlocks: { $sum: 1 } } }
+      ])
+    ]);
+
+    const unlocksByCategory = new Map(categoryUnlocks.map(({ _id, unlocks }) => [String(_id), unlocks]));
+
+    return {
+      viewsScope: 'lifetime',
+      byService: byService.map(service => ({
+        serviceId: service._id,
+        title: service.title,
+        categoryId: service.category,
+        views: service.views,
+        unlocks: service.unlocks,
+        conversion: ratio(service.unlocks, service.views)
+      })),
+      byCategory: categoryViews
+        .map(({ _id, category, views, services }) => {
+          const unlocks = unlocksByCategory.get(String(_id)) || 0;
+
+          return {
+            categoryId: _id,
+            name: category.length > 0 ? category[0].name : null,
+            services,
+            views,
+            unlocks,
+            conversion: ratio(unlocks, views)
+          };
+        })
+        .sort((a, b) => b.unlocks - a.unlocks || b.views - a.views)
+    };
+  }
+
+  /**
+   * Tasas de pagos fallidos, expirados, completados y reembolsados
+   *
+   * @param {Object} range - Rango de fechas de creación ({ from, to })
+   * @returns {Promise<Object>} Recuentos y tasas, en total y por token
+   */
+  async getPaymentHealth({ from, to }) {
+    const counts = await Transaction.aggregate([
+      { $match: { createdAt: { $gte: from, $lt: to } } },
+      { $group: { _id: { token: '$token', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    /**
+     * Resumen de recuentos por estado
+     *
+     * @param {Array} rows - Recuentos { status, count }
+     * @returns {Object} Recuentos y tasas
+     */
+    const summarize = (rows) => {
+      const byStatus = {};
+      rows.forEach(({ status, count }) => {
+        byStatus[status] = (byStatus[status] || 0) + count;
+      });
+
+      const total = rows.reduce((sum, { count }) => sum + count, 0);
+      const paid = (byStatus.completed || 0) + (byStatus.refunded || 0);
+
+      return {
+        total,
+        byStatus,
+        completionRate: ratio(paid, total),
+        failedRate: ratio(byStatus.failed || 0, total),
+        expiredRate: ratio(byStatus.expired || 0, total),
+        refundRate: ratio(byStatus.refunded || 0, paid)
+      };
+    };
+
+    const rows = counts.map(({ _id, count }) => ({ token: _id.token, status: _id.status, count }));
+    const tokens = [...new Set(rows.map(row => row.token))].sort();
+
+    return {
+      ...summarize(rows),
+      byToken: tokens.map(token => ({
+        token,
+        ...summarize(rows.filter(row => row.token === token))
+      }))
+    };
+  }
+
+  /**
+   * Servicios con más ingresos en un token
+   *
+   * @param {Object} range - Rango de fechas ({ from, to })
+   * @param {string} token - Token en el que se comparan los ingresos
+   * @param {number} limit - Número de servicios
+   * @returns {Promise<Array>} Servicios ordenados por ingresos
+   */
+  async getTopServices({ from, to }, token, limit = 10) {
+    const services = await Transaction.aggregate([
+      {
+        $match: {
+          status: 'completed',
+          purpose: 'contact_access',
+          token,
+          completedAt: { $gte: from, $lt: to }
+        }
+      },
+      {
+        $group: {
+          _id: '$serviceId',
+          amount: { $sum: { $toDecimal: '$amount' } },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { amount: -1, count: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: Service.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'service'
+        }
+      }
+    ]);
+
+    return services.map(({ _id, amount, count, service }) => ({
+      serviceId: _id,
+      title: service.length > 0 ? service[0].title : null,
+      categoryId: service.length > 0 ? service[0].category : null,
+      token,
+      amount: toTokenAmount(amount, token),
+      unlocks: count
+    }));
+  }
+
+  /**
+   * Pagadores nuevos y recurrentes
+   * Es nuevo quien hizo su primer pago completado dentro del rango
+   *
+   * @param {Object} range - Rango de fechas ({ from, to })
+   * @returns {Promise<Object>} Recuentos de pagadores y altas de usuarios
+   */
+  async getPayers({ from, to }) {
+    const [payers, newUsers] = await Promise.all([
+      Transaction.aggregate([
+        { $match: { status: { $in: ['completed', 'refunded'] }, completedAt: { $lt: to } } },
+        {
+          $group: {
+            _id: '$userId',
+            firstPaidAt: { $min: '$completedAt' },
+            lastPaidAt: { $max: '$completedAt' }
+          }
+        },
+        { $match: { lastPaidAt: { $gte: from } } },
+        {
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  payers: { $sum: 1 },
+                  newPayers: { $sum: { $cond: [{ $gte: ['$firstPaidAt', from] }, 1, 0] } }
+                }
+              }
+            ],
+            newByDay: [
+              { $match: { firstPaidAt: { $gte: from } } },
+              { $group: { _id: dayOf('$firstPaidAt'), count: { $sum: 1 } } },
+              { $sort: { _id: 1 } }
+            ]
+          }
+        }
+      ]),
+      User.countDocuments({ createdAt: { $gte: from, $lt: to }, isPlaceholder: { $ne: true } })
+    ]);
+
+    const [{ totals, newByDay }] = payers;
+    const payerCount = totals.length > 0 ? totals[0].payers : 0;
+    const newPayers = totals.length > 0 ? totals[0].newPayers : 0;
+
+    return {
+      payers: payerCount,
+      newPayers,
+      returningPayers: payerCount - newPayers,
+      returningRate: ratio(payerCount - newPayers, payerCount),
+      newUsers,
+      newPayersByDay: newByDay.map(({ _id, count }) => ({ day: _id, count }))
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -22,6 +22,7 @@ class CacheService {
       services: 1800, // 30 minutos para servicios
       search: 300, // 5 minutos para resultados de búsqueda
       user: 60, // 1 minuto para datos de usuario
+      analytics: 300, // 5 minutos para métricas del panel de administración
       default: 600 // 10 minutos por defecto
     };
     
@@ -178,6 +179,8 @@ class CacheService {
       return this.cacheTTL.search;
     } else if (key.startsWith('user:')) {
       return this.cacheTTL.user;
+    } else if (key.startsWith('analytics:')) {
+      return this.cacheTTL.analytics;
     }
     
     return this.cacheTTL.default;
@@ -245,6 +248,23 @@ class CacheService {
   getUserKey(userId, type = 'profile') {
     return `user:${userId}:${type}`;
   }
+  
+  /**
+   * Construir una clave de caché para métricas del panel de administración
+   * 
+   * @param {string} report - Nombre del informe
+   * @param {Object} params - Parámetros del informe (rango de fechas, límites, etc.)
+   * @returns {string} Clave formateada
+   */
+  getAnalyticsKey(report, params = {}) {
+    const paramsStr = Object.entries(params)
+      .filter(([_, value]) => value !== null && value !== undefined && value !== '')
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => `${key}:${value instanceof Date ? value.toISOString() : value}`)
+      .join('|');
+    
+    return `analytics:${report}${paramsStr ? `:${paramsStr}` : ''}`;
+  }
 }
 
 module.exports = new CacheService();
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * Servicio para la reclamación de servicios por parte de proveedores
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const { verifySiweMessage, parseSiweMessage } = require('@worldcoin/minikit-js');
+const SiweNonce = require('../models/SiweNonce');
+const logger = require('../utils/logger');
+
+// Tiempo de validez del código de verificación de contacto
+const CODE_TTL_MINUTES = parseInt(process.env.CLAIM_CODE_TTL_MINUTES || '15');
+
+// Tiempo de validez del nonce que el proveedor debe firmar
+const NONCE_TTL_MINUTES = 10;
+
+// Número máximo de intentos para introducir el código
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Servicio para gestionar las pruebas de propiedad de un servicio
+ */
+class ClaimService {
+  constructor() {
+    this.codeTTLMinutes = CODE_TTL_MINUTES;
+    this.maxCodeAttempts = MAX_CODE_ATTEMPTS;
+  }
+
+  /**
+   * Emitir un nonce de un solo uso para reclamar un servicio
+   * El proveedor debe incluirlo en el mensaje SIWE que firma con walletAuth
+   *
+   * @param {string} userId - ID del usuario autenticado
+   * @param {string} serviceId - ID del servicio reclamado
+   * @returns {Promise<Object>} { nonce, expiresAt }
+   */
+  async issueNonce(userId, serviceId) {
+    const nonce = await SiweNonce.create({
+      nonce: crypto.randomBytes(16).toString('hex'),
+      userId,
+      purpose: 'service_claim',
+      serviceId,
+      expiresAt: new Date(Date.now() + NONCE_TTL_MINUTES * 60 * 1000)
+    });
+
+    return { nonce: nonce.nonce, expiresAt: nonce.expiresAt };
+  }
+
+  /**
+   * Verificar el mensaje SIWE firmado por el proveedor
+   * El nonce del mensaje debe haberse emitido para este usuario y servicio, y se consume
+   * antes de verificar para que una firma no pueda reutilizarse aunque la verificación falle
+   *
+   * @param {Object} payload - Resultado de walletAuth ({ message, signature, address, version })
+   * @param {string} userId - ID del usuario autenticado
+   * @param {string} serviceId - ID del servicio reclamado
+   * @param {string} expectedAddress - Wallet del usuario autenticado
+   * @returns {Promise<Object>} Resultado de la verificación
+   */
+  async verifyOwnershipSignature(payload, userId, serviceId, expectedAddress) {
+    let messageNonce;
+
+    try {
+      messageNonce = parseSiweMessage(payload.message).nonce;
+    } catch (error) {
+      return { success: false, error: 'Mensaje SIWE inválido' };
+    }
+
+    const issued = messageNonce && await SiweNonce.findOneAndDelete({
+      nonce: messageNonce,
+      userId,
+      purpose: 'service_claim',
+      serviceId,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!issued) {
+      return { success: false, error: 'El nonce firmado no es válido, ha caducado o ya se usó' };
+    }
+
+    try {
+      const result = await verifySiweMessage({ status: 'success', ...payload }, issued.nonce);
+
+      if (!result.isValid) {
+        return { success: false, error: 'Verificación de firma fallida' };
+      }
+    } catch (error) {
+      logger.warn(`Fallo en verificación SIWE de reclamación: ${error.message}`);
+      return { success: false, error: 'Verificación de firma fallida' };
+    }
+
+    if (!expectedAddress || payload.address.toLowerCase() !== expectedAddress.toLowerCase()) {
+      return { success: false, error: 'La firma no corresponde a la wallet autenticada' };
+    }
+
+    return { success: true, address: payload.address };
+  }
+
+  /**
+   * Extraer los canales de contacto verificables de la información publicada
+   *
+   * @param {string} contactInfo - Texto de contacto del servicio
+   * @returns {Object} Canales encontrados ({ phone, email })
+   */
+  extractContactChannels(contactInfo = '') {
+    const emailMatch = contactInfo.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i);
+    const phoneMatch = contactInfo.match(/\+?\d[\d\s().-]{6,}\d/);
+
+    return {
+      email: emailMatch ? emailMatch[0].toLowerCase() : null,
+      phone: phoneMatch ? phoneMatch[0].replace(/[^\d+]/g, '') : null
+    };
+  }
+
+  /**
+   * Generar un código de verificación numérico y su hash
+   *
+   * @returns {Object} Código en claro, hash y fecha de expiración
+   */
+  generateVerificationCode() {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    return {
+      code,
+      hash: this.hashCode(code),
+      expiresAt: new Date(Date.now() + this.codeTTLMinutes * 60 * 1000)
+    };
+  }
+
+  /**
+   * Calcular el hash de un código de verificación
+   *
+   * @param {string} code - Código en claro
+   * @returns {string} Hash SHA-256 en hexadecimal
+   */
+  hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+  }
+
+  /**
+   * Comparar un código introducido con el hash almacenado
+   *
+   * @param {string} code - Código introducido
+   * @param {string} hash - Hash almacenado
+   * @returns {boolean} True si coinciden
+   */
+  isValidCode(code, hash) {
+    if (!code || !hash) {
+      return false;
+    }
+
+    const candidate = Buffer.from(this.hashCode(code), 'hex');
+    const stored = Buffer.from(hash, 'hex');
+
+    return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+  }
+
+  /**
+   * Enviar el código de verificación al canal de contacto publicado
+   * Usa el webhook de mensajería configurado; sin él, el envío queda registrado
+   * para que un administrador lo gestione manualmente
+   *
+   * @param {string} channel - Canal (phone, email)
+   * @param {string} destination - Teléfono o email de destino
+   * @param {string} code - Código de verificación
+   * @returns {Promise<boolean>} True si se entregó al webhook
+   */
+  async deliverVerificationCode(channel, destination, code) {
+    const webhookUrl = process.env.CONTACT_VERIFICATION_WEBHOOK_URL;
+
+    if (!webhookUrl) {
+      logger.warn(`Webhook de verificación no configurado, código de reclamación no enviado a ${channel} ${destination}`);
+      return false;
+    }
+
+    try {
+      await axios.post(webhookUrl, {
+        channel,
+        destination,
+        message: `Tu código para reclamar tu servicio en ServiceFinder es ${code}`
+      }, { timeout: 10000 });
+
+      logger.info(`Código de reclamación enviado por ${channel}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error al enviar código de reclamación: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+module.exports = new ClaimService();
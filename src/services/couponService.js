@@ -0,0 +1,245 @@
+/**
+ * Servicio para validar y aplicar cupones de descuento
+ */
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Transaction = require('../models/Transaction');
+const tokenRegistry = require('../config/tokens');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio con las reglas de aplicación y canje de cupones
+ */
+class CouponService {
+  /**
+   * Normalizar un código introducido por el usuario
+   *
+   * @param {string} code - Código
+   * @returns {string} Código en mayúsculas y sin espacios
+   */
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Calcular el descuento de un cupón sobre un importe
+   *
+   * @param {Object} coupon - Cupón
+   * @param {string} amount - Importe original en unidades base
+   * @param {string} token - Símbolo del token
+   * @returns {Object} { discount, finalAmount } en unidades base
+   */
+  computeDiscount(coupon, amount, token) {
+    const original = BigInt(amount);
+    let discount;
+
+    if (coupon.discountType === 'percent') {
+      // Porcentaje con dos decimales de precisión
+      discount = original * BigInt(Math.round(coupon.percentOff * 100)) / 10000n;
+    } else {
+      const fixed = coupon.amountOff.find(entry => entry.token === token);
+      discount = BigInt(tokenRegistry.toBaseUnits(fixed.amount, token));
+    }
+
+    if (discount > original) {
+      discount = original;
+    }
+
+    return {
+      discount: discount.toString(),
+      finalAmount: (original - discount).toString()
+    };
+  }
+
+  /**
+   * Validar un cupón para el desbloqueo de un servicio y calcular el importe final
+   * El límite por usuario se comprueba al reservar el canje, al crear la transacción
+   *
+   * @param {string} code - Código del cupón
+   * @param {Object} params - Contexto del pago
+   * @param {string} params.userId - ID del usuario
+   * @param {Object} params.service - Servicio a desbloquear
+   * @param {string} params.token - Símbolo del token
+   * @param {string} params.amount - Precio en unidades base
+   * @returns {Promise<Object>} { valid, error, coupon, discount, finalAmount }
+   */
+  async applyToServicePayment(code, { userId, service, token, amount }) {
+    const coupon = await Coupon.findOne({ code: this.normalizeCode(code) });
+
+    if (!coupon || !coupon.isWithinValidity()) {
+      return { valid: false, error: 'Cupón inválido o expirado' };
+    }
+
+    if (!coupon.hasRemainingRedemptions()) {
+      return { valid: false, error: 'El cupón ha alcanzado su límite de usos' };
+    }
+
+    if (coupon.tokens.length > 0 && !coupon.tokens.includes(token)) {
+      return { valid: false, error: `El cupón solo es válido para pagos en ${coupon.tokens.join(', ')}` };
+    }
+
+    if (coupon.discountType === 'fixed' && !coupon.amountOff.some(entry => entry.token === token)) {
+      return { valid: false, error: `El cupón no tiene descuento definido para ${token}` };
+    }
+
+    // Alcance: servicios concretos o categorías (basta con que coincida uno de los dos)
+    const hasScope = coupon.services.length > 0 || coupon.categories.length > 0;
+
+    if (hasScope) {
+      const categoryId = service.category && (service.category._id || service.category).toString();
+      const inServices = coupon.services.some(id => id.toString() === service._id.toString());
+      const inCategories = Boolean(categoryId) && coupon.categories.some(id => id.toString() === categoryId);
+
+      if (!inServices && !inCategories) {
+        return { valid: false, error: 'El cupón no es aplicable a este servicio' };
+      }
+    }
+
+    return {
+      valid: true,
+      coupon,
+      ...this.computeDiscount(coupon, amount, token)
+    };
+  }
+
+  /**
+   * Reservar un canje respetando el límite global de forma atómica
+   * Se usa en los cupones gratuitos, que se canjean sin pago en cadena
+   *
+   * @param {string} couponId - ID del cupón
+   * @returns {Promise<boolean>} True si quedaba un uso disponible
+   */
+  async reserveRedemption(couponId) {
+    const reserved = await Coupon.findOneAndUpdate(
+      {
+        _id: couponId,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+        ]
+      },
+      { $inc: { redemptionCount: 1 }, updatedAt: new Date() }
+    );
+
+    return Boolean(reserved);
+  }
+
+  /**
+   * Reservar un canje respetando el límite por usuario de forma atómica
+   * El contador solo se incrementa si sigue por debajo del límite del cupón
+   *
+   * @param {string} couponId - ID del cupón
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<boolean>} True si al usuario le quedaba un uso disponible
+   */
+  async reserveUserRedemption(couponId, userId) {
+    const coupon = await Coupon.findById(couponId).select('maxRedemptionsPerUser');
+
+    if (!coupon) {
+      return false;
+    }
+
+    const filter = { couponId, userId, count: { $lt: coupon.maxRedemptionsPerUser } };
+    const update = { $inc: { count: 1 }, updatedAt: new Date() };
+
+    try {
+      return Boolean(await CouponRedemption.findOneAndUpdate(filter, update, { upsert: true, new: true }));
+    } catch (error) {
+      // Con el contador en el límite el upsert intenta crear otro documento y el índice único lo impide;
+      // también ocurre cuando dos primeros canjes crean el contador a la vez, así que se reintenta sin upsert
+      if (error.code === 11000) {
+        return Boolean(await CouponRedemption.findOneAndUpdate(filter, update, { new: true }));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Liberar un canje por usuario reservado que finalmente no se usó
+   *
+   * @param {string} couponId - ID del cupón
+   * @param {string} userId - ID del usuario
+   */
+  async releaseUserRedemption(couponId, userId) {
+    await CouponRedemption.updateOne(
+      { couponId, userId, count: { $gt: 0 } },
+      { $inc: { count: -1 }, updatedAt: new Date() }
+    );
+  }
+
+  /**
+   * Liberar el uso por usuario reservado por una transacción que expiró o falló
+   * Es idempotente: la reserva de una transacción solo se libera una vez
+   *
+   * @param {Object} transaction - Transacción expirada o fallida
+   * @returns {Promise<boolean>} True si se liberó la reserva en esta llamada
+   */
+  async releaseReservation(transaction) {
+    if (!transaction.coupon || !transaction.coupon.couponId) {
+      return false;
+    }
+
+    const unmarked = await Transaction.updateOne(
+      {
+        _id: transaction._id,
+        status: { $in: ['failed', 'expired'] },
+        'coupon.reservedAt': { $ne: null },
+        'coupon.redeemedAt': null
+      },
+      { 'coupon.reservedAt': null }
+    );
+
+    if (unmarked.modifiedCount === 0) {
+      return false;
+    }
+
+    await this.releaseUserRedemption(transaction.coupon.couponId, transaction.userId);
+
+    logger.info(`Liberado el uso del cupón ${transaction.coupon.code} reservado por ${transaction.reference}`);
+
+    return true;
+  }
+
+  /**
+   * Registrar el canje del cupón de una transacción completada
+   * Es idempotente: una transacción solo suma un canje
+   *
+   * @param {Object} transaction - Transacción completada
+   * @returns {Promise<boolean>} True si se registró el canje en esta llamada
+   */
+  async redeem(transaction) {
+    if (!transaction.coupon || !transaction.coupon.couponId) {
+      return false;
+    }
+
+    const marked = await Transaction.updateOne(
+      { _id: transaction._id, 'coupon.redeemedAt': null },
+      { 'coupon.redeemedAt': new Date() }
+    );
+
+    if (marked.modifiedCount === 0) {
+      return false;
+    }
+
+    // El pago ya se realizó: el canje cuenta aunque se haya superado el límite entretanto
+    await Coupon.updateOne(
+      { _id: transaction.coupon.couponId },
+      { $inc: { redemptionCount: 1 }, updatedAt: new Date() }
+    );
+
+    // El uso por usuario ya se contó al reservarlo; las transacciones anteriores a la reserva lo suman ahora
+    if (!transaction.coupon.reservedAt) {
+      await CouponRedemption.updateOne(
+        { couponId: transaction.coupon.couponId, userId: transaction.userId },
+        { $inc: { count: 1 }, updatedAt: new Date() },
+        { upsert: true }
+      );
+    }
+
+    logger.info(`Cupón ${transaction.coupon.code} canjeado en transacción ${transaction.reference}`);
+
+    return true;
+  }
+}
+
+module.exports = new CouponService();
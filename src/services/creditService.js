@@ -0,0 +1,252 @@
+/**
+ * Servicio para los créditos prepagados de desbloqueo de contactos
+ */
+const { v4: uuidv4 } = require('uuid');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const User = require('../models/User');
+const Entitlement = require('../models/Entitlement');
+const worldAppConfig = require('../config/worldApp').config;
+const entitlementService = require('./entitlementService');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para comprar, consumir y consultar créditos
+ * El saldo del usuario se actualiza de forma atómica y cada movimiento queda
+ * registrado en el libro como un asiento de partida doble
+ */
+class CreditService {
+  /**
+   * Obtener la definición de un paquete
+   *
+   * @param {string} pack - Identificador del paquete
+   * @returns {Object|null} Paquete o null si no existe
+   */
+  getPack(pack) {
+    return worldAppConfig.creditPacks[pack] || null;
+  }
+
+  /**
+   * Listar los paquetes disponibles
+   *
+   * @returns {Array} Paquetes con su identificador, créditos y precios por token
+   */
+  getPacks() {
+    return Object.entries(worldAppConfig.creditPacks).map(([id, pack]) => ({
+      id,
+      name: pack.name,
+      credits: pack.credits,
+      prices: pack.prices
+    }));
+  }
+
+  /**
+   * Precio de un paquete en un token
+   *
+   * @param {string} pack - Identificador del paquete
+   * @param {string} token - Símbolo del token
+   * @returns {number|undefined} Importe en unidades del token
+   */
+  getPackPrice(pack, token) {
+    const definition = this.getPack(pack);
+    return definition ? definition.prices[token] : undefined;
+  }
+
+  /**
+   * Registrar un asiento en el libro de créditos
+   *
+   * @param {Object} journal - Datos del asiento
+   * @param {string} journal.journalType - Tipo (purchase, unlock, refund, adjustment)
+   * @param {string} journal.debitAccount - Cuenta cargada
+   * @param {string} journal.creditAccount - Cuenta abonada
+   * @param {number} journal.amount - Créditos movidos
+   * @param {number} journal.balanceAfter - Saldo del usuario tras el movimiento
+   * @returns {Promise<Array>} Apuntes creados
+   */
+  async postJournal({ journalType, debitAccount, creditAccount, amount, userId, transactionId = null, serviceId = null, balanceAfter, description }) {
+    const journalId = uuidv4();
+    const base = { journalId, journalType, amount, userId, transactionId, serviceId, description };
+
+    return CreditLedgerEntry.insertMany([
+      {
+        ...base,
+        account: debitAccount,
+        direction: 'debit',
+        balanceAfter: debitAccount === 'user_credits' ? balanceAfter : null
+      },
+      {
+        ...base,
+        account: creditAccount,
+        direction: 'credit',
+        balanceAfter: creditAccount === 'user_credits' ? balanceAfter : null
+      }
+    ]);
+  }
+
+  /**
+   * Abonar al usuario los créditos de un paquete pagado
+   * Se invoca una única vez por transacción desde paymentService.grantAccess
+   *
+   * @param {Object} transaction - Transacción completada con purpose 'credit_pack'
+   * @returns {Promise<number>} Saldo resultante
+   */
+  async grantPack(transaction) {
+    const pack = this.getPack(transaction.pack);
+
+    if (!pack) {
+      throw new Error(`Paquete de créditos desconocido: ${transaction.pack}`);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      transaction.userId,
+      { $inc: { creditBalance: pack.credits } },
+      { new: true }
+    ).select('creditBalance');
+
+    await this.postJournal({
+      journalType: 'purchase',
+      debitAccount: 'credits_issued',
+      creditAccount: 'user_credits',
+      amount: pack.credits,
+      userId: transaction.userId,
+      transactionId: transaction._id,
+      balanceAfter: user.creditBalance,
+      description: `Compra de ${pack.name} (${transaction.reference})`
+    });
+
+    cacheService.invalidatePattern(`user:${transaction.userId}:*`);
+
+    logger.info(`${pack.credits} créditos abonados a ${transaction.userId} por transacción ${transaction.reference}`);
+
+    return user.creditBalance;
+  }
+
+  /**
+   * Consumir un crédito para desbloquear un servicio
+   * El descuento del saldo es atómico; si el usuario ya tiene acceso vigente no se consume nada.
+   * Dos desbloqueos simultáneos pueden superar la comprobación previa: tras conceder el acceso
+   * solo se conserva el derecho más antiguo y el resto se revoca y devuelve su crédito
+   *
+   * @param {string} userId - ID del usuario
+   * @param {string} serviceId - ID del servicio
+   * @returns {Promise<Object>} { success, balance, error }
+   */
+  async consumeCredit(userId, serviceId) {
+    if (await Entitlement.hasActive(userId, serviceId)) {
+      const current = await User.findById(userId).select('creditBalance');
+      return { success: false, alreadyUnlocked: true, balance: current ? current.creditBalance : 0 };
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, creditBalance: { $gte: 1 } },
+      { $inc: { creditBalance: -1 } },
+      { new: true }
+    ).select('creditBalance');
+
+    if (!user) {
+      const current = await User.findById(userId).select('creditBalance');
+      return { success: false, error: 'Saldo de créditos insuficiente', balance: current ? current.creditBalance : 0 };
+    }
+
+    const entitlement = await entitlementService.grant({ userId, serviceId, source: 'credit' });
+
+    try {
+      await this.postJournal({
+        journalType: 'unlock',
+        debitAccount: 'user_credits',
+        creditAccount: 'credits_consumed',
+        amount: 1,
+        userId,
+        serviceId,
+        balanceAfter: user.creditBalance,
+        description: 'Desbloqueo de contacto'
+      });
+    } catch (error) {
+      // El saldo ya se descontó: dejar constancia para conciliar el libro manualmente
+      logger.error(`Error al registrar el consumo de crédito de ${userId} en ${serviceId}: ${error.message}`);
+    }
+
+    const concurrent = await Entitlement.exists({
+      userId,
+      serviceId,
+      _id: { $lt: entitlement._id },
+      ...Entitlement.activeFilter()
+    });
+
+    if (concurrent) {
+      const balance = await this.refundUnlock(entitlement);
+      return { success: false, alreadyUnlocked: true, balance };
+    }
+
+    cacheService.invalidatePattern(`user:${userId}:*`);
+
+    return { success: true, balance: user.creditBalance };
+  }
+
+  /**
+   * Revocar un desbloqueo con crédito duplicado y devolver el crédito al usuario
+   *
+   * @param {Object} entitlement - Derecho de acceso concedido por el desbloqueo
+   * @returns {Promise<number>} Saldo resultante
+   */
+  async refundUnlock(entitlement) {
+    const { userId, serviceId } = entitlement;
+
+    await Entitlement.updateOne(
+      { _id: entitlement._id },
+      { revokedAt: new Date(), revokeReason: 'Desbloqueo duplicado: el servicio ya estaba desbloqueado' }
+    );
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $inc: { creditBalance: 1 } },
+      { new: true }
+    ).select('creditBalance');
+
+    try {
+      await this.postJournal({
+        journalType: 'refund',
+        debitAccount: 'credits_consumed',
+        creditAccount: 'user_credits',
+        amount: 1,
+        userId,
+        serviceId,
+        balanceAfter: user.creditBalance,
+        description: 'Devolución de desbloqueo duplicado'
+      });
+    } catch (error) {
+      logger.error(`Error al registrar la devolución de crédito de ${userId} en ${serviceId}: ${error.message}`);
+    }
+
+    cacheService.invalidatePattern(`user:${userId}:*`);
+
+    logger.warn(`Desbloqueo con crédito duplicado de ${userId} en ${serviceId}: crédito devuelto`);
+
+    return user.creditBalance;
+  }
+
+  /**
+   * Obtener el saldo y los últimos movimientos de un usuario
+   *
+   * @param {string} userId - ID del usuario
+   * @param {number} limit - Número de movimientos
+   * @returns {Promise<Object>} { balance, entries }
+   */
+  async getBalance(userId, limit = 20) {
+    const [user, entries] = await Promise.all([
+      User.findById(userId).select('creditBalance'),
+      CreditLedgerEntry.find({ userId, account: 'user_credits' })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate('serviceId', 'title')
+        .select('journalId journalType direction amount balanceAfter description serviceId transactionId createdAt')
+    ]);
+
+    return {
+      balance: user ? user.creditBalance : 0,
+      entries
+    };
+  }
+}
+
+module.exports = new CreditService();
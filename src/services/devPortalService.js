@@ -0,0 +1,82 @@
+/**
+ * Servicio para consultar el Developer Portal de World App
+ */
+const axios = require('axios');
+const worldAppConfig = require('../config/worldApp').config;
+const { getDevPortalHeaders } = require('../config/worldApp');
+const logger = require('../utils/logger');
+
+/**
+ * Cliente de las APIs de MiniKit del Developer Portal
+ */
+class DevPortalService {
+  /**
+   * Obtener el estado de una transacción de MiniKit
+   *
+   * @param {string} transactionId - ID de la transacción devuelto por MiniKit
+   * @returns {Promise<Object>} Datos de la transacción (reference, status, transactionHash...)
+   */
+  async getTransaction(transactionId) {
+    try {
+      const response = await axios.get(
+        `${worldAppConfig.devPortalUrl}/minikit/transaction/${transactionId}`,
+        {
+          params: { app_id: worldAppConfig.appId },
+          headers: getDevPortalHeaders(),
+          timeout: 15000
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      logger.error(`Error al consultar transacción ${transactionId} en Developer Portal: ${error.message}`);
+
+      if (error.response) {
+        logger.error(`Detalles: ${JSON.stringify(error.response.data)}`);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Enviar una notificación de la mini app a una o varias wallets
+   *
+   * @param {Object} params - Datos de la notificación
+   * @param {Array<string>} params.walletAddresses - Wallets destinatarias
+   * @param {string} params.title - Título de la notificación
+   * @param {string} params.message - Texto de la notificación
+   * @param {string} params.path - Ruta de la mini app que se abre al pulsarla
+   * @returns {Promise<Object>} Respuesta del Developer Portal
+   */
+  async sendNotification({ walletAddresses, title, message, path = '/' }) {
+    try {
+      const response = await axios.post(
+        `${worldAppConfig.devPortalUrl}/minikit/send-notification`,
+        {
+          app_id: worldAppConfig.appId,
+          wallet_addresses: walletAddresses,
+          title,
+          message,
+          mini_app_path: `worldapp://mini-app?app_id=${worldAppConfig.appId}&path=${encodeURIComponent(path)}`
+        },
+        {
+          headers: getDevPortalHeaders(),
+          timeout: 15000
+        }
+      );
+
+      return response.data;
+    } catch (error) {
+      logger.error(`Error al enviar notificación desde Developer Portal: ${error.message}`);
+
+      if (error.response) {
+        logger.error(`Detalles: ${JSON.stringify(error.response.data)}`);
+      }
+
+      throw error;
+    }
+  }
+}
+
+module.exports = new DevPortalService();
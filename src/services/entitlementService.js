@@ -0,0 +1,192 @@
+/**
+ * Servicio para conceder, consultar y revocar accesos a contactos
+ */
+const Entitlement = require('../models/Entitlement');
+const Category = require('../models/Category');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const worldAppConfig = require('../config/worldApp').config;
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+// Milisegundos en un día
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Servicio con las reglas de vigencia de los accesos
+ */
+class EntitlementService {
+  /**
+   * Resolver la duración del acceso a un servicio
+   * Se usa la duración de su categoría o de la categoría ancestro más cercana que la defina
+   *
+   * @param {Object} service - Servicio (con category como ObjectId o poblada)
+   * @returns {Promise<number|null>} Días de acceso o null si es permanente
+   */
+  async resolveAccessDuration(service) {
+    let categoryId = service.category ? (service.category._id || service.category) : null;
+    const visited = new Set();
+
+    while (categoryId && !visited.has(categoryId.toString())) {
+      visited.add(categoryId.toString());
+
+      const category = await Category.findById(categoryId)
+        .select('accessDurationDays parentCategory')
+        .lean();
+
+      if (!category) {
+        break;
+      }
+
+      if (category.accessDurationDays) {
+        return category.accessDurationDays;
+      }
+
+      categoryId = category.parentCategory;
+    }
+
+    return worldAppConfig.defaultAccessDurationDays;
+  }
+
+  /**
+   * Conceder acceso a un servicio
+   * Si el usuario conserva un acceso temporal vigente, el nuevo empieza cuando termina el actual
+   *
+   * @param {Object} params - Datos del acceso
+   * @param {string} params.userId - ID del usuario
+   * @param {string} params.serviceId - ID del servicio
+   * @param {string} params.source - Origen (payment, subscription, gift, coupon, credit)
+   * @param {Object} params.transaction - Transacción que origina el acceso (opcional)
+   * @param {string} params.giftedBy - Usuario que regala el acceso (opcional)
+   * @returns {Promise<Object>} Derecho de acceso creado
+   */
+  async grant({ userId, serviceId, source, transaction = null, giftedBy = null }) {
+    const service = await Service.findById(serviceId).select('category');
+    const durationDays = service ? await this.resolveAccessDuration(service) : worldAppConfig.defaultAccessDurationDays;
+    const now = new Date();
+
+    // Renovación: encadenar con el acceso vigente que termina más tarde
+    const current = await Entitlement.findOne({
+      userId,
+      serviceId,
+      ...Entitlement.activeFilter(now)
+    }).sort({ expiresAt: -1 });
+
+    let grantedAt = now;
+
+    if (current && current.expiresAt) {
+      grantedAt = current.expiresAt;
+    }
+
+    const expiresAt = durationDays ? new Date(grantedAt.getTime() + durationDays * DAY_MS) : null;
+
+    const entitlement = await Entitlement.create({
+      userId,
+      serviceId,
+      grantedAt,
+      expiresAt,
+      source,
+      transactionId: transaction ? transaction._id : null,
+      reference: transaction ? transaction.reference : null,
+      giftedBy
+    });
+
+    cacheService.invalidatePattern(`user:${userId}:*`);
+
+    logger.info(`Acceso ${source} al servicio ${serviceId} concedido a ${userId}${expiresAt ? ` hasta ${expiresAt.toISOString()}` : ''}`);
+
+    return entitlement;
+  }
+
+  /**
+   * Revocar los accesos generados por una transacción
+   *
+   * @param {string} transactionId - ID de la transacción
+   * @param {string} reason - Motivo de la revocación
+   * @returns {Promise<number>} Número de accesos revocados
+   */
+  async revokeByTransaction(transactionId, reason) {
+    const result = await Entitlement.updateMany(
+      { transactionId, revokedAt: null },
+      { revokedAt: new Date(), revokeReason: reason }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Obtener los IDs de servicios a los que un usuario tiene acceso vigente
+   *
+   * @param {string} userId - ID del usuario
+   * @param {Array<string>} serviceIds - Servicios a comprobar
+   * @returns {Promise<Set<string>>} IDs con acceso vigente
+   */
+  async getAccessibleServiceIds(userId, serviceIds) {
+    const entitlements = await Entitlement.find({
+      userId,
+      serviceId: { $in: serviceIds },
+      ...Entitlement.activeFilter()
+    }).select('serviceId').lean();
+
+    return new Set(entitlements.map(entitlement => entitlement.serviceId.toString()));
+  }
+
+  /**
+   * Obtener los accesos vigentes de un usuario
+   *
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array>} Accesos con el servicio poblado
+   */
+  async getActiveEntitlements(userId) {
+    return Entitlement.find({ userId, ...Entitlement.activeFilter() })
+      .sort({ grantedAt: -1 })
+      .populate('serviceId', 'title category rating')
+      .select('serviceId grantedAt expiresAt source reference');
+  }
+
+  /**
+   * Mostrar el contacto de los servicios premium a los que el usuario tiene acceso
+   * Las listas se guardan en caché ya ocultas; el contacto se recupera solo para quien tiene acceso
+   *
+   * @param {Array} services - Servicios como objetos planos (con contacto oculto)
+   * @param {Object} requester - Usuario de la solicitud (req.user) o null
+   * @returns {Promise<Array>} Servicios con el contacto visible donde corresponda
+   */
+  async revealAccessibleContacts(services, requester) {
+    if (!requester || !requester.id) {
+      return services;
+    }
+
+    const premiumIds = services.filter(service => service.premiumOnly && service._id).map(service => service._id.toString());
+
+    if (premiumIds.length === 0) {
+      return services;
+    }
+
+    const user = await User.findById(requester.id).select('subscriptionExpiresAt');
+
+    if (!user) {
+      return services;
+    }
+
+    const accessibleIds = user.hasActiveSubscription()
+      ? new Set(premiumIds)
+      : await this.getAccessibleServiceIds(user._id, premiumIds);
+
+    if (accessibleIds.size === 0) {
+      return services;
+    }
+
+    const contacts = await Service.find({ _id: { $in: [...accessibleIds] } })
+      .select('contactInfo')
+      .lean();
+    const contactById = new Map(contacts.map(service => [service._id.toString(), service.contactInfo]));
+
+    return services.map(service => {
+      const contactInfo = service._id && contactById.get(service._id.toString());
+      return contactInfo ? { ...service, contactInfo } : service;
+    });
+  }
+}
+
+module.exports = new EntitlementService();
@@ -0,0 +1,151 @@
+/**
+ * Servicio de facetas para los resultados de búsqueda
+ */
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const Category = require('../models/Category');
+
+// Umbrales de las facetas de valoración ("4 estrellas o más", ...)
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Número máximo de valores por faceta de categoría o ciudad
+const MAX_FACET_VALUES = 20;
+
+/**
+ * Servicio que calcula recuentos por faceta sobre el conjunto completo de coincidencias
+ */
+class FacetService {
+  /**
+   * Convertir los filtros seleccionados en condiciones de MongoDB por faceta
+   * Los identificadores se convierten a ObjectId porque las agregaciones no aplican el casting del esquema
+   *
+   * @param {Object} selected - Filtros seleccionados
+   * @param {Array<string>} selected.categories - IDs de categoría
+   * @param {Array<string>} selected.prices - Rangos de precio ($, $$, ...)
+   * @param {Array<string>} selected.cities - Ciudades
+   * @param {number} selected.minRating - Valoración mínima
+   * @param {boolean} selected.verified - Solo servicios verificados (o no verificados)
+   * @returns {Object} Condiciones indexadas por faceta
+   */
+  buildFilters({ categories = [], prices = [], cities = [], minRating, verified }) {
+    const filters = {};
+
+    if (categories.length > 0) {
+      filters.category = { category: { $in: categories.map(id => new mongoose.Types.ObjectId(id)) } };
+    }
+
+    if (prices.length > 0) {
+      filters.price = { price: { $in: prices } };
+    }
+
+    if (cities.length > 0) {
+      filters.city = { city: { $in: cities } };
+    }
+
+    if (minRating !== undefined) {
+      filters.rating = { rating: { $gte: minRating } };
+    }
+
+    if (verified !== undefined) {
+      filters.verified = { verified: verified };
+    }
+
+    return filters;
+  }
+
+  /**
+   * Combinar las condiciones de todas las facetas salvo una
+   *
+   * @param {Object} filters - Condiciones indexadas por faceta
+   * @param {string|null} except - Faceta a excluir
+   * @returns {Object} Condición combinada
+   */
+  combine(filters, except = null) {
+    return Object.entries(filters)
+      .filter(([facet]) => facet !== except)
+      .reduce((query, [, condition]) => ({ ...query, ...condition }), {});
+  }
+
+  /**
+   * Calcular los recuentos de cada faceta
+   * Cada faceta aplica todos los filtros seleccionados excepto el suyo (selección múltiple)
+   *
+   * @param {Object} baseQuery - Consulta sin filtros de faceta ($text, visibilidad, proximidad...)
+   * @param {Object} filters - Condiciones indexadas por faceta (de buildFilters)
+   * @returns {Promise<Object>} { category, price, rating, verified, city }
+   */
+  async getFacets(baseQuery, filters) {
+    const [result] = await Service.aggregate([
+      { $match: baseQuery },
+      {
+        $facet: {
+          category: [
+            { $match: this.combine(filters, 'category') },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: MAX_FACET_VALUES }
+          ],
+          price: [
+            { $match: this.combine(filters, 'price') },
+            { $group: { _id: '$price', count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ],
+          rating: [
+            { $match: this.combine(filters, 'rating') },
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(RATING_THRESHOLDS.map(threshold => [
+                  `min${threshold}`,
+                  { $sum: { $cond: [{ $gte: ['$rating', threshold] }, 1, 0] } }
+                ]))
+              }
+            }
+          ],
+          verified: [
+            { $match: this.combine(filters, 'verified') },
+            { $group: { _id: '$verified', count: { $sum: 1 } } }
+          ],
+          city: [
+            { $match: { ...this.combine(filters, 'city'), city: { $ne: null } } },
+            { $group: { _id: '$city', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: MAX_FACET_VALUES }
+          ]
+        }
+      }
+    ]);
+
+    // Nombres de las categorías para que el cliente pueda pintar el filtro
+    const categories = await Category.find({ _id: { $in: result.category.map(({ _id }) => _id) } })
+      .select('name icon')
+      .lean();
+    const categoriesById = new Map(categories.map(category => [category._id.toString(), category]));
+    const ratingCounts = result.rating[0] || {};
+
+    return {
+      category: result.category
+        .filter(({ _id }) => categoriesById.has(String(_id)))
+        .map(({ _id, count }) => ({
+          value: _id.toString(),
+          name: categoriesById.get(_id.toString()).name,
+          icon: categoriesById.get(_id.toString()).icon,
+          count
+        })),
+      price: result.price.map(({ _id, count }) => ({ value: _id, count })),
+      rating: RATING_THRESHOLDS.map(threshold => ({
+        value: threshold,
+        count: ratingCounts[`min${threshold}`] || 0
+      })),
+      verified: [true, false].map(value => ({
+        value,
+        count: result.verified
+          .filter(({ _id }) => Boolean(_id) === value)
+          .reduce((total, { count }) => total + count, 0)
+      })),
+      city: result.city.map(({ _id, count }) => ({ value: _id, count }))
+    };
+  }
+}
+
+module.exports = new FacetService();
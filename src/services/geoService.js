@@ -0,0 +1,104 @@
+/**
+ * Servicio de búsqueda por proximidad
+ */
+const gazetteer = require('../utils/gazetteer');
+
+// Radio medio de la Tierra en kilómetros
+const EARTH_RADIUS_KM = 6378.1;
+
+// Precisión del punto de referencia (3 decimales ≈ 100 m) para compartir resultados en caché
+const round = (degrees) => Math.round(degrees * 1000) / 1000;
+
+/**
+ * Servicio para resolver el punto de referencia y calcular distancias
+ */
+class GeoService {
+  /**
+   * Resolver el punto de referencia de una búsqueda
+   * Acepta coordenadas explícitas o el nombre de una ciudad o barrio del nomenclátor
+   *
+   * @param {Object|string} near - { lat, lng } o nombre del lugar
+   * @returns {Object|null} { lat, lng } o null si el lugar no se reconoce
+   */
+  resolveNear(near) {
+    if (!near) {
+      return null;
+    }
+
+    if (typeof near === 'object') {
+      return { lat: round(near.lat), lng: round(near.lng) };
+    }
+
+    const place = gazetteer.lookup(near);
+    return place ? { lat: place.lat, lng: place.lng } : null;
+  }
+
+  /**
+   * Filtro de MongoDB para servicios dentro de un radio
+   * Usa $geoWithin porque, a diferencia de $near, se puede combinar con $text y countDocuments
+   *
+   * @param {Object} point - { lat, lng }
+   * @param {number} radiusKm - Radio en kilómetros
+   * @returns {Object} Condición para el campo geo
+   */
+  withinRadius(point, radiusKm) {
+    return {
+      $geoWithin: {
+        $centerSphere: [[point.lng, point.lat], radiusKm / EARTH_RADIUS_KM]
+      }
+    };
+  }
+
+  /**
+   * Distancia en kilómetros entre el punto de referencia y un punto GeoJSON (fórmula del haversine)
+   *
+   * @param {Object} point - { lat, lng }
+   * @param {Object} geo - Punto GeoJSON del servicio
+   * @returns {number|null} Distancia redondeada a 100 m o null si el servicio no tiene coordenadas
+   */
+  distanceKm(point, geo) {
+    if (!geo || !Array.isArray(geo.coordinates) || geo.coordinates.length !== 2) {
+      return null;
+    }
+
+    const [lng, lat] = geo.coordinates;
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat - point.lat);
+    const dLng = toRadians(lng - point.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(point.lat)) * Math.cos(toRadians(lat)) * Math.sin(dLng / 2) ** 2;
+    const distance = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+
+    return Math.round(distance * 10) / 10;
+  }
+
+  /**
+   * Añadir a cada servicio su distancia al punto de referencia
+   *
+   * @param {Array} services - Servicios como objetos planos
+   * @param {Object|null} point - { lat, lng } o null si la búsqueda no es por proximidad
+   * @returns {Array} Servicios con distanceKm
+   */
+  attachDistances(services, point) {
+    if (!point) {
+      return services;
+    }
+
+    return services.map(service => ({
+      ...service,
+      distanceKm: this.distanceKm(point, service.geo)
+    }));
+  }
+
+  /**
+   * Fragmento de clave de caché para el punto de referencia
+   *
+   * @param {Object|null} point - { lat, lng }
+   * @returns {string|undefined} "lat,lng"
+   */
+  getCacheFragment(point) {
+    return point ? `${point.lat},${point.lng}` : undefined;
+  }
+}
+
+module.exports = new GeoService();
@@ -0,0 +1,168 @@
+/**
+ * Servicio para regalar desbloqueos de contactos a otros usuarios de World App
+ */
+const { MiniKit } = require('@worldcoin/minikit-js');
+const { getAddress } = require('viem');
+const User = require('../models/User');
+const Entitlement = require('../models/Entitlement');
+const devPortalService = require('./devPortalService');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+const { isValidWalletAddress } = require('../utils/validators');
+
+/**
+ * Servicio para resolver destinatarios y gestionar los regalos recibidos
+ */
+class GiftService {
+  /**
+   * Resolver el destinatario de un regalo por dirección de wallet o nombre de usuario de World App
+   * Solo consulta: si el destinatario aún no usa la mini app, su cuenta provisional
+   * se crea al completarse el pago (ver ensureRecipient)
+   *
+   * @param {string} recipient - Dirección de wallet o nombre de usuario
+   * @returns {Promise<Object>} { user, walletAddress, username, error }; user es null si aún no tiene cuenta
+   */
+  async resolveRecipient(recipient) {
+    const value = recipient.trim().replace(/^@/, '');
+    let walletAddress = null;
+    let username = null;
+
+    if (isValidWalletAddress(value)) {
+      walletAddress = value;
+    } else {
+      const existing = await User.findOne({ username: value });
+
+      if (existing && isValidWalletAddress(existing.walletAddress)) {
+        return { user: existing, walletAddress: getAddress(existing.walletAddress), username: existing.username };
+      }
+
+      try {
+        const worldAppUser = await MiniKit.getUserByUsername(value);
+        walletAddress = worldAppUser.walletAddress;
+        username = worldAppUser.username || value;
+      } catch (error) {
+        logger.warn(`No se pudo resolver el usuario de World App ${value}: ${error.message}`);
+      }
+
+      if (!isValidWalletAddress(walletAddress)) {
+        return { error: `No se encontró ningún usuario de World App con el nombre ${value}` };
+      }
+    }
+
+    // Las wallets se guardan y se buscan con checksum EIP-55
+    walletAddress = getAddress(walletAddress);
+    const user = await User.findOne({ walletAddress });
+
+    return {
+      user,
+      walletAddress,
+      username: user ? user.username : username
+    };
+  }
+
+  /**
+   * Obtener la cuenta del destinatario de un regalo completado
+   * Si aún no usa la mini app se crea una cuenta provisional con su wallet
+   *
+   * @param {string} walletAddress - Wallet del destinatario
+   * @param {string} username - Nombre de usuario de World App, si se conoce
+   * @returns {Promise<Object>} Usuario destinatario
+   */
+  async ensureRecipient(walletAddress, username = null) {
+    const address = getAddress(walletAddress);
+    const existing = await User.findOne({ walletAddress: address });
+
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      const placeholder = await User.create({
+        walletAddress: address,
+        username,
+        isPlaceholder: true,
+        createdAt: new Date()
+      });
+
+      logger.info(`Cuenta provisional creada para el destinatario de un regalo: ${address}`);
+
+      return placeholder;
+    } catch (error) {
+      // Otro regalo o el inicio de sesión del destinatario creó la cuenta a la vez
+      if (error.code === 11000) {
+        return User.findOne({ walletAddress: address });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Avisar al destinatario de que ha recibido un regalo
+   * El aviso es opcional: un fallo no afecta al acceso concedido
+   *
+   * @param {Object} entitlement - Derecho de acceso regalado
+   * @returns {Promise<boolean>} True si se envió la notificación
+   */
+  async notifyRecipient(entitlement) {
+    try {
+      const recipient = await User.findById(entitlement.userId).select('walletAddress');
+
+      if (!recipient || !recipient.walletAddress) {
+        return false;
+      }
+
+      await devPortalService.sendNotification({
+        walletAddresses: [recipient.walletAddress],
+        title: 'Te han regalado un contacto',
+        message: 'Alguien ha desbloqueado para ti el contacto de un servicio. Ábrelo para verlo.',
+        path: `/services/${entitlement.serviceId}`
+      });
+
+      return true;
+    } catch (error) {
+      logger.warn(`No se pudo notificar el regalo ${entitlement._id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Obtener los regalos recibidos que el usuario aún no ha visto
+   *
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array>} Regalos pendientes
+   */
+  async getPendingGifts(userId) {
+    return Entitlement.find({
+      userId,
+      source: 'gift',
+      acknowledgedAt: null,
+      ...Entitlement.activeFilter()
+    })
+      .sort({ createdAt: -1 })
+      .populate('serviceId', 'title category rating')
+      .populate('giftedBy', 'username profilePictureUrl')
+      .select('serviceId giftedBy grantedAt expiresAt reference createdAt');
+  }
+
+  /**
+   * Marcar un regalo como visto por su destinatario
+   *
+   * @param {string} userId - ID del destinatario
+   * @param {string} entitlementId - ID del derecho regalado
+   * @returns {Promise<Object|null>} Regalo actualizado o null si no existe
+   */
+  async acknowledge(userId, entitlementId) {
+    const gift = await Entitlement.findOne({ _id: entitlementId, userId, source: 'gift' });
+
+    if (gift && !gift.acknowledgedAt) {
+      gift.acknowledgedAt = new Date();
+      await gift.save();
+      cacheService.invalidatePattern(`user:${userId}:*`);
+    }
+
+    return gift;
+  }
+}
+
+module.exports = new GiftService();
@@ -0,0 +1,148 @@
+/**
+ * Servicio para verificar pagos directamente en la blockchain con viem
+ */
+const {
+  createPublicClient,
+  http,
+  defineChain,
+  erc20Abi,
+  parseEventLogs,
+  isAddressEqual,
+  isHash
+} = require('viem');
+const worldAppConfig = require('../config/worldApp').config;
+const tokenRegistry = require('../config/tokens');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para comprobar transferencias de tokens en World Chain
+ */
+class OnchainService {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Obtener (o crear) el cliente público de viem
+   * La cadena se define a partir de la configuración para poder usar un nodo local
+   *
+   * @returns {Object} Cliente público de viem
+   */
+  getClient() {
+    if (!this.client) {
+      const { rpcUrl, chainId } = worldAppConfig.onchain;
+
+      const chain = defineChain({
+        id: chainId,
+        name: worldAppConfig.network,
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        rpcUrls: { default: { http: [rpcUrl] } }
+      });
+
+      this.client = createPublicClient({
+        chain,
+        transport: http(rpcUrl, { timeout: 15000 })
+      });
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Comprobar el formato de un hash de transacción
+   *
+   * @param {string} transactionHash - Hash aportado por el cliente
+   * @returns {boolean} True si es un hash de 32 bytes en hexadecimal
+   */
+  isValidTransactionHash(transactionHash) {
+    return typeof transactionHash === 'string' && isHash(transactionHash);
+  }
+
+  /**
+   * Verificar que una transacción transfirió el token y el importe esperados al destinatario
+   * Si se indica el pagador, solo cuentan las transferencias que salen de su wallet
+   *
+   * @param {Object} params - Parámetros de verificación
+   * @param {string} params.transactionHash - Hash de la transacción
+   * @param {string} params.token - Símbolo del token (WLD, USDC.e)
+   * @param {string} params.amount - Importe esperado en unidades base del token
+   * @param {string} params.recipient - Dirección que debe recibir el pago
+   * @param {string} params.payer - Wallet desde la que debe salir el pago (opcional)
+   * @returns {Promise<Object>} Resultado { valid, status, transactionHash, payerAddress, confirmations, error }
+   */
+  async verifyTokenTransfer({ transactionHash, token, amount, recipient, payer = null }) {
+    const { requiredConfirmations } = worldAppConfig.onchain;
+    const tokenAddress = tokenRegistry.getTokenAddress(token, worldAppConfig.network);
+
+    if (!tokenAddress) {
+      return { valid: false, error: `Token sin contrato configurado: ${token}` };
+    }
+
+    if (!recipient) {
+      return { valid: false, error: 'Dirección de cobro no configurada' };
+    }
+
+    const client = this.getClient();
+    let receipt;
+
+    try {
+      receipt = await client.getTransactionReceipt({ hash: transactionHash });
+    } catch (error) {
+      // La transacción aún no se ha minado
+      if (error.name === 'TransactionReceiptNotFoundError') {
+        return { valid: true, status: 'pending', transactionHash, confirmations: 0 };
+      }
+      throw error;
+    }
+
+    if (receipt.status !== 'success') {
+      return {
+        valid: true,
+        status: 'failed',
+        transactionHash,
+        error: 'La transacción fue revertida en cadena'
+      };
+    }
+
+    // Comprobar las transferencias del token hacia la wallet de cobro
+    const transfers = parseEventLogs({
+      abi: erc20Abi,
+      eventName: 'Transfer',
+      logs: receipt.logs
+    }).filter(log =>
+      isAddressEqual(log.address, tokenAddress) &&
+      isAddressEqual(log.args.to, recipient) &&
+      (!payer || isAddressEqual(log.args.from, payer))
+    );
+
+    const received = transfers.reduce((total, log) => total + log.args.value, 0n);
+    const expected = BigInt(amount);
+
+    if (transfers.length === 0 || received < expected) {
+      logger.warn(`Pago en cadena insuficiente en ${transactionHash}: ${received} < ${expected}`);
+      return {
+        valid: false,
+        transactionHash,
+        error: transfers.length === 0
+          ? (payer
+            ? 'La transacción no contiene una transferencia del token desde tu wallet a la wallet de cobro'
+            : 'La transacción no contiene una transferencia del token a la wallet de cobro')
+          : 'El importe transferido es inferior al precio'
+      };
+    }
+
+    // Exigir el número mínimo de confirmaciones
+    const currentBlock = await client.getBlockNumber();
+    const confirmations = Number(currentBlock - receipt.blockNumber + 1n);
+
+    return {
+      valid: true,
+      status: confirmations >= requiredConfirmations ? 'mined' : 'pending',
+      transactionHash,
+      payerAddress: transfers[0].args.from,
+      confirmations
+    };
+  }
+}
+
+module.exports = new OnchainService();
@@ -0,0 +1,458 @@
+/**
+ * Servicio con la lógica compartida del ciclo de vida de los pagos
+ */
+const { v4: uuidv4 } = require('uuid');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const worldAppConfig = require('../config/worldApp').config;
+const tokenRegistry = require('../config/tokens');
+const devPortalService = require('./devPortalService');
+const onchainService = require('./onchainService');
+const subscriptionService = require('./subscriptionService');
+const creditService = require('./creditService');
+const couponService = require('./couponService');
+const entitlementService = require('./entitlementService');
+const giftService = require('./giftService');
+const receiptService = require('./receiptService');
+const payoutService = require('./payoutService');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio para aplicar resultados de verificación y conceder acceso
+ */
+class PaymentService {
+  /**
+   * Estrategia de verificación configurada (devportal u onchain)
+   *
+   * @returns {string} Nombre de la estrategia
+   */
+  getVerifierName() {
+    return worldAppConfig.paymentVerifier === 'onchain' ? 'onchain' : 'devportal';
+  }
+
+  /**
+   * Verificar el pago de una transacción con la estrategia configurada
+   * El resultado se normaliza a los estados del Developer Portal (pending, mined, failed)
+   *
+   * @param {Object} transaction - Documento de transacción
+   * @param {Object} payload - Identificadores aportados ({ transactionId, transactionHash })
+   * @returns {Promise<Object>} Resultado { valid, status, transactionHash, payerAddress, error }
+   */
+  async verifyPayment(transaction, { transactionId, transactionHash }) {
+    if (this.getVerifierName() === 'onchain') {
+      if (!transactionHash) {
+        return { valid: false, error: 'Hash de transacción requerido para la verificación en cadena' };
+      }
+
+      if (!onchainService.isValidTransactionHash(transactionHash)) {
+        return { valid: false, error: 'Hash de transacción inválido' };
+      }
+
+      // La transferencia debe salir de la wallet del usuario para que nadie reclame el pago de otro
+      const payer = await User.findById(transaction.userId).select('walletAddress');
+
+      const result = await onchainService.verifyTokenTransfer({
+        transactionHash,
+        token: transaction.token,
+        amount: transaction.amount,
+        recipient: worldAppConfig.paymentWalletAddress,
+        payer: payer ? payer.walletAddress : null
+      });
+
+      // Un hash rechazado no se guarda, así que no bloquea la confirmación de su verdadero pagador
+      if (!result.valid) {
+        return result;
+      }
+
+      // Un mismo hash no puede pagar dos referencias distintas: el índice único rechaza a la segunda
+      const claimed = await this.claimTransactionHash(transaction, transactionHash);
+
+      if (!claimed) {
+        return { valid: false, error: 'El hash de transacción ya fue usado en otro pago' };
+      }
+
+      return result;
+    }
+
+    if (!transactionId) {
+      return { valid: false, error: 'ID de transacción requerido' };
+    }
+
+    const txData = await devPortalService.getTransaction(transactionId);
+
+    // Verificar que la transacción corresponde a la misma referencia
+    if (txData.reference !== transaction.reference) {
+      logger.warn(`Referencia de transacción no coincide: ${txData.reference} vs ${transaction.reference}`);
+      return { valid: false, error: 'La referencia de la transacción no coincide' };
+    }
+
+    return {
+      valid: true,
+      status: txData.status,
+      transactionHash: txData.transactionHash,
+      payerAddress: txData.fromWalletAddress || null,
+      error: txData.error
+    };
+  }
+
+  /**
+   * Asociar de forma atómica un hash en cadena a una transacción aún no completada
+   *
+   * @param {Object} transaction - Documento de transacción (se modifica en memoria)
+   * @param {string} transactionHash - Hash aportado por el cliente
+   * @returns {Promise<boolean>} False si el hash ya pertenece a otra transacción
+   */
+  async claimTransactionHash(transaction, transactionHash) {
+    if (transaction.transactionHash === transactionHash) {
+      return true;
+    }
+
+    try {
+      const claimed = await Transaction.updateOne(
+        { _id: transaction._id, status: { $in: ['pending', 'processing'] } },
+        { transactionHash, updatedAt: new Date() }
+      );
+
+      if (claimed.matchedCount === 0) {
+        return false;
+      }
+    } catch (error) {
+      if (error.code === 11000) {
+        logger.warn(`Hash ${transactionHash} reutilizado para la transacción ${transaction.reference}`);
+        return false;
+      }
+      throw error;
+    }
+
+    transaction.transactionHash = transactionHash;
+    return true;
+  }
+
+  /**
+   * Obtener la transacción pendiente y aún válida de un producto o crear una nueva
+   * Evita crear una transacción por cada reintento del cliente; una retención por riesgo
+   * de este intento se aplica al reutilizarla, pero solo la levanta la revisión
+   * El uso por usuario del cupón se reserva al aplicarlo y se libera si se cambia por otro
+   *
+   * @param {Object} criteria - Usuario y producto ({ userId, purpose, serviceId, recipientWallet, plan, pack })
+   * @param {Object} payment - Importe en unidades base, token, cupón y retención ({ amount, token, coupon, heldForReview })
+   * @returns {Promise<Object>} { transaction, reused, error } con la transacción o el límite del cupón agotado
+   */
+  async getOrCreatePendingTransaction(criteria, { amount, token, coupon = null, heldForReview = false }) {
+    const pendingTransaction = await Transaction.findOne({
+      ...criteria,
+      status: 'pending',
+      createdAt: { $gte: Transaction.getExpirationCutoff() }
+    }).sort({ createdAt: -1 });
+
+    const couponCode = coupon ? coupon.code : null;
+    const couponChanged = !pendingTransaction || (pendingTransaction.coupon.code || null) !== couponCode;
+    let reservedCoupon = coupon;
+
+    if (coupon && couponChanged) {
+      const userReserved = await couponService.reserveUserRedemption(coupon.couponId, criteria.userId);
+
+      if (!userReserved) {
+        return { transaction: null, reused: false, error: 'Ya has usado este cupón el máximo de veces permitido' };
+      }
+
+      reservedCoupon = { ...coupon, reservedAt: new Date() };
+    } else if (coupon) {
+      reservedCoupon = { ...coupon, reservedAt: pendingTransaction.coupon.reservedAt };
+    }
+
+    if (pendingTransaction) {
+      if (couponChanged && pendingTransaction.coupon.reservedAt) {
+        await couponService.releaseUserRedemption(pendingTransaction.coupon.couponId, criteria.userId);
+      }
+
+      // La retención solo se activa aquí: la levanta un administrador al resolver la revisión abierta
+      if (pendingTransaction.token !== token ||
+        pendingTransaction.amount !== amount ||
+        couponChanged ||
+        (heldForReview && !pendingTransaction.heldForReview)) {
+        pendingTransaction.token = token;
+        pendingTransaction.amount = amount;
+        pendingTransaction.coupon = reservedCoupon;
+        pendingTransaction.heldForReview = pendingTransaction.heldForReview || heldForReview;
+        await pendingTransaction.save();
+      }
+
+      return { transaction: pendingTransaction, reused: true };
+    }
+
+    let transaction;
+
+    try {
+      transaction = await Transaction.create({
+        ...criteria,
+        reference: uuidv4().replace(/-/g, ''),
+        amount,
+        token,
+        coupon: reservedCoupon,
+        heldForReview,
+        status: 'pending',
+        createdAt: new Date()
+      });
+    } catch (error) {
+      if (coupon) {
+        await couponService.releaseUserRedemption(coupon.couponId, criteria.userId);
+      }
+      throw error;
+    }
+
+    return { transaction, reused: false };
+  }
+
+  /**
+   * Completar sin pago en cadena una compra cuyo importe final es cero (cupón del 100 %)
+   *
+   * @param {Object} criteria - Usuario y producto ({ userId, purpose, serviceId, recipientWallet })
+   * @param {Object} payment - Token, cupón aplicado y retención por riesgo ({ token, coupon, heldForReview })
+   * @returns {Promise<Object>} { transaction, error } con la transacción completada o el límite agotado
+   */
+  async completeFreeTransaction(criteria, { token, coupon, heldForReview = false }) {
+    // Reservar el canje antes de conceder nada para respetar el límite por usuario y el global
+    const userReserved = await couponService.reserveUserRedemption(coupon.couponId, criteria.userId);
+
+    if (!userReserved) {
+      return { transaction: null, error: 'Ya has usado este cupón el máximo de veces permitido' };
+    }
+
+    const reserved = await couponService.reserveRedemption(coupon.couponId);
+
+    if (!reserved) {
+      await couponService.releaseUserRedemption(coupon.couponId, criteria.userId);
+      return { transaction: null, error: 'El cupón ha alcanzado su límite de usos' };
+    }
+
+    const transaction = new Transaction({
+      ...criteria,
+      reference: uuidv4().replace(/-/g, ''),
+      amount: '0',
+      token,
+      coupon: { ...coupon, reservedAt: new Date(), redeemedAt: new Date() },
+      heldForReview,
+      status: 'pending',
+      createdAt: new Date()
+    });
+
+    transaction.setStatus('completed', 'system', `Cupón ${coupon.code} con descuento total`);
+    transaction.completedAt = new Date();
+    await transaction.save();
+
+    await this.grantAccess(transaction);
+
+    logger.info(`Transacción ${transaction.reference} completada sin pago con cupón ${coupon.code}`);
+
+    return { transaction };
+  }
+
+  /**
+   * Traducir el estado verificado al estado interno de la transacción
+   *
+   * @param {string} status - Estado verificado (pending, mined, failed)
+   * @returns {string} Estado interno (processing, completed, failed)
+   */
+  mapStatus(status) {
+    if (status === 'failed') return 'failed';
+    if (status === 'mined') return 'completed';
+    return 'processing';
+  }
+
+  /**
+   * Aplicar a una transacción el resultado de la verificación del pago
+   *
+   * @param {Object} transaction - Documento de transacción
+   * @param {Object} result - Resultado de verifyPayment
+   * @param {string} source - Origen del cambio (client, reconciler)
+   * @returns {Promise<Object>} Transacción actualizada
+   */
+  async applyVerificationResult(transaction, result, source) {
+    const nextStatus = this.mapStatus(result.status);
+    const verifier = this.getVerifierName();
+    const reason = nextStatus === 'failed'
+      ? `${verifier}: ${result.error || 'transacción fallida'}`
+      : `${verifier}: estado ${result.status}`;
+
+    // Una transacción ya cerrada (reembolsada, fallida, expirada) no se reabre aunque el pago siga minado
+    if (transaction.status !== nextStatus && !transaction.canTransitionTo(nextStatus)) {
+      logger.warn(`Resultado ${result.status} ignorado para la transacción ${transaction.reference} en estado ${transaction.status}`);
+      return transaction;
+    }
+
+    transaction.transactionHash = result.transactionHash || transaction.transactionHash || null;
+    transaction.lastReconciledAt = new Date();
+    transaction.setStatus(nextStatus, source, reason);
+
+    if (nextStatus === 'completed') {
+      transaction.completedAt = transaction.completedAt || new Date();
+      transaction.nextReconcileAt = null;
+    } else if (nextStatus === 'processing') {
+      this.scheduleReconciliation(transaction);
+    } else {
+      transaction.nextReconcileAt = null;
+    }
+
+    transaction.updatedAt = new Date();
+    await transaction.save();
+
+    if (transaction.status === 'completed') {
+      await this.grantAccess(transaction);
+    } else if (transaction.status === 'failed') {
+      await couponService.releaseReservation(transaction);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Programar el siguiente intento de reconciliación con backoff exponencial
+   *
+   * @param {Object} transaction - Documento de transacción (se modifica en memoria)
+   * @returns {Date} Fecha del siguiente intento
+   */
+  scheduleReconciliation(transaction) {
+    const { baseDelaySeconds, maxDelaySeconds } = worldAppConfig.reconcile;
+    const delaySeconds = Math.min(
+      baseDelaySeconds * Math.pow(2, transaction.reconcileAttempts || 0),
+      maxDelaySeconds
+    );
+
+    transaction.nextReconcileAt = new Date(Date.now() + delaySeconds * 1000);
+    return transaction.nextReconcileAt;
+  }
+
+  /**
+   * Conceder al usuario el producto pagado (acceso, suscripción o créditos)
+   * Es idempotente: solo la primera llamada por transacción modifica al usuario
+   *
+   * @param {Object} transaction - Transacción completada
+   * @returns {Promise<boolean>} True si se concedió el acceso en esta llamada
+   */
+  async grantAccess(transaction) {
+    // Marcar de forma atómica para que confirmación y reconciliación no dupliquen el gasto
+    // Las transacciones retenidas por riesgo esperan a que un administrador las libere
+    const marked = await Transaction.updateOne(
+      { _id: transaction._id, status: 'completed', accessGrantedAt: null, heldForReview: { $ne: true } },
+      { accessGrantedAt: new Date() }
+    );
+
+    if (marked.modifiedCount === 0) {
+      return false;
+    }
+
+    await User.findByIdAndUpdate(transaction.userId, {
+      $inc: { totalSpent: Number(tokenRegistry.fromBaseUnits(transaction.amount, transaction.token)) }
+    });
+
+    // Las suscripciones dan acceso a todos los servicios durante su vigencia
+    // y los paquetes abonan créditos para desbloqueos posteriores
+    // Los desbloqueos regalados se conceden al destinatario, no a quien paga
+    if (transaction.purpose === 'contact_access' && transaction.isGift()) {
+      // La cuenta del destinatario (provisional si aún no usa la mini app) se asocia al completarse el pago
+      if (!transaction.recipientId) {
+        const recipient = await giftService.ensureRecipient(transaction.recipientWallet, transaction.recipientUsername);
+        transaction.recipientId = recipient._id;
+        await Transaction.updateOne({ _id: transaction._id }, { recipientId: recipient._id });
+      }
+
+      const gift = await entitlementService.grant({
+        userId: transaction.recipientId,
+        serviceId: transaction.serviceId,
+        source: 'gift',
+        transaction,
+        giftedBy: transaction.userId
+      });
+
+      await giftService.notifyRecipient(gift);
+    } else if (transaction.purpose === 'contact_access') {
+      await entitlementService.grant({
+        userId: transaction.userId,
+        serviceId: transaction.serviceId,
+        source: transaction.amount === '0' && transaction.coupon && transaction.coupon.code ? 'coupon' : 'payment',
+        transaction
+      });
+    } else if (transaction.purpose === 'subscription') {
+      await subscriptionService.activate(transaction);
+    } else if (transaction.purpose === 'credit_pack') {
+      await creditService.grantPack(transaction);
+    }
+
+    // Parte del desbloqueo que corresponde al proveedor dueño del servicio
+    if (transaction.purpose === 'contact_access') {
+      await payoutService.accrue(transaction);
+    }
+
+    await couponService.redeem(transaction);
+
+    // El recibo puede volver a emitirse al consultarlo si ahora falla
+    try {
+      await receiptService.issue(transaction);
+    } catch (error) {
+      logger.warn(`No se pudo emitir el recibo de la transacción ${transaction.reference}: ${error.message}`);
+    }
+
+    // Invalidar caché
+    cacheService.invalidatePattern(`user:${transaction.userId}:*`);
+
+    logger.info(`Pago ${transaction.purpose} aplicado por transacción ${transaction.reference}`);
+
+    return true;
+  }
+
+  /**
+   * Reembolsar una transacción completada y revocar el acceso concedido
+   * Es idempotente: solo la primera llamada por transacción modifica al usuario
+   *
+   * @param {Object} transaction - Transacción completada
+   * @param {Object} refund - Datos del reembolso
+   * @param {string} refund.refundTransactionHash - Hash de la transacción de devolución
+   * @param {string} refund.reason - Motivo registrado en el historial
+   * @returns {Promise<Object|null>} Transacción reembolsada o null si ya no estaba completada
+   */
+  async refundTransaction(transaction, { refundTransactionHash, reason }) {
+    const now = new Date();
+
+    // Filtrar por estado para no reembolsar dos veces la misma transacción
+    const refunded = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'completed' },
+      {
+        $set: {
+          status: 'refunded',
+          refundedAt: now,
+          refundTransactionHash,
+          updatedAt: now
+        },
+        $push: {
+          statusHistory: { from: 'completed', to: 'refunded', source: 'admin', reason, at: now }
+        }
+      },
+      { new: true }
+    );
+
+    if (!refunded) {
+      return null;
+    }
+
+    // Solo se descuenta el gasto si el acceso llegó a concederse
+    if (refunded.accessGrantedAt) {
+      await User.findByIdAndUpdate(
+        refunded.userId,
+        { $inc: { totalSpent: -Number(tokenRegistry.fromBaseUnits(refunded.amount, refunded.token)) } }
+      );
+      await entitlementService.revokeByTransaction(refunded._id, reason);
+      await payoutService.reverse(refunded);
+    }
+
+    // Invalidar caché
+    cacheService.invalidatePattern(`user:${refunded.userId}:*`);
+
+    logger.info(`Transacción ${refunded.reference} reembolsada (${refundTransactionHash})`);
+
+    return refunded;
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,309 @@
+/**
+ * Servicio para el reparto de ingresos con proveedores y sus pagos
+ */
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const PayoutLedgerEntry = require('../models/PayoutLedgerEntry');
+const Payout = require('../models/Payout');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const worldAppConfig = require('../config/worldApp').config;
+const tokenRegistry = require('../config/tokens');
+const logger = require('../utils/logger');
+
+// Precisión del porcentaje de reparto (centésimas de punto porcentual)
+const BASIS_POINTS = 10000n;
+
+// Importe firmado de un apunte: los devengos suman y las reversiones restan
+const SIGNED_AMOUNT = {
+  $cond: [
+    { $eq: ['$type', 'reversal'] },
+    { $multiply: [{ $toDecimal: '$amount' }, -1] },
+    { $toDecimal: '$amount' }
+  ]
+};
+
+/**
+ * Servicio para devengar, consultar y liquidar las ganancias de los proveedores
+ */
+class PayoutService {
+  /**
+   * Calcular la parte del proveedor de un importe (redondeo hacia abajo)
+   *
+   * @param {string} amount - Importe bruto en unidades base
+   * @param {number} percent - Porcentaje del proveedor
+   * @returns {string} Parte del proveedor en unidades base
+   */
+  computeShare(amount, percent = worldAppConfig.providerRevenueSharePercent) {
+    const basisPoints = BigInt(Math.round(percent * 100));
+    return ((BigInt(amount) * basisPoints) / BASIS_POINTS).toString();
+  }
+
+  /**
+   * Devengar la parte del proveedor de un desbloqueo pagado
+   * Es idempotente: como mucho un devengo por transacción
+   *
+   * @param {Object} transaction - Transacción completada
+   * @returns {Promise<Object|null>} Apunte creado o null si no corresponde devengo
+   */
+  async accrue(transaction) {
+    if (transaction.purpose !== 'contact_access' || BigInt(transaction.amount) === 0n) {
+      return null;
+    }
+
+    const service = await Service.findById(transaction.serviceId).select('owner');
+
+    // Sin dueño no hay reparto; un proveedor tampoco gana con sus propias compras
+    if (!service || !service.owner || service.owner.toString() === transaction.userId.toString()) {
+      return null;
+    }
+
+    const sharePercent = worldAppConfig.providerRevenueSharePercent;
+    const amount = this.computeShare(transaction.amount, sharePercent);
+
+    if (amount === '0') {
+      return null;
+    }
+
+    try {
+      const entry = await PayoutLedgerEntry.create({
+        providerId: service.owner,
+        serviceId: service._id,
+        transactionId: transaction._id,
+        type: 'accrual',
+        token: transaction.token,
+        grossAmount: transaction.amount,
+        sharePercent,
+        amount
+      });
+
+      logger.info(`Devengados ${tokenRegistry.fromBaseUnits(amount, transaction.token)} ${transaction.token} al proveedor ${service.owner} por ${transaction.reference}`);
+
+      return entry;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Revertir el devengo de una transacción reembolsada
+   * Si el devengo ya se pagó, la reversión se descuenta del siguiente pago
+   *
+   * @param {Object} transaction - Transacción reembolsada
+   * @returns {Promise<Object|null>} Apunte de reversión o null si no había devengo
+   */
+  async reverse(transaction) {
+    const accrual = await PayoutLedgerEntry.findOne({ transactionId: transaction._id, type: 'accrual' });
+
+    if (!accrual) {
+      return null;
+    }
+
+    try {
+      return await PayoutLedgerEntry.create({
+        providerId: accrual.providerId,
+        serviceId: accrual.serviceId,
+        transactionId: accrual.transactionId,
+        type: 'reversal',
+        token: accrual.token,
+        grossAmount: accrual.grossAmount,
+        sharePercent: accrual.sharePercent,
+        amount: accrual.amount
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Saldos netos pendientes de liquidar por proveedor y token
+   *
+   * @param {Object} match - Filtro adicional de apuntes (proveedor, token)
+   * @returns {Promise<Array>} Saldos { providerId, token, amount, entries }
+   */
+  async getUnpaidBalances(match = {}) {
+    const balances = await PayoutLedgerEntry.aggregate([
+      { $match: { ...match, payoutId: null } },
+      {
+        $group: {
+          _id: { providerId: '$providerId', token: '$token' },
+          amount: { $sum: SIGNED_AMOUNT },
+          entries: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return balances.map(({ _id, amount, entries }) => ({
+      providerId: _id.providerId,
+      token: _id.token,
+      amount: BigInt(amount.toString()),
+      entries
+    }));
+  }
+
+  /**
+   * Resumen de ganancias de un proveedor
+   *
+   * @param {string} providerId - ID del proveedor
+   * @returns {Promise<Object>} Saldo pendiente, ganancias por servicio y pagos
+   */
+  async getEarnings(providerId) {
+    // Las agregaciones no convierten los IDs automáticamente
+    const providerObjectId = new mongoose.Types.ObjectId(String(providerId));
+
+    const [unpaid, byService, payouts] = await Promise.all([
+      this.getUnpaidBalances({ providerId: providerObjectId }),
+      PayoutLedgerEntry.aggregate([
+        { $match: { providerId: providerObjectId } },
+        {
+          $group: {
+            _id: { serviceId: '$serviceId', token: '$token' },
+            amount: { $sum: SIGNED_AMOUNT },
+            unlocks: { $sum: { $cond: [{ $eq: ['$type', 'accrual'] }, 1, 0] } },
+            refunds: { $sum: { $cond: [{ $eq: ['$type', 'reversal'] }, 1, 0] } }
+          }
+        },
+        {
+          $lookup: {
+            from: Service.collection.name,
+            localField: '_id.serviceId',
+            foreignField: '_id',
+            as: 'service'
+          }
+        },
+        { $sort: { unlocks: -1 } }
+      ]),
+      Payout.find({ providerId })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .select('token amount status transactionHash settledAt createdAt')
+    ]);
+
+    return {
+      sharePercent: worldAppConfig.providerRevenueSharePercent,
+      unpaid: unpaid.map(({ token, amount, entries }) => ({
+        token,
+        amount: tokenRegistry.fromBaseUnits(amount, token),
+        entries
+      })),
+      byService: byService.map(({ _id, service, amount, unlocks, refunds }) => ({
+        serviceId: _id.serviceId,
+        title: service.length > 0 ? service[0].title : null,
+        token: _id.token,
+        amount: tokenRegistry.fromBaseUnits(BigInt(amount.toString()), _id.token),
+        unlocks,
+        refunds
+      })),
+      payouts
+    };
+  }
+
+  /**
+   * Generar un lote de pagos en un token para los proveedores con saldo suficiente
+   * Los apuntes incluidos quedan asociados a su pago y dejan de contar como pendientes
+   *
+   * @param {string} token - Token del lote
+   * @param {string} adminId - Administrador que genera el lote
+   * @returns {Promise<Object>} { batchId, payouts, skipped }
+   */
+  async createBatch(token, adminId) {
+    const batchId = uuidv4();
+    const cutoff = new Date();
+    const minimum = BigInt(tokenRegistry.toBaseUnits(worldAppConfig.providerPayoutMinimums[token] || 0, token));
+    const balances = await this.getUnpaidBalances({ token, createdAt: { $lte: cutoff } });
+    const payouts = [];
+    const skipped = [];
+
+    for (const balance of balances) {
+      if (balance.amount <= 0n || balance.amount < minimum) {
+        skipped.push({ providerId: balance.providerId, reason: 'Saldo inferior al mínimo' });
+        continue;
+      }
+
+      const provider = await User.findById(balance.providerId).select('walletAddress');
+
+      if (!provider || !provider.walletAddress) {
+        skipped.push({ providerId: balance.providerId, reason: 'Proveedor sin wallet' });
+        continue;
+      }
+
+      const payout = new Payout({
+        providerId: provider._id,
+        walletAddress: provider.walletAddress,
+        token,
+        amount: '0',
+        batchId,
+        createdBy: adminId
+      });
+
+      // Reservar los apuntes pendientes y calcular el importe con los realmente reservados
+      const entryFilter = { providerId: provider._id, token, payoutId: null, createdAt: { $lte: cutoff } };
+      await PayoutLedgerEntry.updateMany(entryFilter, { payoutId: payout._id });
+
+      const [claimed] = await this.getClaimedTotals(payout._id);
+
+      // Entre el cálculo del saldo y la reserva puede haber llegado una reversión o un lote concurrente
+      if (!claimed || claimed.amount <= 0n || claimed.amount < minimum) {
+        await PayoutLedgerEntry.updateMany({ payoutId: payout._id }, { payoutId: null });
+        skipped.push({ providerId: provider._id, reason: 'Saldo inferior al mínimo' });
+        continue;
+      }
+
+      payout.amount = claimed.amount.toString();
+      payout.entryCount = claimed.entries;
+      await payout.save();
+      payouts.push(payout);
+    }
+
+    logger.info(`Lote de pagos ${batchId} (${token}) generado con ${payouts.length} pagos`);
+
+    return { batchId, payouts, skipped };
+  }
+
+  /**
+   * Importe neto de los apuntes asociados a un pago
+   *
+   * @param {string} payoutId - ID del pago
+   * @returns {Promise<Array>} [{ amount, entries }] o vacío si no hay apuntes
+   */
+  async getClaimedTotals(payoutId) {
+    const totals = await PayoutLedgerEntry.aggregate([
+      { $match: { payoutId } },
+      { $group: { _id: null, amount: { $sum: SIGNED_AMOUNT }, entries: { $sum: 1 } } }
+    ]);
+
+    return totals.map(({ amount, entries }) => ({ amount: BigInt(amount.toString()), entries }));
+  }
+
+  /**
+   * Marcar un pago como liquidado con el hash de la transferencia
+   *
+   * @param {string} payoutId - ID del pago
+   * @param {string} transactionHash - Hash de la transferencia en cadena
+   * @param {string} adminId - Administrador que liquida el pago
+   * @returns {Promise<Object|null>} Pago liquidado o null si no estaba pendiente
+   */
+  async settle(payoutId, transactionHash, adminId) {
+    const payout = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: 'pending' },
+      { status: 'settled', transactionHash, settledAt: new Date(), settledBy: adminId },
+      { new: true }
+    );
+
+    if (payout) {
+      logger.info(`Pago ${payout._id} a ${payout.walletAddress} liquidado (${transactionHash})`);
+    }
+
+    return payout;
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,214 @@
+/**
+ * Servicio para resolver el precio de acceso a los contactos de un servicio
+ */
+const PricingRule = require('../models/PricingRule');
+const Category = require('../models/Category');
+const worldAppConfig = require('../config/worldApp').config;
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+const INDEX_CACHE_KEY = 'pricing:index';
+
+/**
+ * Servicio para resolver precios a partir de las reglas almacenadas
+ * Orden de prioridad: servicio > categoría (y sus ancestros) > regla global > configuración
+ */
+class PricingService {
+  /**
+   * Cargar las reglas activas y la jerarquía de categorías en un índice en memoria
+   *
+   * @returns {Promise<Object>} Índice { defaultPrices, byCategory, byService, parents }
+   */
+  async getIndex() {
+    const cachedIndex = cacheService.get(INDEX_CACHE_KEY);
+
+    if (cachedIndex) {
+      return cachedIndex;
+    }
+
+    const [rules, categories] = await Promise.all([
+      PricingRule.find({ isActive: true }).lean(),
+      Category.find({}).select('_id parentCategory').lean()
+    ]);
+
+    const toPriceMap = (rule) => {
+      const prices = {};
+      rule.prices.forEach(({ token, amount }) => {
+        prices[token] = amount;
+      });
+      return prices;
+    };
+
+    const index = {
+      defaultPrices: {},
+      byCategory: new Map(),
+      byService: new Map(),
+      parents: new Map()
+    };
+
+    rules.forEach(rule => {
+      if (rule.scope === 'default') {
+        index.defaultPrices = toPriceMap(rule);
+      } else if (rule.scope === 'category') {
+        index.byCategory.set(rule.category.toString(), toPriceMap(rule));
+      } else if (rule.scope === 'service') {
+        index.byService.set(rule.service.toString(), toPriceMap(rule));
+      }
+    });
+
+    categories.forEach(category => {
+      index.parents.set(
+        category._id.toString(),
+        category.parentCategory ? category.parentCategory.toString() : null
+      );
+    });
+
+    cacheService.set(INDEX_CACHE_KEY, index);
+
+    return index;
+  }
+
+  /**
+   * Invalidar el índice de precios y las respuestas en caché que los incluyen
+   */
+  invalidate() {
+    cacheService.delete(INDEX_CACHE_KEY);
+    cacheService.invalidatePattern('categories:*');
+    cacheService.invalidatePattern('services:*');
+    cacheService.invalidatePattern('search:*');
+    logger.info('Índice de precios invalidado');
+  }
+
+  /**
+   * Precio de configuración usado cuando ninguna regla define el token
+   *
+   * @param {string} token - Símbolo del token
+   * @returns {number} Importe
+   */
+  getFallbackPrice(token) {
+    const configured = worldAppConfig.defaultAccessPrices[token];
+    return configured > 0 ? configured : worldAppConfig.contactAccessPrice;
+  }
+
+  /**
+   * Resolver los precios por token a partir de las capas de reglas aplicables
+   *
+   * @param {Object} index - Índice de reglas
+   * @param {string|null} serviceId - ID del servicio
+   * @param {string|null} categoryId - ID de la categoría
+   * @returns {Object} Precios por token ({ WLD: 1, 'USDC.e': 1.2 })
+   */
+  resolveFromIndex(index, serviceId, categoryId) {
+    // Capas ordenadas de mayor a menor prioridad
+    const layers = [];
+
+    if (serviceId && index.byService.has(serviceId.toString())) {
+      layers.push(index.byService.get(serviceId.toString()));
+    }
+
+    // Recorrer la categoría y sus ancestros
+    let currentCategory = categoryId ? categoryId.toString() : null;
+    const visited = new Set();
+
+    while (currentCategory && !visited.has(currentCategory)) {
+      visited.add(currentCategory);
+
+      if (index.byCategory.has(currentCategory)) {
+        layers.push(index.byCategory.get(currentCategory));
+      }
+
+      currentCategory = index.parents.get(currentCategory) || null;
+    }
+
+    layers.push(index.defaultPrices);
+
+    // Las reglas anteriores a la validación de importe positivo pueden tener precio cero: se ignoran
+    const prices = {};
+    worldAppConfig.supportedTokens.forEach(token => {
+      const layer = layers.find(candidate => candidate[token] > 0);
+      prices[token] = layer ? layer[token] : this.getFallbackPrice(token);
+    });
+
+    return prices;
+  }
+
+  /**
+   * Obtener la categoría de un servicio (poblada o como ObjectId)
+   *
+   * @param {Object} service - Servicio
+   * @returns {string|null} ID de la categoría
+   */
+  getCategoryId(service) {
+    if (!service.category) return null;
+    return service.category._id ? service.category._id.toString() : service.category.toString();
+  }
+
+  /**
+   * Resolver los precios por token de un servicio
+   *
+   * @param {Object} service - Servicio
+   * @returns {Promise<Object>} Precios por token
+   */
+  async getServicePrices(service) {
+    const index = await this.getIndex();
+    return this.resolveFromIndex(index, service._id, this.getCategoryId(service));
+  }
+
+  /**
+   * Resolver el precio de un servicio para un token concreto
+   *
+   * @param {Object} service - Servicio
+   * @param {string} token - Símbolo del token
+   * @returns {Promise<number>} Importe a pagar
+   */
+  async resolvePrice(service, token) {
+    const prices = await this.getServicePrices(service);
+    return prices[token];
+  }
+
+  /**
+   * Resolver los precios por token de una categoría
+   *
+   * @param {string} categoryId - ID de la categoría
+   * @returns {Promise<Object>} Precios por token
+   */
+  async getCategoryPrices(categoryId) {
+    const index = await this.getIndex();
+    return this.resolveFromIndex(index, null, categoryId);
+  }
+
+  /**
+   * Añadir los precios de acceso a una lista de servicios ya transformados
+   *
+   * @param {Array} services - Servicios como objetos planos
+   * @returns {Promise<Array>} Servicios con el campo accessPrices
+   */
+  async attachServicePrices(services) {
+    const index = await this.getIndex();
+
+    return services.map(service => ({
+      ...service,
+      accessPrices: this.resolveFromIndex(index, service._id, this.getCategoryId(service))
+    }));
+  }
+
+  /**
+   * Añadir los precios de acceso a una lista de categorías (incluye hijas anidadas)
+   *
+   * @param {Array} categories - Categorías como objetos planos
+   * @returns {Promise<Array>} Categorías con el campo accessPrices
+   */
+  async attachCategoryPrices(categories) {
+    const index = await this.getIndex();
+
+    const attach = (category) => ({
+      ...category,
+      accessPrices: this.resolveFromIndex(index, null, category._id),
+      ...(category.children && { children: category.children.map(attach) })
+    });
+
+    return categories.map(attach);
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,226 @@
+/**
+ * Servicio para emitir y verificar recibos firmados de pagos
+ */
+const crypto = require('crypto');
+const Receipt = require('../models/Receipt');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const worldAppConfig = require('../config/worldApp').config;
+const tokenRegistry = require('../config/tokens');
+const { canonicalStringify } = require('../utils/canonicalJson');
+const logger = require('../utils/logger');
+
+// Algoritmo de la firma de los recibos
+const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+
+// Estados de transacción que tienen recibo (un reembolso no anula el recibo de la compra)
+const RECEIPT_STATUSES = ['completed', 'refunded'];
+
+/**
+ * Escapa un valor para insertarlo en HTML
+ *
+ * @param {*} value - Valor a escapar
+ * @returns {string} Texto seguro
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Servicio para los comprobantes de compra
+ * El documento se guarda al emitirse para que el recibo no cambie aunque
+ * cambien después el servicio o el usuario
+ */
+class ReceiptService {
+  /**
+   * Firmar un documento de recibo
+   *
+   * @param {Object} document - Documento del recibo
+   * @returns {string} Firma en hexadecimal
+   */
+  sign(document) {
+    if (!worldAppConfig.receiptSigningSecret) {
+      throw new Error('Clave de firma de recibos no configurada');
+    }
+
+    return crypto
+      .createHmac('sha256', worldAppConfig.receiptSigningSecret)
+      .update(canonicalStringify(document))
+      .digest('hex');
+  }
+
+  /**
+   * Comprobar la firma de un recibo
+   *
+   * @param {Object} document - Documento del recibo
+   * @param {string} signature - Firma en hexadecimal
+   * @returns {boolean} True si la firma es válida
+   */
+  verify(document, signature) {
+    const expected = Buffer.from(this.sign(document), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Construir el documento de recibo de una transacción
+   * Todos los campos tienen valor (null si no aplica) para que la firma sea reproducible
+   *
+   * @param {Object} transaction - Transacción completada
+   * @returns {Promise<Object>} Documento del recibo
+   */
+  async buildDocument(transaction) {
+    const [service, payer, recipient] = await Promise.all([
+      transaction.serviceId ? Service.findById(transaction.serviceId).select('title') : null,
+      User.findById(transaction.userId).select('walletAddress'),
+      transaction.recipientId ? User.findById(transaction.recipientId).select('walletAddress') : null
+    ]);
+
+    let description = service ? service.title : 'Desbloqueo de contacto';
+
+    if (transaction.purpose === 'subscription') {
+      const plan = worldAppConfig.subscriptionPlans[transaction.plan];
+      description = plan ? plan.name : `Suscripción ${transaction.plan}`;
+    } else if (transaction.purpose === 'credit_pack') {
+      const pack = worldAppConfig.creditPacks[transaction.pack];
+      description = pack ? pack.name : `Paquete de créditos ${transaction.pack}`;
+    }
+
+    const coupon = transaction.coupon && transaction.coupon.code ? transaction.coupon : null;
+
+    return {
+      receiptNumber: `R-${transaction.reference}`,
+      issuer: worldAppConfig.receiptIssuer,
+      issuedAt: new Date().toISOString(),
+      reference: transaction.reference,
+      purpose: transaction.purpose,
+      description,
+      service: service ? { id: service._id.toString(), title: service.title } : null,
+      amount: transaction.displayAmount,
+      amountBaseUnits: transaction.amount,
+      token: transaction.token,
+      coupon: coupon ? {
+        code: coupon.code,
+        originalAmount: tokenRegistry.fromBaseUnits(coupon.originalAmount, transaction.token),
+        discount: tokenRegistry.fromBaseUnits(coupon.discount, transaction.token)
+      } : null,
+      network: worldAppConfig.network,
+      transactionHash: transaction.transactionHash || null,
+      paidAt: new Date(transaction.completedAt || transaction.updatedAt).toISOString(),
+      payerWallet: payer ? payer.walletAddress || null : null,
+      recipientWallet: recipient ? recipient.walletAddress || null : null,
+      merchantWallet: worldAppConfig.paymentWalletAddress || null
+    };
+  }
+
+  /**
+   * Obtener el recibo de una transacción, emitiéndolo la primera vez
+   *
+   * @param {Object} transaction - Transacción completada (o reembolsada)
+   * @returns {Promise<Object|null>} Recibo o null si la transacción no tiene recibo
+   */
+  async issue(transaction) {
+    if (!RECEIPT_STATUSES.includes(transaction.status)) {
+      return null;
+    }
+
+    const existing = await Receipt.findOne({ transactionId: transaction._id });
+
+    if (existing) {
+      return existing;
+    }
+
+    const document = await this.buildDocument(transaction);
+
+    try {
+      const receipt = await Receipt.create({
+        transactionId: transaction._id,
+        reference: transaction.reference,
+        userId: transaction.userId,
+        document,
+        signature: this.sign(document)
+      });
+
+      logger.info(`Recibo ${document.receiptNumber} emitido`);
+
+      return receipt;
+    } catch (error) {
+      // Emisión concurrente del mismo recibo: devolver el que se guardó primero
+      if (error.code === 11000) {
+        return Receipt.findOne({ transactionId: transaction._id });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Representación pública de un recibo
+   *
+   * @param {Object} receipt - Recibo guardado
+   * @returns {Object} { receipt, signature, algorithm }
+   */
+  toJSON(receipt) {
+    return {
+      receipt: receipt.document,
+      signature: receipt.signature,
+      algorithm: SIGNATURE_ALGORITHM
+    };
+  }
+
+  /**
+   * Generar la versión HTML de un recibo
+   *
+   * @param {Object} receipt - Recibo guardado
+   * @returns {string} Documento HTML
+   */
+  renderHtml(receipt) {
+    const doc = receipt.document;
+    const rows = [
+      ['Referencia', doc.reference],
+      ['Concepto', doc.description],
+      ['Importe', `${doc.amount} ${doc.token}`],
+      ...(doc.coupon ? [
+        ['Importe original', `${doc.coupon.originalAmount} ${doc.token}`],
+        ['Descuento', `${doc.coupon.discount} ${doc.token} (${doc.coupon.code})`]
+      ] : []),
+      ['Fecha de pago', doc.paidAt],
+      ['Red', doc.network],
+      ['Hash de transacción', doc.transactionHash || 'Sin pago en cadena'],
+      ['Wallet del pagador', doc.payerWallet],
+      ...(doc.recipientWallet ? [['Wallet del destinatario', doc.recipientWallet]] : []),
+      ['Wallet del comercio', doc.merchantWallet]
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Recibo ${escapeHtml(doc.receiptNumber)}</title>
+<style>
+body { font-family: sans-serif; max-width: 640px; margin: 2rem auto; color: #222; }
+table { width: 100%; border-collapse: collapse; }
+th, td { text-align: left; padding: 0.4rem; border-bottom: 1px solid #ddd; word-break: break-all; }
+th { width: 35%; }
+.signature { font-family: monospace; font-size: 0.8rem; word-break: break-all; color: #555; }
+</style>
+</head>
+<body>
+<h1>Recibo ${escapeHtml(doc.receiptNumber)}</h1>
+<p>${escapeHtml(doc.issuer)} &middot; emitido el ${escapeHtml(doc.issuedAt)}</p>
+<table>
+${rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<p class="signature">Firma ${SIGNATURE_ALGORITHM}: ${escapeHtml(receipt.signature)}</p>
+<p>Puede verificar este recibo enviando su versión JSON y la firma a POST /api/payments/receipts/verify.</p>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new ReceiptService();
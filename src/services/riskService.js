@@ -0,0 +1,221 @@
+/**
+ * Servicio de evaluación de riesgo del flujo de pagos
+ */
+const Transaction = require('../models/Transaction');
+const Entitlement = require('../models/Entitlement');
+const RiskAssessment = require('../models/RiskAssessment');
+const worldAppConfig = require('../config/worldApp').config;
+const logger = require('../utils/logger');
+
+// Orígenes de acceso que cuentan como desbloqueo realizado por el propio usuario
+const SELF_UNLOCK_SOURCES = ['payment', 'coupon', 'credit'];
+
+/**
+ * Servicio que puntúa señales de fraude y abuso y registra la decisión
+ * Cada señal suma su peso; la suma decide si se permite, se retiene para revisión o se bloquea
+ */
+class RiskService {
+  constructor() {
+    // Respuesta al usuario cuando se bloquea una operación (no revela las señales detectadas)
+    this.blockedMessage = 'No podemos procesar este pago en este momento. Si crees que es un error, contacta con soporte';
+  }
+
+  /**
+   * Inicio de la ventana de observación
+   *
+   * @returns {Date} Fecha de inicio
+   */
+  getWindowStart() {
+    return new Date(Date.now() - worldAppConfig.risk.windowMinutes * 60 * 1000);
+  }
+
+  /**
+   * Crear una señal con el peso configurado
+   *
+   * @param {string} code - Código de la señal
+   * @param {string} detail - Descripción para el revisor
+   * @returns {Object} Señal { code, weight, detail }
+   */
+  signal(code, detail) {
+    return { code, weight: worldAppConfig.risk.weights[code] || 0, detail };
+  }
+
+  /**
+   * Señal de desbloqueos rápidos de muchos servicios (posible extracción del muro de pago)
+   *
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object|null>} Señal o null
+   */
+  async checkRapidUnlocks(userId) {
+    const unlocks = await Entitlement.countDocuments({
+      userId,
+      source: { $in: SELF_UNLOCK_SOURCES },
+      createdAt: { $gte: this.getWindowStart() }
+    });
+
+    return unlocks >= worldAppConfig.risk.maxUnlocksPerWindow
+      ? this.signal('rapid_unlocks', `${unlocks} desbloqueos en ${worldAppConfig.risk.windowMinutes} minutos`)
+      : null;
+  }
+
+  /**
+   * Calcular la puntuación y la decisión de un conjunto de señales
+   *
+   * @param {Array} signals - Señales detectadas
+   * @returns {Object} { score, decision }
+   */
+  decide(signals) {
+    const score = signals.reduce((total, { weight }) => total + weight, 0);
+    const { reviewScore, blockScore } = worldAppConfig.risk;
+
+    let decision = 'allow';
+
+    if (score >= blockScore) {
+      decision = 'block';
+    } else if (score >= reviewScore) {
+      decision = 'review';
+    }
+
+    return { score, decision };
+  }
+
+  /**
+   * Registrar la evaluación cuando se detectó alguna señal
+   *
+   * @param {Object} params - Datos de la evaluación
+   * @returns {Promise<Object>} Resultado { score, decision, signals, assessment }
+   */
+  async record({ userId, action, transaction = null, serviceId = null, signals, ip = null }) {
+    const { score, decision } = this.decide(signals);
+
+    if (signals.length === 0) {
+      return { score, decision, signals, assessment: null };
+    }
+
+    const assessment = await RiskAssessment.create({
+      userId,
+      action,
+      transactionId: transaction ? transaction._id : null,
+      reference: transaction ? transaction.reference : null,
+      serviceId,
+      signals,
+      score,
+      decision,
+      ip,
+      reviewStatus: decision === 'review' ? 'open' : 'none'
+    });
+
+    if (decision !== 'allow') {
+      logger.warn(`Riesgo ${decision} (${score}) en ${action} del usuario ${userId}: ${signals.map(s => s.code).join(', ')}`);
+    }
+
+    return { score, decision, signals, assessment };
+  }
+
+  /**
+   * Evaluar el inicio de un pago o un desbloqueo con créditos
+   *
+   * @param {Object} params - Datos de la solicitud
+   * @param {Object} params.user - Usuario que paga
+   * @param {string} params.serviceId - Servicio a desbloquear
+   * @param {string} params.ip - IP de la solicitud
+   * @param {string} params.action - Paso evaluado (initiate, unlock)
+   * @returns {Promise<Object>} Resultado { score, decision, signals, assessment }
+   */
+  async assessInitiation({ user, serviceId = null, ip = null, action = 'initiate' }) {
+    const signals = [];
+
+    const unconfirmed = await Transaction.countDocuments({
+      userId: user._id,
+      status: { $in: ['pending', 'expired'] },
+      createdAt: { $gte: this.getWindowStart() }
+    });
+
+    if (unconfirmed >= worldAppConfig.risk.maxUnconfirmedInitiations) {
+      signals.push(this.signal(
+        'unconfirmed_initiations',
+        `${unconfirmed} pagos iniciados sin confirmar en ${worldAppConfig.risk.windowMinutes} minutos`
+      ));
+    }
+
+    const rapidUnlocks = await this.checkRapidUnlocks(user._id);
+
+    if (rapidUnlocks) {
+      signals.push(rapidUnlocks);
+    }
+
+    if (!user.verified) {
+      signals.push(this.signal('unverified_account', 'Cuenta sin verificación de World ID'));
+    }
+
+    return this.record({ userId: user._id, action, serviceId, signals, ip });
+  }
+
+  /**
+   * Evaluar la confirmación de un pago con el resultado de su verificación
+   *
+   * @param {Object} params - Datos de la solicitud
+   * @param {Object} params.user - Usuario autenticado
+   * @param {Object} params.transaction - Transacción que se confirma
+   * @param {string} params.transactionId - ID de MiniKit aportado por el cliente
+   * @param {Object} params.verification - Resultado de la verificación del pago
+   * @param {string} params.ip - IP de la solicitud
+   * @returns {Promise<Object>} Resultado { score, decision, signals, assessment }
+   */
+  async assessConfirmation({ user, transaction, transactionId = null, verification = {}, ip = null }) {
+    const signals = [];
+
+    if (transactionId) {
+      const reused = await Transaction.findOne({
+        transactionId,
+        _id: { $ne: transaction._id }
+      }).select('reference');
+
+      if (reused) {
+        signals.push(this.signal('transaction_id_reuse', `ID de transacción ya usado en la referencia ${reused.reference}`));
+      }
+    }
+
+    if (verification.payerAddress && user.walletAddress &&
+      verification.payerAddress.toLowerCase() !== user.walletAddress.toLowerCase()) {
+      signals.push(this.signal(
+        'payer_mismatch',
+        `Pagado desde ${verification.payerAddress}, autenticado como ${user.walletAddress}`
+      ));
+    }
+
+    const rapidUnlocks = await this.checkRapidUnlocks(user._id);
+
+    if (rapidUnlocks) {
+      signals.push(rapidUnlocks);
+    }
+
+    return this.record({
+      userId: user._id,
+      action: 'confirm',
+      transaction,
+      serviceId: transaction.serviceId,
+      signals,
+      ip
+    });
+  }
+
+  /**
+   * Vincular una evaluación a la transacción creada tras ella
+   *
+   * @param {Object} assessment - Evaluación registrada
+   * @param {Object} transaction - Transacción
+   * @returns {Promise<void>}
+   */
+  async attachTransaction(assessment, transaction) {
+    if (!assessment) {
+      return;
+    }
+
+    assessment.transactionId = transaction._id;
+    assessment.reference = transaction.reference;
+    await assessment.save();
+  }
+}
+
+module.exports = new RiskService();
@@ -0,0 +1,178 @@
+/**
+ * Servicio de corrección ortográfica de búsquedas ("quizás quisiste decir")
+ */
+const suggestService = require('./suggestService');
+const { normalizeText } = require('../utils/text');
+
+// Palabras frecuentes que no se corrigen
+const STOPWORDS = new Set([
+  'de', 'del', 'la', 'las', 'el', 'los', 'en', 'y', 'o', 'a', 'al', 'un', 'una', 'por', 'para',
+  'con', 'sin', 'que', 'mi', 'cerca', 'the', 'and', 'for', 'near'
+]);
+
+// Número máximo de correcciones alternativas devueltas
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Trigramas de una palabra con marcas de inicio y fin (ej. "gas" → "$ga", "gas", "as$")
+ *
+ * @param {string} word - Palabra normalizada
+ * @returns {Set<string>} Trigramas
+ */
+const trigramsOf = (word) => {
+  const padded = `$${word}$`;
+  const trigrams = new Set();
+
+  for (let i = 0; i <= padded.length - 3; i++) {
+    trigrams.add(padded.slice(i, i + 3));
+  }
+
+  return trigrams;
+};
+
+/**
+ * Distancia de edición con transposiciones (Damerau-Levenshtein restringida)
+ * Deja de calcular en cuanto se supera el máximo permitido
+ *
+ * @param {string} a - Primera palabra
+ * @param {string} b - Segunda palabra
+ * @param {number} max - Distancia máxima de interés
+ * @returns {number} Distancia (max + 1 si lo supera)
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    previousRow = row;
+    row = current;
+  }
+
+  return row[b.length];
+};
+
+/**
+ * Servicio que propone consultas corregidas a partir del vocabulario del catálogo
+ * Filtra candidatos por trigramas compartidos y los ordena por distancia de edición
+ */
+class SpellingService {
+  constructor() {
+    this.vocabulary = null;
+    this.trigramIndex = new Map();
+  }
+
+  /**
+   * Obtener el vocabulario y reconstruir el índice de trigramas si cambió
+   *
+   * @returns {Promise<Map<string, number>>} Frecuencia por palabra
+   */
+  async getVocabulary() {
+    const vocabulary = await suggestService.getVocabulary();
+
+    if (vocabulary !== this.vocabulary) {
+      const trigramIndex = new Map();
+
+      for (const word of vocabulary.keys()) {
+        for (const trigram of trigramsOf(word)) {
+          if (!trigramIndex.has(trigram)) {
+            trigramIndex.set(trigram, []);
+          }
+          trigramIndex.get(trigram).push(word);
+        }
+      }
+
+      this.vocabulary = vocabulary;
+      this.trigramIndex = trigramIndex;
+    }
+
+    return this.vocabulary;
+  }
+
+  /**
+   * Candidatos ordenados para una palabra desconocida
+   *
+   * @param {string} word - Palabra normalizada
+   * @param {Map<string, number>} vocabulary - Vocabulario del catálogo
+   * @returns {Array<string>} Palabras del vocabulario, de la más a la menos probable
+   */
+  getCandidates(word, vocabulary) {
+    // Una errata por palabra corta y hasta dos en palabras largas
+    const maxDistance = word.length <= 4 ? 1 : 2;
+    const trigrams = trigramsOf(word);
+    const shared = new Map();
+
+    for (const trigram of trigrams) {
+      for (const candidate of this.trigramIndex.get(trigram) || []) {
+        shared.set(candidate, (shared.get(candidate) || 0) + 1);
+      }
+    }
+
+    return [...shared.entries()]
+      .map(([candidate, common]) => ({
+        candidate,
+        distance: editDistance(word, candidate, maxDistance),
+        similarity: common / (trigrams.size + trigramsOf(candidate).size - common),
+        frequency: vocabulary.get(candidate)
+      }))
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || b.similarity - a.similarity || b.frequency - a.frequency)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ candidate }) => candidate);
+  }
+
+  /**
+   * Consultas corregidas para una búsqueda sin resultados
+   * La primera sustituye cada palabra desconocida por su mejor candidato;
+   * las siguientes prueban los candidatos alternativos
+   *
+   * @param {string} query - Consulta del usuario
+   * @returns {Promise<Array<string>>} Consultas sugeridas (vacío si no hay nada que corregir)
+   */
+  async getSuggestions(query) {
+    const vocabulary = await this.getVocabulary();
+    const words = normalizeText(query).split(' ').filter(Boolean);
+
+    const options = words.map(word => {
+      if (word.length < 3 || STOPWORDS.has(word) || /^\d+$/.test(word) || vocabulary.has(word)) {
+        return [word];
+      }
+
+      const candidates = this.getCandidates(word, vocabulary);
+      return candidates.length > 0 ? candidates : [word];
+    });
+
+    const suggestions = new Set();
+
+    for (let rank = 0; rank < MAX_SUGGESTIONS; rank++) {
+      suggestions.add(options.map(candidates => candidates[Math.min(rank, candidates.length - 1)]).join(' '));
+    }
+
+    const original = words.join(' ');
+    return [...suggestions].filter(suggestion => suggestion !== original);
+  }
+}
+
+module.exports = new SpellingService();
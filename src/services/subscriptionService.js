@@ -0,0 +1,149 @@
+/**
+ * Servicio para los pases de suscripción con acceso ilimitado a contactos
+ */
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const worldAppConfig = require('../config/worldApp').config;
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+// Milisegundos en un día
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Servicio para activar, consultar y expirar suscripciones
+ */
+class SubscriptionService {
+  /**
+   * Obtener la definición de un plan
+   *
+   * @param {string} plan - Identificador del plan (monthly, yearly)
+   * @returns {Object|null} Plan o null si no existe
+   */
+  getPlan(plan) {
+    return worldAppConfig.subscriptionPlans[plan] || null;
+  }
+
+  /**
+   * Listar los planes disponibles
+   *
+   * @returns {Array} Planes con su identificador, duración y precios por token
+   */
+  getPlans() {
+    return Object.entries(worldAppConfig.subscriptionPlans).map(([id, plan]) => ({
+      id,
+      name: plan.name,
+      durationDays: plan.durationDays,
+      prices: plan.prices
+    }));
+  }
+
+  /**
+   * Precio de un plan en un token
+   *
+   * @param {string} plan - Identificador del plan
+   * @param {string} token - Símbolo del token
+   * @returns {number|undefined} Importe en unidades del token
+   */
+  getPlanPrice(plan, token) {
+    const definition = this.getPlan(plan);
+    return definition ? definition.prices[token] : undefined;
+  }
+
+  /**
+   * Activar el periodo de suscripción pagado por una transacción
+   * Si el usuario ya tiene un pase vigente, el nuevo periodo empieza cuando termina el actual
+   *
+   * @param {Object} transaction - Transacción completada con purpose 'subscription'
+   * @returns {Promise<Object>} Periodo de suscripción creado (o existente)
+   */
+  async activate(transaction) {
+    const existing = await Subscription.findOne({ transactionId: transaction._id });
+
+    if (existing) {
+      return existing;
+    }
+
+    const plan = this.getPlan(transaction.plan);
+
+    if (!plan) {
+      throw new Error(`Plan de suscripción desconocido: ${transaction.plan}`);
+    }
+
+    const user = await User.findById(transaction.userId).select('subscriptionExpiresAt');
+    const now = new Date();
+    const startsAt = user && user.subscriptionExpiresAt > now ? user.subscriptionExpiresAt : now;
+    const expiresAt = new Date(startsAt.getTime() + plan.durationDays * DAY_MS);
+
+    const subscription = await Subscription.create({
+      userId: transaction.userId,
+      plan: transaction.plan,
+      transactionId: transaction._id,
+      startsAt,
+      expiresAt
+    });
+
+    await User.updateOne(
+      { _id: transaction.userId },
+      { subscriptionPlan: transaction.plan, subscriptionExpiresAt: expiresAt, updatedAt: now }
+    );
+
+    cacheService.invalidatePattern(`user:${transaction.userId}:*`);
+
+    logger.info(`Suscripción ${transaction.plan} activada para ${transaction.userId} hasta ${expiresAt.toISOString()}`);
+
+    return subscription;
+  }
+
+  /**
+   * Obtener los periodos vigentes o futuros de un usuario
+   *
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array>} Periodos ordenados por fecha de inicio
+   */
+  async getActivePeriods(userId) {
+    return Subscription.find({
+      userId,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ startsAt: 1 })
+      .select('-__v');
+  }
+
+  /**
+   * Marcar como expirados los periodos vencidos
+   *
+   * @returns {Promise<number>} Número de periodos expirados
+   */
+  async expireDue() {
+    const now = new Date();
+    const due = await Subscription.find({
+      status: 'active',
+      expiresAt: { $lte: now }
+    }).select('_id userId');
+
+    if (due.length === 0) {
+      return 0;
+    }
+
+    const result = await Subscription.updateMany(
+      { _id: { $in: due.map(subscription => subscription._id) }, status: 'active' },
+      { status: 'expired', updatedAt: now }
+    );
+
+    // Limpiar el plan de los usuarios cuyo acceso ya terminó
+    const userIds = [...new Set(due.map(subscription => subscription.userId.toString()))];
+
+    await User.updateMany(
+      { _id: { $in: userIds }, subscriptionExpiresAt: { $lte: now } },
+      { subscriptionPlan: null, updatedAt: now }
+    );
+
+    userIds.forEach(userId => cacheService.invalidatePattern(`user:${userId}:*`));
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,328 @@
+/**
+ * Servicio de autocompletado de búsquedas
+ */
+const crypto = require('crypto');
+const Service = require('../models/Service');
+const Category = require('../models/Category');
+const SearchTerm = require('../models/SearchTerm');
+const { normalizeText } = require('../utils/text');
+const logger = require('../utils/logger');
+
+// Longitud máxima de los prefijos indexados por palabra
+const MAX_PREFIX_LENGTH = 15;
+
+// Antigüedad máxima del índice antes de reconstruirlo (recoge nuevas tendencias)
+const INDEX_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Ventana y tamaño de las consultas en tendencia
+const TRENDING_WINDOW_DAYS = 7;
+const TRENDING_LIMIT = 500;
+
+// Una búsqueda solo se sugiere a otros cuando muchas personas distintas la han hecho:
+// evita publicar datos personales o textos plantados buscados por una sola persona
+const TRENDING_MIN_COUNT = 5;
+const TRENDING_MIN_SEARCHERS = 3;
+
+// Palabras clave distintas incluidas en el índice
+const KEYWORD_LIMIT = 2000;
+
+// Peso base de cada tipo de sugerencia
+const TYPE_WEIGHTS = {
+  category: 40,
+  query: 30,
+  keyword: 20,
+  service: 10
+};
+
+/**
+ * Servicio que mantiene en memoria un índice de prefijos (edge n-grams) sin tildes
+ * con categorías, títulos de servicios, palabras clave populares y búsquedas en tendencia
+ */
+class SuggestService {
+  constructor() {
+    this.entries = [];
+    this.prefixes = new Map();
+    this.vocabulary = new Map();
+    this.builtAt = 0;
+    this.stale = true;
+    this.building = null;
+  }
+
+  /**
+   * Prefijos de cada palabra de un texto normalizado
+   *
+   * @param {string} normalized - Texto normalizado
+   * @returns {Set<string>} Prefijos
+   */
+  edgeNgrams(normalized) {
+    const ngrams = new Set();
+
+    for (const word of normalized.split(' ')) {
+      for (let length = 1; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+        ngrams.add(word.slice(0, length));
+      }
+    }
+
+    return ngrams;
+  }
+
+  /**
+   * Construir el índice de sugerencias desde la base de datos
+   *
+   * @returns {Promise<number>} Número de sugerencias indexadas
+   */
+  async build() {
+    const trendingSince = new Date(Date.now() - TRENDING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const [categories, services, keywords, terms] = await Promise.all([
+      Category.find({ isActive: true }).select('name icon').lean(),
+      Service.find({ flaggedForModeration: { $ne: true } }).select('title premiumOnly rating').lean(),
+      Service.aggregate([
+        { $unwind: '$keywords' },
+        { $group: { _id: { $toLower: '$keywords' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: KEYWORD_LIMIT }
+      ]),
+      SearchTerm.find({
+        lastSearchedAt: { $gte: trendingSince },
+        count: { $gte: TRENDING_MIN_COUNT },
+        [`searchers.${TRENDING_MIN_SEARCHERS - 1}`]: { $exists: true }
+      })
+        .select('query count')
+        .sort({ count: -1 })
+        .limit(TRENDING_LIMIT)
+        .lean()
+    ]);
+
+    const candidates = [
+      ...categories.map(category => ({
+        type: 'category',
+        text: category.name,
+        id: category._id.toString(),
+        icon: category.icon,
+        popularity: 0
+      })),
+      ...terms.map(term => ({
+        type: 'query',
+        text: term.query,
+        popularity: term.count
+      })),
+      ...keywords.map(keyword => ({
+        type: 'keyword',
+        text: keyword._id,
+        popularity: keyword.count
+      })),
+      ...services.map(service => ({
+        type: 'service',
+        text: service.title,
+        id: service._id.toString(),
+        premiumOnly: service.premiumOnly,
+        popularity: service.rating || 0
+      }))
+    ];
+
+    const entries = [];
+    const prefixes = new Map();
+    const texts = new Set();
+
+    for (const candidate of candidates) {
+      const normalized = normalizeText(candidate.text);
+
+      // Un mismo texto solo se sugiere una vez: gana el tipo de mayor peso, que aparece antes
+      // Los servicios se identifican por su ID, así que dos títulos iguales se conservan
+      if (!normalized || texts.has(normalized)) {
+        continue;
+      }
+
+      if (candidate.type !== 'service') {
+        texts.add(normalized);
+      }
+
+      const index = entries.push({ ...candidate, normalized }) - 1;
+
+      for (const prefix of this.edgeNgrams(normalized)) {
+        if (!prefixes.has(prefix)) {
+          prefixes.set(prefix, []);
+        }
+        prefixes.get(prefix).push(index);
+      }
+    }
+
+    // Vocabulario del catálogo para la corrección ortográfica
+    // Las búsquedas de usuarios se excluyen porque pueden contener erratas
+    const vocabulary = new Map();
+
+    for (const entry of entries) {
+      if (entry.type === 'query') {
+        continue;
+      }
+
+      // Las palabras clave pesan según el número de servicios que las usan
+      const weight = 1 + (entry.type === 'keyword' ? Math.log1p(entry.popularity) : 0);
+
+      for (const word of entry.normalized.split(' ')) {
+        if (word.length >= 3 && !/^\d+$/.test(word)) {
+          vocabulary.set(word, (vocabulary.get(word) || 0) + weight);
+        }
+      }
+    }
+
+    this.entries = entries;
+    this.prefixes = prefixes;
+    this.vocabulary = vocabulary;
+    this.builtAt = Date.now();
+
+    logger.info(`Índice de sugerencias reconstruido con ${entries.length} entradas`);
+
+    return entries.length;
+  }
+
+  /**
+   * Marcar el índice para reconstruirlo en la próxima consulta
+   * Se llama cuando cambian servicios o categorías
+   */
+  invalidate() {
+    this.stale = true;
+  }
+
+  /**
+   * Garantizar un índice disponible
+   * Si ya existe uno, se sigue usando mientras se reconstruye en segundo plano
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureIndex() {
+    const expired = Date.now() - this.builtAt > INDEX_MAX_AGE_MS;
+
+    if (!this.stale && !expired) {
+      return;
+    }
+
+    if (!this.building) {
+      this.stale = false;
+      this.building = this.build()
+        .catch(error => {
+          this.stale = true;
+          logger.error(`Error al reconstruir el índice de sugerencias: ${error.message}`);
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+
+    if (this.builtAt === 0) {
+      await this.building;
+    }
+  }
+
+  /**
+   * Obtener sugerencias para el texto escrito hasta ahora
+   * Cada palabra escrita debe ser prefijo de alguna palabra de la sugerencia
+   *
+   * @param {string} q - Texto escrito por el usuario
+   * @param {Object} options - Opciones
+   * @param {number} options.limit - Número máximo de sugerencias
+   * @param {boolean} options.includePremium - Incluir títulos de servicios premium
+   * @returns {Promise<Array>} Sugerencias { text, type, id, icon }
+   */
+  async suggest(q, { limit = 8, includePremium = false } = {}) {
+    await this.ensureIndex();
+
+    const normalizedQuery = normalizeText(q);
+
+    if (!normalizedQuery) {
+      return [];
+    }
+
+    const words = normalizedQuery.split(' ').map(word => word.slice(0, MAX_PREFIX_LENGTH));
+
+    // Intersección de las listas de cada palabra, empezando por la más corta
+    const lists = words.map(word => this.prefixes.get(word) || []);
+    lists.sort((a, b) => a.length - b.length);
+
+    const [shortest, ...rest] = lists;
+    const restSets = rest.map(list => new Set(list));
+    const matches = shortest
+      .filter(index => restSets.every(set => set.has(index)))
+      .map(index => this.entries[index])
+      .filter(entry => includePremium || !entry.premiumOnly);
+
+    return matches
+      .map(entry => ({
+        entry,
+        score: TYPE_WEIGHTS[entry.type] +
+          (entry.normalized.startsWith(normalizedQuery) ? 50 : 0) +
+          Math.log1p(entry.popularity) * 5 -
+          entry.normalized.length / 10
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ entry }) => ({
+        text: entry.text,
+        type: entry.type,
+        id: entry.id,
+        icon: entry.icon
+      }));
+  }
+
+  /**
+   * Vocabulario del catálogo (palabras normalizadas y su frecuencia)
+   * Procede de categorías, palabras clave y títulos de servicios
+   *
+   * @returns {Promise<Map<string, number>>} Frecuencia por palabra
+   */
+  async getVocabulary() {
+    await this.ensureIndex();
+    return this.vocabulary;
+  }
+
+  /**
+   * Huella no reversible de quien realiza una búsqueda
+   *
+   * @param {string} searcher - ID del usuario o IP
+   * @returns {string} Huella
+   */
+  fingerprint(searcher) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET || 'search-terms')
+      .update(String(searcher))
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  /**
+   * Registrar una búsqueda realizada para las sugerencias en tendencia
+   *
+   * @param {string} query - Consulta escrita por el usuario
+   * @param {string} searcher - ID del usuario autenticado o IP de la solicitud
+   * @returns {Promise<void>}
+   */
+  async recordQuery(query, searcher = null) {
+    const normalized = normalizeText(query);
+
+    if (!normalized) {
+      return;
+    }
+
+    await SearchTerm.updateOne(
+      { normalized },
+      {
+        $set: { query: query.trim(), lastSearchedAt: new Date() },
+        $inc: { count: 1 }
+      },
+      { upsert: true }
+    );
+
+    if (!searcher) {
+      return;
+    }
+
+    // Basta con saber que se alcanzó el mínimo: la lista no crece más allá
+    await SearchTerm.updateOne(
+      { normalized, [`searchers.${TRENDING_MIN_SEARCHERS - 1}`]: { $exists: false } },
+      { $addToSet: { searchers: this.fingerprint(searcher) } }
+    );
+  }
+}
+
+module.exports = new SuggestService();
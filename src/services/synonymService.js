@@ -0,0 +1,76 @@
+/**
+ * Servicio de sinónimos de búsqueda
+ */
+const Synonym = require('../models/Synonym');
+const cacheService = require('./cacheService');
+const { normalizeText } = require('../utils/text');
+
+// Clave de caché del diccionario completo
+const DICTIONARY_CACHE_KEY = 'synonyms:dictionary';
+
+/**
+ * Servicio que amplía las consultas con los términos equivalentes configurados
+ */
+class SynonymService {
+  /**
+   * Normalizar y deduplicar los términos de un grupo
+   *
+   * @param {Array<string>} terms - Términos escritos por el administrador
+   * @returns {Array<string>} Términos normalizados
+   */
+  normalizeTerms(terms) {
+    return [...new Set(terms.map(normalizeText).filter(Boolean))];
+  }
+
+  /**
+   * Obtener el diccionario de grupos (cacheado)
+   *
+   * @returns {Promise<Array<Array<string>>>} Grupos de términos normalizados
+   */
+  async getDictionary() {
+    const cached = cacheService.get(DICTIONARY_CACHE_KEY);
+
+    if (cached) {
+      return cached;
+    }
+
+    const groups = await Synonym.find({}).select('terms').lean();
+    const dictionary = groups.map(group => group.terms);
+
+    cacheService.set(DICTIONARY_CACHE_KEY, dictionary);
+
+    return dictionary;
+  }
+
+  /**
+   * Invalidar el diccionario y las búsquedas cacheadas que pudieron ampliarse con él
+   */
+  invalidate() {
+    cacheService.delete(DICTIONARY_CACHE_KEY);
+    cacheService.invalidatePattern('search:*');
+  }
+
+  /**
+   * Términos equivalentes a los que aparecen en una consulta
+   *
+   * @param {string} query - Consulta del usuario
+   * @returns {Promise<Array<string>>} Términos añadidos (sin los ya presentes)
+   */
+  async getExpansions(query) {
+    const normalizedQuery = ` ${normalizeText(query)} `;
+    const dictionary = await this.getDictionary();
+    const expansions = new Set();
+
+    for (const terms of dictionary) {
+      if (terms.some(term => normalizedQuery.includes(` ${term} `))) {
+        terms
+          .filter(term => !normalizedQuery.includes(` ${term} `))
+          .forEach(term => expansions.add(term));
+      }
+    }
+
+    return [...expansions];
+  }
+}
+
+module.exports = new SynonymService();
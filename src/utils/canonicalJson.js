@@ -0,0 +1,28 @@
+/**
+ * Serialización JSON canónica para huellas y firmas
+ */
+
+/**
+ * Serializa un valor con las claves de los objetos ordenadas
+ * para que el orden de los campos no altere la huella
+ *
+ * @param {*} value - Valor a serializar
+ * @returns {string} JSON canónico
+ */
+const canonicalStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+module.exports = {
+  canonicalStringify
+};
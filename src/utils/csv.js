@@ -0,0 +1,38 @@
+/**
+ * Utilidades para generar CSV
+ */
+
+/**
+ * Escapar un valor para una celda CSV
+ * Los valores que una hoja de cálculo interpretaría como fórmula se prefijan con un apóstrofo
+ *
+ * @param {*} value - Valor de la celda
+ * @returns {string} Celda escapada
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Generar una línea CSV con los valores de las columnas indicadas
+ *
+ * @param {Array<string>} columns - Columnas en orden
+ * @param {Object} row - Valores por columna
+ * @returns {string} Línea terminada en salto de línea
+ */
+const toCsvLine = (columns, row) => `${columns.map(column => toCsvCell(row[column])).join(',')}\n`;
+
+module.exports = {
+  toCsvCell,
+  toCsvLine
+};
@@ -0,0 +1,76 @@
+/**
+ * Nomenclátor local de ciudades y barrios
+ * Asigna coordenadas a direcciones de texto sin depender de un geocodificador externo
+ */
+const places = require('../data/gazetteer.json');
+const { normalizeText } = require('./text');
+
+// Cada nombre o alias normalizado apunta a su lugar
+const entries = places.flatMap(place => [place.name, ...(place.aliases || [])]
+  .map(name => ({ key: normalizeText(name), place })));
+
+/**
+ * Construye un punto GeoJSON
+ * @param {number} lat - Latitud
+ * @param {number} lng - Longitud
+ * @returns {Object} Punto { type: 'Point', coordinates: [lng, lat] }
+ */
+const toPoint = (lat, lng) => ({ type: 'Point', coordinates: [lng, lat] });
+
+/**
+ * Busca el lugar más preciso mencionado en una dirección de texto
+ * Se prefiere un barrio cuya ciudad también aparece; si no, el nombre más largo
+ * @param {string} text - Dirección de texto (ej. "Miraflores, Lima")
+ * @returns {Object|null} Lugar del nomenclátor o null si no se reconoce
+ */
+const lookup = (text) => {
+  const haystack = ` ${normalizeText(text)} `;
+
+  if (!haystack.trim()) {
+    return null;
+  }
+
+  const matches = entries.filter(({ key }) => haystack.includes(` ${key} `));
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const matchedNames = new Set(matches.map(({ place }) => place.name));
+  const qualified = matches.filter(({ place }) => place.type === 'neighbourhood' && matchedNames.has(place.city));
+  const candidates = qualified.length > 0 ? qualified : matches;
+
+  const best = candidates.reduce((current, match) => {
+    if (match.key.length !== current.key.length) {
+      return match.key.length > current.key.length ? match : current;
+    }
+
+    return match.place.type === 'neighbourhood' ? match : current;
+  });
+
+  return best.place;
+};
+
+/**
+ * Nombre de la ciudad a la que pertenece un lugar (la propia ciudad o la de un barrio)
+ * @param {Object} place - Lugar del nomenclátor
+ * @returns {string} Nombre de la ciudad
+ */
+const getCityName = (place) => (place.type === 'city' ? place.name : place.city);
+
+/**
+ * Obtiene las coordenadas de una dirección de texto
+ * @param {string} text - Dirección de texto
+ * @returns {Object|null} Punto GeoJSON o null si no se reconoce
+ */
+const geocode = (text) => {
+  const place = lookup(text);
+  return place ? toPoint(place.lat, place.lng) : null;
+};
+
+module.exports = {
+  toPoint,
+  lookup,
+  getCityName,
+  geocode
+};
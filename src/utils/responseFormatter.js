@@ -57,9 +57,10 @@ const error = (res, { statusCode = 500, message = 'Error interno del servidor',
  * @param {number} limit - Límite por página
  * @param {number} total - Total de items
  * @param {string} message - Mensaje de éxito
+ * @param {Object} meta - Metadatos adicionales (ej. facetas)
  * @returns {Object} Respuesta JSON formateada con metadatos de paginación
  */
-const paginated = (res, { data, page, limit, total, message = 'Datos obtenidos correctamente' }) => {
+const paginated = (res, { data, page, limit, total, message = 'Datos obtenidos correctamente', meta = {} }) => {
   const totalPages = Math.ceil(total / limit);
   const hasNextPage = page < totalPages;
   const hasPrevPage = page > 1;
@@ -69,6 +70,7 @@ const paginated = (res, { data, page, limit, total, message = 'Datos obtenidos c
     message,
     data,
     meta: {
+      ...meta,
       pagination: {
         page,
         limit,
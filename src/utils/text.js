@@ -0,0 +1,60 @@
+/**
+ * Utilidades de normalización de texto
+ */
+
+/**
+ * Elimina tildes y diéresis (ej. "Ñuñoa" → "Nunoa")
+ * @param {string} text - Texto original
+ * @returns {string} Texto sin diacríticos
+ */
+const foldDiacritics = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Normaliza un texto para compararlo: sin diacríticos, en minúsculas
+ * y con cualquier signo de puntuación convertido en un único espacio
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado
+ */
+const normalizeText = (text) => foldDiacritics(text)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Variantes acentuadas de cada letra base para expresiones regulares
+const ACCENT_CLASSES = {
+  a: '[aáàäâ]',
+  e: '[eéèëê]',
+  i: '[iíìïî]',
+  o: '[oóòöô]',
+  u: '[uúùüû]',
+  n: '[nñ]',
+  c: '[cç]'
+};
+
+/**
+ * Escapa los caracteres especiales de una expresión regular
+ * @param {string} text - Texto literal
+ * @returns {string} Texto escapado
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Construye un patrón que encuentra el texto con o sin tildes (ej. "nunoa" encuentra "Ñuñoa")
+ * Se usa con la opción "i" para ignorar también mayúsculas
+ * @param {string} text - Texto escrito por el usuario
+ * @returns {string} Patrón de expresión regular
+ */
+const toAccentInsensitivePattern = (text) => foldDiacritics(text)
+  .toLowerCase()
+  .split('')
+  .map(char => ACCENT_CLASSES[char] || escapeRegex(char))
+  .join('');
+
+module.exports = {
+  foldDiacritics,
+  normalizeText,
+  escapeRegex,
+  toAccentInsensitivePattern
+};
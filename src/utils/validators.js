@@ -3,20 +3,34 @@
  */
 const Joi = require('joi');
 const mongoose = require('mongoose');
+const { getSupportedSymbols, toBaseUnits } = require('../config/tokens');
+const worldAppConfig = require('../config/worldApp').config;
+
+// Coordenadas geográficas (latitud y longitud en grados)
+const coordinates = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required()
+});
+
+// ID de MongoDB
+const mongoId = Joi.string().custom((value, helpers) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+}, 'MongoDB ObjectId validation');
 
 // Esquemas de validación comunes
 const schemas = {
   // Validación de ID de MongoDB
-  mongoId: Joi.string().custom((value, helpers) => {
-    if (!mongoose.Types.ObjectId.isValid(value)) {
-      return helpers.error('any.invalid');
-    }
-    return value;
-  }, 'MongoDB ObjectId validation'),
+  mongoId,
   
   // Validación para dirección de wallet
   walletAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/),
   
+  // Validación para coordenadas geográficas
+  coordinates,
+  
   // Validación para categorías
   category: Joi.object({
     name: Joi.string().min(2).max(50).required(),
@@ -26,7 +40,8 @@ const schemas = {
     updateFrequency: Joi.string().valid('low', 'medium', 'high'),
     isActive: Joi.boolean(),
     displayOrder: Joi.number().integer().min(0),
-    parentCategory: Joi.string().allow(null, '')
+    parentCategory: Joi.string().allow(null, ''),
+    accessDurationDays: Joi.number().integer().min(1).allow(null)
   }),
   
   // Validación para servicios
@@ -40,24 +55,276 @@ const schemas = {
     contactInfo: Joi.string().required(),
     imageUrl: Joi.string().uri().allow(null, ''),
     sourceUrl: Joi.string().uri().allow(null, ''),
+    coordinates,
+    language: Joi.string().valid('es', 'en'),
     verified: Joi.boolean(),
     premiumOnly: Joi.boolean()
   }),
   
+  // Validación para edición de un servicio por su proveedor
+  ownerServiceUpdate: Joi.object({
+    description: Joi.string().min(10).max(2000),
+    price: Joi.string().valid('$', '$$', '$$$', '$$$$'),
+    location: Joi.string(),
+    contactInfo: Joi.string(),
+    imageUrl: Joi.string().uri().allow(null, ''),
+    keywords: Joi.array().items(Joi.string().max(50)).max(20),
+    coordinates,
+    language: Joi.string().valid('es', 'en')
+  }).min(1),
+  
+  // Validación para reclamación de servicios
+  serviceClaim: Joi.object({
+    payload: Joi.object({
+      message: Joi.string().required(),
+      signature: Joi.string().required(),
+      address: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).required(),
+      version: Joi.number().integer().valid(1, 2).default(1)
+    }).required(),
+    contactChannel: Joi.string().valid('phone', 'email').required()
+  }),
+  
+  // Validación para el código de verificación de contacto
+  claimVerification: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+  
+  // Validación para revisión de reclamaciones
+  claimReview: Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required(),
+    note: Joi.string().max(500).allow('')
+  }),
+  
+  // Validación para reglas de precio
+  pricingRule: Joi.object({
+    scope: Joi.string().valid('default', 'category', 'service').required(),
+    category: Joi.when('scope', {
+      is: 'category',
+      then: Joi.string().required(),
+      otherwise: Joi.forbidden()
+    }),
+    service: Joi.when('scope', {
+      is: 'service',
+      then: Joi.string().required(),
+      otherwise: Joi.forbidden()
+    }),
+    prices: Joi.array().items(Joi.object({
+      token: Joi.string().valid(...getSupportedSymbols()).required(),
+      amount: Joi.number().greater(0).required()
+    }).custom((price, helpers) => {
+      // Un importe por debajo de la precisión del token equivale a cobrar cero
+      if (toBaseUnits(price.amount, price.token) === '0') {
+        return helpers.error('any.invalid');
+      }
+      return price;
+    }, 'Importe representable en el token')).min(1).unique('token').required(),
+    isActive: Joi.boolean(),
+    notes: Joi.string().max(500).allow('')
+  }),
+  
+  // Validación para asignación de roles
+  roleChange: Joi.object({
+    role: Joi.string().valid('user', 'provider', 'moderator', 'admin').required()
+  }),
+  
+  // Validación para reseñas
+  review: Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required(),
+    comment: Joi.string().max(1000).allow('')
+  }),
+  
+  // Validación para moderación de reseñas
+  reviewModeration: Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required(),
+    note: Joi.string().max(500).allow('')
+  }),
+  
+  // Validación para disputas de pagos
+  dispute: Joi.object({
+    reason: Joi.string().valid('invalid_contact', 'no_response', 'wrong_information', 'other').required(),
+    description: Joi.string().max(1000).allow('')
+  }),
+  
+  // Validación para resolución de disputas
+  disputeResolution: Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required(),
+    note: Joi.string().max(500).allow(''),
+    refundTransactionHash: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/).when('status', {
+      is: 'approved',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+  }),
+  
+  // Validación para resolución de retenciones por riesgo
+  riskResolution: Joi.object({
+    decision: Joi.string().valid('released', 'rejected').required(),
+    note: Joi.string().max(500).allow(''),
+    refundTransactionHash: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/).when('decision', {
+      is: 'rejected',
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    })
+  }),
+  
   // Validación para búsquedas
   search: Joi.object({
     query: Joi.string().min(2).max(100).required(),
-    category: Joi.string().allow(null, ''),
+    category: Joi.alternatives().try(
+      Joi.array().items(mongoId).max(20),
+      mongoId.allow(null, '')
+    ),
     location: Joi.string().allow(null, ''),
-    price: Joi.string().valid('$', '$$', '$$$', '$$$$', '').allow(null),
+    price: Joi.alternatives().try(
+      Joi.array().items(Joi.string().valid('$', '$$', '$$$', '$$$$')).max(4),
+      Joi.string().valid('$', '$$', '$$$', '$$$$', '').allow(null)
+    ),
+    city: Joi.alternatives().try(
+      Joi.array().items(Joi.string().max(100)).max(20),
+      Joi.string().max(100).allow(null, '')
+    ),
+    minRating: Joi.number().integer().min(1).max(4),
+    verified: Joi.boolean(),
+    language: Joi.string().valid('es', 'en'),
+    autoCorrect: Joi.boolean().default(true),
+    near: Joi.alternatives().try(coordinates, Joi.string().min(2).max(100)),
+    radiusKm: Joi.number().greater(0).max(200).default(10),
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(50).default(20)
   }),
   
+  // Validación para grupos de sinónimos de búsqueda
+  synonym: Joi.object({
+    terms: Joi.array().items(Joi.string().trim().min(2).max(50)).min(2).max(20).required(),
+    note: Joi.string().max(500).allow('')
+  }),
+  
+  // Validación para autocompletado (parámetros de consulta)
+  suggest: Joi.object({
+    q: Joi.string().trim().min(1).max(100).required(),
+    limit: Joi.number().integer().min(1).max(20).default(8)
+  }),
+  
+  // Validación para filtros de proximidad en listados (parámetros de consulta)
+  nearQuery: Joi.object({
+    lat: Joi.number().min(-90).max(90),
+    lng: Joi.number().min(-180).max(180),
+    near: Joi.string().min(2).max(100),
+    radiusKm: Joi.number().greater(0).max(200).default(10)
+  }).and('lat', 'lng').oxor('near', 'lat'),
+  
   // Validación para pagos
   payment: Joi.object({
     serviceId: Joi.string().required(),
-    token: Joi.string().valid('WLD', 'USDC').default('WLD')
+    token: Joi.string().valid(...getSupportedSymbols()).default('WLD'),
+    couponCode: Joi.string().trim().max(50),
+    recipient: Joi.string().trim().max(100)
+  }),
+  
+  // Validación para cupones (creación)
+  coupon: Joi.object({
+    code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,50}$/).required(),
+    description: Joi.string().max(500).allow(''),
+    discountType: Joi.string().valid('percent', 'fixed').required(),
+    percentOff: Joi.number().greater(0).max(100).when('discountType', {
+      is: 'percent',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    amountOff: Joi.array().items(Joi.object({
+      token: Joi.string().valid(...getSupportedSymbols()).required(),
+      amount: Joi.number().greater(0).required()
+    })).min(1).unique('token').when('discountType', {
+      is: 'fixed',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    tokens: Joi.array().items(Joi.string().valid(...getSupportedSymbols())).unique(),
+    categories: Joi.array().items(Joi.string()),
+    services: Joi.array().items(Joi.string()),
+    maxRedemptions: Joi.number().integer().min(1).allow(null),
+    maxRedemptionsPerUser: Joi.number().integer().min(1),
+    validFrom: Joi.date().allow(null),
+    validUntil: Joi.date().allow(null).when('validFrom', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('validFrom'))
+    }),
+    isActive: Joi.boolean()
+  }),
+  
+  // Validación para cupones (actualización: el código y el tipo no cambian)
+  couponUpdate: Joi.object({
+    description: Joi.string().max(500).allow(''),
+    percentOff: Joi.number().greater(0).max(100),
+    amountOff: Joi.array().items(Joi.object({
+      token: Joi.string().valid(...getSupportedSymbols()).required(),
+      amount: Joi.number().greater(0).required()
+    })).min(1).unique('token'),
+    tokens: Joi.array().items(Joi.string().valid(...getSupportedSymbols())).unique(),
+    categories: Joi.array().items(Joi.string()),
+    services: Joi.array().items(Joi.string()),
+    maxRedemptions: Joi.number().integer().min(1).allow(null),
+    maxRedemptionsPerUser: Joi.number().integer().min(1),
+    validFrom: Joi.date().allow(null),
+    validUntil: Joi.date().allow(null),
+    isActive: Joi.boolean()
+  }).min(1),
+  
+  // Validación para suscripciones
+  subscription: Joi.object({
+    plan: Joi.string().valid(...Object.keys(worldAppConfig.subscriptionPlans)).required(),
+    token: Joi.string().valid(...getSupportedSymbols()).default('WLD')
+  }),
+  
+  // Validación para compra de paquetes de créditos
+  creditPackPayment: Joi.object({
+    pack: Joi.string().valid(...Object.keys(worldAppConfig.creditPacks)).required(),
+    token: Joi.string().valid(...getSupportedSymbols()).default('WLD')
+  }),
+  
+  // Validación para desbloqueo con créditos
+  creditUnlock: Joi.object({
+    serviceId: Joi.string().required()
+  }),
+  
+  // Validación para verificación de recibos
+  receiptVerification: Joi.object({
+    receipt: Joi.object().unknown(true).required(),
+    signature: Joi.string().pattern(/^[a-f0-9]{64}$/).required()
+  }),
+  
+  // Validación para exportación contable de transacciones
+  transactionExport: Joi.object({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().greater(Joi.ref('from')).required(),
+    format: Joi.string().valid('csv', 'ndjson').default('csv'),
+    status: Joi.string().valid('pending', 'processing', 'completed', 'failed', 'refunded', 'expired')
+  }),
+  
+  // Validación para consulta y exportación de pagos a proveedores
+  payoutQuery: Joi.object({
+    status: Joi.string().valid('pending', 'settled').default('pending'),
+    token: Joi.string().valid(...getSupportedSymbols()),
+    batchId: Joi.string().guid(),
+    format: Joi.string().valid('json', 'csv').default('json')
+  }),
+  
+  // Validación para generación de lotes de pagos a proveedores
+  payoutBatch: Joi.object({
+    token: Joi.string().valid(...getSupportedSymbols()).required()
+  }),
+  
+  // Validación para liquidación de pagos a proveedores
+  payoutSettlement: Joi.object({
+    transactionHash: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/).required()
+  }),
+  
+  // Validación para informes del panel de administración
+  analyticsQuery: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    token: Joi.string().valid(...getSupportedSymbols()).default('WLD'),
+    limit: Joi.number().integer().min(1).max(100).default(20)
   }),
   
   // Validación para verificación de World ID
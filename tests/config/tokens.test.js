@@ -0,0 +1,64 @@
+/**
+ * Pruebas del registro unificado de tokens y de las conversiones a unidades base
+ */
+const tokenRegistry = require('../../src/config/tokens');
+const Transaction = require('../../src/models/Transaction');
+const { schemas, validate } = require('../../src/utils/validators');
+
+describe('tokenRegistry', () => {
+  test('convierte importes a unidades base con los decimales de cada token', () => {
+    expect(tokenRegistry.toBaseUnits(1.5, 'WLD')).toBe('1500000000000000000');
+    expect(tokenRegistry.toBaseUnits('1.2', 'USDC.e')).toBe('1200000');
+  });
+
+  test('admite importes pequeños que JavaScript escribiría en notación exponencial', () => {
+    expect(String(1e-7)).toBe('1e-7');
+    expect(tokenRegistry.toBaseUnits(1e-7, 'WLD')).toBe('100000000000');
+  });
+
+  test('trunca lo que queda por debajo de la precisión del token', () => {
+    expect(tokenRegistry.toBaseUnits(0.0000001, 'USDC.e')).toBe('0');
+  });
+
+  test('vuelve a unidades del token sin perder precisión', () => {
+    expect(tokenRegistry.fromBaseUnits('1500000000000000000', 'WLD')).toBe('1.5');
+    expect(tokenRegistry.fromBaseUnits(1200000n, 'USDC.e')).toBe('1.2');
+  });
+
+  test('rechaza tokens no soportados', () => {
+    expect(tokenRegistry.isSupported('USDC')).toBe(false);
+    expect(() => tokenRegistry.toBaseUnits(1, 'USDC')).toThrow('Token no soportado: USDC');
+    expect(() => tokenRegistry.fromBaseUnits('1', 'USDC')).toThrow('Token no soportado: USDC');
+  });
+
+  test('expone el contrato de cada token en World Chain', () => {
+    expect(tokenRegistry.getTokenAddress('WLD', 'worldchain')).toMatch(/^0x[a-fA-F0-9]{40}$/);
+    expect(tokenRegistry.getTokenAddress('WLD', 'otra-red')).toBeNull();
+    expect(tokenRegistry.getTokenAddress('USDC', 'worldchain')).toBeNull();
+  });
+});
+
+describe('Uso del registro en modelos y validadores', () => {
+  test('el importe legible de una transacción sale de sus unidades base', () => {
+    const transaction = new Transaction({ amount: '2500000', token: 'USDC.e' });
+
+    expect(transaction.displayAmount).toBe('2.5');
+  });
+
+  test('una transacción solo admite tokens del registro', () => {
+    const transaction = new Transaction({ reference: 'ref', amount: '1', token: 'USDC' });
+
+    expect(transaction.validateSync().errors.token).toBeDefined();
+  });
+
+  test('los pagos solo aceptan tokens del registro', () => {
+    expect(validate({ serviceId: '0'.repeat(24), token: 'USDC.e' }, schemas.payment).error).toBeFalsy();
+    expect(validate({ serviceId: '0'.repeat(24), token: 'USDC' }, schemas.payment).error).toBeTruthy();
+  });
+
+  test('una regla de precio no puede cobrar menos que la unidad mínima del token', () => {
+    const { error } = validate({ scope: 'default', prices: [{ token: 'USDC.e', amount: 0.0000001 }] }, schemas.pricingRule);
+
+    expect(error).toBeTruthy();
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Pruebas del control de acceso por roles, de su administración y de la exportación contable
+ */
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const User = require('../../src/models/User');
+const Transaction = require('../../src/models/Transaction');
+const { authenticateUser, requireRole } = require('../../src/middleware/auth');
+const adminController = require('../../src/controllers/adminController');
+const { createApp, authenticateAs } = require('../helpers/api');
+
+const admin = {
+  _id: new mongoose.Types.ObjectId(),
+  walletAddress: '0x6666666666666666666666666666666666666666',
+  roles: ['user', 'admin']
+};
+const target = new mongoose.Types.ObjectId();
+
+const app = createApp((router) => {
+  router.get('/moderation', authenticateUser, requireRole('moderator'), (req, res) => res.json({ ok: true }));
+  router.post('/api/admin/users/:id/roles', authenticateUser, requireRole('admin'), adminController.grantRole);
+  router.delete('/api/admin/users/:id/roles/:role', authenticateUser, requireRole('admin'), adminController.revokeRole);
+  router.get('/api/admin/transactions/export', authenticateUser, requireRole('admin'), adminController.exportTransactions);
+});
+
+beforeEach(() => {
+  jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id) => new User({ _id: id, roles: ['user'] }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requireRole', () => {
+  test('un usuario verificado sin rol no accede a rutas de moderación', async () => {
+    const response = await request(app)
+      .get('/moderation')
+      .set('Authorization', authenticateAs({ ...admin, roles: ['user'] }));
+
+    expect(response.status).toBe(403);
+  });
+
+  test('los administradores tienen implícitamente todos los roles', async () => {
+    const response = await request(app)
+      .get('/moderation')
+      .set('Authorization', authenticateAs(admin));
+
+    expect(response.status).toBe(200);
+  });
+
+  test('exige autenticación', async () => {
+    const response = await request(app).get('/moderation');
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('POST /api/admin/users/:id/roles', () => {
+  test('asigna el rol sin duplicarlo', async () => {
+    const response = await request(app)
+      .post(`/api/admin/users/${target}/roles`)
+      .set('Authorization', authenticateAs(admin))
+      .send({ role: 'moderator' });
+
+    expect(response.status).toBe(200);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      String(target),
+      expect.objectContaining({ $addToSet: { roles: 'moderator' } }),
+      { new: true }
+    );
+  });
+
+  test('rechaza roles desconocidos', async () => {
+    const response = await request(app)
+      .post(`/api/admin/users/${target}/roles`)
+      .set('Authorization', authenticateAs(admin))
+      .send({ role: 'superadmin' });
+
+    expect(response.status).toBe(400);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/admin/users/:id/roles/:role', () => {
+  test('revoca un rol', async () => {
+    const response = await request(app)
+      .delete(`/api/admin/users/${target}/roles/moderator`)
+      .set('Authorization', authenticateAs(admin));
+
+    expect(response.status).toBe(200);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      String(target),
+      expect.objectContaining({ $pull: { roles: 'moderator' } }),
+      { new: true }
+    );
+  });
+
+  test('un administrador no puede quitarse su propio rol', async () => {
+    const response = await request(app)
+      .delete(`/api/admin/users/${admin._id}/roles/admin`)
+      .set('Authorization', authenticateAs(admin));
+
+    expect(response.status).toBe(403);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('siempre queda al menos un administrador', async () => {
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(1);
+
+    const response = await request(app)
+      .delete(`/api/admin/users/${target}/roles/admin`)
+      .set('Authorization', authenticateAs(admin));
+
+    expect(response.status).toBe(409);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('el rol base no se puede revocar', async () => {
+    const response = await request(app)
+      .delete(`/api/admin/users/${target}/roles/user`)
+      .set('Authorization', authenticateAs(admin));
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /api/admin/transactions/export', () => {
+  const exported = [
+    {
+      reference: 'ref-1',
+      createdAt: new Date('2026-01-10T09:00:00Z'),
+      completedAt: new Date('2026-01-10T09:01:00Z'),
+      status: 'completed',
+      purpose: 'service',
+      userId: { _id: target, walletAddress: '0x1111111111111111111111111111111111111111' },
+      recipientWallet: null,
+      recipientId: null,
+      serviceId: { _id: target, title: '=Fontanería, "urgente"' },
+      token: 'USDC.e',
+      amount: '2500000',
+      coupon: { code: 'VERANO', discount: '500000' },
+      transactionHash: `0x${'b'.repeat(64)}`
+    }
+  ];
+  let cursor;
+
+  beforeEach(() => {
+    cursor = {
+      close: jest.fn().mockResolvedValue(),
+      [Symbol.asyncIterator]: async function* () {
+        yield* exported;
+      }
+    };
+    const query = {
+      sort: () => query,
+      populate: () => query,
+      cursor: () => cursor
+    };
+    jest.spyOn(Transaction, 'find').mockReturnValue(query);
+  });
+
+  test('exporta en CSV el rango de fechas con importes legibles y celdas escapadas', async () => {
+    const response = await request(app)
+      .get('/api/admin/transactions/export?from=2026-01-01&to=2026-02-01&status=completed')
+      .set('Authorization', authenticateAs(admin));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/csv/);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="transacciones-2026-01-01-2026-02-01.csv"');
+    expect(Transaction.find).toHaveBeenCalledWith({
+      createdAt: { $gte: new Date('2026-01-01'), $lt: new Date('2026-02-01') },
+      status: 'completed'
+    });
+
+    const [header, line] = response.text.trim().split('\n');
+    expect(header.split(',')).toEqual(expect.arrayContaining(['reference', 'amount', 'amountBaseUnits', 'transactionHash']));
+    expect(line).toContain('ref-1');
+    expect(line).toContain('"\'=Fontanería, ""urgente"""');
+    expect(line).toContain(',2.5,2500000,VERANO,0.5,');
+    expect(cursor.close).toHaveBeenCalled();
+  });
+
+  test('exporta en NDJSON una transacción por línea', async () => {
+    const response = await request(app)
+      .get('/api/admin/transactions/export?from=2026-01-01&to=2026-02-01&format=ndjson')
+      .set('Authorization', authenticateAs(admin));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^application\/x-ndjson/);
+
+    const rows = response.text.trim().split('\n').map(row => JSON.parse(row));
+    expect(rows).toEqual([expect.objectContaining({
+      reference: 'ref-1',
+      payerWallet: '0x1111111111111111111111111111111111111111',
+      amount: '2.5',
+      couponCode: 'VERANO',
+      refundedAt: null
+    })]);
+  });
+
+  test('rechaza un rango de fechas invertido', async () => {
+    const response = await request(app)
+      .get('/api/admin/transactions/export?from=2026-02-01&to=2026-01-01')
+      .set('Authorization', authenticateAs(admin));
+
+    expect(response.status).toBe(400);
+    expect(Transaction.find).not.toHaveBeenCalled();
+  });
+
+  test('solo está disponible para administradores', async () => {
+    const response = await request(app)
+      .get('/api/admin/transactions/export?from=2026-01-01&to=2026-02-01')
+      .set('Authorization', authenticateAs({ ...admin, roles: ['user', 'moderator'] }));
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Pruebas del panel de métricas: rango de fechas, caché y acceso de administradores
+ */
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const { authenticateUser, requireRole } = require('../../src/middleware/auth');
+const analyticsController = require('../../src/controllers/analyticsController');
+const analyticsService = require('../../src/services/analyticsService');
+const cacheService = require('../../src/services/cacheService');
+const { createApp, authenticateAs } = require('../helpers/api');
+
+const admin = {
+  _id: new mongoose.Types.ObjectId(),
+  walletAddress: '0x7777777777777777777777777777777777777777',
+  roles: ['user', 'admin']
+};
+
+const app = createApp((router) => {
+  router.get('/api/admin/analytics/payments', authenticateUser, requireRole('admin'), analyticsController.getPaymentHealth);
+  router.get('/api/admin/analytics/top-services', authenticateUser, requireRole('admin'), analyticsController.getTopServices);
+});
+
+beforeEach(() => {
+  cacheService.clear();
+  jest.spyOn(analyticsService, 'getPaymentHealth').mockResolvedValue({ total: 3 });
+  jest.spyOn(analyticsService, 'getTopServices').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/admin/analytics/*', () => {
+  test('filtra por el rango indicado y reutiliza el informe en caché', async () => {
+    const url = '/api/admin/analytics/payments?from=2026-01-01&to=2026-02-01';
+
+    const first = await request(app).get(url).set('Authorization', authenticateAs(admin));
+    const second = await request(app).get(url).set('Authorization', authenticateAs(admin));
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toEqual({ from: '2026-01-01T00:00:00.000Z', to: '2026-02-01T00:00:00.000Z', total: 3 });
+    expect(second.body.data).toEqual(first.body.data);
+    expect(analyticsService.getPaymentHealth).toHaveBeenCalledTimes(1);
+    expect(analyticsService.getPaymentHealth).toHaveBeenCalledWith({
+      from: new Date('2026-01-01'),
+      to: new Date('2026-02-01')
+    });
+  });
+
+  test('un rango distinto no usa la caché de otro', async () => {
+    await request(app).get('/api/admin/analytics/payments?from=2026-01-01&to=2026-02-01')
+      .set('Authorization', authenticateAs(admin));
+    await request(app).get('/api/admin/analytics/payments?from=2026-01-01&to=2026-03-01')
+      .set('Authorization', authenticateAs(admin));
+
+    expect(analyticsService.getPaymentHealth).toHaveBeenCalledTimes(2);
+  });
+
+  test('sin rango cubre los últimos 30 días completos', async () => {
+    const response = await request(app).get('/api/admin/analytics/payments')
+      .set('Authorization', authenticateAs(admin));
+
+    const { from, to } = analyticsService.getPaymentHealth.mock.calls[0][0];
+    expect(response.status).toBe(200);
+    expect(to.getUTCHours()).toBe(0);
+    expect(to.getTime() - from.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  test('rechaza rangos invertidos', async () => {
+    const response = await request(app).get('/api/admin/analytics/payments?from=2026-02-01&to=2026-01-01')
+      .set('Authorization', authenticateAs(admin));
+
+    expect(response.status).toBe(400);
+    expect(analyticsService.getPaymentHealth).not.toHaveBeenCalled();
+  });
+
+  test('pasa el token y el límite a los servicios con más ingresos', async () => {
+    await request(app).get('/api/admin/analytics/top-services?from=2026-01-01&to=2026-02-01&token=USDC.e&limit=5')
+      .set('Authorization', authenticateAs(admin));
+
+    expect(analyticsService.getTopServices).toHaveBeenCalledWith(expect.any(Object), 'USDC.e', 5);
+  });
+
+  test('solo está disponible para administradores', async () => {
+    const response = await request(app).get('/api/admin/analytics/payments')
+      .set('Authorization', authenticateAs({ ...admin, roles: ['user'] }));
+
+    expect(response.status).toBe(403);
+    expect(analyticsService.getPaymentHealth).not.toHaveBeenCalled();
+  });
+});
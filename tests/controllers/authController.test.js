@@ -0,0 +1,88 @@
+/**
+ * Pruebas del rol de administrador inicial al iniciar sesión
+ */
+const BOOTSTRAP_WALLET = '0x7777777777777777777777777777777777777777';
+process.env.ADMIN_WALLET_ADDRESSES = BOOTSTRAP_WALLET;
+
+jest.mock('@worldcoin/minikit-js', () => ({
+  MiniKit: {
+    verifySiweMessage: jest.fn(),
+    getUserByAddress: jest.fn()
+  }
+}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MiniKit } = require('@worldcoin/minikit-js');
+
+const User = require('../../src/models/User');
+const authController = require('../../src/controllers/authController');
+const { createApp } = require('../helpers/api');
+
+const app = createApp((router) => {
+  router.post('/api/auth/wallet', authController.authenticateWallet);
+});
+
+const login = () => request(app)
+  .post('/api/auth/wallet')
+  .send({ message: 'mensaje siwe', signature: '0xfirma' });
+
+beforeEach(() => {
+  MiniKit.verifySiweMessage.mockResolvedValue({ success: true, address: BOOTSTRAP_WALLET });
+  MiniKit.getUserByAddress.mockResolvedValue({ username: 'raiz' });
+  jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/wallet con una wallet de administrador inicial', () => {
+  test('la cuenta nueva recibe el rol de administrador', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const response = await login();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.user.roles).toContain('admin');
+  });
+
+  test('no vuelve a conceder el rol revocado mientras haya otro administrador', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(new User({
+      _id: new mongoose.Types.ObjectId(),
+      walletAddress: BOOTSTRAP_WALLET,
+      roles: ['user']
+    }));
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const response = await login();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.user.roles).not.toContain('admin');
+  });
+
+  test('recupera el rol si no queda ningún administrador', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(new User({
+      _id: new mongoose.Types.ObjectId(),
+      walletAddress: BOOTSTRAP_WALLET,
+      roles: ['user']
+    }));
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+
+    const response = await login();
+
+    expect(response.body.data.user.roles).toContain('admin');
+  });
+
+  test('una firma inválida no inicia sesión', async () => {
+    MiniKit.verifySiweMessage.mockResolvedValue({ success: false, error: 'firma' });
+    jest.spyOn(User, 'findOne');
+
+    const response = await login();
+
+    expect(response.status).toBe(401);
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+});
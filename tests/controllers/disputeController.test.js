@@ -0,0 +1,220 @@
+/**
+ * Pruebas de las disputas de pagos: apertura, resolución con reembolso y marca de moderación
+ */
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const Dispute = require('../../src/models/Dispute');
+const Service = require('../../src/models/Service');
+const Transaction = require('../../src/models/Transaction');
+const { authenticateUser, requireRole } = require('../../src/middleware/auth');
+const disputeController = require('../../src/controllers/disputeController');
+const paymentService = require('../../src/services/paymentService');
+const { createApp, mockQuery, authenticateAs } = require('../helpers/api');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFUND_HASH = `0x${'c'.repeat(64)}`;
+
+const buyer = {
+  _id: new mongoose.Types.ObjectId(),
+  walletAddress: '0x1212121212121212121212121212121212121212'
+};
+const admin = {
+  _id: new mongoose.Types.ObjectId(),
+  walletAddress: '0x3434343434343434343434343434343434343434',
+  roles: ['user', 'admin']
+};
+const serviceId = new mongoose.Types.ObjectId();
+
+const app = createApp((router) => {
+  router.post('/api/payments/:reference/disputes', authenticateUser, disputeController.openDispute);
+  router.put('/api/admin/disputes/:id/resolve', authenticateUser, requireRole('admin'), disputeController.resolveDispute);
+});
+
+/**
+ * Crea un desbloqueo de contacto completado por el comprador
+ *
+ * @param {Object} overrides - Campos a sobrescribir
+ * @returns {Object} Transacción
+ */
+const completedUnlock = (overrides = {}) => new Transaction({
+  reference: 'ref-disputa',
+  userId: buyer._id,
+  serviceId,
+  purpose: 'contact_access',
+  status: 'completed',
+  token: 'WLD',
+  amount: '1000000000000000000',
+  completedAt: new Date(Date.now() - DAY_MS),
+  ...overrides
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/payments/:reference/disputes', () => {
+  beforeEach(() => {
+    jest.spyOn(Dispute, 'exists').mockResolvedValue(null);
+    jest.spyOn(Dispute, 'create').mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+  });
+
+  /**
+   * Abre una disputa como el comprador
+   *
+   * @param {Object} transaction - Transacción encontrada por referencia
+   * @returns {Promise<Object>} Respuesta
+   */
+  const openDispute = (transaction) => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(transaction);
+
+    return request(app)
+      .post('/api/payments/ref-disputa/disputes')
+      .set('Authorization', authenticateAs(buyer))
+      .send({ reason: 'invalid_contact', description: 'El teléfono no existe' });
+  };
+
+  test('el comprador abre una disputa sobre un desbloqueo reciente', async () => {
+    const response = await openDispute(completedUnlock());
+
+    expect(response.status).toBe(201);
+    expect(Dispute.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: buyer._id,
+      serviceId,
+      reason: 'invalid_contact'
+    }));
+  });
+
+  test('no se puede disputar la transacción de otro usuario', async () => {
+    const response = await openDispute(completedUnlock({ userId: new mongoose.Types.ObjectId() }));
+
+    expect(response.status).toBe(403);
+    expect(Dispute.create).not.toHaveBeenCalled();
+  });
+
+  test('solo se disputan desbloqueos completados dentro del plazo', async () => {
+    const refunded = await openDispute(completedUnlock({ status: 'refunded' }));
+    const subscription = await openDispute(completedUnlock({ purpose: 'subscription', plan: 'monthly', serviceId: null }));
+    const late = await openDispute(completedUnlock({ completedAt: new Date(Date.now() - 31 * DAY_MS) }));
+
+    expect([refunded.status, subscription.status, late.status]).toEqual([409, 409, 409]);
+    expect(late.body.message).toBe('El plazo para disputar esta transacción (30 días) ha terminado');
+    expect(Dispute.create).not.toHaveBeenCalled();
+  });
+
+  test('una transacción admite una sola disputa aunque lleguen dos a la vez', async () => {
+    Dispute.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const response = await openDispute(completedUnlock());
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe('Ya existe una disputa para esta transacción');
+  });
+});
+
+describe('PUT /api/admin/disputes/:id/resolve', () => {
+  let dispute;
+  let transaction;
+
+  beforeEach(() => {
+    transaction = completedUnlock();
+    dispute = new Dispute({
+      transactionId: transaction._id,
+      userId: buyer._id,
+      serviceId,
+      reason: 'invalid_contact'
+    });
+    jest.spyOn(Dispute, 'findById').mockResolvedValue(dispute);
+    jest.spyOn(dispute, 'save').mockResolvedValue(dispute);
+    jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+    jest.spyOn(paymentService, 'refundTransaction').mockResolvedValue(transaction);
+    jest.spyOn(Service, 'findById').mockReturnValue(mockQuery({ flaggedForModeration: false, flagClearedAt: null }));
+    jest.spyOn(Dispute, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Service, 'findOneAndUpdate').mockResolvedValue({ _id: serviceId });
+  });
+
+  /**
+   * Resuelve la disputa como administrador
+   *
+   * @param {Object} body - Resolución
+   * @returns {Promise<Object>} Respuesta
+   */
+  const resolve = (body) => request(app)
+    .put(`/api/admin/disputes/${dispute._id}/resolve`)
+    .set('Authorization', authenticateAs(admin))
+    .send(body);
+
+  test('aprobar reembolsa la transacción y guarda el hash del reembolso', async () => {
+    const response = await resolve({ status: 'approved', refundTransactionHash: REFUND_HASH, note: 'Contacto falso' });
+
+    expect(response.status).toBe(200);
+    expect(paymentService.refundTransaction).toHaveBeenCalledWith(transaction, {
+      refundTransactionHash: REFUND_HASH,
+      reason: `Disputa ${dispute._id} aprobada: invalid_contact`
+    });
+    expect(dispute).toMatchObject({ status: 'approved', refundTransactionHash: REFUND_HASH, reviewNote: 'Contacto falso' });
+    expect(dispute.reviewedBy).toEqual(admin._id);
+    expect(response.body.data.serviceFlagged).toBe(false);
+  });
+
+  test('aprobar exige el hash del reembolso en cadena', async () => {
+    const response = await resolve({ status: 'approved' });
+
+    expect(response.status).toBe(400);
+    expect(paymentService.refundTransaction).not.toHaveBeenCalled();
+  });
+
+  test('no aprueba si la transacción ya no puede reembolsarse', async () => {
+    paymentService.refundTransaction.mockResolvedValue(null);
+
+    const response = await resolve({ status: 'approved', refundTransactionHash: REFUND_HASH });
+
+    expect(response.status).toBe(409);
+    expect(dispute.status).toBe('open');
+    expect(dispute.save).not.toHaveBeenCalled();
+  });
+
+  test('rechazar no reembolsa', async () => {
+    const response = await resolve({ status: 'rejected', note: 'El contacto responde' });
+
+    expect(response.status).toBe(200);
+    expect(dispute.status).toBe('rejected');
+    expect(paymentService.refundTransaction).not.toHaveBeenCalled();
+  });
+
+  test('una disputa resuelta no se puede resolver otra vez', async () => {
+    dispute.status = 'rejected';
+
+    const response = await resolve({ status: 'approved', refundTransactionHash: REFUND_HASH });
+
+    expect(response.status).toBe(409);
+    expect(paymentService.refundTransaction).not.toHaveBeenCalled();
+  });
+
+  test('marca el servicio para moderación al alcanzar el umbral de disputas aprobadas', async () => {
+    Dispute.countDocuments.mockResolvedValue(3);
+
+    const response = await resolve({ status: 'approved', refundTransactionHash: REFUND_HASH });
+
+    expect(response.body.data.serviceFlagged).toBe(true);
+    expect(Service.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: serviceId, flaggedForModeration: false },
+      expect.objectContaining({ flaggedForModeration: true, flagReason: '3 disputas aprobadas' }),
+      { new: true }
+    );
+  });
+
+  test('tras retirar una marca solo cuentan las disputas aprobadas después', async () => {
+    const flagClearedAt = new Date(Date.now() - DAY_MS);
+    Service.findById.mockReturnValue(mockQuery({ flaggedForModeration: false, flagClearedAt }));
+
+    await resolve({ status: 'approved', refundTransactionHash: REFUND_HASH });
+
+    expect(Dispute.countDocuments).toHaveBeenCalledWith({
+      serviceId,
+      status: 'approved',
+      reviewedAt: { $gt: flagClearedAt }
+    });
+    expect(Service.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
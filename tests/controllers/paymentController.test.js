@@ -0,0 +1,71 @@
+/**
+ * Pruebas de la confirmación de pagos
+ */
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const Transaction = require('../../src/models/Transaction');
+const paymentService = require('../../src/services/paymentService');
+const { authenticateUser } = require('../../src/middleware/auth');
+const paymentController = require('../../src/controllers/paymentController');
+const { createApp, authenticateAs } = require('../helpers/api');
+
+const buyer = { _id: new mongoose.Types.ObjectId(), walletAddress: '0x1111111111111111111111111111111111111111' };
+
+const app = createApp((router) => {
+  router.post('/api/payments/confirm', authenticateUser, paymentController.confirmPayment);
+});
+
+let token;
+
+beforeEach(() => {
+  token = authenticateAs(buyer);
+  jest.spyOn(paymentService, 'getVerifierName').mockReturnValue('devportal');
+  jest.spyOn(paymentService, 'verifyPayment');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/payments/confirm', () => {
+  test.each(['refunded', 'failed', 'expired'])('rechaza confirmar una transacción %s', async (status) => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(new Transaction({
+      reference: 'ref-cerrada',
+      userId: buyer._id,
+      serviceId: new mongoose.Types.ObjectId(),
+      purpose: 'contact_access',
+      amount: '1000000000000000000',
+      token: 'WLD',
+      status
+    }));
+
+    const response = await request(app)
+      .post('/api/payments/confirm')
+      .set('Authorization', token)
+      .send({ reference: 'ref-cerrada', transaction_id: 'minikit-tx' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.success).toBe(false);
+    expect(paymentService.verifyPayment).not.toHaveBeenCalled();
+  });
+
+  test('rechaza confirmar la transacción de otro usuario', async () => {
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(new Transaction({
+      reference: 'ref-ajena',
+      userId: new mongoose.Types.ObjectId(),
+      purpose: 'contact_access',
+      amount: '1000000000000000000',
+      token: 'WLD',
+      status: 'pending'
+    }));
+
+    const response = await request(app)
+      .post('/api/payments/confirm')
+      .set('Authorization', token)
+      .send({ reference: 'ref-ajena', transaction_id: 'minikit-tx' });
+
+    expect(response.status).toBe(403);
+    expect(paymentService.verifyPayment).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Pruebas de las reseñas verificadas con World ID
+ */
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const Review = require('../../src/models/Review');
+const Service = require('../../src/models/Service');
+const User = require('../../src/models/User');
+const { authenticateUser, requireRole } = require('../../src/middleware/auth');
+const reviewController = require('../../src/controllers/reviewController');
+const { createApp, authenticateAs } = require('../helpers/api');
+
+const service = { _id: new mongoose.Types.ObjectId(), title: 'Fontanería Pérez', category: new mongoose.Types.ObjectId() };
+const reviewer = {
+  _id: new mongoose.Types.ObjectId(),
+  walletAddress: '0x4444444444444444444444444444444444444444',
+  nullifierHash: '0xnullifier',
+  verificationLevel: 'orb'
+};
+
+const app = createApp((router) => {
+  router.post('/api/services/:id/reviews', authenticateUser, reviewController.createReview);
+  router.put(
+    '/api/services/:id/reviews/:reviewId/moderate',
+    authenticateUser,
+    requireRole('moderator'),
+    reviewController.moderateReview
+  );
+});
+
+beforeEach(() => {
+  jest.spyOn(Service, 'findById').mockResolvedValue(service);
+  jest.spyOn(User.prototype, 'hasAccessToService').mockResolvedValue(true);
+  jest.spyOn(Review, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Review.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/services/:id/reviews', () => {
+  const submit = (token, body = { rating: 5, comment: 'Muy puntual' }) => request(app)
+    .post(`/api/services/${service._id}/reviews`)
+    .set('Authorization', token)
+    .send(body);
+
+  test('crea la reseña pendiente de moderación vinculada al nullifier', async () => {
+    const response = await submit(authenticateAs(reviewer));
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ rating: 5, status: 'pending' });
+
+    const [saved] = Review.prototype.save.mock.contexts;
+    expect(saved.nullifierHash).toBe(reviewer.nullifierHash);
+    expect(saved.verificationLevel).toBe('orb');
+  });
+
+  test('exige verificación con World ID', async () => {
+    const response = await submit(authenticateAs({ ...reviewer, verified: false, nullifierHash: null }));
+
+    expect(response.status).toBe(403);
+    expect(Review.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('solo admite reseñas de servicios pagados', async () => {
+    User.prototype.hasAccessToService.mockResolvedValue(false);
+
+    const response = await submit(authenticateAs(reviewer));
+
+    expect(response.status).toBe(403);
+    expect(Review.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('un mismo humano no reseña dos veces el mismo servicio', async () => {
+    Review.prototype.save.mockRejectedValue(Object.assign(new Error('duplicado'), { code: 11000 }));
+
+    const response = await submit(authenticateAs(reviewer));
+
+    expect(response.status).toBe(409);
+  });
+
+  test('valida la puntuación', async () => {
+    const response = await submit(authenticateAs(reviewer), { rating: 6 });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('PUT /api/services/:id/reviews/:reviewId/moderate', () => {
+  const moderator = {
+    _id: new mongoose.Types.ObjectId(),
+    walletAddress: '0x5555555555555555555555555555555555555555',
+    roles: ['user', 'moderator']
+  };
+
+  test('aprobar una reseña recalcula la valoración del servicio', async () => {
+    const review = new Review({ serviceId: service._id, userId: reviewer._id, nullifierHash: 'n', rating: 4 });
+    Review.findOne.mockResolvedValue(review);
+    jest.spyOn(Review, 'recalculateServiceRating').mockResolvedValue({ rating: 4.5, reviewCount: 2 });
+
+    const response = await request(app)
+      .put(`/api/services/${service._id}/reviews/${review._id}/moderate`)
+      .set('Authorization', authenticateAs(moderator))
+      .send({ status: 'approved' });
+
+    expect(response.status).toBe(200);
+    expect(review.status).toBe('approved');
+    expect(Review.recalculateServiceRating).toHaveBeenCalledWith(String(service._id));
+    expect(response.body.data.service).toMatchObject({ rating: 4.5, reviewCount: 2 });
+  });
+
+  test('solo los moderadores pueden moderar', async () => {
+    const response = await request(app)
+      .put(`/api/services/${service._id}/reviews/${new mongoose.Types.ObjectId()}/moderate`)
+      .set('Authorization', authenticateAs(reviewer))
+      .send({ status: 'approved' });
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('Review.recalculateServiceRating', () => {
+  test('pondera las reseñas aprobadas por nivel de verificación', async () => {
+    // Un 5 con orbe (peso 1) y un 2 con teléfono (peso 0,5)
+    jest.spyOn(Review, 'aggregate').mockResolvedValue([{ weightedSum: 5 * 1 + 2 * 0.5, totalWeight: 1.5, count: 2 }]);
+    jest.spyOn(Service, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await Review.recalculateServiceRating(service._id);
+
+    expect(result).toEqual({ rating: 4, reviewCount: 2 });
+    expect(Service.updateOne).toHaveBeenCalledWith(
+      { _id: service._id },
+      expect.objectContaining({ rating: 4, reviewCount: 2 })
+    );
+  });
+
+  test('sin reseñas aprobadas la valoración vuelve a cero', async () => {
+    jest.spyOn(Review, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Service, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await Review.recalculateServiceRating(service._id)).toEqual({ rating: 0, reviewCount: 0 });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Pruebas de la resolución de transacciones retenidas por riesgo
+ */
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const RiskAssessment = require('../../src/models/RiskAssessment');
+const Transaction = require('../../src/models/Transaction');
+const paymentService = require('../../src/services/paymentService');
+const { authenticateUser, requireRole } = require('../../src/middleware/auth');
+const riskController = require('../../src/controllers/riskController');
+const { createApp, authenticateAs } = require('../helpers/api');
+
+const admin = {
+  _id: new mongoose.Types.ObjectId(),
+  walletAddress: '0x2222222222222222222222222222222222222222',
+  roles: ['user', 'admin']
+};
+
+const app = createApp((router) => {
+  router.put(
+    '/api/admin/risk/assessments/:id/resolve',
+    authenticateUser,
+    requireRole('admin'),
+    riskController.resolveAssessment
+  );
+});
+
+let token;
+let assessment;
+let transaction;
+
+beforeEach(() => {
+  token = authenticateAs(admin);
+
+  transaction = new Transaction({
+    reference: 'ref-retenida',
+    userId: new mongoose.Types.ObjectId(),
+    serviceId: new mongoose.Types.ObjectId(),
+    purpose: 'contact_access',
+    amount: '1000000000000000000',
+    token: 'WLD',
+    status: 'completed',
+    heldForReview: true
+  });
+  assessment = new RiskAssessment({
+    userId: transaction.userId,
+    transactionId: transaction._id,
+    decision: 'review',
+    reviewStatus: 'open'
+  });
+
+  jest.spyOn(RiskAssessment, 'findById').mockResolvedValue(assessment);
+  jest.spyOn(RiskAssessment, 'exists').mockResolvedValue(null);
+  jest.spyOn(RiskAssessment.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+  jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(paymentService, 'grantAccess').mockResolvedValue(null);
+  jest.spyOn(paymentService, 'refundTransaction').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const resolve = (body) => request(app)
+  .put(`/api/admin/risk/assessments/${assessment._id}/resolve`)
+  .set('Authorization', token)
+  .send(body);
+
+describe('PUT /api/admin/risk/assessments/:id/resolve', () => {
+  test('liberar la única revisión abierta levanta la retención y concede el acceso', async () => {
+    const response = await resolve({ decision: 'released' });
+
+    expect(response.status).toBe(200);
+    expect(transaction.heldForReview).toBe(false);
+    expect(paymentService.grantAccess).toHaveBeenCalledWith(transaction);
+    expect(assessment.reviewStatus).toBe('released');
+    expect(RiskAssessment.exists).toHaveBeenCalledWith({
+      transactionId: transaction._id,
+      reviewStatus: 'open',
+      _id: { $ne: assessment._id }
+    });
+  });
+
+  test('la retención se mantiene mientras quede otra revisión abierta', async () => {
+    RiskAssessment.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const response = await resolve({ decision: 'released' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toMatch(/sigue retenida/);
+    expect(transaction.heldForReview).toBe(true);
+    expect(Transaction.prototype.save).not.toHaveBeenCalled();
+    expect(paymentService.grantAccess).not.toHaveBeenCalled();
+    expect(assessment.reviewStatus).toBe('released');
+  });
+
+  test('rechazar un pago completado lo reembolsa sin conceder el acceso', async () => {
+    const refundTransactionHash = `0x${'ab'.repeat(32)}`;
+
+    const response = await resolve({ decision: 'rejected', refundTransactionHash });
+
+    expect(response.status).toBe(200);
+    expect(paymentService.refundTransaction).toHaveBeenCalledWith(transaction, expect.objectContaining({ refundTransactionHash }));
+    expect(paymentService.grantAccess).not.toHaveBeenCalled();
+  });
+
+  test('rechazar un pago pendiente lo marca como fallido', async () => {
+    transaction.status = 'pending';
+
+    const response = await resolve({ decision: 'rejected' });
+
+    expect(response.status).toBe(200);
+    expect(transaction.status).toBe('failed');
+    expect(paymentService.refundTransaction).not.toHaveBeenCalled();
+  });
+
+  test('no permite resolver dos veces la misma evaluación', async () => {
+    assessment.reviewStatus = 'released';
+
+    const response = await resolve({ decision: 'released' });
+
+    expect(response.status).toBe(409);
+    expect(paymentService.grantAccess).not.toHaveBeenCalled();
+  });
+
+  test('solo los administradores pueden resolver evaluaciones', async () => {
+    token = authenticateAs({ ...admin, roles: ['user'] });
+
+    const response = await resolve({ decision: 'released' });
+
+    expect(response.status).toBe(403);
+    expect(paymentService.grantAccess).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Pruebas de la búsqueda de servicios a través de POST /api/search
+ */
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const Service = require('../../src/models/Service');
+const { optionalAuthentication } = require('../../src/middleware/auth');
+const searchController = require('../../src/controllers/searchController');
+const cacheService = require('../../src/services/cacheService');
+const facetService = require('../../src/services/facetService');
+const pricingService = require('../../src/services/pricingService');
+const pythonApiService = require('../../src/services/pythonApiService');
+const spellingService = require('../../src/services/spellingService');
+const suggestService = require('../../src/services/suggestService');
+const synonymService = require('../../src/services/synonymService');
+const gazetteer = require('../../src/utils/gazetteer');
+const { createApp, mockQuery, authenticateAs } = require('../helpers/api');
+
+const app = createApp((router) => {
+  router.post('/api/search', optionalAuthentication, searchController.search);
+  router.get('/api/search/suggest', optionalAuthentication, searchController.suggest);
+});
+
+/**
+ * Crea servicios públicos con coordenadas en el centro de Lima
+ *
+ * @param {number} count - Número de servicios
+ * @returns {Array<Object>} Documentos de servicio
+ */
+const servicesInLima = (count) => Array.from({ length: count }, (_, index) => new Service({
+  title: `Plomero ${index + 1}`,
+  description: 'Reparaciones',
+  category: new mongoose.Types.ObjectId(),
+  location: 'Lima',
+  geo: { type: 'Point', coordinates: [-77.0428, -12.0464] },
+  geoSource: 'provided',
+  contactInfo: 'contacto@example.com',
+  premiumOnly: false
+}));
+
+beforeEach(() => {
+  cacheService.clear();
+  jest.spyOn(suggestService, 'recordQuery').mockResolvedValue();
+  jest.spyOn(synonymService, 'getExpansions').mockResolvedValue([]);
+  jest.spyOn(facetService, 'getFacets').mockResolvedValue({});
+  jest.spyOn(spellingService, 'getSuggestions').mockResolvedValue([]);
+  jest.spyOn(pricingService, 'attachServicePrices').mockImplementation(async (services) => services);
+  jest.spyOn(pythonApiService, 'customSearch').mockResolvedValue({ success: false, results: [] });
+  jest.spyOn(Service, 'find').mockReturnValue(mockQuery(servicesInLima(10)));
+  jest.spyOn(Service, 'countDocuments').mockResolvedValue(10);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/search (proximidad)', () => {
+  test('filtra por el radio alrededor de un barrio del nomenclátor y devuelve la distancia', async () => {
+    const response = await request(app)
+      .post('/api/search')
+      .send({ query: 'plomero', near: 'Miraflores, Lima', radiusKm: 15 });
+
+    expect(response.status).toBe(200);
+    expect(Service.find.mock.calls[0][0].geo).toEqual({
+      $geoWithin: { $centerSphere: [[-77.0297, -12.1211], 15 / 6378.1] }
+    });
+    expect(response.body.data[0].distanceKm).toBe(8.4);
+  });
+
+  test('acepta coordenadas explícitas', async () => {
+    const response = await request(app)
+      .post('/api/search')
+      .send({ query: 'plomero', near: { lat: -12.0464, lng: -77.0428 } });
+
+    expect(response.status).toBe(200);
+    expect(Service.find.mock.calls[0][0].geo.$geoWithin.$centerSphere[1]).toBe(10 / 6378.1);
+    expect(response.body.data[0].distanceKm).toBe(0);
+  });
+
+  test('rechaza un lugar que no está en el nomenclátor', async () => {
+    const response = await request(app)
+      .post('/api/search')
+      .send({ query: 'plomero', near: 'Atlántida' });
+
+    expect(response.status).toBe(400);
+    expect(Service.find).not.toHaveBeenCalled();
+  });
+
+  test('sin punto de referencia no filtra por radio ni añade distancias', async () => {
+    const response = await request(app)
+      .post('/api/search')
+      .send({ query: 'plomero' });
+
+    expect(Service.find.mock.calls[0][0].geo).toBeUndefined();
+    expect(response.body.data[0].distanceKm).toBeUndefined();
+  });
+
+  test('los resultados del scraping fuera del radio no se mezclan', async () => {
+    Service.find.mockReturnValue(mockQuery([]));
+    Service.countDocuments.mockResolvedValue(0);
+    pythonApiService.customSearch.mockResolvedValue({
+      success: true,
+      results: [
+        { title: 'Plomería Cusco', location: 'Cusco', sourceUrl: 'https://example.com/cusco' },
+        { title: 'Plomería Barranco', location: 'Barranco, Lima', sourceUrl: 'https://example.com/barranco' }
+      ]
+    });
+    jest.spyOn(Service, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Service.prototype, 'save').mockImplementation(function() {
+      // Sin base de datos los hooks de guardado no se ejecutan: geocodificar como lo haría el hook
+      this.geo = gazetteer.geocode(this.location);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(suggestService, 'invalidate').mockImplementation(() => {});
+
+    const response = await request(app)
+      .post('/api/search')
+      .send({ query: 'plomero', near: 'Lima', radiusKm: 20 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map(service => service.title)).toEqual(['Plomería Barranco']);
+  });
+});
+
+describe('POST /api/search (facetas)', () => {
+  const plumbing = new mongoose.Types.ObjectId();
+  const electricity = new mongoose.Types.ObjectId();
+  const facets = { category: [{ value: plumbing.toString(), name: 'Plomería', count: 10 }] };
+
+  beforeEach(() => {
+    facetService.getFacets.mockResolvedValue(facets);
+  });
+
+  test('aplica los filtros de faceta a los resultados y calcula las facetas sin ellos', async () => {
+    const response = await request(app)
+      .post('/api/search')
+      .send({ query: 'plomero', category: [electricity.toString(), plumbing.toString()], price: '$$', verified: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.meta.facets).toEqual(facets);
+
+    const [searchQuery] = Service.find.mock.calls[0];
+    expect(searchQuery).toMatchObject({
+      category: { $in: [electricity, plumbing].sort() },
+      price: { $in: ['$$'] },
+      verified: true
+    });
+
+    const [baseQuery, filters] = facetService.getFacets.mock.calls[0];
+    expect(baseQuery).not.toHaveProperty('category');
+    expect(baseQuery).not.toHaveProperty('price');
+    expect(Object.keys(filters).sort()).toEqual(['category', 'price', 'verified']);
+  });
+
+  test('las facetas se guardan en caché junto con los resultados', async () => {
+    const body = { query: 'plomero', category: [plumbing.toString()] };
+
+    await request(app).post('/api/search').send(body);
+    const cached = await request(app).post('/api/search').send(body);
+
+    expect(cached.body.message).toBe('Resultados de búsqueda obtenidos de caché');
+    expect(cached.body.meta.facets).toEqual(facets);
+    expect(facetService.getFacets).toHaveBeenCalledTimes(1);
+  });
+
+  test('el orden de la selección no cambia la entrada de caché', async () => {
+    await request(app).post('/api/search').send({ query: 'plomero', price: ['$$', '$'] });
+    const cached = await request(app).post('/api/search').send({ query: 'plomero', price: ['$', '$$'] });
+
+    expect(cached.body.message).toBe('Resultados de búsqueda obtenidos de caché');
+    expect(Service.find).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('GET /api/search/suggest', () => {
+  beforeEach(() => {
+    jest.spyOn(suggestService, 'suggest').mockResolvedValue([{ text: 'Plomería', type: 'category' }]);
+  });
+
+  test('devuelve las sugerencias sin títulos premium para visitantes', async () => {
+    const response = await request(app).get('/api/search/suggest?q=plom');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([{ text: 'Plomería', type: 'category' }]);
+    expect(suggestService.suggest).toHaveBeenCalledWith('plom', { limit: 8, includePremium: false });
+  });
+
+  test('incluye títulos premium para usuarios verificados', async () => {
+    const token = authenticateAs({ _id: new mongoose.Types.ObjectId(), walletAddress: '0x8888888888888888888888888888888888888888' });
+
+    await request(app).get('/api/search/suggest?q=plom&limit=3').set('Authorization', token);
+
+    expect(suggestService.suggest).toHaveBeenCalledWith('plom', { limit: 3, includePremium: true });
+  });
+
+  test('exige el texto escrito', async () => {
+    const response = await request(app).get('/api/search/suggest?q=%20');
+
+    expect(response.status).toBe(400);
+    expect(suggestService.suggest).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/search (español)', () => {
+  test('busca sin tildes, en español y ampliando con los sinónimos', async () => {
+    synonymService.getExpansions.mockResolvedValue(['plomero', 'fontanero']);
+
+    await request(app).post('/api/search').send({ query: 'Gásfiter' });
+
+    expect(synonymService.getExpansions).toHaveBeenCalledWith('Gásfiter');
+    expect(Service.find.mock.calls[0][0].$text).toEqual({
+      $search: 'Gasfiter plomero fontanero',
+      $language: 'es',
+      $diacriticSensitive: false
+    });
+  });
+
+  test('permite analizar la consulta en inglés', async () => {
+    await request(app).post('/api/search').send({ query: 'plumber', language: 'en' });
+
+    expect(Service.find.mock.calls[0][0].$text.$language).toBe('en');
+  });
+
+  test('el filtro de ubicación no distingue tildes', async () => {
+    await request(app).post('/api/search').send({ query: 'plomero', location: 'Nunoa' });
+
+    const { location } = Service.find.mock.calls[0][0];
+    expect(new RegExp(location.$regex, location.$options).test('Ñuñoa')).toBe(true);
+  });
+});
+
+describe('POST /api/search (correcciones)', () => {
+  beforeEach(() => {
+    // La consulta original no encuentra nada; la corregida sí
+    Service.find.mockImplementation((filter) => mockQuery(
+      filter.$text.$search === 'plomero' ? servicesInLima(10) : []
+    ));
+    Service.countDocuments.mockImplementation(async (filter) => (filter.$text.$search === 'plomero' ? 10 : 0));
+    spellingService.getSuggestions.mockResolvedValue(['plomero', 'plomeria']);
+  });
+
+  test('repite la búsqueda corregida antes de recurrir al scraping', async () => {
+    const response = await request(app).post('/api/search').send({ query: 'plomreo' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.meta.pagination.total).toBe(10);
+    expect(response.body.meta).toMatchObject({ suggestions: ['plomero', 'plomeria'], correctedQuery: 'plomero' });
+    expect(pythonApiService.customSearch).not.toHaveBeenCalled();
+  });
+
+  test('sin corrección automática solo propone las sugerencias', async () => {
+    const response = await request(app).post('/api/search').send({ query: 'plomreo', autoCorrect: false });
+
+    expect(response.body.meta).toMatchObject({ suggestions: ['plomero', 'plomeria'], correctedQuery: null });
+    expect(Service.find).toHaveBeenCalledTimes(1);
+    expect(pythonApiService.customSearch).toHaveBeenCalledWith('plomreo', null);
+  });
+
+  test('si la corrección tampoco encuentra nada consulta el scraping con la consulta original', async () => {
+    spellingService.getSuggestions.mockResolvedValue(['plomeria']);
+
+    const response = await request(app).post('/api/search').send({ query: 'plomreo' });
+
+    expect(response.body.meta).toMatchObject({ suggestions: ['plomeria'], correctedQuery: null });
+    expect(pythonApiService.customSearch).toHaveBeenCalledWith('plomreo', null);
+  });
+
+  test('con resultados no busca correcciones', async () => {
+    await request(app).post('/api/search').send({ query: 'plomero' });
+
+    expect(spellingService.getSuggestions).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Pruebas de la administración del diccionario de sinónimos
+ */
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const Synonym = require('../../src/models/Synonym');
+const { authenticateUser, requireRole } = require('../../src/middleware/auth');
+const synonymController = require('../../src/controllers/synonymController');
+const synonymService = require('../../src/services/synonymService');
+const { createApp, mockQuery, authenticateAs } = require('../helpers/api');
+
+const admin = {
+  _id: new mongoose.Types.ObjectId(),
+  walletAddress: '0x9999999999999999999999999999999999999999',
+  roles: ['user', 'admin']
+};
+
+const app = createApp((router) => {
+  router.post('/api/admin/search/synonyms', authenticateUser, requireRole('admin'), synonymController.createSynonym);
+  router.put('/api/admin/search/synonyms/:id', authenticateUser, requireRole('admin'), synonymController.updateSynonym);
+});
+
+beforeEach(() => {
+  jest.spyOn(Synonym, 'findOne').mockReturnValue(mockQuery(null));
+  jest.spyOn(Synonym, 'create').mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+  jest.spyOn(synonymService, 'invalidate');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/admin/search/synonyms', () => {
+  test('crea el grupo con los términos normalizados e invalida las búsquedas cacheadas', async () => {
+    const response = await request(app)
+      .post('/api/admin/search/synonyms')
+      .set('Authorization', authenticateAs(admin))
+      .send({ terms: ['Gasfitero', 'Plomero', 'plomero'] });
+
+    expect(response.status).toBe(201);
+    expect(Synonym.create).toHaveBeenCalledWith(expect.objectContaining({ terms: ['gasfitero', 'plomero'] }));
+    expect(synonymService.invalidate).toHaveBeenCalled();
+  });
+
+  test('rechaza un término que ya pertenece a otro grupo', async () => {
+    Synonym.findOne.mockReturnValue(mockQuery({ terms: ['plomero', 'fontanero'] }));
+
+    const response = await request(app)
+      .post('/api/admin/search/synonyms')
+      .set('Authorization', authenticateAs(admin))
+      .send({ terms: ['gasfitero', 'plomero'] });
+
+    expect(response.status).toBe(409);
+    expect(Synonym.findOne).toHaveBeenCalledWith({ terms: { $in: ['gasfitero', 'plomero'] } });
+    expect(Synonym.create).not.toHaveBeenCalled();
+  });
+
+  test('exige dos términos distintos tras normalizar', async () => {
+    const response = await request(app)
+      .post('/api/admin/search/synonyms')
+      .set('Authorization', authenticateAs(admin))
+      .send({ terms: ['Plomería', 'plomeria'] });
+
+    expect(response.status).toBe(400);
+    expect(Synonym.create).not.toHaveBeenCalled();
+  });
+
+  test('solo está disponible para administradores', async () => {
+    const response = await request(app)
+      .post('/api/admin/search/synonyms')
+      .set('Authorization', authenticateAs({ ...admin, roles: ['user'] }))
+      .send({ terms: ['gasfitero', 'plomero'] });
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('PUT /api/admin/search/synonyms/:id', () => {
+  test('al editar un grupo no lo compara consigo mismo', async () => {
+    const synonym = new Synonym({ terms: ['gasfitero', 'plomero'] });
+    jest.spyOn(Synonym, 'findById').mockResolvedValue(synonym);
+    jest.spyOn(synonym, 'save').mockResolvedValue(synonym);
+
+    const response = await request(app)
+      .put(`/api/admin/search/synonyms/${synonym._id}`)
+      .set('Authorization', authenticateAs(admin))
+      .send({ terms: ['gasfitero', 'plomero', 'fontanero'] });
+
+    expect(response.status).toBe(200);
+    expect(Synonym.findOne).toHaveBeenCalledWith({
+      terms: { $in: ['gasfitero', 'plomero', 'fontanero'] },
+      _id: { $ne: synonym._id }
+    });
+    expect(synonym.terms).toEqual(['gasfitero', 'plomero', 'fontanero']);
+    expect(synonymService.invalidate).toHaveBeenCalled();
+  });
+});
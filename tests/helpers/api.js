@@ -0,0 +1,63 @@
+/**
+ * Utilidades para probar controladores a través de HTTP
+ */
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const User = require('../../src/models/User');
+
+/**
+ * Crea una aplicación Express mínima con las rutas indicadas
+ * Las rutas se montan sin limitadores de tasa para no depender del número de solicitudes
+ *
+ * @param {Function} mount - Recibe la aplicación y registra las rutas
+ * @returns {Object} Aplicación Express
+ */
+const createApp = (mount) => {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * Simula una consulta de Mongoose: admite select/populate/sort/lean encadenados y se resuelve con el resultado
+ *
+ * @param {*} result - Resultado de la consulta
+ * @returns {Object} Consulta simulada
+ */
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+/**
+ * Autentica las solicitudes como el usuario indicado
+ * Firma un token con su wallet y simula las búsquedas de authenticateUser y requireRole
+ *
+ * @param {Object} user - Usuario ({ _id, walletAddress, roles, verified })
+ * @returns {string} Valor de la cabecera Authorization
+ */
+const authenticateAs = (user) => {
+  const document = new User({ roles: ['user'], verified: true, ...user });
+
+  jest.spyOn(User, 'findOne').mockImplementation(async (filter) =>
+    filter && filter.walletAddress === user.walletAddress ? document : null);
+  jest.spyOn(User, 'findById').mockImplementation((id) =>
+    mockQuery(String(id) === String(document._id) ? document : null));
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+  return `Bearer ${jwt.sign({ walletAddress: user.walletAddress }, process.env.JWT_SECRET)}`;
+};
+
+module.exports = {
+  createApp,
+  mockQuery,
+  authenticateAs
+};
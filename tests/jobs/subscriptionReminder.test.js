@@ -0,0 +1,67 @@
+/**
+ * Pruebas de los recordatorios de renovación de suscripciones
+ */
+const mongoose = require('mongoose');
+
+const Subscription = require('../../src/models/Subscription');
+const devPortalService = require('../../src/services/devPortalService');
+const subscriptionReminder = require('../../src/jobs/subscriptionReminder');
+const { mockQuery } = require('../helpers/api');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Crea un periodo que vence en dos días
+ *
+ * @param {Date|null} userExpiresAt - Fin del pase del usuario
+ * @returns {Object} Periodo simulado
+ */
+const expiringPeriod = (userExpiresAt) => {
+  const expiresAt = new Date(Date.now() + 2 * DAY_MS);
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    expiresAt,
+    reminderSentAt: null,
+    userId: { walletAddress: '0x1111111111111111111111111111111111111111', subscriptionExpiresAt: userExpiresAt || expiresAt },
+    save: jest.fn().mockResolvedValue()
+  };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SubscriptionReminder.run', () => {
+  test('avisa una sola vez a quien no ha renovado', async () => {
+    const period = expiringPeriod();
+    jest.spyOn(Subscription, 'find').mockReturnValue(mockQuery([period]));
+    jest.spyOn(devPortalService, 'sendNotification').mockResolvedValue({});
+
+    await expect(subscriptionReminder.run()).resolves.toBe(1);
+    expect(Subscription.find).toHaveBeenCalledWith(expect.objectContaining({ status: 'active', reminderSentAt: null }));
+    expect(devPortalService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({
+      walletAddresses: [period.userId.walletAddress]
+    }));
+    expect(period.reminderSentAt).toBeInstanceOf(Date);
+    expect(period.save).toHaveBeenCalled();
+  });
+
+  test('no avisa a quien ya renovó para un periodo posterior', async () => {
+    const period = expiringPeriod(new Date(Date.now() + 40 * DAY_MS));
+    jest.spyOn(Subscription, 'find').mockReturnValue(mockQuery([period]));
+    jest.spyOn(devPortalService, 'sendNotification');
+
+    await expect(subscriptionReminder.run()).resolves.toBe(0);
+    expect(devPortalService.sendNotification).not.toHaveBeenCalled();
+  });
+
+  test('si la notificación falla el periodo queda pendiente para la siguiente ejecución', async () => {
+    const period = expiringPeriod();
+    jest.spyOn(Subscription, 'find').mockReturnValue(mockQuery([period]));
+    jest.spyOn(devPortalService, 'sendNotification').mockRejectedValue(new Error('timeout'));
+
+    await expect(subscriptionReminder.run()).resolves.toBe(0);
+    expect(period.reminderSentAt).toBeNull();
+    expect(period.save).not.toHaveBeenCalled();
+  });
+});
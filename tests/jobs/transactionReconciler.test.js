@@ -0,0 +1,201 @@
+/**
+ * Pruebas de la reconciliación de transacciones contra un Developer Portal simulado
+ */
+const http = require('http');
+const mongoose = require('mongoose');
+
+const worldAppConfig = require('../../src/config/worldApp').config;
+const Transaction = require('../../src/models/Transaction');
+const User = require('../../src/models/User');
+const entitlementService = require('../../src/services/entitlementService');
+const payoutService = require('../../src/services/payoutService');
+const couponService = require('../../src/services/couponService');
+const receiptService = require('../../src/services/receiptService');
+const transactionReconciler = require('../../src/jobs/transactionReconciler');
+
+// Respuestas del endpoint /minikit/transaction/:id por ID de transacción
+const portalTransactions = {};
+const portalRequests = [];
+let portal;
+
+const buildTransaction = (overrides = {}) => new Transaction({
+  reference: new mongoose.Types.ObjectId().toString(),
+  userId: new mongoose.Types.ObjectId(),
+  serviceId: new mongoose.Types.ObjectId(),
+  purpose: 'contact_access',
+  amount: '1000000000000000000',
+  token: 'WLD',
+  status: 'processing',
+  transactionId: `tx-${new mongoose.Types.ObjectId()}`,
+  ...overrides
+});
+
+const answerWith = (transaction, data) => {
+  portalTransactions[transaction.transactionId] = {
+    reference: transaction.reference,
+    ...data
+  };
+};
+
+const delaySeconds = (transaction) => Math.round((transaction.nextReconcileAt - Date.now()) / 1000);
+
+beforeAll(async () => {
+  portal = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/minikit\/transaction\/([^/]+)$/);
+    portalRequests.push({ path: url.pathname, appId: url.searchParams.get('app_id') });
+
+    const data = match && portalTransactions[match[1]];
+    res.writeHead(data ? 200 : 500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data || { error: 'internal_error' }));
+  });
+
+  await new Promise(resolve => portal.listen(0, '127.0.0.1', resolve));
+
+  worldAppConfig.devPortalUrl = `http://127.0.0.1:${portal.address().port}`;
+  worldAppConfig.paymentVerifier = 'devportal';
+  worldAppConfig.reconcile.baseDelaySeconds = 30;
+  worldAppConfig.reconcile.maxDelaySeconds = 600;
+  worldAppConfig.reconcile.maxAttempts = 5;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => portal.close(resolve));
+});
+
+beforeEach(() => {
+  portalRequests.length = 0;
+
+  jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+  jest.spyOn(entitlementService, 'grant').mockResolvedValue({});
+  jest.spyOn(payoutService, 'accrue').mockResolvedValue(null);
+  jest.spyOn(couponService, 'redeem').mockResolvedValue(null);
+  jest.spyOn(receiptService, 'issue').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TransactionReconciler.reconcile', () => {
+  test('una transacción minada se completa y concede el acceso', async () => {
+    const transaction = buildTransaction();
+    answerWith(transaction, { status: 'mined', transactionHash: '0xabc', fromWalletAddress: '0x1' });
+
+    const status = await transactionReconciler.reconcile(transaction);
+
+    expect(status).toBe('completed');
+    expect(portalRequests).toEqual([{
+      path: `/minikit/transaction/${transaction.transactionId}`,
+      appId: worldAppConfig.appId
+    }]);
+    expect(transaction.transactionHash).toBe('0xabc');
+    expect(transaction.nextReconcileAt).toBeNull();
+    expect(transaction.statusHistory.pop()).toMatchObject({ from: 'processing', to: 'completed', source: 'reconciler' });
+    expect(entitlementService.grant).toHaveBeenCalledWith(expect.objectContaining({
+      userId: transaction.userId,
+      serviceId: transaction.serviceId,
+      source: 'payment',
+      transaction
+    }));
+  });
+
+  test('una transacción fallida se marca como fallida sin conceder acceso', async () => {
+    const transaction = buildTransaction();
+    answerWith(transaction, { status: 'failed', error: 'execution reverted' });
+
+    const status = await transactionReconciler.reconcile(transaction);
+
+    expect(status).toBe('failed');
+    expect(transaction.nextReconcileAt).toBeNull();
+    expect(transaction.statusHistory.pop()).toMatchObject({
+      to: 'failed',
+      source: 'reconciler',
+      reason: 'devportal: execution reverted'
+    });
+    expect(Transaction.updateOne).not.toHaveBeenCalled();
+    expect(entitlementService.grant).not.toHaveBeenCalled();
+  });
+
+  test('una referencia que no coincide marca la transacción como fallida', async () => {
+    const transaction = buildTransaction();
+    answerWith(transaction, { status: 'mined', reference: 'otra-referencia' });
+
+    const status = await transactionReconciler.reconcile(transaction);
+
+    expect(status).toBe('failed');
+    expect(entitlementService.grant).not.toHaveBeenCalled();
+  });
+
+  test('mientras sigue pendiente se reintenta con backoff exponencial', async () => {
+    const transaction = buildTransaction();
+    answerWith(transaction, { status: 'pending' });
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      expect(await transactionReconciler.reconcile(transaction)).toBe('processing');
+      expect(transaction.reconcileAttempts).toBe(attempt);
+      delays.push(delaySeconds(transaction));
+    }
+
+    // 30 s · 2^intentos, limitado por maxDelaySeconds
+    expect(delays).toEqual([60, 120, 240, 480]);
+
+    worldAppConfig.reconcile.maxAttempts = 10;
+    try {
+      await transactionReconciler.reconcile(transaction);
+      expect(delaySeconds(transaction)).toBe(600);
+    } finally {
+      worldAppConfig.reconcile.maxAttempts = 5;
+    }
+  });
+
+  test('un error del Developer Portal cuenta como intento y se reprograma', async () => {
+    const transaction = buildTransaction({ transactionId: 'tx-desconocida' });
+
+    const status = await transactionReconciler.reconcile(transaction);
+
+    expect(status).toBe('processing');
+    expect(transaction.reconcileAttempts).toBe(1);
+    expect(delaySeconds(transaction)).toBe(60);
+  });
+
+  test('al alcanzar maxAttempts la transacción se marca como fallida', async () => {
+    const transaction = buildTransaction({ reconcileAttempts: 4 });
+    answerWith(transaction, { status: 'pending' });
+
+    const status = await transactionReconciler.reconcile(transaction);
+
+    expect(status).toBe('failed');
+    expect(transaction.reconcileAttempts).toBe(5);
+    expect(transaction.nextReconcileAt).toBeNull();
+    expect(transaction.statusHistory.pop()).toMatchObject({
+      to: 'failed',
+      source: 'reconciler',
+      reason: 'Sin confirmación en cadena tras 5 intentos de reconciliación'
+    });
+    expect(entitlementService.grant).not.toHaveBeenCalled();
+  });
+});
+
+describe('TransactionReconciler.run', () => {
+  test('procesa el lote de transacciones vencidas y resume el resultado', async () => {
+    const mined = buildTransaction();
+    const failed = buildTransaction();
+    answerWith(mined, { status: 'mined', transactionHash: '0xdef' });
+    answerWith(failed, { status: 'failed' });
+
+    const limit = jest.fn().mockResolvedValue([mined, failed]);
+    jest.spyOn(Transaction, 'find').mockReturnValue({ sort: () => ({ limit }) });
+
+    const summary = await transactionReconciler.run();
+
+    expect(summary).toEqual({ checked: 2, completed: 1, failed: 1 });
+    expect(Transaction.find).toHaveBeenCalledWith(expect.objectContaining({ status: 'processing' }));
+    expect(limit).toHaveBeenCalledWith(worldAppConfig.reconcile.batchSize);
+  });
+});
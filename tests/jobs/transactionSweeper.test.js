@@ -0,0 +1,109 @@
+/**
+ * Pruebas del barrido de transacciones expiradas y de cuentas provisionales
+ */
+const mongoose = require('mongoose');
+
+const User = require('../../src/models/User');
+const Entitlement = require('../../src/models/Entitlement');
+const Transaction = require('../../src/models/Transaction');
+const couponService = require('../../src/services/couponService');
+const transactionSweeper = require('../../src/jobs/transactionSweeper');
+
+const orphan = new mongoose.Types.ObjectId();
+const gifted = new mongoose.Types.ObjectId();
+const inFlight = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  jest.spyOn(Transaction, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+  jest.spyOn(User, 'find').mockReturnValue({
+    select: () => Promise.resolve([orphan, gifted, inFlight].map(_id => ({ _id })))
+  });
+  jest.spyOn(Entitlement, 'exists').mockImplementation(async ({ userId }) => userId === gifted);
+  jest.spyOn(Transaction, 'exists').mockImplementation(async ({ recipientId }) => recipientId === inFlight);
+  jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TransactionSweeper.removeOrphanPlaceholders', () => {
+  test('solo elimina las cuentas provisionales sin accesos ni regalos en curso', async () => {
+    await transactionSweeper.run();
+
+    expect(User.find).toHaveBeenCalledWith(expect.objectContaining({ isPlaceholder: true }));
+    expect(User.deleteOne).toHaveBeenCalledTimes(1);
+    expect(User.deleteOne).toHaveBeenCalledWith(expect.objectContaining({ _id: orphan, isPlaceholder: true }));
+    expect(transactionSweeper.getStats().totalPlaceholdersRemoved).toBe(1);
+  });
+
+  test('no cuenta las cuentas que dejaron de ser provisionales entretanto', async () => {
+    User.deleteOne.mockResolvedValue({ deletedCount: 0 });
+
+    expect(await transactionSweeper.removeOrphanPlaceholders(new Date())).toBe(0);
+  });
+});
+
+describe('TransactionSweeper.run', () => {
+  test('expira las transacciones pendientes y libera los usos de cupón reservados', async () => {
+    const withCoupon = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      coupon: { couponId: new mongoose.Types.ObjectId(), code: 'VERANO', reservedAt: new Date() }
+    };
+    const withoutCoupon = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId(), coupon: {} };
+    Transaction.find.mockReturnValue({ select: () => Promise.resolve([withCoupon, withoutCoupon]) });
+    jest.spyOn(Transaction, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(couponService, 'releaseReservation').mockResolvedValue(true);
+
+    expect(await transactionSweeper.run()).toBe(2);
+    expect(Transaction.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'pending' }),
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'expired' }) })
+    );
+    expect(couponService.releaseReservation).toHaveBeenCalledTimes(1);
+    expect(couponService.releaseReservation).toHaveBeenCalledWith(withCoupon);
+  });
+
+  test('solo busca transacciones pendientes fuera de la ventana de validez', async () => {
+    jest.spyOn(Transaction, 'updateMany');
+
+    expect(await transactionSweeper.run()).toBe(0);
+    expect(Transaction.find).toHaveBeenCalledWith({
+      status: 'pending',
+      createdAt: { $lt: expect.any(Date) }
+    });
+    expect(Transaction.find.mock.calls[0][0].createdAt.$lt.getTime()).toBeLessThanOrEqual(Transaction.getExpirationCutoff().getTime());
+    expect(Transaction.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('no pisa las transacciones confirmadas durante el barrido', async () => {
+    Transaction.find.mockReturnValue({ select: () => Promise.resolve([{ _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId() }]) });
+    jest.spyOn(Transaction, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    const before = transactionSweeper.getStats().totalExpired;
+
+    expect(await transactionSweeper.run()).toBe(0);
+    expect(Transaction.updateMany.mock.calls[0][0]).toMatchObject({ status: 'pending' });
+    expect(transactionSweeper.getStats().totalExpired).toBe(before);
+  });
+
+  test('no solapa dos ejecuciones', async () => {
+    let finishFind;
+    Transaction.find.mockReturnValue({ select: () => new Promise(resolve => { finishFind = resolve; }) });
+
+    const first = transactionSweeper.run();
+
+    expect(await transactionSweeper.run()).toBe(0);
+    expect(Transaction.find).toHaveBeenCalledTimes(1);
+
+    finishFind([]);
+    await first;
+  });
+
+  test('registra el error sin propagarlo', async () => {
+    Transaction.find.mockReturnValue({ select: () => Promise.reject(new Error('sin conexión')) });
+
+    expect(await transactionSweeper.run()).toBe(0);
+    expect(transactionSweeper.getStats().lastError).toBe('sin conexión');
+  });
+});
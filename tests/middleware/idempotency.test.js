@@ -0,0 +1,164 @@
+/**
+ * Pruebas del middleware de idempotencia: repetición de respuestas y conflictos
+ */
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { idempotency } = require('../../src/middleware/idempotency');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const { createApp } = require('../helpers/api');
+
+const USER_ID = new mongoose.Types.ObjectId();
+
+/**
+ * Simula la colección de claves en memoria con el índice único de (key, userId, endpoint)
+ *
+ * @returns {Array<Object>} Documentos guardados
+ */
+const mockKeyStore = () => {
+  const records = [];
+  const matches = (record, filter) => Object.keys(filter)
+    .every(field => String(record[field]) === String(filter[field]));
+
+  jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (data) => {
+    if (records.some(record => matches(record, { key: data.key, userId: data.userId, endpoint: data.endpoint }))) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const record = { _id: new mongoose.Types.ObjectId(), status: 'in_progress', ...data };
+    records.push(record);
+    return record;
+  });
+  jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async (filter) =>
+    records.find(record => matches(record, filter)) || null);
+  jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async (filter, update) => {
+    Object.assign(records.find(record => matches(record, filter)), update);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async (filter) => {
+    records.splice(records.findIndex(record => matches(record, filter)), 1);
+    return { deletedCount: 1 };
+  });
+
+  return records;
+};
+
+/**
+ * Crea una aplicación con una operación de pago simulada detrás del middleware
+ *
+ * @param {Function} handler - Controlador simulado
+ * @returns {Object} Aplicación Express
+ */
+const buildApp = (handler) => createApp((app) => {
+  app.post('/api/payments/initiate', (req, res, next) => {
+    req.user = { id: USER_ID };
+    next();
+  }, idempotency, handler);
+});
+
+// Espera a que se persista la respuesta, que se guarda sin bloquear el envío
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotency', () => {
+  let records;
+
+  beforeEach(() => {
+    records = mockKeyStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('un reintento con la misma clave repite la respuesta sin ejecutar de nuevo la operación', async () => {
+    let calls = 0;
+    const app = buildApp((req, res) => {
+      calls += 1;
+      res.status(201).json({ success: true, data: { reference: `ref-${calls}` } });
+    });
+
+    const first = await request(app).post('/api/payments/initiate')
+      .set('Idempotency-Key', 'clave-1').send({ serviceId: 'abc', token: 'WLD' });
+    await flush();
+    const retry = await request(app).post('/api/payments/initiate')
+      .set('Idempotency-Key', 'clave-1').send({ token: 'WLD', serviceId: 'abc' });
+
+    expect(calls).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(records[0]).toMatchObject({ status: 'completed', responseStatus: 201 });
+  });
+
+  test('rechaza reutilizar la clave con otro cuerpo', async () => {
+    const app = buildApp((req, res) => res.status(201).json({ success: true }));
+
+    await request(app).post('/api/payments/initiate')
+      .set('Idempotency-Key', 'clave-1').send({ serviceId: 'abc' });
+    await flush();
+    const res = await request(app).post('/api/payments/initiate')
+      .set('Idempotency-Key', 'clave-1').send({ serviceId: 'otro' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('La clave de idempotencia ya se usó con una solicitud diferente');
+  });
+
+  test('rechaza un reintento mientras la solicitud original sigue en curso', async () => {
+    records.push({
+      _id: new mongoose.Types.ObjectId(),
+      key: 'clave-1',
+      userId: USER_ID,
+      endpoint: 'POST /api/payments/initiate',
+      requestHash: crypto.createHash('sha256').update('{"serviceId":"abc"}').digest('hex'),
+      status: 'in_progress'
+    });
+    const handler = jest.fn();
+    const app = buildApp(handler);
+
+    const res = await request(app).post('/api/payments/initiate')
+      .set('Idempotency-Key', 'clave-1').send({ serviceId: 'abc' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Ya hay una solicitud en curso con esta clave de idempotencia');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('no memoriza los errores del servidor para que el reintento se ejecute otra vez', async () => {
+    let calls = 0;
+    const app = buildApp((req, res) => {
+      calls += 1;
+      if (calls === 1) {
+        return res.status(500).json({ success: false });
+      }
+      return res.status(201).json({ success: true });
+    });
+
+    await request(app).post('/api/payments/initiate')
+      .set('Idempotency-Key', 'clave-1').send({ serviceId: 'abc' });
+    await flush();
+    const retry = await request(app).post('/api/payments/initiate')
+      .set('Idempotency-Key', 'clave-1').send({ serviceId: 'abc' });
+
+    expect(calls).toBe(2);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('sin cabecera no registra ninguna clave', async () => {
+    const app = buildApp((req, res) => res.status(201).json({ success: true }));
+
+    const res = await request(app).post('/api/payments/initiate').send({ serviceId: 'abc' });
+
+    expect(res.status).toBe(201);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  test('valida la longitud de la clave', async () => {
+    const app = buildApp((req, res) => res.status(201).json({ success: true }));
+
+    const res = await request(app).post('/api/payments/initiate')
+      .set('Idempotency-Key', 'x'.repeat(256)).send({ serviceId: 'abc' });
+
+    expect(res.status).toBe(400);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Pruebas de la jerarquía y los slugs de categorías
+ */
+const mongoose = require('mongoose');
+
+const Category = require('../../src/models/Category');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Category.slugify', () => {
+  test('quita acentos y separa las palabras con guiones', () => {
+    expect(Category.slugify('  Electricistas y Fontanería ')).toBe('electricistas-y-fontaneria');
+    expect(Category.slugify('Niñeras / Cuidado')).toBe('nineras-cuidado');
+  });
+
+  test('genera el slug al validar una categoría nueva', async () => {
+    const category = new Category({ name: 'Jardinería' });
+
+    await category.validate();
+
+    expect(category.slug).toBe('jardineria');
+  });
+});
+
+describe('Category.wouldCreateCycle', () => {
+  // Jerarquía raíz <- hija <- nieta
+  const root = id();
+  const child = id();
+  const grandchild = id();
+  const parents = new Map([
+    [root.toString(), null],
+    [child.toString(), root],
+    [grandchild.toString(), child]
+  ]);
+
+  beforeEach(() => {
+    jest.spyOn(Category, 'findById').mockImplementation((categoryId) => ({
+      select: () => ({
+        lean: async () => (parents.has(categoryId.toString())
+          ? { parentCategory: parents.get(categoryId.toString()) }
+          : null)
+      })
+    }));
+  });
+
+  test('detecta que una categoría pasaría a descender de sí misma', async () => {
+    expect(await Category.wouldCreateCycle(root, grandchild)).toBe(true);
+    expect(await Category.wouldCreateCycle(child, child)).toBe(true);
+  });
+
+  test('permite mover una categoría bajo otra rama', async () => {
+    expect(await Category.wouldCreateCycle(grandchild, root)).toBe(false);
+    expect(await Category.wouldCreateCycle(id(), grandchild)).toBe(false);
+  });
+});
+
+describe('Category.getTree', () => {
+  test('anida las subcategorías y trata como raíz las de padre inactivo', async () => {
+    const root = { _id: id(), name: 'Hogar', parentCategory: null };
+    const child = { _id: id(), name: 'Fontanería', parentCategory: root._id };
+    const orphan = { _id: id(), name: 'Piscinas', parentCategory: id() };
+
+    jest.spyOn(Category, 'find').mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => [root, child, orphan] }) })
+    });
+
+    const tree = await Category.getTree();
+
+    expect(Category.find).toHaveBeenCalledWith({ isActive: true });
+    expect(tree.map(node => node.name)).toEqual(['Hogar', 'Piscinas']);
+    expect(tree[0].children.map(node => node.name)).toEqual(['Fontanería']);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Pruebas de las métricas del muro de pago: importes por token, tasas de pago y pagadores
+ */
+const mongoose = require('mongoose');
+
+const User = require('../../src/models/User');
+const Transaction = require('../../src/models/Transaction');
+const analyticsService = require('../../src/services/analyticsService');
+
+const range = { from: new Date('2026-01-01'), to: new Date('2026-02-01') };
+
+// Las sumas de la agregación llegan como Decimal128
+const decimal = (value) => mongoose.Types.Decimal128.fromString(value);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AnalyticsService.getRevenue', () => {
+  test('convierte las sumas en unidades base a unidades de cada token', async () => {
+    const categoryId = new mongoose.Types.ObjectId();
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{
+      byDay: [{ _id: { day: '2026-01-10', token: 'WLD' }, amount: decimal('2500000000000000000'), count: 2 }],
+      byToken: [
+        { _id: 'USDC.e', amount: decimal('1200000'), count: 1 },
+        { _id: 'WLD', amount: decimal('2500000000000000000'), count: 2 }
+      ],
+      byPurpose: [{ _id: { purpose: 'subscription', token: 'USDC.e' }, amount: decimal('1200000'), count: 1 }],
+      byCategory: [
+        { _id: { category: categoryId, token: 'WLD' }, category: [{ name: 'Hogar' }], amount: decimal('2500000000000000000'), count: 2 },
+        { _id: { token: 'WLD' }, category: [], amount: decimal('0'), count: 0 }
+      ]
+    }]);
+
+    const revenue = await analyticsService.getRevenue(range);
+
+    expect(Transaction.aggregate.mock.calls[0][0][0]).toEqual({
+      $match: { status: 'completed', completedAt: { $gte: range.from, $lt: range.to } }
+    });
+    expect(revenue.byDay).toEqual([{ day: '2026-01-10', token: 'WLD', amount: 2.5, count: 2 }]);
+    expect(revenue.byToken).toEqual([
+      { token: 'USDC.e', amount: 1.2, count: 1 },
+      { token: 'WLD', amount: 2.5, count: 2 }
+    ]);
+    expect(revenue.byPurpose).toEqual([{ purpose: 'subscription', token: 'USDC.e', amount: 1.2, count: 1 }]);
+    expect(revenue.byCategory).toEqual([
+      { categoryId, name: 'Hogar', token: 'WLD', amount: 2.5, count: 2 },
+      { categoryId: null, name: null, token: 'WLD', amount: 0, count: 0 }
+    ]);
+  });
+});
+
+describe('AnalyticsService.getPaymentHealth', () => {
+  test('calcula las tasas en total y por token', async () => {
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([
+      { _id: { token: 'WLD', status: 'completed' }, count: 6 },
+      { _id: { token: 'WLD', status: 'refunded' }, count: 2 },
+      { _id: { token: 'WLD', status: 'failed' }, count: 1 },
+      { _id: { token: 'WLD', status: 'expired' }, count: 1 },
+      { _id: { token: 'USDC.e', status: 'expired' }, count: 2 }
+    ]);
+
+    const health = await analyticsService.getPaymentHealth(range);
+
+    expect(health).toMatchObject({
+      total: 12,
+      completionRate: 0.6667,
+      failedRate: 0.0833,
+      expiredRate: 0.25,
+      refundRate: 0.25
+    });
+    expect(health.byToken.map(({ token }) => token)).toEqual(['USDC.e', 'WLD']);
+    expect(health.byToken[0]).toMatchObject({ total: 2, completionRate: 0, expiredRate: 1, refundRate: 0 });
+    expect(health.byToken[1]).toMatchObject({ total: 10, completionRate: 0.8, failedRate: 0.1 });
+  });
+
+  test('sin transacciones todas las tasas son cero', async () => {
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([]);
+
+    await expect(analyticsService.getPaymentHealth(range)).resolves.toEqual({
+      total: 0,
+      byStatus: {},
+      completionRate: 0,
+      failedRate: 0,
+      expiredRate: 0,
+      refundRate: 0,
+      byToken: []
+    });
+  });
+});
+
+describe('AnalyticsService.getPayers', () => {
+  test('separa los pagadores nuevos de los recurrentes', async () => {
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{
+      totals: [{ _id: null, payers: 4, newPayers: 1 }],
+      newByDay: [{ _id: '2026-01-05', count: 1 }]
+    }]);
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(3);
+
+    const payers = await analyticsService.getPayers(range);
+
+    expect(payers).toEqual({
+      payers: 4,
+      newPayers: 1,
+      returningPayers: 3,
+      returningRate: 0.75,
+      newUsers: 3,
+      newPayersByDay: [{ day: '2026-01-05', count: 1 }]
+    });
+    expect(User.countDocuments).toHaveBeenCalledWith({
+      createdAt: { $gte: range.from, $lt: range.to },
+      isPlaceholder: { $ne: true }
+    });
+  });
+});
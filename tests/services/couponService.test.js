@@ -0,0 +1,141 @@
+/**
+ * Pruebas de la reserva atómica de canjes de cupones por usuario
+ */
+const mongoose = require('mongoose');
+
+const Coupon = require('../../src/models/Coupon');
+const CouponRedemption = require('../../src/models/CouponRedemption');
+const Transaction = require('../../src/models/Transaction');
+const couponService = require('../../src/services/couponService');
+
+const couponId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+// Contador en memoria con la semántica de findOneAndUpdate condicional e índice único
+let counter;
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+beforeEach(() => {
+  counter = null;
+
+  jest.spyOn(Coupon, 'findById').mockReturnValue({
+    select: () => Promise.resolve({ _id: couponId, maxRedemptionsPerUser: 2 })
+  });
+  jest.spyOn(CouponRedemption, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+    if (counter && counter.count < filter.count.$lt) {
+      counter.count += update.$inc.count;
+      return counter;
+    }
+    if (!options.upsert) {
+      return null;
+    }
+    if (counter) {
+      throw duplicateKey();
+    }
+    counter = { couponId, userId, count: update.$inc.count };
+    return counter;
+  });
+  jest.spyOn(CouponRedemption, 'updateOne').mockImplementation(async (filter, update) => {
+    if (counter && counter.count > 0) {
+      counter.count += update.$inc.count;
+    }
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CouponService.reserveUserRedemption', () => {
+  test('las solicitudes simultáneas no superan el límite por usuario', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => couponService.reserveUserRedemption(couponId, userId))
+    );
+
+    expect(results.filter(Boolean)).toHaveLength(2);
+    expect(counter.count).toBe(2);
+  });
+
+  test('un canje liberado vuelve a estar disponible', async () => {
+    await couponService.reserveUserRedemption(couponId, userId);
+    await couponService.reserveUserRedemption(couponId, userId);
+    await couponService.releaseUserRedemption(couponId, userId);
+
+    expect(await couponService.reserveUserRedemption(couponId, userId)).toBe(true);
+    expect(await couponService.reserveUserRedemption(couponId, userId)).toBe(false);
+  });
+
+  test('un cupón inexistente no se reserva', async () => {
+    Coupon.findById.mockReturnValue({ select: () => Promise.resolve(null) });
+
+    expect(await couponService.reserveUserRedemption(couponId, userId)).toBe(false);
+    expect(CouponRedemption.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('CouponService.releaseReservation', () => {
+  const transaction = {
+    _id: new mongoose.Types.ObjectId(),
+    reference: 'ref-expirada',
+    userId,
+    coupon: { couponId, code: 'VERANO', reservedAt: new Date() }
+  };
+
+  test('devuelve el uso reservado una sola vez', async () => {
+    counter = { couponId, userId, count: 1 };
+    jest.spyOn(Transaction, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    expect(await couponService.releaseReservation(transaction)).toBe(true);
+    expect(await couponService.releaseReservation(transaction)).toBe(false);
+    expect(counter.count).toBe(0);
+    expect(Transaction.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: transaction._id, status: { $in: ['failed', 'expired'] }, 'coupon.redeemedAt': null }),
+      { 'coupon.reservedAt': null }
+    );
+  });
+
+  test('no hace nada en transacciones sin cupón', async () => {
+    jest.spyOn(Transaction, 'updateOne');
+
+    expect(await couponService.releaseReservation({ ...transaction, coupon: { couponId: null } })).toBe(false);
+    expect(Transaction.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('CouponService.redeem', () => {
+  beforeEach(() => {
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('no vuelve a contar el uso por usuario reservado al iniciar el pago', async () => {
+    counter = { couponId, userId, count: 1 };
+
+    await couponService.redeem({
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      coupon: { couponId, code: 'VERANO', reservedAt: new Date() }
+    });
+
+    expect(Coupon.updateOne).toHaveBeenCalledTimes(1);
+    expect(CouponRedemption.updateOne).not.toHaveBeenCalled();
+    expect(counter.count).toBe(1);
+  });
+
+  test('cuenta el uso de las transacciones iniciadas sin reserva', async () => {
+    await couponService.redeem({
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      coupon: { couponId, code: 'VERANO', reservedAt: null }
+    });
+
+    expect(CouponRedemption.updateOne).toHaveBeenCalledWith(
+      { couponId, userId },
+      expect.objectContaining({ $inc: { count: 1 } }),
+      { upsert: true }
+    );
+  });
+});
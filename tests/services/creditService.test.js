@@ -0,0 +1,124 @@
+/**
+ * Pruebas del saldo de créditos: compra de paquetes, desbloqueos y devoluciones
+ */
+const mongoose = require('mongoose');
+
+const User = require('../../src/models/User');
+const Entitlement = require('../../src/models/Entitlement');
+const CreditLedgerEntry = require('../../src/models/CreditLedgerEntry');
+const entitlementService = require('../../src/services/entitlementService');
+const creditService = require('../../src/services/creditService');
+
+const userId = new mongoose.Types.ObjectId();
+const serviceId = new mongoose.Types.ObjectId();
+
+// Las consultas de mongoose encadenan select() antes de resolverse
+const query = (result) => ({ select: () => Promise.resolve(result) });
+
+let balance;
+let entitlements;
+
+beforeEach(() => {
+  balance = 2;
+  entitlements = [];
+
+  jest.spyOn(Entitlement, 'hasActive').mockResolvedValue(false);
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation(() => {
+    balance -= 1;
+    return query({ creditBalance: balance });
+  });
+  jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, update) => {
+    balance += update.$inc.creditBalance;
+    return query({ creditBalance: balance });
+  });
+  jest.spyOn(entitlementService, 'grant').mockImplementation(async () => {
+    const entitlement = { _id: new mongoose.Types.ObjectId(), userId, serviceId, revokedAt: null };
+    entitlements.push(entitlement);
+    return entitlement;
+  });
+  jest.spyOn(Entitlement, 'exists').mockImplementation(async (filter) => entitlements.some(entitlement =>
+    !entitlement.revokedAt && entitlement._id.toString() < filter._id.$lt.toString()
+  ));
+  jest.spyOn(Entitlement, 'updateOne').mockImplementation(async ({ _id }, update) => {
+    Object.assign(entitlements.find(entitlement => entitlement._id.equals(_id)), update);
+  });
+  jest.spyOn(CreditLedgerEntry, 'insertMany').mockImplementation(async (entries) => entries);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CreditService.consumeCredit', () => {
+  test('un desbloqueo consume un crédito y concede el acceso', async () => {
+    const result = await creditService.consumeCredit(userId, serviceId);
+
+    expect(result).toEqual({ success: true, balance: 1 });
+    expect(entitlements).toHaveLength(1);
+  });
+
+  test('dos desbloqueos simultáneos solo gastan un crédito', async () => {
+    const results = await Promise.all([
+      creditService.consumeCredit(userId, serviceId),
+      creditService.consumeCredit(userId, serviceId)
+    ]);
+
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    expect(results.filter(result => result.alreadyUnlocked)).toHaveLength(1);
+    expect(balance).toBe(1);
+    expect(entitlements.filter(entitlement => !entitlement.revokedAt)).toHaveLength(1);
+
+    const journals = CreditLedgerEntry.insertMany.mock.calls.map(([entries]) => entries[0].journalType);
+    expect(journals.sort()).toEqual(['refund', 'unlock', 'unlock']);
+  });
+
+  test('si ya tiene acceso vigente no consume crédito', async () => {
+    Entitlement.hasActive.mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockReturnValue(query({ creditBalance: 2 }));
+
+    const result = await creditService.consumeCredit(userId, serviceId);
+
+    expect(result).toEqual({ success: false, alreadyUnlocked: true, balance: 2 });
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('sin saldo no concede acceso ni registra movimientos', async () => {
+    balance = 0;
+    User.findOneAndUpdate.mockReturnValue(query(null));
+    jest.spyOn(User, 'findById').mockReturnValue(query({ creditBalance: 0 }));
+
+    const result = await creditService.consumeCredit(userId, serviceId);
+
+    expect(result).toEqual({ success: false, error: 'Saldo de créditos insuficiente', balance: 0 });
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: userId, creditBalance: { $gte: 1 } },
+      { $inc: { creditBalance: -1 } },
+      { new: true }
+    );
+    expect(entitlementService.grant).not.toHaveBeenCalled();
+    expect(CreditLedgerEntry.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('CreditService.grantPack', () => {
+  const transaction = { _id: new mongoose.Types.ObjectId(), userId, pack: 'starter', reference: 'ref-pack' };
+
+  test('abona los créditos del paquete con un asiento cuadrado', async () => {
+    await expect(creditService.grantPack(transaction)).resolves.toBe(12);
+
+    const [entries] = CreditLedgerEntry.insertMany.mock.calls[0];
+    expect(entries).toEqual([
+      expect.objectContaining({ journalType: 'purchase', account: 'credits_issued', direction: 'debit', amount: 10, balanceAfter: null }),
+      expect.objectContaining({ journalType: 'purchase', account: 'user_credits', direction: 'credit', amount: 10, balanceAfter: 12 })
+    ]);
+    expect(entries[0].journalId).toBe(entries[1].journalId);
+    expect(entries[0].transactionId).toBe(transaction._id);
+  });
+
+  test('rechaza paquetes desconocidos sin tocar el saldo', async () => {
+    await expect(creditService.grantPack({ ...transaction, pack: 'gigante' }))
+      .rejects.toThrow('Paquete de créditos desconocido: gigante');
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(balance).toBe(2);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Pruebas de los accesos temporales a contactos: duración, renovación y revocación
+ */
+const mongoose = require('mongoose');
+
+const User = require('../../src/models/User');
+const Service = require('../../src/models/Service');
+const Category = require('../../src/models/Category');
+const Entitlement = require('../../src/models/Entitlement');
+const entitlementService = require('../../src/services/entitlementService');
+const { mockQuery } = require('../helpers/api');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userId = new mongoose.Types.ObjectId();
+const serviceId = new mongoose.Types.ObjectId();
+const parentId = new mongoose.Types.ObjectId();
+const childId = new mongoose.Types.ObjectId();
+
+/**
+ * Simula el árbol de categorías: la hija no define duración y la raíz concede los días indicados
+ *
+ * @param {number|null} rootDays - Días de acceso de la categoría raíz
+ */
+const mockCategories = (rootDays) => {
+  const categories = {
+    [childId]: { _id: childId, accessDurationDays: null, parentCategory: parentId },
+    [parentId]: { _id: parentId, accessDurationDays: rootDays, parentCategory: null }
+  };
+  jest.spyOn(Category, 'findById').mockImplementation((id) => mockQuery(categories[id] || null));
+};
+
+beforeEach(() => {
+  jest.spyOn(Service, 'findById').mockReturnValue(mockQuery({ _id: serviceId, category: childId }));
+  jest.spyOn(Entitlement, 'findOne').mockReturnValue(mockQuery(null));
+  jest.spyOn(Entitlement, 'create').mockImplementation(async (data) => data);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('EntitlementService.grant', () => {
+  test('la duración se hereda de la categoría ancestro más cercana que la define', async () => {
+    mockCategories(30);
+    const before = Date.now();
+
+    const entitlement = await entitlementService.grant({ userId, serviceId, source: 'payment' });
+
+    expect(entitlement.grantedAt.getTime()).toBeGreaterThanOrEqual(before);
+    expect(entitlement.expiresAt.getTime() - entitlement.grantedAt.getTime()).toBe(30 * DAY_MS);
+  });
+
+  test('sin duración en ninguna categoría el acceso es permanente', async () => {
+    mockCategories(null);
+
+    const entitlement = await entitlementService.grant({ userId, serviceId, source: 'payment' });
+
+    expect(entitlement.expiresAt).toBeNull();
+  });
+
+  test('una renovación empieza cuando termina el acceso vigente', async () => {
+    mockCategories(30);
+    const currentEnd = new Date(Date.now() + 10 * DAY_MS);
+    Entitlement.findOne.mockReturnValue(mockQuery({ expiresAt: currentEnd }));
+
+    const entitlement = await entitlementService.grant({ userId, serviceId, source: 'payment' });
+
+    expect(Entitlement.findOne).toHaveBeenCalledWith(expect.objectContaining({ userId, serviceId, revokedAt: null }));
+    expect(entitlement.grantedAt).toEqual(currentEnd);
+    expect(entitlement.expiresAt).toEqual(new Date(currentEnd.getTime() + 30 * DAY_MS));
+  });
+
+  test('guarda la transacción y quien regala el acceso', async () => {
+    mockCategories(null);
+    const giftedBy = new mongoose.Types.ObjectId();
+    const transaction = { _id: new mongoose.Types.ObjectId(), reference: 'ref-regalo' };
+
+    const entitlement = await entitlementService.grant({ userId, serviceId, source: 'gift', transaction, giftedBy });
+
+    expect(entitlement).toMatchObject({ source: 'gift', transactionId: transaction._id, reference: 'ref-regalo', giftedBy });
+  });
+});
+
+describe('Vigencia de los accesos', () => {
+  test('un acceso revocado o vencido deja de estar vigente', () => {
+    const future = new Date(Date.now() + DAY_MS);
+    const past = new Date(Date.now() - DAY_MS);
+
+    expect(new Entitlement({ expiresAt: null }).isActive()).toBe(true);
+    expect(new Entitlement({ expiresAt: future }).isActive()).toBe(true);
+    expect(new Entitlement({ expiresAt: past }).isActive()).toBe(false);
+    expect(new Entitlement({ expiresAt: future, revokedAt: past }).isActive()).toBe(false);
+  });
+
+  test('revocar una transacción solo afecta a sus accesos no revocados', async () => {
+    const transactionId = new mongoose.Types.ObjectId();
+    jest.spyOn(Entitlement, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(entitlementService.revokeByTransaction(transactionId, 'Reembolso')).resolves.toBe(1);
+    expect(Entitlement.updateMany).toHaveBeenCalledWith(
+      { transactionId, revokedAt: null },
+      { revokedAt: expect.any(Date), revokeReason: 'Reembolso' }
+    );
+  });
+});
+
+describe('EntitlementService.revealAccessibleContacts', () => {
+  const premium = { _id: serviceId, premiumOnly: true, contactInfo: null };
+  const other = { _id: new mongoose.Types.ObjectId(), premiumOnly: true, contactInfo: null };
+  const contact = { email: 'contacto@example.com' };
+
+  beforeEach(() => {
+    jest.spyOn(Service, 'find').mockImplementation((filter) => mockQuery(
+      filter._id.$in.map(id => ({ _id: new mongoose.Types.ObjectId(id), contactInfo: contact }))
+    ));
+  });
+
+  test('muestra el contacto solo de los servicios con acceso vigente', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(new User({ _id: userId })));
+    jest.spyOn(Entitlement, 'find').mockReturnValue(mockQuery([{ serviceId }]));
+
+    const [revealed, hidden] = await entitlementService.revealAccessibleContacts([premium, other], { id: userId });
+
+    expect(revealed.contactInfo).toEqual(contact);
+    expect(hidden.contactInfo).toBeNull();
+  });
+
+  test('un pase vigente muestra todos los contactos premium', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(
+      new User({ _id: userId, subscriptionExpiresAt: new Date(Date.now() + DAY_MS) })
+    ));
+    jest.spyOn(Entitlement, 'find');
+
+    const services = await entitlementService.revealAccessibleContacts([premium, other], { id: userId });
+
+    expect(services.every(service => service.contactInfo)).toBe(true);
+    expect(Entitlement.find).not.toHaveBeenCalled();
+  });
+
+  test('sin usuario no consulta nada', async () => {
+    jest.spyOn(User, 'findById');
+
+    await expect(entitlementService.revealAccessibleContacts([premium], null)).resolves.toEqual([premium]);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+});
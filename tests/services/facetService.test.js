@@ -0,0 +1,92 @@
+/**
+ * Pruebas de las facetas de búsqueda con semántica de selección múltiple
+ */
+const mongoose = require('mongoose');
+
+const Service = require('../../src/models/Service');
+const Category = require('../../src/models/Category');
+const facetService = require('../../src/services/facetService');
+const { mockQuery } = require('../helpers/api');
+
+const plumbing = new mongoose.Types.ObjectId();
+const electricity = new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('FacetService.buildFilters', () => {
+  test('convierte las selecciones en condiciones por faceta', () => {
+    const filters = facetService.buildFilters({
+      categories: [plumbing.toString()],
+      prices: ['$', '$$'],
+      cities: ['Lima'],
+      minRating: 4,
+      verified: false
+    });
+
+    expect(filters).toEqual({
+      category: { category: { $in: [plumbing] } },
+      price: { price: { $in: ['$', '$$'] } },
+      city: { city: { $in: ['Lima'] } },
+      rating: { rating: { $gte: 4 } },
+      verified: { verified: false }
+    });
+    expect(filters.category.category.$in[0]).toBeInstanceOf(mongoose.Types.ObjectId);
+  });
+
+  test('sin selecciones no añade condiciones', () => {
+    expect(facetService.buildFilters({})).toEqual({});
+  });
+});
+
+describe('FacetService.getFacets', () => {
+  const baseQuery = { $text: { $search: 'plomero' } };
+  const filters = facetService.buildFilters({ categories: [plumbing.toString()], prices: ['$$'] });
+
+  beforeEach(() => {
+    jest.spyOn(Service, 'aggregate').mockResolvedValue([{
+      category: [{ _id: plumbing, count: 7 }, { _id: electricity, count: 3 }, { _id: new mongoose.Types.ObjectId(), count: 1 }],
+      price: [{ _id: '$', count: 2 }, { _id: '$$', count: 7 }],
+      rating: [{ _id: null, min4: 2, min3: 5, min2: 6, min1: 7 }],
+      verified: [{ _id: true, count: 4 }, { _id: false, count: 2 }, { _id: null, count: 1 }],
+      city: [{ _id: 'Lima', count: 6 }]
+    }]);
+    jest.spyOn(Category, 'find').mockReturnValue(mockQuery([
+      { _id: plumbing, name: 'Plomería', icon: 'wrench' },
+      { _id: electricity, name: 'Electricidad', icon: 'bolt' }
+    ]));
+  });
+
+  test('cada faceta aplica los demás filtros pero no el suyo', async () => {
+    await facetService.getFacets(baseQuery, filters);
+
+    const [[pipeline]] = Service.aggregate.mock.calls;
+    const { $facet } = pipeline[1];
+    expect(pipeline[0]).toEqual({ $match: baseQuery });
+    expect($facet.category[0]).toEqual({ $match: { price: { $in: ['$$'] } } });
+    expect($facet.price[0]).toEqual({ $match: { category: { $in: [plumbing] } } });
+    expect($facet.rating[0]).toEqual({ $match: { category: { $in: [plumbing] }, price: { $in: ['$$'] } } });
+    expect($facet.city[0]).toEqual({ $match: { category: { $in: [plumbing] }, price: { $in: ['$$'] }, city: { $ne: null } } });
+  });
+
+  test('devuelve recuentos con nombres de categoría, tramos de valoración y verificados', async () => {
+    const facets = await facetService.getFacets(baseQuery, filters);
+
+    expect(facets).toEqual({
+      category: [
+        { value: plumbing.toString(), name: 'Plomería', icon: 'wrench', count: 7 },
+        { value: electricity.toString(), name: 'Electricidad', icon: 'bolt', count: 3 }
+      ],
+      price: [{ value: '$', count: 2 }, { value: '$$', count: 7 }],
+      rating: [
+        { value: 4, count: 2 },
+        { value: 3, count: 5 },
+        { value: 2, count: 6 },
+        { value: 1, count: 7 }
+      ],
+      verified: [{ value: true, count: 4 }, { value: false, count: 3 }],
+      city: [{ value: 'Lima', count: 6 }]
+    });
+  });
+});
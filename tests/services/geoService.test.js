@@ -0,0 +1,59 @@
+/**
+ * Pruebas de la búsqueda por proximidad: nomenclátor, radio y distancias
+ */
+const gazetteer = require('../../src/utils/gazetteer');
+const geoService = require('../../src/services/geoService');
+
+const LIMA = { lat: -12.0464, lng: -77.0428 };
+
+describe('gazetteer', () => {
+  test('reconoce ciudades y barrios sin tildes ni mayúsculas', () => {
+    expect(gazetteer.lookup('av. larco 123, MIRAFLORES, lima')).toMatchObject({ name: 'Miraflores', city: 'Lima' });
+    expect(gazetteer.lookup('Bogota')).toMatchObject({ name: 'Bogotá', type: 'city' });
+  });
+
+  test('admite los alias de cada lugar', () => {
+    expect(gazetteer.lookup('Santiago de Surco')).toMatchObject({ name: 'Surco' });
+    expect(gazetteer.getCityName(gazetteer.lookup('CDMX'))).toBe('Ciudad de México');
+  });
+
+  test('no confunde palabras que solo contienen el nombre de un lugar', () => {
+    expect(gazetteer.lookup('Limatambo sin número')).toBeNull();
+    expect(gazetteer.lookup('No especificada')).toBeNull();
+  });
+
+  test('geocodifica a un punto GeoJSON [lng, lat]', () => {
+    expect(gazetteer.geocode('Lima')).toEqual({ type: 'Point', coordinates: [LIMA.lng, LIMA.lat] });
+    expect(gazetteer.geocode('')).toBeNull();
+  });
+});
+
+describe('GeoService', () => {
+  test('resuelve el punto de referencia por coordenadas o por nombre', () => {
+    expect(geoService.resolveNear({ lat: -12.04641, lng: -77.04279 })).toEqual({ lat: -12.046, lng: -77.043 });
+    expect(geoService.resolveNear('Lima')).toEqual(LIMA);
+    expect(geoService.resolveNear('Atlántida')).toBeNull();
+    expect(geoService.resolveNear(undefined)).toBeNull();
+  });
+
+  test('filtra por radio con $geoWithin en radianes', () => {
+    expect(geoService.withinRadius(LIMA, 6.3781)).toEqual({
+      $geoWithin: { $centerSphere: [[LIMA.lng, LIMA.lat], 0.001] }
+    });
+  });
+
+  test('calcula la distancia en kilómetros redondeada a 100 m', () => {
+    const miraflores = gazetteer.geocode('Miraflores, Lima');
+
+    expect(geoService.distanceKm(LIMA, miraflores)).toBe(8.4);
+    expect(geoService.distanceKm(LIMA, { type: 'Point', coordinates: [LIMA.lng, LIMA.lat] })).toBe(0);
+    expect(geoService.distanceKm(LIMA, undefined)).toBeNull();
+  });
+
+  test('añade la distancia solo en búsquedas por proximidad', () => {
+    const services = [{ title: 'Sin coordenadas' }];
+
+    expect(geoService.attachDistances(services, null)).toBe(services);
+    expect(geoService.attachDistances(services, LIMA)).toEqual([{ title: 'Sin coordenadas', distanceKm: null }]);
+  });
+});
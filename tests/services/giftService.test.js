@@ -0,0 +1,133 @@
+/**
+ * Pruebas de los regalos: resolución del destinatario y concesión al completarse el pago
+ */
+const mongoose = require('mongoose');
+const { MiniKit } = require('@worldcoin/minikit-js');
+
+const User = require('../../src/models/User');
+const Transaction = require('../../src/models/Transaction');
+const giftService = require('../../src/services/giftService');
+const paymentService = require('../../src/services/paymentService');
+const entitlementService = require('../../src/services/entitlementService');
+const payoutService = require('../../src/services/payoutService');
+const couponService = require('../../src/services/couponService');
+const receiptService = require('../../src/services/receiptService');
+
+// La misma wallet en minúsculas y con checksum EIP-55
+const LOWERCASE = '0x52908400098527886e0f7030069857d2e4169ee7';
+const CHECKSUMMED = '0x52908400098527886E0F7030069857D2E4169EE7';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GiftService.resolveRecipient', () => {
+  test('busca la wallet por igualdad con checksum sin crear ninguna cuenta', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'create');
+
+    const resolved = await giftService.resolveRecipient(LOWERCASE);
+
+    expect(User.findOne).toHaveBeenCalledWith({ walletAddress: CHECKSUMMED });
+    expect(resolved).toEqual({ user: null, walletAddress: CHECKSUMMED, username: null });
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  test('devuelve el usuario existente con esa wallet', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), walletAddress: CHECKSUMMED, username: 'ana' };
+    jest.spyOn(User, 'findOne').mockResolvedValue(existing);
+
+    const resolved = await giftService.resolveRecipient(CHECKSUMMED);
+
+    expect(resolved).toEqual({ user: existing, walletAddress: CHECKSUMMED, username: 'ana' });
+  });
+
+  test('resuelve un nombre de World App a su wallet', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(MiniKit, 'getUserByUsername').mockResolvedValue({ walletAddress: LOWERCASE, username: 'luis' });
+
+    const resolved = await giftService.resolveRecipient('@luis');
+
+    expect(MiniKit.getUserByUsername).toHaveBeenCalledWith('luis');
+    expect(resolved).toEqual({ user: null, walletAddress: CHECKSUMMED, username: 'luis' });
+  });
+
+  test('informa si el nombre no existe en World App', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(MiniKit, 'getUserByUsername').mockRejectedValue(new Error('not found'));
+
+    const resolved = await giftService.resolveRecipient('nadie');
+
+    expect(resolved.error).toMatch(/nadie/);
+  });
+});
+
+describe('GiftService.ensureRecipient', () => {
+  test('crea una cuenta provisional con la wallet normalizada', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'create').mockImplementation(async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+    const recipient = await giftService.ensureRecipient(LOWERCASE, 'luis');
+
+    expect(recipient).toMatchObject({ walletAddress: CHECKSUMMED, username: 'luis', isPlaceholder: true });
+  });
+
+  test('reutiliza la cuenta creada a la vez por otro regalo', async () => {
+    const concurrent = { _id: new mongoose.Types.ObjectId(), walletAddress: CHECKSUMMED };
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(concurrent);
+    jest.spyOn(User, 'create').mockRejectedValue(Object.assign(new Error('duplicado'), { code: 11000 }));
+
+    expect(await giftService.ensureRecipient(CHECKSUMMED)).toBe(concurrent);
+  });
+});
+
+describe('PaymentService.grantAccess con regalos', () => {
+  let transaction;
+
+  beforeEach(() => {
+    transaction = new Transaction({
+      reference: 'ref-regalo',
+      userId: new mongoose.Types.ObjectId(),
+      serviceId: new mongoose.Types.ObjectId(),
+      purpose: 'contact_access',
+      amount: '1000000000000000000',
+      token: 'WLD',
+      status: 'completed',
+      recipientWallet: CHECKSUMMED,
+      recipientUsername: 'luis'
+    });
+
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(entitlementService, 'grant').mockImplementation(async (params) => params);
+    jest.spyOn(giftService, 'notifyRecipient').mockResolvedValue(true);
+    jest.spyOn(payoutService, 'accrue').mockResolvedValue(null);
+    jest.spyOn(couponService, 'redeem').mockResolvedValue(false);
+    jest.spyOn(receiptService, 'issue').mockResolvedValue(null);
+  });
+
+  test('crea la cuenta del destinatario al completarse y le concede el acceso', async () => {
+    const placeholder = { _id: new mongoose.Types.ObjectId(), walletAddress: CHECKSUMMED, isPlaceholder: true };
+    jest.spyOn(giftService, 'ensureRecipient').mockResolvedValue(placeholder);
+
+    expect(await paymentService.grantAccess(transaction)).toBe(true);
+
+    expect(giftService.ensureRecipient).toHaveBeenCalledWith(CHECKSUMMED, 'luis');
+    expect(transaction.recipientId).toEqual(placeholder._id);
+    expect(Transaction.updateOne).toHaveBeenCalledWith({ _id: transaction._id }, { recipientId: placeholder._id });
+    expect(entitlementService.grant).toHaveBeenCalledWith(expect.objectContaining({
+      userId: placeholder._id,
+      source: 'gift',
+      giftedBy: transaction.userId
+    }));
+  });
+
+  test('un regalo retenido para revisión no crea la cuenta del destinatario', async () => {
+    Transaction.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(giftService, 'ensureRecipient');
+
+    expect(await paymentService.grantAccess(transaction)).toBe(false);
+    expect(giftService.ensureRecipient).not.toHaveBeenCalled();
+    expect(entitlementService.grant).not.toHaveBeenCalled();
+  });
+});
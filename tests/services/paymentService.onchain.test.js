@@ -0,0 +1,250 @@
+/**
+ * Pruebas de la verificación de pagos en cadena contra un nodo JSON-RPC local
+ */
+const http = require('http');
+const mongoose = require('mongoose');
+const { encodeEventTopics, encodeAbiParameters, erc20Abi, numberToHex, pad } = require('viem');
+
+const worldAppConfig = require('../../src/config/worldApp').config;
+const tokenRegistry = require('../../src/config/tokens');
+const Transaction = require('../../src/models/Transaction');
+const User = require('../../src/models/User');
+const onchainService = require('../../src/services/onchainService');
+const paymentService = require('../../src/services/paymentService');
+
+const RECIPIENT = '0x1111111111111111111111111111111111111111';
+const PAYER = '0x2222222222222222222222222222222222222222';
+const STRANGER = '0x3333333333333333333333333333333333333333';
+const PRICE = tokenRegistry.toBaseUnits('1', 'WLD');
+
+// Estado del nodo local: recibos por hash y altura actual de la cadena
+const receipts = {};
+const rpcCalls = [];
+let headBlock = 100n;
+let node;
+
+const txHash = (n) => pad(numberToHex(n), { size: 32 });
+
+const transferLog = ({ token, from, to, value, hash, blockNumber }) => ({
+  address: token,
+  topics: encodeEventTopics({ abi: erc20Abi, eventName: 'Transfer', args: { from, to } }),
+  data: encodeAbiParameters([{ type: 'uint256' }], [BigInt(value)]),
+  blockNumber: numberToHex(blockNumber),
+  blockHash: txHash(blockNumber),
+  transactionHash: hash,
+  transactionIndex: '0x0',
+  logIndex: '0x0',
+  removed: false
+});
+
+/**
+ * Minar en el nodo local una transacción con las transferencias indicadas
+ */
+const mine = (hash, { transfers = [], success = true, blockNumber = 95n } = {}) => {
+  const token = tokenRegistry.getTokenAddress('WLD', worldAppConfig.network);
+
+  receipts[hash] = {
+    transactionHash: hash,
+    transactionIndex: '0x0',
+    blockHash: txHash(blockNumber),
+    blockNumber: numberToHex(blockNumber),
+    from: PAYER,
+    to: token,
+    cumulativeGasUsed: '0x5208',
+    gasUsed: '0x5208',
+    effectiveGasPrice: '0x1',
+    contractAddress: null,
+    logsBloom: pad('0x0', { size: 256 }),
+    status: success ? '0x1' : '0x0',
+    type: '0x2',
+    logs: transfers.map(transfer => transferLog({ token, hash, blockNumber, ...transfer }))
+  };
+};
+
+const buildTransaction = (overrides = {}) => new Transaction({
+  reference: new mongoose.Types.ObjectId().toString(),
+  userId: new mongoose.Types.ObjectId(),
+  serviceId: new mongoose.Types.ObjectId(),
+  amount: PRICE,
+  token: 'WLD',
+  status: 'pending',
+  ...overrides
+});
+
+beforeAll(async () => {
+  node = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      rpcCalls.push(method);
+
+      const results = {
+        eth_chainId: numberToHex(worldAppConfig.onchain.chainId),
+        eth_blockNumber: numberToHex(headBlock),
+        eth_getTransactionReceipt: params && receipts[params[0]] ? receipts[params[0]] : null
+      };
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result: results[method] ?? null }));
+    });
+  });
+
+  await new Promise(resolve => node.listen(0, '127.0.0.1', resolve));
+
+  worldAppConfig.paymentVerifier = 'onchain';
+  worldAppConfig.paymentWalletAddress = RECIPIENT;
+  worldAppConfig.onchain.rpcUrl = `http://127.0.0.1:${node.address().port}`;
+  worldAppConfig.onchain.requiredConfirmations = 3;
+  onchainService.client = null;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => node.close(resolve));
+});
+
+beforeEach(() => {
+  rpcCalls.length = 0;
+  headBlock = 100n;
+  jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ walletAddress: PAYER }) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PaymentService.verifyPayment (en cadena)', () => {
+  test('una transferencia confirmada a la wallet de cobro queda minada', async () => {
+    const hash = txHash(1);
+    mine(hash, { transfers: [{ from: PAYER, to: RECIPIENT, value: PRICE }] });
+    const transaction = buildTransaction();
+
+    const result = await paymentService.verifyPayment(transaction, { transactionHash: hash });
+
+    expect(result).toMatchObject({
+      valid: true,
+      status: 'mined',
+      transactionHash: hash,
+      payerAddress: PAYER,
+      confirmations: 6
+    });
+    expect(transaction.transactionHash).toBe(hash);
+    expect(Transaction.updateOne).toHaveBeenCalledWith(
+      { _id: transaction._id, status: { $in: ['pending', 'processing'] } },
+      expect.objectContaining({ transactionHash: hash })
+    );
+  });
+
+  test('sin las confirmaciones requeridas sigue pendiente', async () => {
+    const hash = txHash(2);
+    mine(hash, { transfers: [{ from: PAYER, to: RECIPIENT, value: PRICE }], blockNumber: 99n });
+
+    const result = await paymentService.verifyPayment(buildTransaction(), { transactionHash: hash });
+
+    expect(result).toMatchObject({ valid: true, status: 'pending', confirmations: 2 });
+  });
+
+  test('una transacción aún no minada sigue pendiente', async () => {
+    const result = await paymentService.verifyPayment(buildTransaction(), { transactionHash: txHash(3) });
+
+    expect(result).toMatchObject({ valid: true, status: 'pending', confirmations: 0 });
+  });
+
+  test('una transacción revertida se marca como fallida', async () => {
+    const hash = txHash(4);
+    mine(hash, { success: false });
+
+    const result = await paymentService.verifyPayment(buildTransaction(), { transactionHash: hash });
+
+    expect(result).toMatchObject({ valid: true, status: 'failed', error: 'La transacción fue revertida en cadena' });
+  });
+
+  test('un importe inferior al precio no es válido', async () => {
+    const hash = txHash(5);
+    mine(hash, { transfers: [{ from: PAYER, to: RECIPIENT, value: BigInt(PRICE) / 2n }] });
+
+    const result = await paymentService.verifyPayment(buildTransaction(), { transactionHash: hash });
+
+    expect(result).toMatchObject({ valid: false, error: 'El importe transferido es inferior al precio' });
+  });
+
+  test('una transferencia a otra wallet no es válida', async () => {
+    const hash = txHash(6);
+    mine(hash, { transfers: [{ from: PAYER, to: PAYER, value: PRICE }] });
+
+    const result = await paymentService.verifyPayment(buildTransaction(), { transactionHash: hash });
+
+    expect(result).toMatchObject({
+      valid: false,
+      error: 'La transacción no contiene una transferencia del token desde tu wallet a la wallet de cobro'
+    });
+  });
+
+  test('la transferencia de otro pagador no es válida ni bloquea su hash', async () => {
+    const hash = txHash(10);
+    mine(hash, { transfers: [{ from: STRANGER, to: RECIPIENT, value: PRICE }] });
+    const transaction = buildTransaction();
+
+    const result = await paymentService.verifyPayment(transaction, { transactionHash: hash });
+
+    expect(result).toMatchObject({ valid: false });
+    expect(Transaction.updateOne).not.toHaveBeenCalled();
+    expect(transaction.transactionHash).toBeUndefined();
+  });
+
+  test('sin wallet vinculada se acepta cualquier pagador', async () => {
+    const hash = txHash(11);
+    mine(hash, { transfers: [{ from: STRANGER, to: RECIPIENT, value: PRICE }] });
+    User.findById.mockReturnValue({ select: () => Promise.resolve({ walletAddress: null }) });
+
+    const result = await paymentService.verifyPayment(buildTransaction(), { transactionHash: hash });
+
+    expect(result).toMatchObject({ valid: true, status: 'mined', payerAddress: STRANGER });
+  });
+
+  test('un hash con formato inválido se rechaza sin guardarlo ni consultar la cadena', async () => {
+    const result = await paymentService.verifyPayment(buildTransaction(), { transactionHash: '0x1234' });
+
+    expect(result).toEqual({ valid: false, error: 'Hash de transacción inválido' });
+    expect(Transaction.updateOne).not.toHaveBeenCalled();
+    expect(rpcCalls).toHaveLength(0);
+  });
+
+  test('sin transferencias no es válida aunque el importe esperado sea cero', async () => {
+    const hash = txHash(9);
+    mine(hash);
+
+    const result = await paymentService.verifyPayment(buildTransaction({ amount: '0' }), { transactionHash: hash });
+
+    expect(result).toMatchObject({
+      valid: false,
+      error: 'La transacción no contiene una transferencia del token desde tu wallet a la wallet de cobro'
+    });
+  });
+
+  test('un hash ya asociado a otra transacción se rechaza', async () => {
+    const hash = txHash(7);
+    mine(hash, { transfers: [{ from: PAYER, to: RECIPIENT, value: PRICE }] });
+    Transaction.updateOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    const transaction = buildTransaction();
+
+    const result = await paymentService.verifyPayment(transaction, { transactionHash: hash });
+
+    expect(result).toEqual({ valid: false, error: 'El hash de transacción ya fue usado en otro pago' });
+    expect(transaction.transactionHash).toBeUndefined();
+  });
+
+  test('el hash ya reservado por la propia transacción no vuelve a reservarse', async () => {
+    const hash = txHash(8);
+    mine(hash, { transfers: [{ from: PAYER, to: RECIPIENT, value: PRICE }] });
+
+    const result = await paymentService.verifyPayment(
+      buildTransaction({ status: 'processing', transactionHash: hash }),
+      { transactionHash: hash }
+    );
+
+    expect(result).toMatchObject({ valid: true, status: 'mined' });
+    expect(Transaction.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Pruebas de reembolsos y de los cambios de estado de las transacciones
+ */
+const mongoose = require('mongoose');
+
+const Transaction = require('../../src/models/Transaction');
+const User = require('../../src/models/User');
+const paymentService = require('../../src/services/paymentService');
+const entitlementService = require('../../src/services/entitlementService');
+const payoutService = require('../../src/services/payoutService');
+
+const buildTransaction = (status, extra = {}) => new Transaction({
+  reference: 'ref-reembolso',
+  userId: new mongoose.Types.ObjectId(),
+  serviceId: new mongoose.Types.ObjectId(),
+  purpose: 'contact_access',
+  amount: '2000000000000000000',
+  token: 'WLD',
+  status,
+  ...extra
+});
+
+beforeEach(() => {
+  jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+  jest.spyOn(entitlementService, 'revokeByTransaction').mockResolvedValue(1);
+  jest.spyOn(payoutService, 'reverse').mockResolvedValue(null);
+  jest.spyOn(paymentService, 'grantAccess').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Transaction.setStatus', () => {
+  test('permite reembolsar una transacción completada', () => {
+    const transaction = buildTransaction('completed');
+
+    expect(transaction.setStatus('refunded', 'admin', 'Disputa aprobada')).toBe(true);
+    expect(transaction.status).toBe('refunded');
+    expect(transaction.statusHistory).toHaveLength(1);
+  });
+
+  test.each(['refunded', 'failed', 'expired'])('no reabre una transacción %s', (status) => {
+    const transaction = buildTransaction(status);
+
+    expect(() => transaction.setStatus('completed', 'client')).toThrow('Cambio de estado no permitido');
+    expect(transaction.status).toBe(status);
+    expect(transaction.statusHistory).toHaveLength(0);
+  });
+
+  test('no cuenta como cambio repetir el estado actual', () => {
+    const transaction = buildTransaction('refunded');
+
+    expect(transaction.setStatus('refunded', 'admin')).toBe(false);
+  });
+});
+
+describe('PaymentService.applyVerificationResult', () => {
+  test('un pago minado no devuelve a completada una transacción reembolsada', async () => {
+    const transaction = buildTransaction('refunded');
+
+    await paymentService.applyVerificationResult(transaction, { valid: true, status: 'mined' }, 'client');
+
+    expect(transaction.status).toBe('refunded');
+    expect(Transaction.prototype.save).not.toHaveBeenCalled();
+    expect(paymentService.grantAccess).not.toHaveBeenCalled();
+  });
+
+  test('un pago minado completa una transacción pendiente y concede el acceso', async () => {
+    const transaction = buildTransaction('pending');
+
+    await paymentService.applyVerificationResult(transaction, { valid: true, status: 'mined' }, 'client');
+
+    expect(transaction.status).toBe('completed');
+    expect(paymentService.grantAccess).toHaveBeenCalledWith(transaction);
+  });
+});
+
+describe('PaymentService.refundTransaction', () => {
+  test('reembolsa una transacción con acceso concedido y deshace sus efectos', async () => {
+    const transaction = buildTransaction('completed');
+    const refunded = buildTransaction('refunded', { _id: transaction._id, accessGrantedAt: new Date() });
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(refunded);
+
+    const result = await paymentService.refundTransaction(transaction, {
+      refundTransactionHash: '0xreembolso',
+      reason: 'Disputa aprobada'
+    });
+
+    expect(result).toBe(refunded);
+    expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: transaction._id, status: 'completed' },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'refunded', refundTransactionHash: '0xreembolso' }) }),
+      { new: true }
+    );
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(refunded.userId, { $inc: { totalSpent: -2 } });
+    expect(entitlementService.revokeByTransaction).toHaveBeenCalledWith(refunded._id, 'Disputa aprobada');
+    expect(payoutService.reverse).toHaveBeenCalledWith(refunded);
+  });
+
+  test('no toca el gasto ni los accesos si el acceso nunca se concedió', async () => {
+    const transaction = buildTransaction('completed');
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(buildTransaction('refunded', { _id: transaction._id }));
+
+    await paymentService.refundTransaction(transaction, { refundTransactionHash: '0xreembolso', reason: 'Riesgo' });
+
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(entitlementService.revokeByTransaction).not.toHaveBeenCalled();
+    expect(payoutService.reverse).not.toHaveBeenCalled();
+  });
+
+  test('no reembolsa dos veces la misma transacción', async () => {
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await paymentService.refundTransaction(buildTransaction('refunded'), {
+      refundTransactionHash: '0xreembolso',
+      reason: 'Disputa aprobada'
+    });
+
+    expect(result).toBeNull();
+    expect(entitlementService.revokeByTransaction).not.toHaveBeenCalled();
+    expect(payoutService.reverse).not.toHaveBeenCalled();
+  });
+});
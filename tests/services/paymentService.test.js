@@ -0,0 +1,147 @@
+/**
+ * Pruebas de la reutilización de transacciones pendientes
+ */
+const mongoose = require('mongoose');
+
+const Transaction = require('../../src/models/Transaction');
+const paymentService = require('../../src/services/paymentService');
+const couponService = require('../../src/services/couponService');
+
+const criteria = {
+  userId: new mongoose.Types.ObjectId(),
+  purpose: 'contact_access',
+  serviceId: new mongoose.Types.ObjectId(),
+  recipientId: null
+};
+const payment = { amount: '1000000000000000000', token: 'WLD' };
+const coupon = (code) => ({
+  couponId: new mongoose.Types.ObjectId(),
+  code,
+  originalAmount: '2000000000000000000',
+  discount: '1000000000000000000'
+});
+
+let pending;
+
+beforeEach(() => {
+  pending = new Transaction({ ...criteria, ...payment, reference: 'ref-pendiente', status: 'pending' });
+
+  jest.spyOn(Transaction, 'findOne').mockReturnValue({ sort: () => Promise.resolve(pending) });
+  jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PaymentService.getOrCreatePendingTransaction', () => {
+  test('una nueva evaluación de revisión retiene la transacción reutilizada', async () => {
+    const { transaction, reused } = await paymentService.getOrCreatePendingTransaction(
+      criteria,
+      { ...payment, heldForReview: true }
+    );
+
+    expect(reused).toBe(true);
+    expect(transaction.heldForReview).toBe(true);
+    expect(Transaction.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('una nueva evaluación favorable no levanta la retención anterior', async () => {
+    pending.heldForReview = true;
+
+    const { transaction } = await paymentService.getOrCreatePendingTransaction(criteria, payment);
+
+    expect(transaction.heldForReview).toBe(true);
+    expect(Transaction.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('la retención se conserva aunque cambie el importe', async () => {
+    pending.heldForReview = true;
+
+    const { transaction } = await paymentService.getOrCreatePendingTransaction(
+      criteria,
+      { ...payment, amount: '2000000000000000000' }
+    );
+
+    expect(transaction.amount).toBe('2000000000000000000');
+    expect(transaction.heldForReview).toBe(true);
+    expect(Transaction.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('sin cambios no vuelve a guardar la transacción', async () => {
+    await paymentService.getOrCreatePendingTransaction(criteria, payment);
+
+    expect(Transaction.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('una transacción nueva se crea con la retención de la evaluación', async () => {
+    Transaction.findOne.mockReturnValue({ sort: () => Promise.resolve(null) });
+    jest.spyOn(Transaction, 'create').mockImplementation(async (doc) => doc);
+
+    const { transaction, reused } = await paymentService.getOrCreatePendingTransaction(
+      criteria,
+      { ...payment, heldForReview: true }
+    );
+
+    expect(reused).toBe(false);
+    expect(transaction.heldForReview).toBe(true);
+  });
+});
+
+describe('PaymentService.getOrCreatePendingTransaction con cupón', () => {
+  beforeEach(() => {
+    jest.spyOn(couponService, 'reserveUserRedemption').mockResolvedValue(true);
+    jest.spyOn(couponService, 'releaseUserRedemption').mockResolvedValue();
+    jest.spyOn(Transaction, 'create').mockImplementation(async (doc) => new Transaction(doc));
+  });
+
+  test('reserva el uso por usuario al crear la transacción', async () => {
+    Transaction.findOne.mockReturnValue({ sort: () => Promise.resolve(null) });
+    const applied = coupon('VERANO');
+
+    const { transaction } = await paymentService.getOrCreatePendingTransaction(criteria, { ...payment, coupon: applied });
+
+    expect(couponService.reserveUserRedemption).toHaveBeenCalledWith(applied.couponId, criteria.userId);
+    expect(transaction.coupon.reservedAt).toBeInstanceOf(Date);
+  });
+
+  test('no crea la transacción si el usuario agotó el cupón', async () => {
+    Transaction.findOne.mockReturnValue({ sort: () => Promise.resolve(null) });
+    couponService.reserveUserRedemption.mockResolvedValue(false);
+
+    const { transaction, error } = await paymentService.getOrCreatePendingTransaction(
+      criteria,
+      { ...payment, coupon: coupon('VERANO') }
+    );
+
+    expect(transaction).toBeNull();
+    expect(error).toBe('Ya has usado este cupón el máximo de veces permitido');
+    expect(Transaction.create).not.toHaveBeenCalled();
+  });
+
+  test('reutilizar la transacción con el mismo cupón no reserva otro uso', async () => {
+    const applied = coupon('VERANO');
+    const reservedAt = new Date();
+    pending.coupon = { ...applied, reservedAt };
+
+    const { transaction } = await paymentService.getOrCreatePendingTransaction(criteria, { ...payment, coupon: applied });
+
+    expect(couponService.reserveUserRedemption).not.toHaveBeenCalled();
+    expect(couponService.releaseUserRedemption).not.toHaveBeenCalled();
+    expect(transaction.coupon.reservedAt).toEqual(reservedAt);
+  });
+
+  test('cambiar de cupón libera el uso reservado con el anterior', async () => {
+    const previous = coupon('VERANO');
+    const applied = coupon('OTONO');
+    pending.coupon = { ...previous, reservedAt: new Date() };
+
+    const { transaction } = await paymentService.getOrCreatePendingTransaction(criteria, { ...payment, coupon: applied });
+
+    expect(couponService.reserveUserRedemption).toHaveBeenCalledWith(applied.couponId, criteria.userId);
+    expect(couponService.releaseUserRedemption).toHaveBeenCalledWith(previous.couponId, criteria.userId);
+    expect(transaction.coupon.code).toBe('OTONO');
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Pruebas del reparto de ingresos con proveedores y de los lotes de pagos
+ */
+const mongoose = require('mongoose');
+
+const PayoutLedgerEntry = require('../../src/models/PayoutLedgerEntry');
+const Payout = require('../../src/models/Payout');
+const Service = require('../../src/models/Service');
+const User = require('../../src/models/User');
+const payoutService = require('../../src/services/payoutService');
+
+// 1 WLD en unidades base; el mínimo por defecto del lote es 5 WLD
+const WLD = 10n ** 18n;
+
+const provider = { _id: new mongoose.Types.ObjectId(), walletAddress: '0x3333333333333333333333333333333333333333' };
+const adminId = new mongoose.Types.ObjectId();
+
+const unpaidBalance = (amount) => ({
+  _id: { providerId: provider._id, token: 'WLD' },
+  amount: amount.toString(),
+  entries: 2
+});
+const claimedTotal = (amount) => ({ _id: null, amount: amount.toString(), entries: 2 });
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(provider) });
+  jest.spyOn(PayoutLedgerEntry, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+  jest.spyOn(Payout.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PayoutService.accrue', () => {
+  const transaction = {
+    _id: new mongoose.Types.ObjectId(),
+    reference: 'ref-devengo',
+    userId: new mongoose.Types.ObjectId(),
+    serviceId: new mongoose.Types.ObjectId(),
+    purpose: 'contact_access',
+    amount: (2n * WLD).toString(),
+    token: 'WLD'
+  };
+
+  test('devenga al dueño del servicio su parte del importe', async () => {
+    jest.spyOn(Service, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ _id: transaction.serviceId, owner: provider._id })
+    });
+    jest.spyOn(PayoutLedgerEntry, 'create').mockImplementation(async (doc) => doc);
+
+    const entry = await payoutService.accrue(transaction);
+
+    expect(entry).toMatchObject({
+      providerId: provider._id,
+      transactionId: transaction._id,
+      type: 'accrual',
+      amount: payoutService.computeShare(transaction.amount)
+    });
+  });
+
+  test('un proveedor no gana con sus propias compras', async () => {
+    jest.spyOn(Service, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ _id: transaction.serviceId, owner: transaction.userId })
+    });
+    jest.spyOn(PayoutLedgerEntry, 'create');
+
+    expect(await payoutService.accrue(transaction)).toBeNull();
+    expect(PayoutLedgerEntry.create).not.toHaveBeenCalled();
+  });
+
+  test('no devenga dos veces la misma transacción', async () => {
+    jest.spyOn(Service, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ _id: transaction.serviceId, owner: provider._id })
+    });
+    jest.spyOn(PayoutLedgerEntry, 'create').mockRejectedValue(Object.assign(new Error('duplicado'), { code: 11000 }));
+
+    expect(await payoutService.accrue(transaction)).toBeNull();
+  });
+});
+
+describe('PayoutService.reverse', () => {
+  test('registra una reversión por el mismo importe del devengo', async () => {
+    const accrual = {
+      providerId: provider._id,
+      serviceId: new mongoose.Types.ObjectId(),
+      transactionId: new mongoose.Types.ObjectId(),
+      token: 'WLD',
+      grossAmount: (2n * WLD).toString(),
+      sharePercent: 70,
+      amount: (14n * WLD / 10n).toString()
+    };
+    jest.spyOn(PayoutLedgerEntry, 'findOne').mockResolvedValue(accrual);
+    jest.spyOn(PayoutLedgerEntry, 'create').mockImplementation(async (doc) => doc);
+
+    const reversal = await payoutService.reverse({ _id: accrual.transactionId });
+
+    expect(reversal).toMatchObject({ type: 'reversal', amount: accrual.amount, providerId: provider._id });
+  });
+
+  test('no hace nada si la transacción no tenía devengo', async () => {
+    jest.spyOn(PayoutLedgerEntry, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PayoutLedgerEntry, 'create');
+
+    expect(await payoutService.reverse({ _id: new mongoose.Types.ObjectId() })).toBeNull();
+    expect(PayoutLedgerEntry.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('PayoutService.createBatch', () => {
+  test('genera un pago con el importe de los apuntes reservados', async () => {
+    jest.spyOn(PayoutLedgerEntry, 'aggregate')
+      .mockResolvedValueOnce([unpaidBalance(6n * WLD)])
+      .mockResolvedValueOnce([claimedTotal(6n * WLD)]);
+
+    const { payouts, skipped } = await payoutService.createBatch('WLD', adminId);
+
+    expect(skipped).toHaveLength(0);
+    expect(payouts).toHaveLength(1);
+    expect(payouts[0].amount).toBe((6n * WLD).toString());
+    expect(payouts[0].walletAddress).toBe(provider.walletAddress);
+    expect(PayoutLedgerEntry.updateMany).toHaveBeenCalledTimes(1);
+  });
+
+  test('omite a los proveedores con saldo inferior al mínimo', async () => {
+    jest.spyOn(PayoutLedgerEntry, 'aggregate').mockResolvedValueOnce([unpaidBalance(4n * WLD)]);
+
+    const { payouts, skipped } = await payoutService.createBatch('WLD', adminId);
+
+    expect(payouts).toHaveLength(0);
+    expect(skipped).toEqual([{ providerId: provider._id, reason: 'Saldo inferior al mínimo' }]);
+    expect(PayoutLedgerEntry.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('libera los apuntes si lo reservado queda por debajo del mínimo', async () => {
+    jest.spyOn(PayoutLedgerEntry, 'aggregate')
+      .mockResolvedValueOnce([unpaidBalance(6n * WLD)])
+      // Una reversión llegó entre el cálculo del saldo y la reserva
+      .mockResolvedValueOnce([claimedTotal(3n * WLD)]);
+
+    const { payouts, skipped } = await payoutService.createBatch('WLD', adminId);
+
+    expect(payouts).toHaveLength(0);
+    expect(skipped).toEqual([{ providerId: provider._id, reason: 'Saldo inferior al mínimo' }]);
+    expect(Payout.prototype.save).not.toHaveBeenCalled();
+
+    const [, release] = PayoutLedgerEntry.updateMany.mock.calls;
+    expect(release[1]).toEqual({ payoutId: null });
+  });
+
+  test('omite a los proveedores sin wallet', async () => {
+    jest.spyOn(PayoutLedgerEntry, 'aggregate').mockResolvedValueOnce([unpaidBalance(6n * WLD)]);
+    User.findById.mockReturnValue({ select: () => Promise.resolve({ _id: provider._id, walletAddress: null }) });
+
+    const { payouts, skipped } = await payoutService.createBatch('WLD', adminId);
+
+    expect(payouts).toHaveLength(0);
+    expect(skipped).toEqual([{ providerId: provider._id, reason: 'Proveedor sin wallet' }]);
+  });
+});
+
+describe('PayoutService.settle', () => {
+  test('solo liquida pagos pendientes', async () => {
+    jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue(null);
+    const payoutId = new mongoose.Types.ObjectId();
+
+    expect(await payoutService.settle(payoutId, '0xliquidacion', adminId)).toBeNull();
+    expect(Payout.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: payoutId, status: 'pending' },
+      expect.objectContaining({ status: 'settled', transactionHash: '0xliquidacion' }),
+      { new: true }
+    );
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Pruebas de la resolución de precios por servicio, categoría y regla global
+ */
+const mongoose = require('mongoose');
+
+const PricingRule = require('../../src/models/PricingRule');
+const Category = require('../../src/models/Category');
+const pricingService = require('../../src/services/pricingService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Jerarquía Hogar > Fontanería > Urgencias
+const hogar = id();
+const fontaneria = id();
+const urgencias = id();
+const categories = [
+  { _id: hogar, parentCategory: null },
+  { _id: fontaneria, parentCategory: hogar },
+  { _id: urgencias, parentCategory: fontaneria }
+];
+
+let rules;
+
+beforeEach(() => {
+  rules = [];
+  pricingService.invalidate();
+
+  jest.spyOn(PricingRule, 'find').mockReturnValue({ lean: async () => rules });
+  jest.spyOn(Category, 'find').mockReturnValue({ select: () => ({ lean: async () => categories }) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PricingService.resolvePrice', () => {
+  test('sin reglas usa el precio de configuración', async () => {
+    expect(await pricingService.getServicePrices({ _id: id(), category: urgencias })).toEqual({ WLD: 1, 'USDC.e': 1 });
+  });
+
+  test('la regla del servicio prevalece sobre la de su categoría y la global', async () => {
+    const service = { _id: id(), category: urgencias };
+    rules = [
+      { scope: 'default', prices: [{ token: 'WLD', amount: 2 }] },
+      { scope: 'category', category: urgencias, prices: [{ token: 'WLD', amount: 3 }] },
+      { scope: 'service', service: service._id, prices: [{ token: 'WLD', amount: 5 }] }
+    ];
+
+    expect(await pricingService.resolvePrice(service, 'WLD')).toBe(5);
+  });
+
+  test('hereda el precio de la categoría antecesora más cercana', async () => {
+    rules = [
+      { scope: 'category', category: hogar, prices: [{ token: 'WLD', amount: 4 }] },
+      { scope: 'category', category: fontaneria, prices: [{ token: 'WLD', amount: 3 }] }
+    ];
+
+    expect(await pricingService.resolvePrice({ _id: id(), category: urgencias }, 'WLD')).toBe(3);
+    expect(await pricingService.getCategoryPrices(hogar)).toEqual({ WLD: 4, 'USDC.e': 1 });
+  });
+
+  test('cada token se resuelve por separado entre capas', async () => {
+    const service = { _id: id(), category: { _id: fontaneria, name: 'Fontanería' } };
+    rules = [
+      { scope: 'default', prices: [{ token: 'USDC.e', amount: 1.5 }] },
+      { scope: 'service', service: service._id, prices: [{ token: 'WLD', amount: 2 }] }
+    ];
+
+    expect(await pricingService.getServicePrices(service)).toEqual({ WLD: 2, 'USDC.e': 1.5 });
+  });
+
+  test('ignora los precios cero de reglas antiguas', async () => {
+    const service = { _id: id(), category: hogar };
+    rules = [
+      { scope: 'default', prices: [{ token: 'WLD', amount: 2 }] },
+      { scope: 'service', service: service._id, prices: [{ token: 'WLD', amount: 0 }] }
+    ];
+
+    expect(await pricingService.resolvePrice(service, 'WLD')).toBe(2);
+  });
+
+  test('reutiliza el índice en caché hasta que se invalida', async () => {
+    await pricingService.getIndex();
+    await pricingService.getIndex();
+    expect(PricingRule.find).toHaveBeenCalledTimes(1);
+
+    pricingService.invalidate();
+    await pricingService.getIndex();
+    expect(PricingRule.find).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('PricingRule', () => {
+  test('una regla de categoría exige la categoría', async () => {
+    const rule = new PricingRule({ scope: 'category', prices: [{ token: 'WLD', amount: 1 }] });
+
+    await expect(rule.validate()).rejects.toThrow('Las reglas de categoría requieren una categoría');
+  });
+
+  test('no admite precios cero', async () => {
+    const rule = new PricingRule({ scope: 'default', prices: [{ token: 'WLD', amount: 0 }] });
+
+    await expect(rule.validate()).rejects.toThrow('El precio debe ser mayor que cero');
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Pruebas de los recibos firmados: emisión, verificación y versión HTML
+ */
+const mongoose = require('mongoose');
+
+const User = require('../../src/models/User');
+const Service = require('../../src/models/Service');
+const Receipt = require('../../src/models/Receipt');
+const Transaction = require('../../src/models/Transaction');
+const receiptService = require('../../src/services/receiptService');
+const { mockQuery } = require('../helpers/api');
+
+const payerId = new mongoose.Types.ObjectId();
+const serviceId = new mongoose.Types.ObjectId();
+
+/**
+ * Crea una transacción completada de 1.5 WLD con cupón
+ *
+ * @param {Object} overrides - Campos a sobrescribir
+ * @returns {Object} Transacción
+ */
+const completedTransaction = (overrides = {}) => new Transaction({
+  reference: 'ref-recibo',
+  userId: payerId,
+  serviceId,
+  purpose: 'service',
+  status: 'completed',
+  token: 'WLD',
+  amount: '1500000000000000000',
+  coupon: { code: 'VERANO', originalAmount: '2000000000000000000', discount: '500000000000000000' },
+  transactionHash: `0x${'a'.repeat(64)}`,
+  completedAt: new Date('2026-01-15T10:00:00Z'),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.spyOn(Service, 'findById').mockReturnValue(mockQuery({ _id: serviceId, title: 'Fontanería <Express>' }));
+  jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ walletAddress: '0x1111111111111111111111111111111111111111' }));
+  jest.spyOn(Receipt, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Receipt, 'create').mockImplementation(async (data) => data);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ReceiptService.issue', () => {
+  test('emite un recibo firmado con importe, token, hash, servicio y fecha', async () => {
+    const receipt = await receiptService.issue(completedTransaction());
+
+    expect(receipt.document).toMatchObject({
+      receiptNumber: 'R-ref-recibo',
+      reference: 'ref-recibo',
+      description: 'Fontanería <Express>',
+      service: { id: serviceId.toString(), title: 'Fontanería <Express>' },
+      amount: '1.5',
+      amountBaseUnits: '1500000000000000000',
+      token: 'WLD',
+      coupon: { code: 'VERANO', originalAmount: '2', discount: '0.5' },
+      transactionHash: `0x${'a'.repeat(64)}`,
+      paidAt: '2026-01-15T10:00:00.000Z',
+      payerWallet: '0x1111111111111111111111111111111111111111',
+      recipientWallet: null
+    });
+    expect(receiptService.verify(receipt.document, receipt.signature)).toBe(true);
+  });
+
+  test('las transacciones sin completar no tienen recibo', async () => {
+    await expect(receiptService.issue(completedTransaction({ status: 'pending' }))).resolves.toBeNull();
+    expect(Receipt.create).not.toHaveBeenCalled();
+  });
+
+  test('un reembolso conserva el recibo de la compra', async () => {
+    const receipt = await receiptService.issue(completedTransaction({ status: 'refunded' }));
+
+    expect(receipt.reference).toBe('ref-recibo');
+  });
+
+  test('devuelve el recibo ya emitido sin volver a firmarlo', async () => {
+    const existing = { reference: 'ref-recibo', signature: 'firma' };
+    Receipt.findOne.mockResolvedValue(existing);
+
+    await expect(receiptService.issue(completedTransaction())).resolves.toBe(existing);
+    expect(Receipt.create).not.toHaveBeenCalled();
+  });
+
+  test('en una emisión concurrente devuelve el recibo que se guardó primero', async () => {
+    const stored = { reference: 'ref-recibo', signature: 'firma' };
+    Receipt.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(stored);
+    Receipt.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(receiptService.issue(completedTransaction())).resolves.toBe(stored);
+  });
+});
+
+describe('ReceiptService.verify', () => {
+  const document = { reference: 'ref-recibo', amount: '1.5', token: 'WLD' };
+
+  test('la firma no depende del orden de los campos', () => {
+    const signature = receiptService.sign(document);
+
+    expect(receiptService.verify({ token: 'WLD', amount: '1.5', reference: 'ref-recibo' }, signature)).toBe(true);
+  });
+
+  test('rechaza un recibo alterado o una firma mal formada', () => {
+    const signature = receiptService.sign(document);
+
+    expect(receiptService.verify({ ...document, amount: '0.1' }, signature)).toBe(false);
+    expect(receiptService.verify(document, 'no-es-hex')).toBe(false);
+  });
+});
+
+describe('ReceiptService.renderHtml', () => {
+  test('escapa los datos del recibo', async () => {
+    const receipt = await receiptService.issue(completedTransaction());
+
+    const html = receiptService.renderHtml(receipt);
+
+    expect(html).toContain('Fontanería &lt;Express&gt;');
+    expect(html).not.toContain('<Express>');
+    expect(html).toContain('0.5 WLD (VERANO)');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Pruebas de la corrección ortográfica de búsquedas ("quizás quisiste decir")
+ */
+const suggestService = require('../../src/services/suggestService');
+const spellingService = require('../../src/services/spellingService');
+
+// Instancia nueva por prueba para no compartir el índice de trigramas
+const SpellingService = spellingService.constructor;
+
+const vocabulary = new Map([
+  ['plomero', 5],
+  ['plomeria', 3],
+  ['electricista', 4],
+  ['lima', 2],
+  ['gas', 1],
+  ['gasfitero', 2]
+]);
+
+let service;
+
+beforeEach(() => {
+  service = new SpellingService();
+  jest.spyOn(suggestService, 'getVocabulary').mockResolvedValue(vocabulary);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SpellingService.getSuggestions', () => {
+  test('corrige letras cambiadas, omitidas o transpuestas', async () => {
+    await expect(service.getSuggestions('plomreo')).resolves.toEqual(['plomero']);
+    await expect(service.getSuggestions('electrisista')).resolves.toEqual(['electricista']);
+    await expect(service.getSuggestions('gasftero')).resolves.toEqual(['gasfitero']);
+  });
+
+  test('propone alternativas ordenadas por parecido', async () => {
+    await expect(service.getSuggestions('plomeri')).resolves.toEqual(['plomeria', 'plomero']);
+  });
+
+  test('solo corrige las palabras desconocidas y respeta las palabras vacías', async () => {
+    await expect(service.getSuggestions('Plomro en Lima')).resolves.toEqual(['plomero en lima']);
+  });
+
+  test('sin palabras desconocidas no sugiere nada', async () => {
+    await expect(service.getSuggestions('plomero lima')).resolves.toEqual([]);
+    await expect(service.getSuggestions('zzzzzz')).resolves.toEqual([]);
+  });
+
+  test('las palabras cortas solo admiten una errata', async () => {
+    await expect(service.getSuggestions('gaz')).resolves.toEqual(['gas']);
+    await expect(service.getSuggestions('lma')).resolves.toEqual(['lima']);
+    await expect(service.getSuggestions('gzz')).resolves.toEqual([]);
+  });
+
+  test('reconstruye el índice cuando cambia el vocabulario', async () => {
+    await expect(service.getSuggestions('cerrajro')).resolves.toEqual([]);
+
+    suggestService.getVocabulary.mockResolvedValue(new Map([...vocabulary, ['cerrajero', 1]]));
+
+    await expect(service.getSuggestions('cerrajro')).resolves.toEqual(['cerrajero']);
+  });
+});
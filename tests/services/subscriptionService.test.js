@@ -0,0 +1,116 @@
+/**
+ * Pruebas de los pases de suscripción: activación, renovación anticipada y expiración
+ */
+const mongoose = require('mongoose');
+
+const User = require('../../src/models/User');
+const Entitlement = require('../../src/models/Entitlement');
+const Subscription = require('../../src/models/Subscription');
+const subscriptionService = require('../../src/services/subscriptionService');
+const { mockQuery } = require('../helpers/api');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SubscriptionService.activate', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const transaction = { _id: new mongoose.Types.ObjectId(), userId, plan: 'monthly' };
+
+  beforeEach(() => {
+    jest.spyOn(Subscription, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Subscription, 'create').mockImplementation(async (data) => data);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('sin pase vigente el periodo empieza ahora y dura lo que indica el plan', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ subscriptionExpiresAt: null }));
+    const before = Date.now();
+
+    const subscription = await subscriptionService.activate(transaction);
+
+    expect(subscription.startsAt.getTime()).toBeGreaterThanOrEqual(before);
+    expect(subscription.expiresAt.getTime() - subscription.startsAt.getTime()).toBe(30 * DAY_MS);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: userId },
+      expect.objectContaining({ subscriptionPlan: 'monthly', subscriptionExpiresAt: subscription.expiresAt })
+    );
+  });
+
+  test('una renovación anticipada empieza cuando termina el pase vigente', async () => {
+    const currentEnd = new Date(Date.now() + 5 * DAY_MS);
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ subscriptionExpiresAt: currentEnd }));
+
+    const subscription = await subscriptionService.activate({ ...transaction, plan: 'yearly' });
+
+    expect(subscription.startsAt).toEqual(currentEnd);
+    expect(subscription.expiresAt).toEqual(new Date(currentEnd.getTime() + 365 * DAY_MS));
+  });
+
+  test('activar dos veces la misma transacción no alarga el pase', async () => {
+    const existing = { transactionId: transaction._id };
+    Subscription.findOne.mockResolvedValue(existing);
+
+    await expect(subscriptionService.activate(transaction)).resolves.toBe(existing);
+    expect(Subscription.create).not.toHaveBeenCalled();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('rechaza planes desconocidos', async () => {
+    await expect(subscriptionService.activate({ ...transaction, plan: 'semanal' }))
+      .rejects.toThrow('Plan de suscripción desconocido: semanal');
+    expect(Subscription.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('SubscriptionService.expireDue', () => {
+  test('expira los periodos vencidos y limpia el plan solo de quien no renovó', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    jest.spyOn(Subscription, 'find').mockReturnValue(mockQuery([
+      { _id: new mongoose.Types.ObjectId(), userId },
+      { _id: new mongoose.Types.ObjectId(), userId }
+    ]));
+    jest.spyOn(Subscription, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(subscriptionService.expireDue()).resolves.toBe(2);
+    expect(Subscription.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'active' }),
+      expect.objectContaining({ status: 'expired' })
+    );
+    expect(User.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [userId.toString()] }, subscriptionExpiresAt: { $lte: expect.any(Date) } },
+      expect.objectContaining({ subscriptionPlan: null })
+    );
+  });
+
+  test('sin periodos vencidos no toca a ningún usuario', async () => {
+    jest.spyOn(Subscription, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(User, 'updateMany');
+
+    await expect(subscriptionService.expireDue()).resolves.toBe(0);
+    expect(User.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('User.hasAccessToService', () => {
+  const serviceId = new mongoose.Types.ObjectId();
+
+  test('un pase vigente da acceso a cualquier servicio sin consultar accesos', async () => {
+    jest.spyOn(Entitlement, 'hasActive');
+    const user = new User({ subscriptionExpiresAt: new Date(Date.now() + DAY_MS) });
+
+    await expect(user.hasAccessToService(serviceId)).resolves.toBe(true);
+    expect(Entitlement.hasActive).not.toHaveBeenCalled();
+  });
+
+  test('con el pase vencido solo cuentan los accesos individuales', async () => {
+    jest.spyOn(Entitlement, 'hasActive').mockResolvedValue(false);
+    const user = new User({ subscriptionExpiresAt: new Date(Date.now() - DAY_MS) });
+
+    await expect(user.hasAccessToService(serviceId)).resolves.toBe(false);
+    expect(Entitlement.hasActive).toHaveBeenCalledWith(user._id, serviceId);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Pruebas del autocompletado: índice de prefijos y búsquedas en tendencia
+ */
+const mongoose = require('mongoose');
+
+const Service = require('../../src/models/Service');
+const Category = require('../../src/models/Category');
+const SearchTerm = require('../../src/models/SearchTerm');
+const suggestService = require('../../src/services/suggestService');
+
+// Las consultas de mongoose encadenan select/sort/limit/lean antes de resolverse
+const query = (result) => {
+  const chain = {};
+  ['select', 'sort', 'limit'].forEach(method => { chain[method] = () => chain; });
+  chain.lean = () => Promise.resolve(result);
+  return chain;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SuggestService.build', () => {
+  test('solo incluye búsquedas repetidas por varias personas distintas', async () => {
+    jest.spyOn(Category, 'find').mockReturnValue(query([]));
+    jest.spyOn(Service, 'find').mockReturnValue(query([]));
+    jest.spyOn(Service, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(SearchTerm, 'find').mockReturnValue(query([{ query: 'fontanero urgente', count: 12 }]));
+
+    await suggestService.build();
+
+    const [filter] = SearchTerm.find.mock.calls[0];
+    expect(filter.count).toEqual({ $gte: 5 });
+    expect(filter['searchers.2']).toEqual({ $exists: true });
+    expect(await suggestService.suggest('fonta')).toEqual([
+      expect.objectContaining({ text: 'fontanero urgente', type: 'query' })
+    ]);
+  });
+});
+
+describe('SuggestService.recordQuery', () => {
+  test('guarda una huella de quien busca sin superar el mínimo exigido', async () => {
+    jest.spyOn(SearchTerm, 'updateOne').mockResolvedValue({});
+
+    await suggestService.recordQuery('Fontanero ', '203.0.113.7');
+
+    const [, [filter, update]] = SearchTerm.updateOne.mock.calls;
+    expect(filter).toEqual({ normalized: 'fontanero', 'searchers.2': { $exists: false } });
+    expect(update.$addToSet.searchers).toMatch(/^[0-9a-f]{32}$/);
+    expect(update.$addToSet.searchers).not.toContain('203.0.113.7');
+  });
+
+  test('sin identificador solo cuenta la búsqueda', async () => {
+    jest.spyOn(SearchTerm, 'updateOne').mockResolvedValue({});
+
+    await suggestService.recordQuery('fontanero');
+
+    expect(SearchTerm.updateOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('SuggestService.suggest', () => {
+  // Instancia nueva por prueba para no compartir el índice en memoria
+  const SuggestService = suggestService.constructor;
+  let service;
+
+  /**
+   * Simula el catálogo a partir del que se construye el índice
+   *
+   * @param {Object} catalog - Categorías, servicios, palabras clave y búsquedas en tendencia
+   */
+  const mockCatalog = ({ categories = [], services = [], keywords = [], terms = [] }) => {
+    jest.spyOn(Category, 'find').mockReturnValue(query(categories));
+    jest.spyOn(Service, 'find').mockReturnValue(query(services));
+    jest.spyOn(Service, 'aggregate').mockResolvedValue(keywords);
+    jest.spyOn(SearchTerm, 'find').mockReturnValue(query(terms));
+  };
+
+  beforeEach(() => {
+    service = new SuggestService();
+    mockCatalog({
+      categories: [{ _id: new mongoose.Types.ObjectId(), name: 'Plomería', icon: 'wrench' }],
+      services: [
+        { _id: new mongoose.Types.ObjectId(), title: 'Plomero a domicilio', premiumOnly: false, rating: 4 },
+        { _id: new mongoose.Types.ObjectId(), title: 'Plomería Express 24h', premiumOnly: true, rating: 5 }
+      ],
+      keywords: [{ _id: 'plomeria', count: 8 }, { _id: 'fugas de agua', count: 3 }],
+      terms: [{ query: 'plomero urgente', count: 20 }]
+    });
+  });
+
+  test('mezcla categorías, búsquedas en tendencia, palabras clave y servicios', async () => {
+    const suggestions = await service.suggest('plom');
+
+    expect(suggestions).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'category', text: 'Plomería', icon: 'wrench' }),
+      expect.objectContaining({ type: 'query', text: 'plomero urgente' }),
+      expect.objectContaining({ type: 'service', text: 'Plomero a domicilio' })
+    ]));
+    expect(suggestions).toHaveLength(3);
+  });
+
+  test('las búsquedas muy populares suben por encima de los tipos con más peso', async () => {
+    const suggestions = await service.suggest('plom');
+
+    expect(suggestions.map(({ type }) => type)).toEqual(['query', 'category', 'service']);
+  });
+
+  test('un texto repetido se sugiere una vez con el tipo de más peso', async () => {
+    const suggestions = await service.suggest('plomeria');
+
+    expect(suggestions).toEqual([expect.objectContaining({ type: 'category', text: 'Plomería' })]);
+  });
+
+  test('tolera tildes y completa cada palabra por su prefijo', async () => {
+    await expect(service.suggest('PLOMERÍ')).resolves.toEqual([expect.objectContaining({ text: 'Plomería' })]);
+    await expect(service.suggest('fug ag')).resolves.toEqual([expect.objectContaining({ text: 'fugas de agua', type: 'keyword' })]);
+    await expect(service.suggest('domicilio plo')).resolves.toEqual([expect.objectContaining({ text: 'Plomero a domicilio' })]);
+  });
+
+  test('solo muestra títulos premium a usuarios verificados', async () => {
+    const publicTitles = (await service.suggest('express')).map(({ text }) => text);
+    const verifiedTitles = (await service.suggest('express', { includePremium: true })).map(({ text }) => text);
+
+    expect(publicTitles).toEqual([]);
+    expect(verifiedTitles).toEqual(['Plomería Express 24h']);
+  });
+
+  test('respeta el límite de sugerencias', async () => {
+    await expect(service.suggest('p', { limit: 2 })).resolves.toHaveLength(2);
+  });
+
+  test('tras un cambio en el catálogo el índice se reconstruye sin bloquear las sugerencias', async () => {
+    await service.suggest('plom');
+    mockCatalog({ categories: [{ _id: new mongoose.Types.ObjectId(), name: 'Electricidad' }] });
+
+    await expect(service.suggest('elec')).resolves.toEqual([]);
+    expect(Category.find).toHaveBeenCalledTimes(1);
+
+    service.invalidate();
+    await expect(service.suggest('elec')).resolves.toEqual([]);
+    await new Promise(resolve => setImmediate(resolve));
+
+    await expect(service.suggest('elec')).resolves.toEqual([expect.objectContaining({ text: 'Electricidad' })]);
+    expect(Category.find).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Pruebas de la ampliación de consultas con sinónimos
+ */
+const Synonym = require('../../src/models/Synonym');
+const cacheService = require('../../src/services/cacheService');
+const synonymService = require('../../src/services/synonymService');
+const { mockQuery } = require('../helpers/api');
+
+beforeEach(() => {
+  cacheService.clear();
+  jest.spyOn(Synonym, 'find').mockReturnValue(mockQuery([
+    { terms: ['gasfitero', 'plomero', 'fontanero'] },
+    { terms: ['electricista', 'tecnico electrico'] }
+  ]));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SynonymService.getExpansions', () => {
+  test('añade los términos equivalentes que faltan en la consulta', async () => {
+    await expect(synonymService.getExpansions('Gasfitero urgente')).resolves.toEqual(['plomero', 'fontanero']);
+  });
+
+  test('reconoce términos de varias palabras y sin tildes', async () => {
+    await expect(synonymService.getExpansions('técnico eléctrico')).resolves.toEqual(['electricista']);
+  });
+
+  test('solo compara palabras completas', async () => {
+    await expect(synonymService.getExpansions('plomeros')).resolves.toEqual([]);
+  });
+
+  test('reutiliza el diccionario en caché hasta que se invalida', async () => {
+    await synonymService.getExpansions('plomero');
+    await synonymService.getExpansions('fontanero');
+    expect(Synonym.find).toHaveBeenCalledTimes(1);
+
+    synonymService.invalidate();
+    await synonymService.getExpansions('plomero');
+    expect(Synonym.find).toHaveBeenCalledTimes(2);
+  });
+
+  test('al invalidar descarta las búsquedas cacheadas que pudieron ampliarse', () => {
+    cacheService.set(cacheService.getSearchKey('plomero'), { data: [] });
+
+    synonymService.invalidate();
+
+    expect(cacheService.get(cacheService.getSearchKey('plomero'))).toBeUndefined();
+  });
+});
+
+describe('SynonymService.normalizeTerms', () => {
+  test('normaliza y elimina duplicados', () => {
+    expect(synonymService.normalizeTerms(['Plomero', 'plomero ', 'Gásfiter', '!!'])).toEqual(['plomero', 'gasfiter']);
+  });
+});
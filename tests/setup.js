@@ -0,0 +1,13 @@
+/**
+ * Configuración común de las pruebas
+ * El logger real escribe en logs/; en las pruebas se sustituye por funciones vacías
+ */
+jest.mock('../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
@@ -0,0 +1,29 @@
+/**
+ * Pruebas de la normalización de texto sin tildes
+ */
+const { foldDiacritics, normalizeText, toAccentInsensitivePattern } = require('../../src/utils/text');
+
+describe('text', () => {
+  test('elimina tildes, diéresis y eñes conservando mayúsculas', () => {
+    expect(foldDiacritics('Plomería en Ñuñoa, pingüino')).toBe('Plomeria en Nunoa, pinguino');
+    expect(foldDiacritics(null)).toBe('');
+  });
+
+  test('normaliza a minúsculas con la puntuación convertida en un espacio', () => {
+    expect(normalizeText('  ¡Electricista—24h, ÁREA Metropolitana!  ')).toBe('electricista 24h area metropolitana');
+  });
+
+  test('el patrón encuentra el texto con o sin tildes', () => {
+    const pattern = new RegExp(toAccentInsensitivePattern('nunoa'), 'i');
+
+    expect(pattern.test('Ñuñoa, Santiago')).toBe(true);
+    expect(new RegExp(toAccentInsensitivePattern('Bogotá'), 'i').test('BOGOTA')).toBe(true);
+  });
+
+  test('el patrón escapa los caracteres especiales de la dirección', () => {
+    const pattern = new RegExp(toAccentInsensitivePattern('Av. (Larco)'), 'i');
+
+    expect(pattern.test('av. (larco) 123')).toBe(true);
+    expect(pattern.test('avX Larco')).toBe(false);
+  });
+});